@@ -28,12 +28,6 @@ EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
 
-DO $$ BEGIN
-    CREATE TYPE template_language AS ENUM ('en', 'en_US', 'es', 'es_ES', 'pt_BR', 'hi', 'ar', 'fr', 'de', 'it', 'ja', 'ko', 'ru', 'zh_CN', 'zh_TW');
-EXCEPTION
-    WHEN duplicate_object THEN null;
-END $$;
-
 DO $$ BEGIN
     CREATE TYPE admin_approval_status AS ENUM ('pending', 'rejected', 'approved');
 EXCEPTION
@@ -58,7 +52,7 @@ EXCEPTION
 END $$;
 
 DO $$ BEGIN
-    CREATE TYPE message_status_extended AS ENUM ('pending', 'asset_generating', 'asset_generated', 'ready_to_send', 'sent', 'delivered', 'read', 'failed');
+    CREATE TYPE message_status_extended AS ENUM ('pending', 'asset_generating', 'asset_generated', 'ready_to_send', 'throttled', 'skipped_opted_out', 'sent', 'delivered', 'read', 'failed');
 EXCEPTION
     WHEN duplicate_object THEN null;
 END $$;
@@ -91,6 +85,23 @@ CREATE TABLE organizations (
     whatsapp_webhook_url TEXT,
     whatsapp_app_id TEXT,
     whatsapp_app_secret TEXT,
+
+    -- WhatsApp messaging limits
+    whatsapp_messaging_tier VARCHAR(20) DEFAULT 'TIER_1K', -- TIER_1K, TIER_10K, TIER_100K, TIER_UNLIMITED
+    whatsapp_messages_per_second INTEGER DEFAULT 80,
+
+    -- Opt-out / opt-in keywords (NULL = defaults)
+    opt_out_keywords TEXT[],
+    opt_in_keywords TEXT[],
+
+    -- Outbound message transport: sqs, postgres, graph_api (NULL = MESSAGE_TRANSPORT)
+    message_transport VARCHAR(20) CHECK (message_transport IN ('sqs', 'postgres', 'graph_api')),
+
+    -- Conversation routing
+    conversation_routing_mode VARCHAR(20) DEFAULT 'manual' CHECK (conversation_routing_mode IN ('manual', 'round_robin', 'least_open')),
+    conversation_routing_sticky BOOLEAN DEFAULT false, -- prefer the customer's last agent
+    max_concurrent_conversations INTEGER DEFAULT 10, -- per agent, unless the agent sets one
+    conversation_escalation_minutes INTEGER DEFAULT 15, -- unassigned wait before admins are notified
     
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -118,6 +129,12 @@ CREATE TABLE users (
     password_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     failed_login_attempts INTEGER DEFAULT 0,
     locked_until TIMESTAMP WITH TIME ZONE,
+
+    -- Conversation routing
+    availability_status VARCHAR(20) DEFAULT 'offline' CHECK (availability_status IN ('online', 'away', 'offline')),
+    availability_updated_at TIMESTAMP WITH TIME ZONE,
+    max_concurrent_conversations INTEGER, -- NULL = organization default
+    last_assigned_at TIMESTAMP WITH TIME ZONE,
     
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -132,6 +149,127 @@ CREATE TABLE users (
     )
 );
 
+-- Template languages table (locales WhatsApp supports; seeded from config/templateLanguages.js)
+CREATE TABLE template_languages (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO template_languages (code, name) VALUES
+    ('af', 'Afrikaans'),
+    ('sq', 'Albanian'),
+    ('ar', 'Arabic'),
+    ('ar_EG', 'Arabic (EGY)'),
+    ('ar_AE', 'Arabic (UAE)'),
+    ('ar_LB', 'Arabic (LBN)'),
+    ('ar_MA', 'Arabic (MAR)'),
+    ('ar_QA', 'Arabic (QAT)'),
+    ('az', 'Azerbaijani'),
+    ('be_BY', 'Belarusian'),
+    ('bn', 'Bengali'),
+    ('bn_IN', 'Bengali (IND)'),
+    ('bg', 'Bulgarian'),
+    ('ca', 'Catalan'),
+    ('zh_CN', 'Chinese (CHN)'),
+    ('zh_HK', 'Chinese (HKG)'),
+    ('zh_TW', 'Chinese (TAI)'),
+    ('hr', 'Croatian'),
+    ('cs', 'Czech'),
+    ('da', 'Danish'),
+    ('prs_AF', 'Dari'),
+    ('nl', 'Dutch'),
+    ('nl_BE', 'Dutch (BEL)'),
+    ('en', 'English'),
+    ('en_GB', 'English (UK)'),
+    ('en_US', 'English (US)'),
+    ('en_AE', 'English (UAE)'),
+    ('en_AU', 'English (AUS)'),
+    ('en_CA', 'English (CAN)'),
+    ('en_GH', 'English (GHA)'),
+    ('en_IE', 'English (IRL)'),
+    ('en_IN', 'English (IND)'),
+    ('en_JM', 'English (JAM)'),
+    ('en_MY', 'English (MYS)'),
+    ('en_NZ', 'English (NZL)'),
+    ('en_QA', 'English (QAT)'),
+    ('en_SG', 'English (SGP)'),
+    ('en_UG', 'English (UGA)'),
+    ('en_ZA', 'English (ZAF)'),
+    ('et', 'Estonian'),
+    ('fil', 'Filipino'),
+    ('fi', 'Finnish'),
+    ('fr', 'French'),
+    ('fr_BE', 'French (BEL)'),
+    ('fr_CA', 'French (CAN)'),
+    ('fr_CH', 'French (CHE)'),
+    ('fr_CI', 'French (CIV)'),
+    ('fr_MA', 'French (MAR)'),
+    ('ka', 'Georgian'),
+    ('de', 'German'),
+    ('de_AT', 'German (AUT)'),
+    ('de_CH', 'German (CHE)'),
+    ('el', 'Greek'),
+    ('gu', 'Gujarati'),
+    ('ha', 'Hausa'),
+    ('he', 'Hebrew'),
+    ('hi', 'Hindi'),
+    ('hu', 'Hungarian'),
+    ('id', 'Indonesian'),
+    ('ga', 'Irish'),
+    ('it', 'Italian'),
+    ('ja', 'Japanese'),
+    ('kn', 'Kannada'),
+    ('kk', 'Kazakh'),
+    ('rw_RW', 'Kinyarwanda'),
+    ('ko', 'Korean'),
+    ('ky_KG', 'Kyrgyz (Kyrgyzstan)'),
+    ('lo', 'Lao'),
+    ('lv', 'Latvian'),
+    ('lt', 'Lithuanian'),
+    ('mk', 'Macedonian'),
+    ('ms', 'Malay'),
+    ('ml', 'Malayalam'),
+    ('mr', 'Marathi'),
+    ('nb', 'Norwegian'),
+    ('ps_AF', 'Pashto'),
+    ('fa', 'Persian'),
+    ('pl', 'Polish'),
+    ('pt_BR', 'Portuguese (BR)'),
+    ('pt_PT', 'Portuguese (POR)'),
+    ('pa', 'Punjabi'),
+    ('ro', 'Romanian'),
+    ('ru', 'Russian'),
+    ('sr', 'Serbian'),
+    ('si_LK', 'Sinhala'),
+    ('sk', 'Slovak'),
+    ('sl', 'Slovenian'),
+    ('es', 'Spanish'),
+    ('es_AR', 'Spanish (ARG)'),
+    ('es_CL', 'Spanish (CHL)'),
+    ('es_CO', 'Spanish (COL)'),
+    ('es_CR', 'Spanish (CRI)'),
+    ('es_DO', 'Spanish (DOM)'),
+    ('es_EC', 'Spanish (ECU)'),
+    ('es_HN', 'Spanish (HND)'),
+    ('es_MX', 'Spanish (MEX)'),
+    ('es_PA', 'Spanish (PAN)'),
+    ('es_PE', 'Spanish (PER)'),
+    ('es_ES', 'Spanish (SPA)'),
+    ('es_UY', 'Spanish (URY)'),
+    ('sw', 'Swahili'),
+    ('sv', 'Swedish'),
+    ('ta', 'Tamil'),
+    ('te', 'Telugu'),
+    ('th', 'Thai'),
+    ('tr', 'Turkish'),
+    ('uk', 'Ukrainian'),
+    ('ur', 'Urdu'),
+    ('uz', 'Uzbek'),
+    ('vi', 'Vietnamese'),
+    ('zu', 'Zulu')
+ON CONFLICT (code) DO NOTHING;
+
 -- WhatsApp Business API Templates table
 CREATE TABLE templates (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -141,7 +279,7 @@ CREATE TABLE templates (
     whatsapp_template_id VARCHAR(255), -- ID from WhatsApp Business API
     name VARCHAR(255) NOT NULL,
     category template_category NOT NULL,
-    language template_language NOT NULL DEFAULT 'en',
+    language VARCHAR(20) NOT NULL DEFAULT 'en' REFERENCES template_languages(code),
 
     -- Template Content
     header_type VARCHAR(50), -- TEXT, IMAGE, VIDEO, DOCUMENT
@@ -185,7 +323,7 @@ CREATE TABLE templates (
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    created_by UUID NOT NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for templates created by the scheduled sync
 
     -- WhatsApp Sync Metadata
     synced_at TIMESTAMP WITH TIME ZONE,
@@ -258,6 +396,14 @@ CREATE TABLE campaigns (
     scheduled_at TIMESTAMP WITH TIME ZONE,
     buffer_hours INTEGER DEFAULT 48, -- Default 2 day buffer
 
+    -- Recurrence (campaign_type = 'recurring')
+    recurrence_rule TEXT, -- Cron expression or RRULE string
+    recurrence_timezone VARCHAR(64) DEFAULT 'UTC', -- IANA timezone the rule is evaluated in
+    recurrence_end_at TIMESTAMP WITH TIME ZONE,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    parent_campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL, -- Set on runs cloned from a recurring campaign
+    run_number INTEGER,
+
     -- Approval Workflow
     status campaign_status DEFAULT 'draft',
     submitted_for_approval_at TIMESTAMP WITH TIME ZONE,
@@ -278,6 +424,17 @@ CREATE TABLE campaigns (
     -- Campaign Execution
     started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
+    paused_reason TEXT,
+    paused_by_template_id UUID REFERENCES templates(id) ON DELETE SET NULL, -- Set when paused because WhatsApp paused/disabled the template
+    paused_from_status campaign_status, -- Status restored when an automatic pause is lifted
+
+    -- Template Family (one template per language, sharing a name)
+    use_template_family BOOLEAN DEFAULT false, -- Send each contact the family template in their language
+    language_attribute VARCHAR(100) DEFAULT 'preferred_language', -- Contact attribute holding the preferred language
+    fallback_language VARCHAR(20), -- Used when no language matches; NULL means the campaign template's language
+
+    -- Sender
+    phone_number_id VARCHAR(50), -- WhatsApp phone number ID to send from; NULL means the organization's default number
 
     -- Asset Generation
     asset_generation_started_at TIMESTAMP WITH TIME ZONE,
@@ -287,6 +444,14 @@ CREATE TABLE campaigns (
     asset_generation_last_error TEXT,
     asset_generation_progress JSONB DEFAULT '{}',
 
+    -- A/B Testing (variants live in campaign_variants)
+    ab_test_sample_percentage INTEGER DEFAULT 100 CHECK (ab_test_sample_percentage BETWEEN 1 AND 100), -- Share of the audience in the test
+    ab_test_window_hours INTEGER DEFAULT 24, -- Test length before the winner is promoted
+    ab_test_winning_metric VARCHAR(20) DEFAULT 'read_rate' CHECK (ab_test_winning_metric IN ('read_rate', 'reply_rate')),
+    ab_test_auto_promote BOOLEAN DEFAULT false,
+    ab_test_winner_variant_id UUID, -- References campaign_variants(id), added below
+    ab_test_promoted_at TIMESTAMP WITH TIME ZONE,
+
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -301,6 +466,23 @@ CREATE TABLE campaigns (
 );
 
 -- Campaign Audience Association Table
+-- Template variants of a campaign for A/B testing
+CREATE TABLE campaign_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    template_id UUID NOT NULL REFERENCES templates(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0), -- Relative share of the test audience
+    position INTEGER NOT NULL DEFAULT 0,
+    is_winner BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT campaign_variants_name_unique UNIQUE (campaign_id, name)
+);
+
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_ab_test_winner_variant_fk
+    FOREIGN KEY (ab_test_winner_variant_id) REFERENCES campaign_variants(id) ON DELETE SET NULL;
+
 CREATE TABLE campaign_audience (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
@@ -332,6 +514,11 @@ CREATE TABLE campaign_audience (
     -- WhatsApp Message ID
     whatsapp_message_id VARCHAR(255),
 
+    -- A/B Testing
+    variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL,
+    ab_test_holdout BOOLEAN DEFAULT false, -- Waiting for the winning variant
+    sent_template_id UUID REFERENCES templates(id) ON DELETE SET NULL, -- Variant or family language template sent
+
     -- Metadata
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -467,6 +654,266 @@ CREATE TABLE incoming_messages (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Unique recipients per sending number, used for rolling 24h messaging tier limits
+CREATE TABLE messaging_recipient_log (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    phone_number_id TEXT NOT NULL,
+    msisdn TEXT NOT NULL,
+    last_sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (organization_id, phone_number_id, msisdn)
+);
+
+-- Numbers that must not be messaged (opted out or manually suppressed)
+CREATE TABLE suppression_list (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    msisdn VARCHAR(20) NOT NULL,
+    reason VARCHAR(50) NOT NULL DEFAULT 'manual', -- manual, opt_out_keyword
+    keyword VARCHAR(100),
+    notes TEXT,
+    source_message_id VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT suppression_list_org_msisdn_unique UNIQUE (organization_id, msisdn)
+);
+
+-- CSV/XLSX audience import jobs (processed in the background)
+CREATE TABLE audience_import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE, -- NULL = master audience only
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, processing, completed, failed
+
+    -- Source file (file_data is cleared once the job finishes)
+    file_name VARCHAR(255),
+    file_type VARCHAR(10) NOT NULL, -- csv, xlsx
+    file_data BYTEA,
+
+    -- Options
+    column_mapping JSONB,
+    default_country VARCHAR(2),
+    dedupe_policy VARCHAR(20) NOT NULL DEFAULT 'skip', -- skip, update
+
+    -- Progress
+    total_rows INTEGER DEFAULT 0,
+    processed_rows INTEGER DEFAULT 0,
+    created_rows INTEGER DEFAULT 0,
+    updated_rows INTEGER DEFAULT 0,
+    skipped_rows INTEGER DEFAULT 0,
+    opted_out_rows INTEGER DEFAULT 0,
+    failed_rows INTEGER DEFAULT 0,
+    row_report JSONB DEFAULT '[]', -- [{row, msisdn, status, reason}]
+    error_message TEXT,
+
+    -- Metadata
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbound messages for the postgres transport
+CREATE TABLE message_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    available_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    whatsapp_message_id VARCHAR(255),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Campaign messages waiting to be published, one per audience row
+CREATE TABLE campaign_dispatch_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    campaign_audience_id UUID NOT NULL UNIQUE REFERENCES campaign_audience(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'publishing', 'published', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    available_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    transport_message_id VARCHAR(255),
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved audience segments (rule trees evaluated against audience_master)
+CREATE TABLE audience_segments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    rules JSONB NOT NULL, -- {operator: and|or, rules: [condition | group]}
+    last_count INTEGER,
+    last_counted_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT audience_segments_org_name_unique UNIQUE (organization_id, name)
+);
+
+-- Change history of contact names and attributes edited through the contact profile
+CREATE TABLE audience_attribute_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    audience_master_id UUID NOT NULL REFERENCES audience_master(id) ON DELETE CASCADE,
+    field VARCHAR(20) NOT NULL CHECK (field IN ('name', 'attribute')),
+    attribute_key VARCHAR(255), -- NULL for name changes
+    old_value JSONB, -- NULL when the attribute was added
+    new_value JSONB, -- NULL when the attribute was removed
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- In-app notifications, one row per recipient
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL, -- e.g. template_paused, template_reinstated
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    data JSONB DEFAULT '{}', -- IDs the notification refers to
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WhatsApp template sync runs per organization
+CREATE TABLE template_sync_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('scheduled', 'manual')),
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for scheduled runs
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    remote_count INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    deleted_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    changes JSONB DEFAULT '[]', -- Created, updated and deleted templates with changed fields
+    errors JSONB DEFAULT '[]', -- Templates that could not be applied
+    error_message TEXT, -- Why a failed run stopped
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One-time passwords sent through authentication templates; only a hash of
+-- each code is stored
+CREATE TABLE otp_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    template_id UUID REFERENCES templates(id) ON DELETE SET NULL,
+    msisdn VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'expired', 'locked', 'superseded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    delivery_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (delivery_status IN ('pending', 'sent', 'delivered', 'read', 'failed')),
+    whatsapp_message_id VARCHAR(255),
+    failure_reason TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Inbox changes pushed to agents over GET /api/messages/inbox/events; the ID
+-- is the client's resume cursor
+CREATE TABLE inbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    conversation_id UUID,
+    payload JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- WhatsApp numbers of each organization's business account, synced from
+-- the Cloud API; campaigns and conversations pick one as the sender
+CREATE TABLE organization_phone_numbers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    phone_number_id VARCHAR(50) NOT NULL,
+    display_phone_number VARCHAR(20),
+    verified_name VARCHAR(255),
+    label VARCHAR(100), -- e.g. sales, support
+    quality_rating VARCHAR(20),
+    status VARCHAR(50),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT organization_phone_numbers_unique UNIQUE (organization_id, phone_number_id)
+);
+
+-- Rule-based conversation queues; the first active queue matching a new or
+-- reopened conversation routes it to its agents
+CREATE TABLE conversation_queues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    routing_mode VARCHAR(20) NOT NULL DEFAULT 'round_robin' CHECK (routing_mode IN ('round_robin', 'least_open')),
+    priority INTEGER NOT NULL DEFAULT 0, -- higher is checked first
+    conversation_types TEXT[] DEFAULT '{}',
+    tags TEXT[] DEFAULT '{}',
+    campaign_ids UUID[] DEFAULT '{}',
+    keywords TEXT[] DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT conversation_queues_name_unique UNIQUE (organization_id, name)
+);
+
+CREATE TABLE conversation_queue_members (
+    queue_id UUID NOT NULL REFERENCES conversation_queues(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (queue_id, user_id)
+);
+
+-- Saved replies agents send from the inbox; {{variables}} are filled from
+-- the conversation, the agent and the contact's attributes
+CREATE TABLE canned_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    shortcut VARCHAR(50) NOT NULL, -- typed as /shortcut in the inbox
+    category VARCHAR(100),
+    content TEXT,
+    attachment_url TEXT, -- S3 URL from POST /api/messages/upload-media
+    attachment_key TEXT,
+    attachment_type VARCHAR(20) CHECK (attachment_type IN ('image', 'video', 'document')),
+    attachment_filename VARCHAR(255),
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT canned_responses_shortcut_unique UNIQUE (organization_id, shortcut),
+    CONSTRAINT canned_responses_body_check CHECK (content IS NOT NULL OR attachment_url IS NOT NULL)
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_organization_id ON users(organization_id);
@@ -490,11 +937,41 @@ CREATE INDEX idx_campaigns_organization_id ON campaigns(organization_id);
 CREATE INDEX idx_campaigns_template_id ON campaigns(template_id);
 CREATE INDEX idx_campaigns_status ON campaigns(status);
 CREATE INDEX idx_campaigns_scheduled_at ON campaigns(scheduled_at);
+CREATE INDEX idx_campaigns_next_run_at ON campaigns(next_run_at);
+CREATE INDEX idx_campaigns_parent_campaign_id ON campaigns(parent_campaign_id);
 CREATE INDEX idx_campaigns_created_by ON campaigns(created_by);
 CREATE INDEX idx_campaign_audience_campaign_id ON campaign_audience(campaign_id);
 CREATE INDEX idx_campaign_audience_organization_id ON campaign_audience(organization_id);
 CREATE INDEX idx_campaign_audience_msisdn ON campaign_audience(msisdn);
 CREATE INDEX idx_campaign_audience_message_status ON campaign_audience(message_status);
+CREATE INDEX idx_campaign_audience_whatsapp_message_id ON campaign_audience(whatsapp_message_id);
+CREATE INDEX idx_suppression_list_organization_id ON suppression_list(organization_id);
+CREATE INDEX idx_audience_import_jobs_organization_id ON audience_import_jobs(organization_id);
+CREATE INDEX idx_audience_import_jobs_status ON audience_import_jobs(status);
+CREATE INDEX idx_messaging_recipient_log_window ON messaging_recipient_log(organization_id, phone_number_id, last_sent_at);
+CREATE INDEX idx_message_queue_due ON message_queue(available_at, created_at) WHERE status = 'pending';
+CREATE INDEX idx_message_queue_organization_status ON message_queue(organization_id, status);
+CREATE INDEX idx_campaign_dispatch_outbox_due ON campaign_dispatch_outbox(available_at, created_at) WHERE status = 'pending';
+CREATE INDEX idx_campaign_dispatch_outbox_campaign_status ON campaign_dispatch_outbox(campaign_id, status);
+CREATE INDEX idx_campaign_variants_campaign_id ON campaign_variants(campaign_id);
+CREATE INDEX idx_campaign_audience_variant_id ON campaign_audience(variant_id);
+CREATE INDEX idx_campaign_audience_sent_template_id ON campaign_audience(sent_template_id);
+CREATE INDEX idx_audience_segments_organization_id ON audience_segments(organization_id);
+CREATE INDEX idx_audience_attribute_history_contact ON audience_attribute_history(audience_master_id, created_at);
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX idx_campaigns_paused_by_template_id ON campaigns(paused_by_template_id);
+CREATE INDEX idx_template_sync_logs_organization_id ON template_sync_logs(organization_id, started_at);
+CREATE INDEX idx_templates_organization_name ON templates(organization_id, name);
+CREATE INDEX idx_otp_requests_organization_msisdn ON otp_requests(organization_id, msisdn, created_at);
+CREATE INDEX idx_otp_requests_whatsapp_message_id ON otp_requests(whatsapp_message_id);
+CREATE INDEX idx_inbox_events_organization_id ON inbox_events(organization_id, id);
+CREATE INDEX idx_inbox_events_created_at ON inbox_events(created_at);
+CREATE INDEX idx_organization_phone_numbers_phone_number_id ON organization_phone_numbers(phone_number_id);
+CREATE UNIQUE INDEX idx_organization_phone_numbers_default ON organization_phone_numbers(organization_id) WHERE is_default;
+CREATE INDEX idx_conversation_queues_organization_id ON conversation_queues(organization_id, priority);
+CREATE INDEX idx_conversation_queue_members_user_id ON conversation_queue_members(user_id);
+CREATE INDEX idx_canned_responses_organization_category ON canned_responses(organization_id, category);
+CREATE INDEX idx_canned_responses_organization_usage ON canned_responses(organization_id, usage_count DESC);
 CREATE INDEX idx_asset_generate_files_template_id ON asset_generate_files(template_id);
 CREATE INDEX idx_asset_generate_files_is_active ON asset_generate_files(is_active);
 CREATE INDEX idx_asset_generate_files_type_of_content ON asset_generate_files(typeofcontent);
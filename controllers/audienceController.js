@@ -1,6 +1,10 @@
 const Audience = require("../models/Audience");
 const Campaign = require("../models/Campaign");
 const Organization = require("../models/Organization");
+const SuppressionList = require("../models/SuppressionList");
+const suppressionService = require("../services/suppressionService");
+const contactProfileService = require("../services/contactProfileService");
+const { formatPhoneNumber } = require("../utils/phoneUtils");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 
@@ -527,6 +531,338 @@ const getAllMasterAudience = asyncHandler(async (req, res) => {
   });
 });
 
+// Get everything known about one phone number: attributes, campaigns,
+// message timeline, conversations and opt-in status
+const getContactProfile = asyncHandler(async (req, res) => {
+  const { organizationId, msisdn } = req.params;
+  const { timeline_limit, before } = req.query;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const normalizedMSISDN = formatPhoneNumber(msisdn);
+  if (!normalizedMSISDN) {
+    throw new AppError("Invalid phone number format", 400);
+  }
+
+  if (before && isNaN(new Date(before).getTime())) {
+    throw new AppError("before must be an ISO 8601 timestamp", 400);
+  }
+
+  const profile = await contactProfileService.getProfile(
+    organizationId,
+    normalizedMSISDN,
+    { timeline_limit, before }
+  );
+  if (!profile) {
+    throw new AppError("Contact not found", 404);
+  }
+
+  res.json({
+    success: true,
+    data: profile,
+  });
+});
+
+// Edit a contact's name and attributes, keeping a change history
+const updateContact = asyncHandler(async (req, res) => {
+  const { organizationId, msisdn } = req.params;
+  const { name, attributes } = req.body;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const normalizedMSISDN = formatPhoneNumber(msisdn);
+  if (!normalizedMSISDN) {
+    throw new AppError("Invalid phone number format", 400);
+  }
+
+  const contact = await Audience.findByMSISDNAndOrganization(
+    normalizedMSISDN,
+    organizationId
+  );
+  if (!contact) {
+    throw new AppError("Contact not found", 404);
+  }
+
+  const result = await Audience.updateContactWithHistory(
+    contact.id,
+    { name, attributes },
+    req.user.id
+  );
+
+  if (result.changes.length > 0) {
+    logger.info("Contact updated", {
+      organizationId,
+      msisdn: normalizedMSISDN,
+      changedFields: result.changes.map(
+        (change) => change.attribute_key || change.field
+      ),
+      updatedBy: req.user.id,
+    });
+  }
+
+  res.json({
+    success: true,
+    message:
+      result.changes.length > 0
+        ? "Contact updated successfully"
+        : "No changes to apply",
+    data: result,
+  });
+});
+
+// Get suppression list for an organization
+const getSuppressions = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { page = 1, limit = 10, search, reason } = req.query;
+  const offset = (page - 1) * limit;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const filters = {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  };
+
+  if (search) filters.search = search;
+  if (reason) filters.reason = reason;
+
+  const suppressions = await SuppressionList.findByOrganization(
+    organizationId,
+    filters
+  );
+  const total = await SuppressionList.count({ organization_id: organizationId });
+
+  res.json({
+    success: true,
+    data: {
+      suppressions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// Check whether a phone number is suppressed
+const getSuppression = asyncHandler(async (req, res) => {
+  const { organizationId, msisdn } = req.params;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const normalizedMSISDN = formatPhoneNumber(msisdn);
+  if (!normalizedMSISDN) {
+    throw new AppError("Invalid phone number format", 400);
+  }
+
+  const suppression = await SuppressionList.findByMSISDN(
+    organizationId,
+    normalizedMSISDN
+  );
+
+  res.json({
+    success: true,
+    data: {
+      msisdn: normalizedMSISDN,
+      suppressed: !!suppression,
+      suppression,
+    },
+  });
+});
+
+// Add a phone number to the suppression list
+const addSuppression = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { msisdn, notes } = req.body;
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const normalizedMSISDN = formatPhoneNumber(msisdn);
+  if (!normalizedMSISDN) {
+    throw new AppError("Invalid phone number format", 400);
+  }
+
+  const suppression = await SuppressionList.addOrUpdate({
+    organization_id: organizationId,
+    msisdn: normalizedMSISDN,
+    reason: "manual",
+    notes,
+    created_by: req.user.id,
+  });
+
+  logger.info("Phone number added to suppression list", {
+    organizationId,
+    msisdn: normalizedMSISDN,
+    addedBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Phone number added to suppression list",
+    data: {
+      suppression,
+    },
+  });
+});
+
+// Remove a phone number from the suppression list
+const removeSuppression = asyncHandler(async (req, res) => {
+  const { organizationId, msisdn } = req.params;
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const normalizedMSISDN = formatPhoneNumber(msisdn);
+  if (!normalizedMSISDN) {
+    throw new AppError("Invalid phone number format", 400);
+  }
+
+  const removed = await SuppressionList.remove(organizationId, normalizedMSISDN);
+  if (!removed) {
+    throw new AppError("Phone number is not on the suppression list", 404);
+  }
+
+  logger.info("Phone number removed from suppression list", {
+    organizationId,
+    msisdn: normalizedMSISDN,
+    removedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Phone number removed from suppression list",
+  });
+});
+
+// Get opt-out / opt-in keywords for an organization
+const getSuppressionKeywords = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const keywords = suppressionService.getKeywords(organization);
+
+  res.json({
+    success: true,
+    data: {
+      opt_out_keywords: keywords.optOut,
+      opt_in_keywords: keywords.optIn,
+      is_default: {
+        opt_out_keywords: !(organization.opt_out_keywords?.length > 0),
+        opt_in_keywords: !(organization.opt_in_keywords?.length > 0),
+      },
+    },
+  });
+});
+
+// Update opt-out / opt-in keywords (empty list or null restores defaults)
+const updateSuppressionKeywords = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { opt_out_keywords, opt_in_keywords } = req.body;
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const updateData = {};
+  if (opt_out_keywords !== undefined) {
+    updateData.opt_out_keywords = opt_out_keywords?.length
+      ? opt_out_keywords
+      : null;
+  }
+  if (opt_in_keywords !== undefined) {
+    updateData.opt_in_keywords = opt_in_keywords?.length
+      ? opt_in_keywords
+      : null;
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    throw new AppError("No keywords provided", 400);
+  }
+
+  const updatedOrganization = await Organization.update(
+    organizationId,
+    updateData
+  );
+  const keywords = suppressionService.getKeywords(updatedOrganization);
+
+  logger.info("Suppression keywords updated", {
+    organizationId,
+    updatedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Suppression keywords updated successfully",
+    data: {
+      opt_out_keywords: keywords.optOut,
+      opt_in_keywords: keywords.optIn,
+    },
+  });
+});
+
 module.exports = {
   getMasterAudience,
   createMasterAudienceRecord,
@@ -534,6 +870,14 @@ module.exports = {
   getCampaignAudience,
   addAudienceToCampaign,
   removeAudienceFromCampaign,
+  getContactProfile,
+  updateContact,
   updateMessageStatus,
   getAllMasterAudience,
+  getSuppressions,
+  getSuppression,
+  addSuppression,
+  removeSuppression,
+  getSuppressionKeywords,
+  updateSuppressionKeywords,
 };
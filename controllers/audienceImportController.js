@@ -0,0 +1,233 @@
+const path = require("path");
+const { isSupportedCountry } = require("libphonenumber-js");
+const AudienceImportJob = require("../models/AudienceImportJob");
+const Campaign = require("../models/Campaign");
+const Organization = require("../models/Organization");
+const audienceImportService = require("../services/audienceImportService");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+const FILE_TYPES = {
+  ".csv": "csv",
+  ".xlsx": "xlsx",
+};
+
+// Check organization access for a job loaded by ID
+const checkJobAccess = (req, job) => {
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== job.organization_id
+  ) {
+    throw new AppError("Access denied to this import", 403);
+  }
+};
+
+// Upload a CSV/XLSX file and queue an import job
+const createImportJob = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { campaign_id, default_country, dedupe_policy = "skip" } = req.body;
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  if (!req.file) {
+    throw new AppError("File is required", 400);
+  }
+
+  const fileType =
+    FILE_TYPES[path.extname(req.file.originalname || "").toLowerCase()];
+  if (!fileType) {
+    throw new AppError("Only .csv and .xlsx files are supported", 400);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  let columnMapping = null;
+  if (req.body.column_mapping) {
+    try {
+      columnMapping =
+        typeof req.body.column_mapping === "string"
+          ? JSON.parse(req.body.column_mapping)
+          : req.body.column_mapping;
+    } catch (error) {
+      throw new AppError("column_mapping must be valid JSON", 400);
+    }
+
+    if (
+      !columnMapping ||
+      typeof columnMapping !== "object" ||
+      Array.isArray(columnMapping) ||
+      Object.values(columnMapping).some(
+        (target) => typeof target !== "string" || !target.trim()
+      )
+    ) {
+      throw new AppError(
+        "column_mapping must be an object of column name to field or attribute name",
+        400
+      );
+    }
+
+    if (!Object.values(columnMapping).includes("msisdn")) {
+      throw new AppError("column_mapping must map a column to msisdn", 400);
+    }
+  }
+
+  if (default_country && !isSupportedCountry(default_country.toUpperCase())) {
+    throw new AppError("default_country must be an ISO 3166-1 alpha-2 code", 400);
+  }
+
+  if (campaign_id) {
+    const campaign = await Campaign.findById(campaign_id);
+    if (!campaign || campaign.organization_id !== organizationId) {
+      throw new AppError("Campaign not found", 404);
+    }
+
+    if (["running", "completed", "cancelled"].includes(campaign.status)) {
+      throw new AppError(
+        "Cannot add audience to running, completed, or cancelled campaigns",
+        400
+      );
+    }
+  }
+
+  const job = await AudienceImportJob.createJob({
+    organization_id: organizationId,
+    campaign_id,
+    file_name: req.file.originalname,
+    file_type: fileType,
+    file_data: req.file.buffer,
+    column_mapping: columnMapping,
+    default_country: default_country ? default_country.toUpperCase() : null,
+    dedupe_policy,
+    created_by: req.user.id,
+  });
+
+  logger.info("Audience import queued", {
+    jobId: job.id,
+    organizationId,
+    campaignId: campaign_id,
+    fileName: req.file.originalname,
+    createdBy: req.user.id,
+  });
+
+  // Start right away instead of waiting for the next poll
+  setImmediate(() => audienceImportService.processPendingJobs());
+
+  res.status(202).json({
+    success: true,
+    message: "Audience import queued",
+    data: {
+      job,
+    },
+  });
+});
+
+// List import jobs for an organization
+const getImportJobs = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { page = 1, limit = 10, status, campaign_id } = req.query;
+  const offset = (page - 1) * limit;
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const filters = {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  };
+
+  if (status) filters.status = status;
+  if (campaign_id) filters.campaign_id = campaign_id;
+
+  const jobs = await AudienceImportJob.findByOrganization(
+    organizationId,
+    filters
+  );
+  const total = await AudienceImportJob.count({
+    organization_id: organizationId,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// Get import job progress and counts
+const getImportJob = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  const job = await AudienceImportJob.findSummaryById(jobId);
+  if (!job) {
+    throw new AppError("Import job not found", 404);
+  }
+
+  checkJobAccess(req, job);
+
+  res.json({
+    success: true,
+    data: {
+      job: {
+        ...job,
+        progress:
+          job.total_rows > 0
+            ? Math.round((job.processed_rows / job.total_rows) * 100)
+            : 0,
+        report_url:
+          job.report_count > 0
+            ? `/api/audience/imports/${job.id}/report.csv`
+            : null,
+      },
+    },
+  });
+});
+
+// Download rows that failed or were skipped as CSV
+const downloadImportReport = asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+
+  const job = await AudienceImportJob.findSummaryById(jobId);
+  if (!job) {
+    throw new AppError("Import job not found", 404);
+  }
+
+  checkJobAccess(req, job);
+
+  const report = await AudienceImportJob.getRowReport(jobId);
+  const csv = audienceImportService.buildReportCsv(report);
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="audience-import-${jobId}-report.csv"`
+  );
+  res.send(csv);
+});
+
+module.exports = {
+  createImportJob,
+  getImportJobs,
+  getImportJob,
+  downloadImportReport,
+};
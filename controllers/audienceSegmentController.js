@@ -0,0 +1,351 @@
+const AudienceSegment = require("../models/AudienceSegment");
+const Campaign = require("../models/Campaign");
+const Organization = require("../models/Organization");
+const Template = require("../models/Template");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+const PREVIEW_SAMPLE_SIZE = 10;
+
+// Check read access to an organization
+const checkOrganizationAccess = (req, organizationId) => {
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+};
+
+// Check write access to an organization
+const checkOrganizationAdminAccess = (req, organizationId) => {
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+};
+
+// Load a segment that belongs to the organization in the URL
+const findSegment = async (organizationId, segmentId) => {
+  const segment = await AudienceSegment.findById(segmentId);
+  if (!segment || segment.organization_id !== organizationId) {
+    throw new AppError("Segment not found", 404);
+  }
+  return segment;
+};
+
+// List saved segments for an organization
+const getSegments = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { page = 1, limit = 10, search } = req.query;
+  const offset = (page - 1) * limit;
+
+  checkOrganizationAccess(req, organizationId);
+
+  const filters = {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  };
+
+  if (search) filters.search = search;
+
+  const segments = await AudienceSegment.findByOrganization(
+    organizationId,
+    filters
+  );
+  const total = await AudienceSegment.count({
+    organization_id: organizationId,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      segments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// Get a saved segment
+const getSegment = asyncHandler(async (req, res) => {
+  const { organizationId, segmentId } = req.params;
+
+  checkOrganizationAccess(req, organizationId);
+
+  const segment = await findSegment(organizationId, segmentId);
+
+  res.json({
+    success: true,
+    data: {
+      segment,
+    },
+  });
+});
+
+// Create a segment
+const createSegment = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { name, description, rules } = req.body;
+
+  checkOrganizationAdminAccess(req, organizationId);
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  if (await AudienceSegment.findByName(organizationId, name)) {
+    throw new AppError("A segment with this name already exists", 409);
+  }
+
+  const count = await AudienceSegment.countMatching(organizationId, rules);
+
+  const segment = await AudienceSegment.create({
+    organization_id: organizationId,
+    name,
+    description: description || null,
+    rules: JSON.stringify(rules),
+    last_count: count,
+    last_counted_at: new Date(),
+    created_by: req.user.id,
+  });
+
+  logger.info("Audience segment created", {
+    segmentId: segment.id,
+    organizationId,
+    matchingAudience: count,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Segment created successfully",
+    data: {
+      segment,
+    },
+  });
+});
+
+// Update a segment's name, description or rules
+const updateSegment = asyncHandler(async (req, res) => {
+  const { organizationId, segmentId } = req.params;
+  const { name, description, rules } = req.body;
+
+  checkOrganizationAdminAccess(req, organizationId);
+
+  const segment = await findSegment(organizationId, segmentId);
+
+  const updateData = {};
+
+  if (name !== undefined && name !== segment.name) {
+    const existing = await AudienceSegment.findByName(organizationId, name);
+    if (existing && existing.id !== segment.id) {
+      throw new AppError("A segment with this name already exists", 409);
+    }
+    updateData.name = name;
+  }
+
+  if (description !== undefined) {
+    updateData.description = description || null;
+  }
+
+  if (rules !== undefined) {
+    updateData.rules = JSON.stringify(rules);
+    updateData.last_count = await AudienceSegment.countMatching(
+      organizationId,
+      rules
+    );
+    updateData.last_counted_at = new Date();
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    throw new AppError("No changes provided", 400);
+  }
+
+  const updatedSegment = await AudienceSegment.update(segmentId, updateData);
+
+  logger.info("Audience segment updated", {
+    segmentId,
+    organizationId,
+    updatedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Segment updated successfully",
+    data: {
+      segment: updatedSegment,
+    },
+  });
+});
+
+// Delete a segment
+const deleteSegment = asyncHandler(async (req, res) => {
+  const { organizationId, segmentId } = req.params;
+
+  checkOrganizationAdminAccess(req, organizationId);
+
+  await findSegment(organizationId, segmentId);
+  await AudienceSegment.delete(segmentId);
+
+  logger.info("Audience segment deleted", {
+    segmentId,
+    organizationId,
+    deletedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Segment deleted successfully",
+  });
+});
+
+// Count and sample the audience matching unsaved rules
+const previewRules = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { rules } = req.body;
+
+  checkOrganizationAccess(req, organizationId);
+
+  const [count, sample] = await Promise.all([
+    AudienceSegment.countMatching(organizationId, rules),
+    AudienceSegment.findMatchingAudience(organizationId, rules, {
+      limit: PREVIEW_SAMPLE_SIZE,
+    }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      count,
+      sample,
+    },
+  });
+});
+
+// Count and sample the audience currently matching a saved segment
+const previewSegment = asyncHandler(async (req, res) => {
+  const { organizationId, segmentId } = req.params;
+
+  checkOrganizationAccess(req, organizationId);
+
+  const segment = await findSegment(organizationId, segmentId);
+
+  const [count, sample] = await Promise.all([
+    AudienceSegment.countMatching(organizationId, segment.rules),
+    AudienceSegment.findMatchingAudience(organizationId, segment.rules, {
+      limit: PREVIEW_SAMPLE_SIZE,
+    }),
+  ]);
+
+  await AudienceSegment.recordCount(segmentId, count);
+
+  res.json({
+    success: true,
+    data: {
+      segment_id: segmentId,
+      count,
+      sample,
+    },
+  });
+});
+
+// Snapshot the audience matching a segment into a campaign
+const addSegmentToCampaign = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+  const { segment_id } = req.body;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  // Don't allow adding audience to running or completed campaigns
+  if (["running", "completed", "cancelled"].includes(campaign.status)) {
+    throw new AppError(
+      "Cannot add audience to running, completed, or cancelled campaigns",
+      400
+    );
+  }
+
+  const segment = await findSegment(campaign.organization_id, segment_id);
+
+  // Every contact must carry the attributes the template needs
+  const template = await Template.findById(campaign.template_id);
+  if (!template) {
+    throw new AppError("Campaign template not found", 404);
+  }
+
+  if (template.approved_by_admin === "approved" && template.parameters) {
+    const templateParams =
+      typeof template.parameters === "string"
+        ? JSON.parse(template.parameters)
+        : template.parameters;
+    const requiredAttributes = Object.values(templateParams || {});
+
+    if (requiredAttributes.length > 0) {
+      const missing = await AudienceSegment.findMissingAttributes(
+        campaign.organization_id,
+        segment.rules,
+        requiredAttributes
+      );
+
+      if (missing.count > 0) {
+        throw new AppError(
+          `Template parameter validation failed. Required attributes based on template parameters: [${requiredAttributes.join(
+            ", "
+          )}]. ${
+            missing.count
+          } contact(s) in the segment are missing one or more of them, e.g. ${missing.sample.join(
+            ", "
+          )}`,
+          400
+        );
+      }
+    }
+  }
+
+  const result = await AudienceSegment.snapshotToCampaign(segment, campaignId);
+
+  logger.info("Segment audience added to campaign", {
+    campaignId,
+    segmentId: segment.id,
+    ...result,
+    addedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Segment audience added to campaign successfully",
+    data: {
+      segment_id: segment.id,
+      ...result,
+    },
+  });
+});
+
+module.exports = {
+  getSegments,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  previewRules,
+  previewSegment,
+  addSegmentToCampaign,
+};
@@ -2,8 +2,53 @@ const Campaign = require("../models/Campaign");
 const Template = require("../models/Template");
 const Organization = require("../models/Organization");
 const Audience = require("../models/Audience");
+const CampaignDispatchOutbox = require("../models/CampaignDispatchOutbox");
+const CampaignVariant = require("../models/CampaignVariant");
+const campaignAnalyticsService = require("../services/campaignAnalyticsService");
+const abTestService = require("../services/abTestService");
+const phoneNumberService = require("../services/phoneNumberService");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const {
+  getNextOccurrence,
+  isValidTimezone,
+} = require("../utils/recurrence");
+const { matchLanguage } = require("../utils/templateLanguage");
+
+// A template family campaign must be able to send its fallback language
+const checkFallbackLanguage = async (
+  organizationId,
+  templateName,
+  fallbackLanguage
+) => {
+  const familyTemplates = await Template.findSendableFamilyTemplates(
+    organizationId,
+    [templateName]
+  );
+  const languages = familyTemplates.map(
+    (familyTemplate) => familyTemplate.template_language
+  );
+
+  if (!matchLanguage(fallbackLanguage, languages)) {
+    throw new AppError(
+      `Template "${templateName}" has no approved ${fallbackLanguage} template. Approved languages: ${
+        languages.join(", ") || "none"
+      }`,
+      400
+    );
+  }
+};
+
+// A campaign may only send from one of its organization's numbers
+const checkPhoneNumber = async (organizationId, phoneNumberId) => {
+  try {
+    await phoneNumberService.findOwned(organizationId, phoneNumberId);
+  } catch (error) {
+    throw error.statusCode
+      ? new AppError(error.message, error.statusCode)
+      : error;
+  }
+};
 
 // Get campaigns for an organization
 const getCampaigns = asyncHandler(async (req, res) => {
@@ -137,6 +182,18 @@ const createCampaign = asyncHandler(async (req, res) => {
     );
   }
 
+  if (campaignData.use_template_family && campaignData.fallback_language) {
+    await checkFallbackLanguage(
+      organizationId,
+      template.name,
+      campaignData.fallback_language
+    );
+  }
+
+  if (campaignData.phone_number_id) {
+    await checkPhoneNumber(organizationId, campaignData.phone_number_id);
+  }
+
   // Validate campaign data
   const validationErrors = Campaign.validateCampaign({
     ...campaignData,
@@ -234,6 +291,61 @@ const updateCampaign = asyncHandler(async (req, res) => {
   delete updateData.total_read;
   delete updateData.total_replied;
   delete updateData.total_failed;
+  delete updateData.next_run_at;
+  delete updateData.parent_campaign_id;
+  delete updateData.run_number;
+  delete updateData.ab_test_winner_variant_id;
+  delete updateData.ab_test_promoted_at;
+
+  const useTemplateFamily =
+    updateData.use_template_family ?? campaign.use_template_family;
+  const fallbackLanguage =
+    updateData.fallback_language !== undefined
+      ? updateData.fallback_language
+      : campaign.fallback_language;
+  if (
+    useTemplateFamily &&
+    fallbackLanguage &&
+    ["use_template_family", "fallback_language", "template_id"].some(
+      (field) => updateData[field] !== undefined
+    )
+  ) {
+    const template = await Template.findById(
+      updateData.template_id || campaign.template_id
+    );
+    if (!template) {
+      throw new AppError("Template not found", 404);
+    }
+    await checkFallbackLanguage(
+      campaign.organization_id,
+      template.name,
+      fallbackLanguage
+    );
+  }
+
+  if (updateData.phone_number_id) {
+    await checkPhoneNumber(
+      campaign.organization_id,
+      updateData.phone_number_id
+    );
+  }
+
+  // Re-plan the next run when an approved recurring schedule changes
+  if (
+    campaign.campaign_type === "recurring" &&
+    campaign.status === "scheduled" &&
+    (updateData.recurrence_rule ||
+      updateData.recurrence_timezone ||
+      updateData.scheduled_at)
+  ) {
+    const scheduledAt = updateData.scheduled_at || campaign.scheduled_at;
+    updateData.next_run_at = getNextOccurrence(
+      updateData.recurrence_rule || campaign.recurrence_rule,
+      updateData.recurrence_timezone || campaign.recurrence_timezone,
+      new Date(Math.max(Date.now(), new Date(scheduledAt).getTime() - 1)),
+      scheduledAt
+    );
+  }
 
   const updatedCampaign = await Campaign.update(campaignId, updateData);
 
@@ -574,6 +686,314 @@ const cancelCampaign = asyncHandler(async (req, res) => {
   });
 });
 
+// Get run history for a recurring campaign
+const getCampaignRuns = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  const runs = await Campaign.findRuns(campaignId, {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  });
+  const total = await Campaign.count({ parent_campaign_id: campaignId });
+
+  res.json({
+    success: true,
+    data: {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        campaign_type: campaign.campaign_type,
+        status: campaign.status,
+        recurrence_rule: campaign.recurrence_rule,
+        recurrence_timezone: campaign.recurrence_timezone,
+        recurrence_end_at: campaign.recurrence_end_at,
+        next_run_at: campaign.next_run_at,
+      },
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// Get dispatch outbox status of a campaign
+const getCampaignDispatchStatus = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  const summary = await CampaignDispatchOutbox.getCampaignSummary(campaignId);
+
+  res.json({
+    success: true,
+    data: {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+      },
+      dispatch: summary,
+    },
+  });
+});
+
+// Get campaign analytics (funnel, time series, failures, button clicks)
+const getCampaignAnalytics = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+  const { timezone = "UTC" } = req.query;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  if (!isValidTimezone(timezone)) {
+    throw new AppError("Invalid timezone", 400);
+  }
+
+  const analytics = await campaignAnalyticsService.getCampaignAnalytics(
+    campaign,
+    { timezone }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        started_at: campaign.started_at,
+        completed_at: campaign.completed_at,
+      },
+      analytics,
+    },
+  });
+});
+
+// Get A/B test variants of a campaign with their results
+const getCampaignVariants = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    ["organization_admin", "organization_user"].includes(req.user.role) &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  const report = await abTestService.getVariantReport(campaign);
+
+  res.json({
+    success: true,
+    data: {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+      },
+      ab_test: report,
+    },
+  });
+});
+
+// Replace the A/B test variants of a campaign
+const updateCampaignVariants = asyncHandler(async (req, res) => {
+  const { campaignId } = req.params;
+  const { variants } = req.body;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  if (req.user.role === "organization_user") {
+    throw new AppError("Organization users cannot update campaigns", 403);
+  }
+
+  // Variants can only change before anything is sent
+  if (
+    ["ready_to_launch", "running", "paused", "completed", "cancelled"].includes(
+      campaign.status
+    )
+  ) {
+    throw new AppError(
+      "Cannot change variants of campaigns that have started, completed, or been cancelled",
+      400
+    );
+  }
+
+  const names = variants.map((variant) => variant.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) {
+    throw new AppError("Variant names must be unique", 400);
+  }
+
+  // Every variant template must be sendable by this organization
+  for (const variant of variants) {
+    const template = await Template.findById(variant.template_id);
+    if (!template) {
+      throw new AppError(`Template not found: ${variant.template_id}`, 404);
+    }
+
+    if (template.organization_id !== campaign.organization_id) {
+      throw new AppError("Template does not belong to this organization", 403);
+    }
+
+    if (
+      template.status !== "approved" ||
+      template.approved_by_admin !== "approved"
+    ) {
+      throw new AppError(
+        `Template "${template.name}" must be approved and admin approved before it can be used for a variant`,
+        400
+      );
+    }
+  }
+
+  const newVariants = await CampaignVariant.replaceForCampaign(
+    campaignId,
+    variants.map((variant) => ({
+      name: variant.name.trim(),
+      template_id: variant.template_id,
+      weight: variant.weight || 1,
+    })),
+    {
+      ab_test_sample_percentage: req.body.ab_test_sample_percentage,
+      ab_test_window_hours: req.body.ab_test_window_hours,
+      ab_test_winning_metric: req.body.ab_test_winning_metric,
+      ab_test_auto_promote: req.body.ab_test_auto_promote,
+    }
+  );
+
+  logger.info("Campaign variants updated", {
+    campaignId,
+    variantCount: newVariants.length,
+    updatedBy: req.user.id,
+  });
+
+  const updatedCampaign = await Campaign.findById(campaignId);
+  const report = await abTestService.getVariantReport(updatedCampaign);
+
+  res.json({
+    success: true,
+    message: "Campaign variants updated successfully",
+    data: {
+      ab_test: report,
+    },
+  });
+});
+
+// Promote a variant to the audience held out of the A/B test
+const promoteCampaignVariant = asyncHandler(async (req, res) => {
+  const { campaignId, variantId } = req.params;
+
+  const campaign = await Campaign.findById(campaignId);
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== campaign.organization_id
+  ) {
+    throw new AppError("Access denied to this campaign", 403);
+  }
+
+  if (req.user.role === "organization_user") {
+    throw new AppError("Organization users cannot update campaigns", 403);
+  }
+
+  if (["completed", "cancelled"].includes(campaign.status)) {
+    throw new AppError(
+      "Cannot promote variants of completed or cancelled campaigns",
+      400
+    );
+  }
+
+  const variant = await CampaignVariant.findById(variantId);
+  if (!variant || variant.campaign_id !== campaignId) {
+    throw new AppError("Variant not found", 404);
+  }
+
+  const released = await abTestService.promoteWinner(campaignId, variantId);
+  if (released === null) {
+    throw new AppError("A winner has already been promoted", 409);
+  }
+
+  // Send the released audience now if the campaign is already sending
+  const campaignProcessingService = require("../services/campaignProcessingService");
+  await campaignProcessingService.releasePromotedAudience(campaignId);
+
+  logger.info("Campaign variant promoted", {
+    campaignId,
+    variantId,
+    releasedAudience: released,
+    promotedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Variant promoted successfully",
+    data: {
+      winner_variant_id: variantId,
+      released_audience: released,
+    },
+  });
+});
+
 // Get campaign statistics
 const getCampaignStats = asyncHandler(async (req, res) => {
   const { organizationId } = req.params;
@@ -660,7 +1080,8 @@ const processCampaignMessages = asyncHandler(async (req, res) => {
   }
 });
 
-// Get SQS queue status
+// Get the message transport an organization sends through (the server
+// default without organization_id) and, for SQS, the queue status
 const getSQSStatus = asyncHandler(async (req, res) => {
   if (!["super_admin", "system_admin"].includes(req.user.role)) {
     throw new AppError(
@@ -669,31 +1090,49 @@ const getSQSStatus = asyncHandler(async (req, res) => {
     );
   }
 
+  const organizationId = req.query.organization_id || null;
+  if (organizationId && !(await Organization.findById(organizationId))) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const messageTransportService = require("../services/messageTransportService");
   const sqsService = require("../services/sqsService");
 
   try {
-    const isConfigured = await sqsService.isConfigured();
-    let queueAttributes = null;
+    const defaultTransport = messageTransportService.getDefaultTransportName();
+    const transport = organizationId
+      ? await messageTransportService.getTransportName(organizationId)
+      : defaultTransport;
+    const isConfigured = await messageTransportService.isConfigured(transport);
 
-    if (isConfigured) {
+    let queueAttributes = null;
+    if (transport === "sqs" && isConfigured) {
       queueAttributes = await sqsService.getQueueAttributes();
     }
 
     res.json({
       success: true,
       data: {
+        organizationId,
+        transport,
+        defaultTransport,
         isConfigured,
-        queueUrl: process.env.AWS_SQS_QUEUE_URL || null,
+        queueUrl:
+          transport === "sqs" ? process.env.AWS_SQS_QUEUE_URL || null : null,
         queueAttributes,
       },
     });
   } catch (error) {
-    logger.error("Error checking SQS status", {
+    logger.error("Error checking message transport status", {
+      organizationId,
       error: error.message,
       checkedBy: req.user.id,
     });
 
-    throw new AppError(`Failed to check SQS status: ${error.message}`, 500);
+    throw new AppError(
+      `Failed to check message transport status: ${error.message}`,
+      500
+    );
   }
 });
 
@@ -737,6 +1176,45 @@ const retryFailedMessages = asyncHandler(async (req, res) => {
   }
 });
 
+// Refresh campaign statistics and complete finished campaigns
+const refreshCampaignStatistics = asyncHandler(async (req, res) => {
+  if (!["super_admin", "system_admin"].includes(req.user.role)) {
+    throw new AppError(
+      "Only super admin and system admin can refresh campaign statistics",
+      403
+    );
+  }
+
+  try {
+    logger.info("Manual campaign statistics rollup triggered", {
+      triggeredBy: req.user.id,
+      userEmail: req.user.email,
+    });
+
+    const backgroundJobProcessor = require("../services/backgroundJobProcessor");
+    await backgroundJobProcessor.triggerCampaignStatsRollup();
+
+    res.json({
+      success: true,
+      message: "Campaign statistics refreshed successfully",
+      data: {
+        triggeredAt: new Date().toISOString(),
+        triggeredBy: req.user.email,
+      },
+    });
+  } catch (error) {
+    logger.error("Error refreshing campaign statistics", {
+      error: error.message,
+      triggeredBy: req.user.id,
+    });
+
+    throw new AppError(
+      `Failed to refresh campaign statistics: ${error.message}`,
+      500
+    );
+  }
+});
+
 // Get all campaigns with role-based filtering
 const getAllCampaigns = asyncHandler(async (req, res) => {
   const {
@@ -808,7 +1286,14 @@ module.exports = {
   pauseCampaign,
   cancelCampaign,
   getCampaignStats,
+  getCampaignRuns,
+  getCampaignDispatchStatus,
+  getCampaignAnalytics,
+  getCampaignVariants,
+  updateCampaignVariants,
+  promoteCampaignVariant,
   processCampaignMessages,
   getSQSStatus,
   retryFailedMessages,
+  refreshCampaignStatistics,
 };
@@ -0,0 +1,282 @@
+const CannedResponse = require("../models/CannedResponse");
+const Conversation = require("../models/Conversation");
+const cannedResponseService = require("../services/cannedResponseService");
+const S3Service = require("../services/S3Service");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+const CANNED_RESPONSE_FIELDS = [
+  "title",
+  "shortcut",
+  "category",
+  "content",
+  "attachment_url",
+  "attachment_key",
+  "attachment_type",
+  "attachment_filename",
+];
+
+const toCannedResponseError = (error) =>
+  error.statusCode ? new AppError(error.message, error.statusCode) : error;
+
+const findCannedResponse = async (organizationId, cannedResponseId) => {
+  try {
+    return await cannedResponseService.findOwned(
+      organizationId,
+      cannedResponseId
+    );
+  } catch (error) {
+    throw toCannedResponseError(error);
+  }
+};
+
+const checkShortcut = async (organizationId, shortcut, cannedResponseId) => {
+  const existing = await CannedResponse.findByShortcut(
+    organizationId,
+    shortcut
+  );
+  if (existing && existing.id !== cannedResponseId) {
+    throw new AppError(
+      "A canned response with this shortcut already exists",
+      409
+    );
+  }
+};
+
+// List canned responses, most used first; search matches the title,
+// shortcut and content, shortcut matches as a prefix
+const getCannedResponses = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { page = 1, limit = 20, search, category, shortcut } = req.query;
+  const offset = (page - 1) * limit;
+
+  const filters = {};
+  if (search) filters.search = search;
+  if (category) filters.category = category;
+  if (shortcut) filters.shortcut = shortcut.replace(/^\//, "");
+
+  const cannedResponses = await CannedResponse.findByOrganization(
+    organizationId,
+    { ...filters, limit: parseInt(limit), offset: parseInt(offset) }
+  );
+  const total = await CannedResponse.countByOrganization(
+    organizationId,
+    filters
+  );
+
+  res.json({
+    success: true,
+    data: {
+      canned_responses: cannedResponses,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// List categories with their response counts
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await CannedResponse.findCategories(
+    req.params.organizationId
+  );
+
+  res.json({
+    success: true,
+    data: {
+      categories,
+    },
+  });
+});
+
+// Get a canned response with the variables it uses
+const getCannedResponse = asyncHandler(async (req, res) => {
+  const { organizationId, cannedResponseId } = req.params;
+  const cannedResponse = await findCannedResponse(
+    organizationId,
+    cannedResponseId
+  );
+
+  res.json({
+    success: true,
+    data: {
+      canned_response: cannedResponse,
+      variables: cannedResponseService.findVariables(cannedResponse.content),
+    },
+  });
+});
+
+// Create a canned response
+const createCannedResponse = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  await checkShortcut(organizationId, req.body.shortcut);
+
+  const cannedResponseData = {};
+  CANNED_RESPONSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      cannedResponseData[field] = req.body[field];
+    }
+  });
+  if (cannedResponseData.attachment_key) {
+    cannedResponseData.attachment_url = S3Service.getObjectUrl(
+      cannedResponseData.attachment_key
+    );
+  }
+
+  const cannedResponse = await CannedResponse.create({
+    ...cannedResponseData,
+    organization_id: organizationId,
+    created_by: req.user.id,
+  });
+
+  logger.info("Canned response created", {
+    cannedResponseId: cannedResponse.id,
+    organizationId,
+    shortcut: cannedResponse.shortcut,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Canned response created successfully",
+    data: {
+      canned_response: cannedResponse,
+      variables: cannedResponseService.findVariables(cannedResponse.content),
+    },
+  });
+});
+
+// Update a canned response
+const updateCannedResponse = asyncHandler(async (req, res) => {
+  const { organizationId, cannedResponseId } = req.params;
+  const existing = await findCannedResponse(organizationId, cannedResponseId);
+
+  const updateData = {};
+  CANNED_RESPONSE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
+
+  if (Object.keys(updateData).length === 0) {
+    throw new AppError("No changes provided", 400);
+  }
+
+  if (updateData.shortcut !== undefined) {
+    await checkShortcut(organizationId, updateData.shortcut, cannedResponseId);
+  }
+
+  // The attachment URL always points at the uploaded key in the media bucket;
+  // removing the attachment removes all of its fields
+  if (updateData.attachment_key) {
+    updateData.attachment_url = S3Service.getObjectUrl(
+      updateData.attachment_key
+    );
+  } else if (
+    updateData.attachment_url === null ||
+    updateData.attachment_key === null
+  ) {
+    updateData.attachment_url = null;
+    updateData.attachment_key = null;
+    updateData.attachment_type = null;
+    updateData.attachment_filename = null;
+  }
+
+  const content =
+    updateData.content !== undefined ? updateData.content : existing.content;
+  const attachmentUrl =
+    updateData.attachment_url !== undefined
+      ? updateData.attachment_url
+      : existing.attachment_url;
+  if (!content && !attachmentUrl) {
+    throw new AppError("A canned response needs content or an attachment", 400);
+  }
+  if (
+    attachmentUrl &&
+    !(updateData.attachment_type || existing.attachment_type)
+  ) {
+    throw new AppError("attachment_type is required with an attachment", 400);
+  }
+
+  const cannedResponse = await CannedResponse.update(
+    cannedResponseId,
+    updateData
+  );
+
+  logger.info("Canned response updated", {
+    cannedResponseId,
+    organizationId,
+    updatedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Canned response updated successfully",
+    data: {
+      canned_response: cannedResponse,
+      variables: cannedResponseService.findVariables(cannedResponse.content),
+    },
+  });
+});
+
+// Delete a canned response; its attachment stays in S3 as sent messages
+// still link to it
+const deleteCannedResponse = asyncHandler(async (req, res) => {
+  const { organizationId, cannedResponseId } = req.params;
+
+  await findCannedResponse(organizationId, cannedResponseId);
+  await CannedResponse.delete(cannedResponseId);
+
+  logger.info("Canned response deleted", {
+    cannedResponseId,
+    organizationId,
+    deletedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Canned response deleted successfully",
+  });
+});
+
+// Fill a canned response for a conversation without sending it
+const previewCannedResponse = asyncHandler(async (req, res) => {
+  const { organizationId, cannedResponseId } = req.params;
+  const { conversation_id, variables = {} } = req.body;
+
+  const cannedResponse = await findCannedResponse(
+    organizationId,
+    cannedResponseId
+  );
+
+  const conversation = await Conversation.findById(conversation_id);
+  if (!conversation || conversation.organization_id !== organizationId) {
+    throw new AppError("Conversation not found", 404);
+  }
+
+  const preview = await cannedResponseService.render(
+    cannedResponse,
+    conversation,
+    req.user,
+    variables
+  );
+
+  res.json({
+    success: true,
+    data: {
+      preview,
+    },
+  });
+});
+
+module.exports = {
+  getCannedResponses,
+  getCategories,
+  getCannedResponse,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  previewCannedResponse,
+};
@@ -0,0 +1,328 @@
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Campaign = require("../models/Campaign");
+const ConversationQueue = require("../models/ConversationQueue");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+const ROUTING_SETTING_FIELDS = [
+  "conversation_routing_mode",
+  "conversation_routing_sticky",
+  "max_concurrent_conversations",
+  "conversation_escalation_minutes",
+];
+
+const QUEUE_FIELDS = [
+  "name",
+  "description",
+  "routing_mode",
+  "priority",
+  "conversation_types",
+  "tags",
+  "campaign_ids",
+  "keywords",
+  "is_active",
+];
+
+const findOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+  return organization;
+};
+
+const routingSettings = (organization) =>
+  Object.fromEntries(
+    ROUTING_SETTING_FIELDS.map((field) => [field, organization[field]])
+  );
+
+// Load a queue that belongs to the organization in the URL
+const findQueue = async (organizationId, queueId) => {
+  const queue = await ConversationQueue.findWithMembers(queueId);
+  if (!queue || queue.organization_id !== organizationId) {
+    throw new AppError("Queue not found", 404);
+  }
+  return queue;
+};
+
+// Queue agents must be active agents of the organization
+const checkAgents = async (organizationId, agentIds) => {
+  const agents = await User.findAgents(organizationId);
+  const agentIdSet = new Set(agents.map((agent) => agent.id));
+  const unknown = agentIds.filter((agentId) => !agentIdSet.has(agentId));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Not active agents of this organization: ${unknown.join(", ")}`,
+      400
+    );
+  }
+};
+
+const checkCampaigns = async (organizationId, campaignIds) => {
+  for (const campaignId of campaignIds) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || campaign.organization_id !== organizationId) {
+      throw new AppError(
+        `Campaign ${campaignId} does not belong to this organization`,
+        400
+      );
+    }
+  }
+};
+
+// Get the organization's routing mode, capacity and escalation wait
+const getRoutingSettings = asyncHandler(async (req, res) => {
+  const organization = await findOrganization(req.params.organizationId);
+
+  res.json({
+    success: true,
+    data: {
+      routing: routingSettings(organization),
+    },
+  });
+});
+
+// Update the organization's routing settings
+const updateRoutingSettings = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  await findOrganization(organizationId);
+
+  const updateData = {};
+  ROUTING_SETTING_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
+
+  if (Object.keys(updateData).length === 0) {
+    throw new AppError("No changes provided", 400);
+  }
+
+  const organization = await Organization.update(organizationId, updateData);
+
+  logger.info("Conversation routing updated", {
+    organizationId,
+    updatedBy: req.user.id,
+    ...updateData,
+  });
+
+  res.json({
+    success: true,
+    message: "Conversation routing updated successfully",
+    data: {
+      routing: routingSettings(organization),
+    },
+  });
+});
+
+// List the organization's queues in the order they are matched
+const getQueues = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  await findOrganization(organizationId);
+
+  const queues = await ConversationQueue.findByOrganization(organizationId);
+
+  res.json({
+    success: true,
+    data: {
+      queues,
+    },
+  });
+});
+
+// Create a queue with its rules and agents
+const createQueue = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  await findOrganization(organizationId);
+
+  if (await ConversationQueue.findByName(organizationId, req.body.name)) {
+    throw new AppError("A queue with this name already exists", 409);
+  }
+
+  await checkAgents(organizationId, req.body.agent_ids);
+  await checkCampaigns(organizationId, req.body.campaign_ids || []);
+
+  const queueData = {};
+  QUEUE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) queueData[field] = req.body[field];
+  });
+
+  const queue = await ConversationQueue.create({
+    ...queueData,
+    organization_id: organizationId,
+    created_by: req.user.id,
+  });
+  await ConversationQueue.setMembers(queue.id, req.body.agent_ids);
+
+  logger.info("Conversation queue created", {
+    queueId: queue.id,
+    organizationId,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Queue created successfully",
+    data: {
+      queue: await ConversationQueue.findWithMembers(queue.id),
+    },
+  });
+});
+
+// Update a queue's rules, agents or status
+const updateQueue = asyncHandler(async (req, res) => {
+  const { organizationId, queueId } = req.params;
+  const queue = await findQueue(organizationId, queueId);
+
+  const updateData = {};
+  QUEUE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updateData[field] = req.body[field];
+  });
+
+  if (updateData.name !== undefined && updateData.name !== queue.name) {
+    const existing = await ConversationQueue.findByName(
+      organizationId,
+      updateData.name
+    );
+    if (existing && existing.id !== queue.id) {
+      throw new AppError("A queue with this name already exists", 409);
+    }
+  }
+
+  if (updateData.campaign_ids) {
+    await checkCampaigns(organizationId, updateData.campaign_ids);
+  }
+
+  if (Object.keys(updateData).length === 0 && !req.body.agent_ids) {
+    throw new AppError("No changes provided", 400);
+  }
+
+  if (req.body.agent_ids) {
+    await checkAgents(organizationId, req.body.agent_ids);
+    await ConversationQueue.setMembers(queueId, req.body.agent_ids);
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    await ConversationQueue.update(queueId, updateData);
+  }
+
+  logger.info("Conversation queue updated", {
+    queueId,
+    organizationId,
+    updatedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Queue updated successfully",
+    data: {
+      queue: await ConversationQueue.findWithMembers(queueId),
+    },
+  });
+});
+
+// Delete a queue; its conversations keep their agents
+const deleteQueue = asyncHandler(async (req, res) => {
+  const { organizationId, queueId } = req.params;
+
+  await findQueue(organizationId, queueId);
+  await ConversationQueue.delete(queueId);
+
+  logger.info("Conversation queue deleted", {
+    queueId,
+    organizationId,
+    deletedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Queue deleted successfully",
+  });
+});
+
+// List agents with availability, open conversations and capacity
+const getAgents = asyncHandler(async (req, res) => {
+  const organization = await findOrganization(req.params.organizationId);
+
+  const agents = await User.findAgents(
+    organization.id,
+    organization.max_concurrent_conversations
+  );
+
+  res.json({
+    success: true,
+    data: {
+      agents,
+    },
+  });
+});
+
+// Set an agent's availability or cap. Agents may set their own
+// availability; only admins change caps or other agents.
+const updateAgent = asyncHandler(async (req, res) => {
+  const { organizationId, userId } = req.params;
+  const { availability_status, max_concurrent_conversations } = req.body;
+
+  const isAdmin = req.user.role !== "organization_user";
+  if (!isAdmin && req.user.id !== userId) {
+    throw new AppError("Agents can only change their own availability", 403);
+  }
+  if (!isAdmin && max_concurrent_conversations !== undefined) {
+    throw new AppError("Only admins can change an agent's capacity", 403);
+  }
+
+  const user = await User.findById(userId);
+  if (
+    !user ||
+    user.organization_id !== organizationId ||
+    !["organization_admin", "organization_user"].includes(user.role)
+  ) {
+    throw new AppError("Agent not found", 404);
+  }
+
+  if (
+    availability_status === undefined &&
+    max_concurrent_conversations === undefined
+  ) {
+    throw new AppError("No changes provided", 400);
+  }
+
+  if (availability_status !== undefined) {
+    await User.updateAvailability(userId, availability_status);
+  }
+  if (max_concurrent_conversations !== undefined) {
+    await User.update(userId, { max_concurrent_conversations });
+  }
+
+  logger.info("Agent routing updated", {
+    organizationId,
+    userId,
+    availability_status,
+    max_concurrent_conversations,
+    updatedBy: req.user.id,
+  });
+
+  const organization = await findOrganization(organizationId);
+  const agents = await User.findAgents(
+    organizationId,
+    organization.max_concurrent_conversations
+  );
+
+  res.json({
+    success: true,
+    message: "Agent updated successfully",
+    data: {
+      agent: agents.find((agent) => agent.id === userId) || null,
+    },
+  });
+});
+
+module.exports = {
+  getRoutingSettings,
+  updateRoutingSettings,
+  getQueues,
+  createQueue,
+  updateQueue,
+  deleteQueue,
+  getAgents,
+  updateAgent,
+};
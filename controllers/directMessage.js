@@ -6,12 +6,18 @@ const Organization = require("../models/Organization");
 const User = require("../models/User");
 const Template = require("../models/Template");
 const { generateMessage } = require("../services/customeMessageGenerator");
-const { sendMessage, sendMessageBatch } = require("../services/sqsService");
+const messageTransportService = require("../services/messageTransportService");
+const inboxEventService = require("../services/inboxEventService");
+const conversationService = require("../services/conversationService");
+const phoneNumberService = require("../services/phoneNumberService");
 const Audience = require("../models/Audience");
+const { formatPhoneNumber } = require("../utils/phoneUtils");
+const suppressionService = require("../services/suppressionService");
+const logger = require("../utils/logger");
 
 const sendDirectMessage = asyncHandler(async (req, res) => {
   const { organizationId, messageContent, isTemplate, templateId,
-    templateParameters, messageType, mediaUrl, mediaType, caption , audienceData} = req.body;     
+    templateParameters, messageType, mediaUrl, mediaType, caption , audienceData, phoneNumberId} = req.body;     
 
   // Validate required fields
   const requiredFields = ["organizationId", "messageContent"];
@@ -35,15 +41,21 @@ const sendDirectMessage = asyncHandler(async (req, res) => {
     throw new AppError("Organization users cannot send messages", 403);
   }
 
-  // Check if to number is valid    
-//   const normalizedTo = Audience.normalizeMSISDN(to);
-//   if (!normalizedTo) {
-//     throw new AppError("Invalid to number", 400);
-//   }
+  // Check if to number is valid
+  const recipient = formatPhoneNumber(audienceData?.msisdn);
+  if (!recipient) {
+    throw new AppError("A valid audienceData.msisdn is required", 400);
+  }
+
+  // Never message numbers that opted out
+  if (await suppressionService.isSuppressed(organizationId, recipient)) {
+    throw new AppError("Recipient has opted out of messages from this organization", 403);
+  }
 
   // Check if template exists and is approved
+  let template = null;
   if (isTemplate) {
-    const template = await Template.findById(templateId);
+    template = await Template.findById(templateId);
     if (!template) {
       throw new AppError("Template not found", 404);
     }
@@ -52,10 +64,35 @@ const sendDirectMessage = asyncHandler(async (req, res) => {
     }
   }
 
-  console.log("audienceData", audienceData);
+  // Send from the chosen business number, else the default number
+  const sender = await phoneNumberService
+    .resolveSender(organizationId, phoneNumberId)
+    .catch((error) => {
+      throw error.statusCode ? new AppError(error.message, error.statusCode) : error;
+    });
+
+  const conversation = await Conversation.getOrCreate(organizationId, recipient, {
+    phoneNumberId: sender.phone_number_id,
+    businessPhoneNumber: sender.display_phone_number,
+  });
+
+  // Outside the customer service window only a template can be sent
+  if (!isTemplate) {
+    const serviceWindow = await conversationService.getServiceWindow(conversation.id);
+    if (!serviceWindow.isOpen) {
+      const error = await conversationService.serviceWindowError(organizationId, serviceWindow);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: error.details,
+      });
+    }
+  }
 
   let messageData = generateMessage({
     organizationId,
+    template,
     messageContent,
     isTemplate,
     templateId,
@@ -64,12 +101,9 @@ const sendDirectMessage = asyncHandler(async (req, res) => {
     mediaUrl,
     mediaType,
     caption,
-    audienceData,
+    audienceData: { ...audienceData, msisdn: recipient },
   });
 
-  console.log("messageData", messageData);
-
-  const conversation = await Conversation.getOrCreate(organizationId, audienceData.msisdn);
   const message = await ConversationMessage.createMessage({
     conversationId: conversation.id,
     organizationId,
@@ -80,9 +114,28 @@ const sendDirectMessage = asyncHandler(async (req, res) => {
     mediaUrl: messageData.mediaUrl,
     mediaType: messageData.mediaType,
     caption: messageData.caption,
+    from_phone_number: sender.display_phone_number,
+    to_phone_number: recipient,
   });
 
-  sendMessageBatch([messageData]);
+  await inboxEventService.publishMessage(conversation, message);
+
+  // Link the payload to the inbox message so its delivery status is tracked
+  messageTransportService
+    .sendMessage({
+      ...messageData,
+      phoneNumberId: sender.phone_number_id,
+      conversationMessageId: message.id,
+      conversationId: conversation.id,
+      source: "conversation",
+    })
+    .catch((error) => {
+      logger.error("Error sending direct message", {
+        organizationId,
+        conversationMessageId: message.id,
+        error: error.message,
+      });
+    });
   res.json({
     success: true,
     message: "Message sent successfully",
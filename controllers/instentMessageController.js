@@ -9,7 +9,7 @@ const Template = require("../models/Template");
 const Campaign = require("../models/Campaign");
 const Audience = require("../models/Audience");
 
-const { sendMessageBatch } = require("../services/sqsService");
+const suppressionService = require("../services/suppressionService");
 
 const sendInstentMessage = asyncHandler(async (req, res) => {
   const {
@@ -54,6 +54,13 @@ const sendInstentMessage = asyncHandler(async (req, res) => {
 
     const normalizedTo = normalizeMSISDN(to);
   if (!normalizedTo) throw new AppError("Invalid phone number", 400);
+
+  if (await suppressionService.isSuppressed(organizationId, normalizedTo)) {
+    throw new AppError(
+      "Recipient has opted out of messages from this organization",
+      403
+    );
+  }
   /* -------------------- TEMPLATE VALIDATION -------------------- */
 
   let template = null;
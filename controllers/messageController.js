@@ -1,13 +1,16 @@
 const pool = require("../config/database");
 const Conversation = require("../models/Conversation");
+const CannedResponse = require("../models/CannedResponse");
 const conversationService = require("../services/conversationService");
 const S3Service = require("../services/S3Service");
+const inboxEventService = require("../services/inboxEventService");
+const cannedResponseService = require("../services/cannedResponseService");
 
 /**
  * ===============================
  * 1️⃣ GET INBOX (Conversation List)
  * ===============================
- * GET /api/inbox?organizationId=UUID
+ * GET /api/inbox?organizationId=UUID&phoneNumberId=ID
  */
 exports.getInboxAudience = async (req, res) => {
   try {
@@ -32,6 +35,8 @@ exports.getInboxAudience = async (req, res) => {
         c.last_message_at,
         c.last_customer_message_at,
         c.unread_customer_messages,
+        c.phone_number_id,
+        c.business_phone_number,
 
         (
           SELECT cm.message_content
@@ -47,15 +52,21 @@ exports.getInboxAudience = async (req, res) => {
        AND am.organization_id = c.organization_id
 
       WHERE c.organization_id = $1
+        AND ($2::varchar IS NULL OR c.phone_number_id = $2)
       ORDER BY c.last_message_at DESC;
     `;
 
-    const { rows } = await pool.query(sql, [organizationId]);
+    const { rows } = await pool.query(sql, [
+      organizationId,
+      req.query.phoneNumberId || null,
+    ]);
 
     const data = rows.map(row => ({
       conversationId: row.conversation_id,
       name: row.name,
       msisdn: row.msisdn,
+      phoneNumberId: row.phone_number_id,
+      businessPhoneNumber: row.business_phone_number,
       lastMessage: row.last_message,
       lastMessageAt: row.last_message_at,
       unreadCount: row.unread_customer_messages || 0,
@@ -195,29 +206,38 @@ exports.canSendMessage = async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    const { rows } = await pool.query(
-      `
-      SELECT last_customer_message_at
-      FROM conversations
-      WHERE id = $1
-      `,
-      [conversationId]
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const serviceWindow = await conversationService.getServiceWindow(
+      conversationId
     );
 
-    if (!rows.length || !rows[0].last_customer_message_at) {
+    if (!serviceWindow.lastCustomerMessageAt) {
       return res.json({
         canSend: false,
         reason: "No customer message received yet",
+        templates: await conversationService.listReopeningTemplates(
+          conversation.organization_id
+        ),
       });
     }
 
-    const lastIncomingAt = rows[0].last_customer_message_at;
-    const canSend =
-      Date.now() - new Date(lastIncomingAt) <= 24 * 60 * 60 * 1000;
-
     res.json({
-      canSend,
-      lastIncomingAt,
+      canSend: serviceWindow.isOpen,
+      lastIncomingAt: serviceWindow.lastCustomerMessageAt,
+      expiresAt: serviceWindow.expiresAt,
+      // Templates that can reopen the conversation once the window closes
+      ...(!serviceWindow.isOpen && {
+        templates: await conversationService.listReopeningTemplates(
+          conversation.organization_id
+        ),
+      }),
     });
   } catch (error) {
     console.error("canSendMessage error:", error);
@@ -278,14 +298,42 @@ exports.sendMessage = async (req, res) => {
            templateLanguage: req.body.templateLanguage,
            templateParameters: req.body.templateParameters,
            contextMessageId: req.body.contextMessageId,
+           // Sent instead when the customer service window has closed
+           templateId: req.body.templateId,
+           parameters: req.body.parameters,
            direction: "outbound",
    
          };
+
+         // A canned response replaces the typed content with its filled
+         // text and attachment
+         const cannedResponse = req.body.cannedResponseId
+           ? await cannedResponseService.findOwned(
+               req.user.organization_id,
+               req.body.cannedResponseId
+             )
+           : null;
+         if (cannedResponse) {
+           Object.assign(
+             messageData,
+             await cannedResponseService.buildMessage(
+               cannedResponse,
+               conversation,
+               req.user,
+               req.body.variables
+             )
+           );
+         }
    
          const message = await conversationService.sendMessage(
            messageData,
            req.user.userId
          );
+
+         // Only count sends of the response itself, not a template fallback
+         if (cannedResponse && message.message_type !== "template") {
+           await CannedResponse.recordUsage(cannedResponse.id);
+         }
    
          res.status(201).json({
            success: true,
@@ -294,7 +342,19 @@ exports.sendMessage = async (req, res) => {
          });
        } catch (error) {
          console.error("Error sending conversation message:", error);
-         res.status(500).json({
+         if (
+           error.code === "SERVICE_WINDOW_CLOSED" ||
+           error.code === "MISSING_PARAMETERS" ||
+           error.code === "MISSING_VARIABLES"
+         ) {
+           return res.status(error.statusCode).json({
+             success: false,
+             message: error.message,
+             code: error.code,
+             data: error.details,
+           });
+         }
+         res.status(error.statusCode || 500).json({
            success: false,
            message: "Failed to send message",
            error: error.message,
@@ -314,15 +374,18 @@ exports.markConversationRead = async (req, res) => {
   try {
     const { conversationId } = req.params;
 
-    await pool.query(
+    const { rows } = await pool.query(
       `
       UPDATE conversations
       SET unread_customer_messages = 0
       WHERE id = $1
+      RETURNING *
       `,
       [conversationId]
     );
 
+    await inboxEventService.publishUnreadCount(rows[0]);
+
     res.json({
       success: true,
     });
@@ -335,6 +398,91 @@ exports.markConversationRead = async (req, res) => {
   }
 };
 
+/**
+ * =============================
+ * 6️⃣ INBOX EVENT STREAM
+ * =============================
+ * GET /api/messages/inbox/events
+ * Server-sent events for the organization's inbox. A reconnecting client
+ * sends Last-Event-ID (or ?cursor=) and receives the events it missed.
+ */
+exports.streamInboxEvents = async (req, res) => {
+  let organizationId = req.user.organization_id;
+  if (
+    !organizationId &&
+    ["super_admin", "system_admin"].includes(req.user.role)
+  ) {
+    organizationId = req.query.organizationId;
+  }
+
+  if (!organizationId) {
+    return res.status(400).json({
+      success: false,
+      message: "organizationId is required",
+    });
+  }
+
+  const cursor = req.headers["last-event-id"] || req.query.cursor || null;
+  if (cursor && !/^\d+$/.test(cursor)) {
+    return res.status(400).json({
+      success: false,
+      message: "cursor must be an event ID",
+    });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  let closed = false;
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const write = (eventType, id, data) => {
+    if (closed) return;
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${eventType}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    const stop = await inboxEventService.subscribe(organizationId, cursor, {
+      onEvent: (event) =>
+        write(event.event_type, event.id, {
+          id: event.id,
+          type: event.event_type,
+          conversation_id: event.conversation_id,
+          created_at: event.created_at,
+          data: event.payload,
+        }),
+      // The cursor is too old to resume from: reload the inbox, then continue
+      onReset: (latestId) => write("reset", latestId, { cursor: latestId }),
+      onReady: (latestId) => write("ready", latestId, { cursor: latestId }),
+    });
+
+    if (closed) return stop();
+    unsubscribe = stop;
+  } catch (error) {
+    console.error("streamInboxEvents error:", error);
+    write("error", null, { message: error.message });
+    return res.end();
+  }
+
+  // Comments keep proxies from closing an idle stream
+  heartbeat = setInterval(() => {
+    if (!closed) res.write(": heartbeat\n\n");
+  }, 25000);
+};
 
 exports.uploadMedia = async (req, res) => {
   try {
@@ -0,0 +1,72 @@
+const Notification = require("../models/Notification");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+
+// Get the current user's notifications
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread_only, type } = req.query;
+  const offset = (page - 1) * limit;
+
+  const filters = {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+    unread_only: unread_only === "true",
+  };
+
+  if (type) filters.type = type;
+
+  const notifications = await Notification.findByUser(req.user.id, filters);
+  const total = await Notification.countByUser(req.user.id, filters);
+  const unreadCount = await Notification.countByUser(req.user.id, {
+    unread_only: true,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unread_count: unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+// Mark a notification as read
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.markAsRead(
+    notificationId,
+    req.user.id
+  );
+  if (!notification) {
+    throw new AppError("Notification not found", 404);
+  }
+
+  res.json({
+    success: true,
+    message: "Notification marked as read",
+    data: { notification },
+  });
+});
+
+// Mark all of the current user's notifications as read
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await Notification.markAllAsRead(req.user.id);
+
+  res.json({
+    success: true,
+    message: "All notifications marked as read",
+    data: { updated },
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -1,5 +1,7 @@
 const Organization = require("../models/Organization");
 const User = require("../models/User");
+const Audience = require("../models/Audience");
+const rateGovernorService = require("../services/rateGovernorService");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 
@@ -226,6 +228,9 @@ const updateWhatsAppConfig = asyncHandler(async (req, res) => {
     whatsapp_business_account_id,
     whatsapp_access_token,
     whatsapp_phone_number_id,
+    whatsapp_messaging_tier,
+    whatsapp_messages_per_second,
+    message_transport,
   } = req.body;
 
   // Check permissions
@@ -245,6 +250,9 @@ const updateWhatsAppConfig = asyncHandler(async (req, res) => {
     whatsapp_business_account_id,
     whatsapp_access_token,
     whatsapp_phone_number_id,
+    whatsapp_messaging_tier,
+    whatsapp_messages_per_second,
+    message_transport,
   };
 
   await Organization.updateWhatsAppConfig(organizationId, whatsappConfig);
@@ -288,6 +296,41 @@ const getWhatsAppConfig = asyncHandler(async (req, res) => {
   });
 });
 
+// Get messaging tier limits and remaining quota for the organization's number
+const getMessagingLimits = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const quota = await rateGovernorService.getQuota(
+    organizationId,
+    req.query.phone_number_id || null
+  );
+  const throttledCount = await Audience.countThrottledByOrganization(
+    organizationId
+  );
+
+  res.json({
+    success: true,
+    data: {
+      messaging_limits: {
+        phone_number_id: quota.phoneNumberId,
+        messaging_tier: quota.messagingTier,
+        window_hours: quota.windowHours,
+        unique_recipients_limit: quota.dailyRecipientLimit,
+        unique_recipients_used: quota.uniqueRecipientsUsed,
+        unique_recipients_remaining: quota.uniqueRecipientsRemaining,
+        next_release_at: quota.nextReleaseAt,
+        messages_per_second: quota.messagesPerSecond,
+        throttled_audience_count: throttledCount,
+      },
+    },
+  });
+});
+
 module.exports = {
   getOrganizations,
   getOrganizationById,
@@ -297,4 +340,5 @@ module.exports = {
   getOrganizationUsers,
   updateWhatsAppConfig,
   getWhatsAppConfig,
+  getMessagingLimits,
 };
@@ -0,0 +1,111 @@
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const { normalizeMSISDN } = require("../utils/phoneUtils");
+const Organization = require("../models/Organization");
+const OtpRequest = require("../models/OtpRequest");
+const otpService = require("../services/otpService");
+
+// Organization admins act on their own organization; other roles name one
+const resolveOrganizationId = async (req) => {
+  const organizationId =
+    req.body.organization_id ||
+    (req.user.role === "organization_admin" ? req.user.organization_id : null);
+
+  if (!organizationId) {
+    throw new AppError("Organization ID is required", 400);
+  }
+
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== organizationId
+  ) {
+    throw new AppError("Access denied to this organization", 403);
+  }
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  return organizationId;
+};
+
+const resolveMSISDN = (msisdn) => {
+  const normalized = normalizeMSISDN(msisdn);
+  if (!normalized) {
+    throw new AppError("Invalid phone number", 400);
+  }
+  return normalized;
+};
+
+// otpService errors carry the status to respond with
+const toOtpError = (error) =>
+  error.statusCode ? new AppError(error.message, error.statusCode) : error;
+
+// Send a one-time password through an authentication template
+const sendOtp = asyncHandler(async (req, res) => {
+  const organizationId = await resolveOrganizationId(req);
+  const msisdn = resolveMSISDN(req.body.msisdn);
+  const { template_id, language, code_length, expiry_minutes } = req.body;
+
+  const otpRequest = await otpService
+    .send(organizationId, msisdn, {
+      templateId: template_id,
+      language,
+      codeLength: code_length ? parseInt(code_length) : null,
+      expiryMinutes: expiry_minutes ? parseInt(expiry_minutes) : null,
+      createdBy: req.user.id,
+    })
+    .catch((error) => {
+      throw toOtpError(error);
+    });
+
+  res.status(201).json({
+    success: true,
+    message: "Code sent successfully",
+    data: { otp_request: otpRequest },
+  });
+});
+
+// Verify a one-time password
+const verifyOtp = asyncHandler(async (req, res) => {
+  const organizationId = await resolveOrganizationId(req);
+  const msisdn = resolveMSISDN(req.body.msisdn);
+
+  const otpRequest = await otpService
+    .verify(organizationId, msisdn, req.body.code)
+    .catch((error) => {
+      throw toOtpError(error);
+    });
+
+  res.json({
+    success: true,
+    message: "Code verified successfully",
+    data: { verified: true, otp_request: otpRequest },
+  });
+});
+
+// Get an OTP request with its delivery status
+const getOtpRequest = asyncHandler(async (req, res) => {
+  const otpRequest = await OtpRequest.findById(req.params.otpId);
+  if (!otpRequest) {
+    throw new AppError("OTP request not found", 404);
+  }
+
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== otpRequest.organization_id
+  ) {
+    throw new AppError("Access denied to this OTP request", 403);
+  }
+
+  res.json({
+    success: true,
+    data: { otp_request: otpService.serialize(otpRequest) },
+  });
+});
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+  getOtpRequest,
+};
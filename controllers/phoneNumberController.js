@@ -0,0 +1,84 @@
+const Organization = require("../models/Organization");
+const phoneNumberService = require("../services/phoneNumberService");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// Services report expected failures as plain errors with a status code
+const toPhoneNumberError = (error) =>
+  error.statusCode ? new AppError(error.message, error.statusCode) : error;
+
+const checkOrganization = async (organizationId) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+};
+
+// Get the organization's WhatsApp numbers
+const getPhoneNumbers = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  await checkOrganization(organizationId);
+
+  const phoneNumbers = await phoneNumberService.list(organizationId);
+
+  res.json({
+    success: true,
+    data: {
+      phone_numbers: phoneNumbers,
+    },
+  });
+});
+
+// Fetch the business account's numbers from WhatsApp
+const syncPhoneNumbers = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  await checkOrganization(organizationId);
+
+  const phoneNumbers = await phoneNumberService
+    .sync(organizationId)
+    .catch((error) => {
+      throw toPhoneNumberError(error);
+    });
+
+  logger.info("Phone numbers synced by user", {
+    organizationId,
+    syncedBy: req.user.id,
+  });
+
+  res.json({
+    success: true,
+    message: "Phone numbers synced successfully",
+    data: {
+      phone_numbers: phoneNumbers,
+    },
+  });
+});
+
+// Label a number or make it the default sender
+const updatePhoneNumber = asyncHandler(async (req, res) => {
+  const { organizationId, phoneNumberId } = req.params;
+  await checkOrganization(organizationId);
+
+  const phoneNumber = await phoneNumberService
+    .update(organizationId, phoneNumberId, {
+      label: req.body.label,
+      is_default: req.body.is_default,
+    })
+    .catch((error) => {
+      throw toPhoneNumberError(error);
+    });
+
+  res.json({
+    success: true,
+    message: "Phone number updated successfully",
+    data: {
+      phone_number: phoneNumber,
+    },
+  });
+});
+
+module.exports = {
+  getPhoneNumbers,
+  syncPhoneNumbers,
+  updatePhoneNumber,
+};
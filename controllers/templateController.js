@@ -1,8 +1,101 @@
 const Template = require("../models/Template");
 const Organization = require("../models/Organization");
+const TemplateSyncLog = require("../models/TemplateSyncLog");
+const TemplateLanguage = require("../models/TemplateLanguage");
+const Audience = require("../models/Audience");
 const { AppError, asyncHandler } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 const whatsappApiService = require("../services/whatsappApiService");
+const templateSyncService = require("../services/templateSyncService");
+const templatePreviewService = require("../services/templatePreviewService");
+
+// Fields WhatsApp reviews; changing them on a submitted template is sent to WhatsApp
+const WHATSAPP_CONTENT_FIELDS = [
+  "category",
+  "components",
+  "header_type",
+  "header_text",
+  "header_media_url",
+  "body_text",
+  "footer_text",
+];
+
+// WhatsApp only accepts lowercase letters, numbers and underscores in names
+const WHATSAPP_TEMPLATE_NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+
+// Load the WhatsApp credentials needed to manage an organization's templates
+const getTemplateWhatsAppConfig = async (organizationId) => {
+  const whatsappConfig = await Organization.getWhatsAppConfig(organizationId);
+  if (
+    !whatsappConfig ||
+    !whatsappConfig.whatsapp_business_account_id ||
+    !whatsappConfig.whatsapp_access_token
+  ) {
+    throw new AppError(
+      "WhatsApp Business API configuration not found for this organization",
+      400
+    );
+  }
+  return whatsappConfig;
+};
+
+// WhatsApp's category, format and naming errors become a 400 with its
+// message; throttling and outages become a 502
+const toWhatsAppTemplateError = (error) => {
+  if (error.statusCode && error.statusCode < 500 && error.statusCode !== 429) {
+    const detail = error.title
+      ? `${error.title}: ${error.message}`
+      : error.message;
+    return new AppError(`WhatsApp rejected the template: ${detail}`, 400);
+  }
+  return new AppError(`WhatsApp API error: ${error.message}`, 502);
+};
+
+// Create the template in WhatsApp, or send its content again when WhatsApp
+// already has it (e.g. resubmitting a rejected template)
+const publishTemplateToWhatsApp = async (template) => {
+  if (!WHATSAPP_TEMPLATE_NAME_PATTERN.test(template.name)) {
+    throw new AppError(
+      "Template name may only contain lowercase letters, numbers and underscores to be submitted to WhatsApp",
+      400
+    );
+  }
+
+  const whatsappConfig = await getTemplateWhatsAppConfig(
+    template.organization_id
+  );
+  const payload = whatsappApiService.buildTemplatePayload(template);
+
+  let whatsappTemplateId = template.whatsapp_template_id;
+  let whatsappStatus = "PENDING";
+
+  try {
+    if (whatsappTemplateId) {
+      await whatsappApiService.updateMessageTemplate(
+        whatsappTemplateId,
+        whatsappConfig.whatsapp_access_token,
+        { components: payload.components, category: payload.category }
+      );
+    } else {
+      const result = await whatsappApiService.createMessageTemplate(
+        whatsappConfig.whatsapp_business_account_id,
+        whatsappConfig.whatsapp_access_token,
+        payload
+      );
+      whatsappTemplateId = result.id;
+      whatsappStatus = result.status || "PENDING";
+    }
+  } catch (error) {
+    throw toWhatsAppTemplateError(error);
+  }
+
+  return await Template.recordWhatsAppSubmission(
+    template.id,
+    whatsappTemplateId,
+    whatsappStatus,
+    whatsappApiService.mapTemplateStatus(whatsappStatus)
+  );
+};
 
 // Get templates for an organization
 const getTemplates = asyncHandler(async (req, res) => {
@@ -206,6 +299,65 @@ const updateTemplate = asyncHandler(async (req, res) => {
   delete updateData.approved_at;
   delete updateData.rejected_by;
   delete updateData.rejected_at;
+  delete updateData.whatsapp_template_id;
+  delete updateData.whatsapp_status;
+
+  // Content changes to a template WhatsApp already has are sent for review
+  if (template.whatsapp_template_id) {
+    if (
+      (updateData.name !== undefined && updateData.name !== template.name) ||
+      (updateData.language !== undefined &&
+        updateData.language !== template.language)
+    ) {
+      throw new AppError(
+        "Name and language cannot be changed once a template is submitted to WhatsApp",
+        400
+      );
+    }
+
+    if (
+      WHATSAPP_CONTENT_FIELDS.some((field) => updateData[field] !== undefined)
+    ) {
+      const whatsappConfig = await getTemplateWhatsAppConfig(
+        template.organization_id
+      );
+      const merged = { ...template, ...updateData };
+      // Edited header/body/footer fields replace the stored components
+      if (
+        updateData.components === undefined &&
+        [
+          "header_type",
+          "header_text",
+          "header_media_url",
+          "body_text",
+          "footer_text",
+        ].some((field) => updateData[field] !== undefined)
+      ) {
+        merged.components = null;
+      }
+      const payload = whatsappApiService.buildTemplatePayload(merged);
+
+      try {
+        await whatsappApiService.updateMessageTemplate(
+          template.whatsapp_template_id,
+          whatsappConfig.whatsapp_access_token,
+          {
+            components: payload.components,
+            // WhatsApp rejects category changes on approved templates
+            ...(template.whatsapp_status !== "APPROVED" && {
+              category: payload.category,
+            }),
+          }
+        );
+      } catch (error) {
+        throw toWhatsAppTemplateError(error);
+      }
+
+      updateData.whatsapp_status = "PENDING";
+      updateData.status = "pending_approval";
+      updateData.submitted_for_approval_at = new Date();
+    }
+  }
 
   const updatedTemplate = await Template.update(templateId, updateData);
 
@@ -253,6 +405,26 @@ const deleteTemplate = asyncHandler(async (req, res) => {
     );
   }
 
+  // Remove the template from WhatsApp too; a template WhatsApp no longer has is fine
+  if (template.whatsapp_template_id) {
+    const whatsappConfig = await getTemplateWhatsAppConfig(
+      template.organization_id
+    );
+
+    try {
+      await whatsappApiService.deleteMessageTemplate(
+        whatsappConfig.whatsapp_business_account_id,
+        whatsappConfig.whatsapp_access_token,
+        template.name,
+        template.whatsapp_template_id
+      );
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw toWhatsAppTemplateError(error);
+      }
+    }
+  }
+
   await Template.delete(templateId);
 
   logger.info("Template deleted successfully", {
@@ -298,14 +470,13 @@ const submitForApproval = asyncHandler(async (req, res) => {
     );
   }
 
-  const updatedTemplate = await Template.submitForApproval(
-    templateId,
-    req.user.id
-  );
+  const updatedTemplate = await publishTemplateToWhatsApp(template);
 
   logger.info("Template submitted for approval", {
     templateId,
     templateName: template.name,
+    whatsappTemplateId: updatedTemplate.whatsapp_template_id,
+    whatsappStatus: updatedTemplate.whatsapp_status,
     submittedBy: req.user.id,
   });
 
@@ -354,20 +525,35 @@ const approveTemplate = asyncHandler(async (req, res) => {
     throw new AppError("Only pending approval templates can be approved", 400);
   }
 
+  // Templates submitted before WhatsApp submission existed are sent now
+  const submitted = template.whatsapp_template_id
+    ? template
+    : await publishTemplateToWhatsApp(template);
+
+  // The template only becomes approved once WhatsApp approves it; until then
+  // the status sync and webhook move it on from pending_approval
+  const status = whatsappApiService.mapTemplateStatus(
+    submitted.whatsapp_status
+  );
   const updatedTemplate = await Template.approveTemplate(
     templateId,
-    req.user.id
+    req.user.id,
+    status === "approved" ? "approved" : "pending_approval"
   );
 
   logger.info("Template approved", {
     templateId,
     templateName: template.name,
+    whatsappStatus: submitted.whatsapp_status,
     approvedBy: req.user.id,
   });
 
   res.json({
     success: true,
-    message: "Template approved successfully",
+    message:
+      status === "approved"
+        ? "Template approved successfully"
+        : "Template approved, waiting for WhatsApp to approve it",
     data: {
       template: Template.parseTemplate(updatedTemplate),
     },
@@ -440,159 +626,162 @@ const syncTemplatesFromWhatsApp = asyncHandler(async (req, res) => {
   }
 
   // Get WhatsApp configuration for the organization
-  const whatsappConfig = await Organization.getWhatsAppConfig(organizationId);
-  if (
-    !whatsappConfig ||
-    !whatsappConfig.whatsapp_business_account_id ||
-    !whatsappConfig.whatsapp_access_token
-  ) {
+  const whatsappConfig = await getTemplateWhatsAppConfig(organizationId);
+
+  if (templateSyncService.isSyncing(organizationId)) {
     throw new AppError(
-      "WhatsApp Business API configuration not found for this organization",
-      400
+      "A template sync is already running for this organization",
+      409
     );
   }
 
+  // Validate WhatsApp credentials first
+  const isValidCredentials = await whatsappApiService.validateCredentials(
+    whatsappConfig.whatsapp_business_account_id,
+    whatsappConfig.whatsapp_access_token
+  );
+
+  if (!isValidCredentials) {
+    throw new AppError("Invalid WhatsApp Business API credentials", 400);
+  }
+
+  let syncLog;
   try {
-    // Validate WhatsApp credentials first
-    const isValidCredentials = await whatsappApiService.validateCredentials(
-      whatsappConfig.whatsapp_business_account_id,
-      whatsappConfig.whatsapp_access_token
-    );
+    syncLog = await templateSyncService.syncOrganization(organizationId, {
+      trigger_type: "manual",
+      user_id: req.user.id,
+    });
+  } catch (error) {
+    logger.error("Error syncing templates from WhatsApp API", {
+      organizationId,
+      error: error.message,
+      syncedBy: req.user.id,
+    });
 
-    if (!isValidCredentials) {
-      throw new AppError("Invalid WhatsApp Business API credentials", 400);
-    }
+    throw new AppError(`Failed to sync templates: ${error.message}`, 500);
+  }
 
-    // Fetch templates from WhatsApp Business API
-    const whatsappTemplates = await whatsappApiService.getMessageTemplates(
-      whatsappConfig.whatsapp_business_account_id,
-      whatsappConfig.whatsapp_access_token
+  const syncedCount =
+    syncLog.created_count + syncLog.updated_count + syncLog.unchanged_count;
+
+  res.json({
+    success: true,
+    message: `Successfully synced ${syncedCount} templates from WhatsApp Business API`,
+    data: {
+      sync_log_id: syncLog.id,
+      synced_count: syncedCount,
+      created_count: syncLog.created_count,
+      updated_count: syncLog.updated_count,
+      deleted_count: syncLog.deleted_count,
+      unchanged_count: syncLog.unchanged_count,
+      errors: syncLog.errors,
+      templates: syncLog.changes,
+    },
+  });
+});
+
+// Sync templates of all organizations from WhatsApp Business API now
+const syncAllTemplatesFromWhatsApp = asyncHandler(async (req, res) => {
+  if (!["super_admin", "system_admin"].includes(req.user.role)) {
+    throw new AppError(
+      "Access denied. Only super admin and system admin can sync templates",
+      403
     );
+  }
 
-    console.log("whatsappTemplates", whatsappTemplates);
+  logger.info("Manual WhatsApp template sync triggered", {
+    triggeredBy: req.user.id,
+    userEmail: req.user.email,
+  });
 
-    if (!whatsappTemplates || whatsappTemplates.length === 0) {
-      return res.json({
-        success: true,
-        message: "No templates found in WhatsApp Business API",
-        data: {
-          synced_count: 0,
-          updated_count: 0,
-          created_count: 0,
-          templates: [],
-        },
-      });
-    }
+  const backgroundJobProcessor = require("../services/backgroundJobProcessor");
+  const result = await backgroundJobProcessor.triggerTemplateSync();
+  if (result.alreadyRunning) {
+    throw new AppError(
+      "A WhatsApp template sync for all organizations is already running",
+      409
+    );
+  }
 
-    const syncResults = {
-      synced_count: 0,
-      updated_count: 0,
-      created_count: 0,
-      errors: [],
-      templates: [],
-    };
+  res.json({
+    success: true,
+    message: "WhatsApp template sync completed for all organizations",
+    data: {
+      organizations: result.organizations,
+      synced: result.synced,
+      failed: result.failed,
+      triggeredAt: new Date().toISOString(),
+      triggeredBy: req.user.email,
+    },
+  });
+});
 
-    // Process each template from WhatsApp API
-    for (const whatsappTemplate of whatsappTemplates) {
-      try {
-        // Transform WhatsApp template to our internal format
-        const templateData = whatsappApiService.transformWhatsAppTemplate(
-          whatsappTemplate,
-          organizationId
-        );
+// Get the languages WhatsApp supports for templates
+const getTemplateLanguages = asyncHandler(async (req, res) => {
+  const languages = await TemplateLanguage.findAllByName();
 
-        // Check if template already exists by WhatsApp template ID
-        const existingTemplate = await Template.findByWhatsAppTemplateId(
-          whatsappTemplate.id
-        );
+  res.json({
+    success: true,
+    data: {
+      languages,
+    },
+  });
+});
 
-        if (existingTemplate) {
-          // Update existing template
-          const updatedTemplate = await Template.update(existingTemplate.id, {
-            ...templateData,
-            updated_at: new Date(),
-            synced_at: new Date(),
-            synced_by: req.user.id,
-          });
-
-          syncResults.updated_count++;
-          syncResults.templates.push({
-            action: "updated",
-            template: Template.parseTemplate(updatedTemplate),
-          });
-
-          logger.info("Template updated from WhatsApp sync", {
-            templateId: existingTemplate.id,
-            whatsappTemplateId: whatsappTemplate.id,
-            organizationId,
-            syncedBy: req.user.id,
-          });
-        } else {
-          // Create new template
-
-          console.log("templateData", templateData);
-          const newTemplate = await Template.create({
-            ...templateData,
-            created_by: req.user.id,
-            synced_at: new Date(),
-            synced_by: req.user.id,
-          });
-
-          console.log("newTemplate", newTemplate);
-          syncResults.created_count++;
-          syncResults.templates.push({
-            action: "created",
-            template: Template.parseTemplate(newTemplate),
-          });
-
-          logger.info("Template created from WhatsApp sync", {
-            templateId: newTemplate.id,
-            whatsappTemplateId: whatsappTemplate.id,
-            organizationId,
-            syncedBy: req.user.id,
-          });
-        }
+// Get an organization's template families (templates sharing a name, one per language)
+const getTemplateFamilies = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
 
-        syncResults.synced_count++;
-      } catch (templateError) {
-        logger.error("Error processing template during sync", {
-          whatsappTemplateId: whatsappTemplate.id,
-          templateName: whatsappTemplate.name,
-          error: templateError.message,
-        });
-
-        syncResults.errors.push({
-          whatsapp_template_id: whatsappTemplate.id,
-          template_name: whatsappTemplate.name,
-          error: templateError.message,
-        });
-      }
-    }
+  const families = await Template.findFamilies(organizationId);
 
-    logger.info("WhatsApp templates sync completed", {
-      organizationId,
-      syncedBy: req.user.id,
-      totalTemplates: whatsappTemplates.length,
-      syncedCount: syncResults.synced_count,
-      createdCount: syncResults.created_count,
-      updatedCount: syncResults.updated_count,
-      errorsCount: syncResults.errors.length,
-    });
+  res.json({
+    success: true,
+    data: {
+      families,
+    },
+  });
+});
 
-    res.json({
-      success: true,
-      message: `Successfully synced ${syncResults.synced_count} templates from WhatsApp Business API`,
-      data: syncResults,
-    });
-  } catch (error) {
-    logger.error("Error syncing templates from WhatsApp API", {
-      organizationId,
-      error: error.message,
-      syncedBy: req.user.id,
-    });
+// Get an organization's template sync history
+const getTemplateSyncHistory = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const { page = 1, limit = 20, status, trigger_type } = req.query;
+  const offset = (page - 1) * limit;
 
-    throw new AppError(`Failed to sync templates: ${error.message}`, 500);
+  const filters = {
+    limit: parseInt(limit),
+    offset: parseInt(offset),
+  };
+  const countConditions = { organization_id: organizationId };
+
+  if (status) {
+    filters.status = status;
+    countConditions.status = status;
+  }
+  if (trigger_type) {
+    filters.trigger_type = trigger_type;
+    countConditions.trigger_type = trigger_type;
   }
+
+  const syncLogs = await TemplateSyncLog.findByOrganization(
+    organizationId,
+    filters
+  );
+  const total = await TemplateSyncLog.count(countConditions);
+
+  res.json({
+    success: true,
+    data: {
+      sync_logs: syncLogs,
+      is_syncing: templateSyncService.isSyncing(organizationId),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
 });
 
 // Get pending admin approval templates (for super admin and system admin)
@@ -694,9 +883,10 @@ const adminApproveTemplate = asyncHandler(async (req, res) => {
       );
     }
 
-    // Validate that no extra parameters are provided
+    // Validate that no extra parameters are provided; "cards" holds the
+    // carousel card mappings
     const extraParameters = Object.keys(parameters).filter(
-      (param) => !requiredParameters.includes(param)
+      (param) => param !== "cards" && !requiredParameters.includes(param)
     );
     if (extraParameters.length > 0) {
       throw new AppError(
@@ -944,6 +1134,101 @@ const updateTemplateParameters = asyncHandler(async (req, res) => {
   });
 });
 
+// Preview a template rendered for a campaign recipient, a contact or ad-hoc attributes
+const previewTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+  const {
+    campaign_audience_id,
+    msisdn,
+    name,
+    attributes,
+    generated_asset_urls,
+    parameters,
+  } = req.body;
+
+  const template = await Template.findById(templateId);
+  if (!template) {
+    throw new AppError("Template not found", 404);
+  }
+
+  // Check organization access
+  if (
+    req.user.role === "organization_admin" &&
+    req.user.organization_id !== template.organization_id
+  ) {
+    throw new AppError("Access denied to this template", 403);
+  }
+
+  let audienceData;
+  let campaignId = null;
+  let source;
+
+  if (campaign_audience_id) {
+    const campaignAudience = await Audience.findCampaignAudienceById(
+      campaign_audience_id
+    );
+    if (
+      !campaignAudience ||
+      campaignAudience.organization_id !== template.organization_id
+    ) {
+      throw new AppError("Campaign audience not found", 404);
+    }
+
+    audienceData = campaignAudience;
+    campaignId = campaignAudience.campaign_id;
+    source = "campaign_audience";
+  } else if (msisdn) {
+    const contact = await Audience.findByMSISDNAndOrganization(
+      msisdn,
+      template.organization_id
+    );
+    if (!contact) {
+      throw new AppError("Audience member not found", 404);
+    }
+
+    audienceData = {
+      id: null,
+      msisdn: contact.msisdn,
+      name: contact.name,
+      attributes: contact.last_known_attributes || {},
+      generated_asset_urls: generated_asset_urls || {},
+    };
+    source = "audience_master";
+  } else {
+    audienceData = {
+      id: null,
+      msisdn: null,
+      name: name || null,
+      attributes: attributes || {},
+      generated_asset_urls: generated_asset_urls || {},
+    };
+    source = "attributes";
+  }
+
+  let preview;
+  try {
+    preview = templatePreviewService.render(
+      Template.parseTemplate(template),
+      audienceData,
+      { campaign_id: campaignId, parameters }
+    );
+  } catch (error) {
+    throw new AppError(
+      `Template could not be rendered: ${error.message}`,
+      400
+    );
+  }
+
+  res.json({
+    success: true,
+    data: {
+      template_id: template.id,
+      source,
+      ...preview,
+    },
+  });
+});
+
 // Get all templates with role-based filtering
 const getAllTemplates = asyncHandler(async (req, res) => {
   const {
@@ -1124,10 +1409,15 @@ module.exports = {
   approveTemplate,
   rejectTemplate,
   syncTemplatesFromWhatsApp,
+  syncAllTemplatesFromWhatsApp,
+  getTemplateSyncHistory,
+  getTemplateFamilies,
+  getTemplateLanguages,
   getPendingAdminApprovalTemplates,
   adminApproveTemplate,
   adminRejectTemplate,
   updateTemplateParameters,
+  previewTemplate,
   getAutoReplyTemplates,
   updateAutoReplyStatus,
   getTemplateForAdminApproval,
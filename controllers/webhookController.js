@@ -0,0 +1,80 @@
+const Organization = require("../models/Organization");
+const webhookProcessingService = require("../services/webhookProcessingService");
+const { AppError, asyncHandler } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// Answer Meta's subscription check (hub.challenge)
+const verifyWebhook = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+  const challenge = req.query["hub.challenge"];
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const config = await Organization.getWhatsAppConfig(organizationId);
+
+  if (
+    mode !== "subscribe" ||
+    !config.whatsapp_webhook_verify_token ||
+    token !== config.whatsapp_webhook_verify_token
+  ) {
+    logger.warn("WhatsApp webhook verification failed", { organizationId });
+    throw new AppError("Webhook verification failed", 403);
+  }
+
+  logger.info("WhatsApp webhook verified", { organizationId });
+
+  res.status(200).send(challenge);
+});
+
+// Receive webhook notifications from Meta
+const receiveWebhook = asyncHandler(async (req, res) => {
+  const { organizationId } = req.params;
+
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new AppError("Organization not found", 404);
+  }
+
+  const config = await Organization.getWhatsAppConfig(organizationId);
+  if (!config.whatsapp_app_secret) {
+    logger.warn("Webhook received for organization without app secret", {
+      organizationId,
+    });
+    throw new AppError("WhatsApp app secret not configured", 403);
+  }
+
+  const isValid = webhookProcessingService.verifySignature(
+    req.rawBody,
+    req.get("X-Hub-Signature-256"),
+    config.whatsapp_app_secret
+  );
+
+  if (!isValid) {
+    logger.warn("Invalid WhatsApp webhook signature", { organizationId });
+    throw new AppError("Invalid webhook signature", 401);
+  }
+
+  const summary = await webhookProcessingService.processPayload(
+    organizationId,
+    req.body
+  );
+
+  logger.info("WhatsApp webhook processed", { organizationId, ...summary });
+
+  // Always acknowledge a verified payload so Meta does not redeliver it;
+  // per-item failures are recorded on the webhook_events rows
+  res.status(200).json({
+    success: true,
+    data: summary,
+  });
+});
+
+module.exports = {
+  verifyWebhook,
+  receiveWebhook,
+};
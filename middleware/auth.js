@@ -56,6 +56,16 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for event streams - EventSource cannot set headers, so the
+// token may also be passed as ?access_token=
+const authenticateStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+
+  return authenticate(req, res, next);
+};
+
 // Authorization middleware factory - checks user roles
 const authorize = (...allowedRoles) => {
   return (req, res, next) => {
@@ -184,6 +194,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticateStream,
   authorize,
   authorizeOrganization,
   authorizeUserManagement,
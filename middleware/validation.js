@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require("express-validator");
+const { isValidRecurrence, isValidTimezone } = require("../utils/recurrence");
+const { validateRules } = require("../utils/segmentRules");
+const { TEMPLATE_LANGUAGE_CODES } = require("../config/templateLanguages");
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -205,6 +208,18 @@ const validateOrganizationUpdate = [
     .trim()
     .isLength({ min: 1 })
     .withMessage("WhatsApp App Secret cannot be empty"),
+  body("whatsapp_messaging_tier")
+    .optional()
+    .isIn(["TIER_1K", "TIER_10K", "TIER_100K", "TIER_UNLIMITED"])
+    .withMessage("Invalid WhatsApp messaging tier"),
+  body("whatsapp_messages_per_second")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Messages per second must be between 1 and 1000"),
+  body("message_transport")
+    .optional({ nullable: true })
+    .isIn(["sqs", "postgres", "graph_api"])
+    .withMessage("Message transport must be sqs, postgres or graph_api"),
   handleValidationErrors,
 ];
 
@@ -240,23 +255,7 @@ const validateTemplateCreation = [
     .withMessage("Invalid template category"),
   body("language")
     .optional()
-    .isIn([
-      "en",
-      "en_US",
-      "es",
-      "es_ES",
-      "pt_BR",
-      "hi",
-      "ar",
-      "fr",
-      "de",
-      "it",
-      "ja",
-      "ko",
-      "ru",
-      "zh_CN",
-      "zh_TW",
-    ])
+    .isIn(TEMPLATE_LANGUAGE_CODES)
     .withMessage("Invalid template language"),
   body("header_type")
     .optional()
@@ -295,23 +294,7 @@ const validateTemplateUpdate = [
     .withMessage("Invalid template category"),
   body("language")
     .optional()
-    .isIn([
-      "en",
-      "en_US",
-      "es",
-      "es_ES",
-      "pt_BR",
-      "hi",
-      "ar",
-      "fr",
-      "de",
-      "it",
-      "ja",
-      "ko",
-      "ru",
-      "zh_CN",
-      "zh_TW",
-    ])
+    .isIn(TEMPLATE_LANGUAGE_CODES)
     .withMessage("Invalid template language"),
   body("header_type")
     .optional()
@@ -349,6 +332,42 @@ const validateTemplateRejection = [
   handleValidationErrors,
 ];
 
+const validateTemplatePreview = [
+  body("campaign_audience_id")
+    .optional()
+    .isUUID()
+    .withMessage("Campaign audience ID must be a valid UUID"),
+  body("msisdn")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("MSISDN must be 1-20 characters"),
+  body("attributes")
+    .optional()
+    .isObject()
+    .withMessage("Attributes must be an object"),
+  body("generated_asset_urls")
+    .optional()
+    .isObject()
+    .withMessage("Generated asset URLs must be an object"),
+  body("parameters")
+    .optional()
+    .isObject()
+    .withMessage("Parameters must be an object"),
+  body().custom((value) => {
+    const sources = ["campaign_audience_id", "msisdn", "attributes"].filter(
+      (field) => value[field] !== undefined
+    );
+    if (sources.length !== 1) {
+      throw new Error(
+        "Provide exactly one of campaign_audience_id, msisdn or attributes"
+      );
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
 // Campaign validation rules
 const validateCampaignCreation = [
   body("name")
@@ -370,11 +389,41 @@ const validateCampaignCreation = [
     .optional()
     .isInt({ min: 1, max: 168 })
     .withMessage("Buffer hours must be between 1 and 168 (7 days)"),
+  body("recurrence_rule")
+    .optional()
+    .custom((value) => isValidRecurrence(value))
+    .withMessage("Recurrence rule must be a valid cron expression or RRULE"),
+  body("recurrence_timezone")
+    .optional()
+    .custom((value) => isValidTimezone(value))
+    .withMessage("Recurrence timezone must be a valid IANA timezone"),
+  body("recurrence_end_at")
+    .optional()
+    .isISO8601()
+    .withMessage("Recurrence end date must be a valid ISO 8601 date"),
   body("description")
     .optional()
     .trim()
     .isLength({ max: 1000 })
     .withMessage("Description must be less than 1000 characters"),
+  body("use_template_family")
+    .optional()
+    .isBoolean()
+    .withMessage("use_template_family must be a boolean"),
+  body("language_attribute")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Language attribute must be 1-100 characters"),
+  body("fallback_language")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage("Fallback language must be a language code"),
+  body("phone_number_id")
+    .optional({ nullable: true })
+    .matches(/^\d+$/)
+    .withMessage("Phone number ID must be a WhatsApp phone number ID"),
   handleValidationErrors,
 ];
 
@@ -397,6 +446,36 @@ const validateCampaignUpdate = [
     .optional()
     .isInt({ min: 1, max: 168 })
     .withMessage("Buffer hours must be between 1 and 168 (7 days)"),
+  body("recurrence_rule")
+    .optional()
+    .custom((value) => isValidRecurrence(value))
+    .withMessage("Recurrence rule must be a valid cron expression or RRULE"),
+  body("recurrence_timezone")
+    .optional()
+    .custom((value) => isValidTimezone(value))
+    .withMessage("Recurrence timezone must be a valid IANA timezone"),
+  body("recurrence_end_at")
+    .optional()
+    .isISO8601()
+    .withMessage("Recurrence end date must be a valid ISO 8601 date"),
+  body("use_template_family")
+    .optional()
+    .isBoolean()
+    .withMessage("use_template_family must be a boolean"),
+  body("language_attribute")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Language attribute must be 1-100 characters"),
+  body("fallback_language")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage("Fallback language must be a language code"),
+  body("phone_number_id")
+    .optional({ nullable: true })
+    .matches(/^\d+$/)
+    .withMessage("Phone number ID must be a WhatsApp phone number ID"),
   handleValidationErrors,
 ];
 
@@ -410,6 +489,50 @@ const validateCampaignRejection = [
   handleValidationErrors,
 ];
 
+const validateCampaignVariants = [
+  body("variants")
+    .isArray({ max: 10 })
+    .withMessage("Variants must be an array of at most 10 items")
+    .custom((variants) => variants.length === 0 || variants.length >= 2)
+    .withMessage("An A/B test needs at least 2 variants"),
+  body("variants.*.name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Each variant must have a name (max 100 characters)"),
+  body("variants.*.template_id")
+    .isUUID()
+    .withMessage("Each variant must have a valid template ID"),
+  body("variants.*.weight")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Variant weight must be between 1 and 100"),
+  body("ab_test_sample_percentage")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Sample percentage must be between 1 and 100"),
+  body("ab_test_window_hours")
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage("Test window must be between 1 and 720 hours"),
+  body("ab_test_winning_metric")
+    .optional()
+    .isIn(["read_rate", "reply_rate"])
+    .withMessage("Winning metric must be read_rate or reply_rate"),
+  body("ab_test_auto_promote")
+    .optional()
+    .isBoolean()
+    .withMessage("Auto promote must be a boolean"),
+  handleValidationErrors,
+];
+
+const validateTransportStatus = [
+  query("organization_id")
+    .optional()
+    .isUUID()
+    .withMessage("Organization ID must be a UUID"),
+  handleValidationErrors,
+];
+
 // Audience validation rules
 const validateAudienceCreation = [
   body("name")
@@ -432,6 +555,38 @@ const validateAudienceCreation = [
   handleValidationErrors,
 ];
 
+const validateContactUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Name must be 1-255 characters"),
+  body("attributes")
+    .optional()
+    .isObject()
+    .withMessage("Attributes must be an object")
+    .custom((attributes) => {
+      for (const [key, value] of Object.entries(attributes)) {
+        if (!key.trim() || key.length > 255) {
+          throw new Error("Attribute names must be 1-255 characters");
+        }
+        if (value !== null && typeof value === "object") {
+          throw new Error(
+            `Attribute "${key}" must be a string, number, boolean or null`
+          );
+        }
+      }
+      return true;
+    }),
+  body().custom((value) => {
+    if (value.name === undefined && value.attributes === undefined) {
+      throw new Error("Provide a name or attributes to update");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
 const validateBulkAudience = [
   body("audience_list")
     .isArray({ min: 1 })
@@ -472,6 +627,106 @@ const validateRemoveAudience = [
   handleValidationErrors,
 ];
 
+const validateSuppressionCreation = [
+  body("msisdn")
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage("Phone number (msisdn) is required"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must be less than 500 characters"),
+  handleValidationErrors,
+];
+
+const validateSuppressionKeywords = [
+  body("opt_out_keywords")
+    .optional({ nullable: true })
+    .isArray({ max: 100 })
+    .withMessage("Opt-out keywords must be an array of at most 100 keywords"),
+  body("opt_out_keywords.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Each opt-out keyword must be 1-100 characters"),
+  body("opt_in_keywords")
+    .optional({ nullable: true })
+    .isArray({ max: 100 })
+    .withMessage("Opt-in keywords must be an array of at most 100 keywords"),
+  body("opt_in_keywords.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Each opt-in keyword must be 1-100 characters"),
+  handleValidationErrors,
+];
+
+const validateAudienceImport = [
+  body("campaign_id")
+    .optional()
+    .isUUID()
+    .withMessage("Campaign ID must be a valid UUID"),
+  body("default_country")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Default country must be a 2-letter ISO country code"),
+  body("dedupe_policy")
+    .optional()
+    .isIn(["skip", "update"])
+    .withMessage("Dedupe policy must be either 'skip' or 'update'"),
+  handleValidationErrors,
+];
+
+// Audience segment validation rules
+const segmentRulesCheck = (rules) => {
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return true;
+};
+
+const validateSegmentCreation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Segment name is required and must be at most 255 characters"),
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("rules").custom(segmentRulesCheck),
+  handleValidationErrors,
+];
+
+const validateSegmentUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Segment name must be 1-255 characters"),
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("rules").optional().custom(segmentRulesCheck),
+  handleValidationErrors,
+];
+
+const validateSegmentPreview = [
+  body("rules").custom(segmentRulesCheck),
+  handleValidationErrors,
+];
+
+const validateSegmentSnapshot = [
+  body("segment_id").isUUID().withMessage("Segment ID must be a valid UUID"),
+  handleValidationErrors,
+];
+
 // Asset Generation Files validation rules
 const validateAssetFileCreation = [
   body("file_name")
@@ -571,6 +826,268 @@ const validateAssetFileVersion = [
   handleValidationErrors,
 ];
 
+// OTP validation rules
+const validateOtpSend = [
+  body("organization_id")
+    .optional()
+    .isUUID()
+    .withMessage("Organization ID must be a valid UUID"),
+  body("msisdn")
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("MSISDN is required and must be 1-20 characters"),
+  body("template_id")
+    .optional()
+    .isUUID()
+    .withMessage("Template ID must be a valid UUID"),
+  body("language")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage("Language must be 2-20 characters"),
+  body("code_length")
+    .optional()
+    .isInt({ min: 4, max: 8 })
+    .withMessage("Code length must be between 4 and 8"),
+  body("expiry_minutes")
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage("Expiry must be between 1 and 90 minutes"),
+  handleValidationErrors,
+];
+
+const validateOtpVerify = [
+  body("organization_id")
+    .optional()
+    .isUUID()
+    .withMessage("Organization ID must be a valid UUID"),
+  body("msisdn")
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("MSISDN is required and must be 1-20 characters"),
+  body("code")
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage("Code must be 4-8 digits"),
+  handleValidationErrors,
+];
+
+// Conversation routing validation rules
+const validateRoutingSettings = [
+  body("conversation_routing_mode")
+    .optional()
+    .isIn(["manual", "round_robin", "least_open"])
+    .withMessage("Routing mode must be manual, round_robin or least_open"),
+  body("conversation_routing_sticky")
+    .optional()
+    .isBoolean()
+    .withMessage("conversation_routing_sticky must be a boolean"),
+  body("max_concurrent_conversations")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Max concurrent conversations must be between 1 and 1000"),
+  body("conversation_escalation_minutes")
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage("Escalation wait must be between 0 and 10080 minutes"),
+  handleValidationErrors,
+];
+
+// Routing rules shared by queue creation and update
+const conversationQueueRuleFields = [
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("routing_mode")
+    .optional()
+    .isIn(["round_robin", "least_open"])
+    .withMessage("Queue routing mode must be round_robin or least_open"),
+  body("priority")
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage("Priority must be between 0 and 1000"),
+  body("conversation_types")
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage("Conversation types must be an array"),
+  body("conversation_types.*")
+    .isIn(["campaign_reply", "support", "general"])
+    .withMessage("Invalid conversation type"),
+  body("tags")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("Tags must be an array of at most 50 tags"),
+  body("tags.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Each tag must be 1-100 characters"),
+  body("campaign_ids")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Campaign IDs must be an array of at most 100 IDs"),
+  body("campaign_ids.*")
+    .isUUID()
+    .withMessage("Each campaign ID must be a UUID"),
+  body("keywords")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Keywords must be an array of at most 100 keywords"),
+  body("keywords.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Each keyword must be 1-100 characters"),
+  body("is_active")
+    .optional()
+    .isBoolean()
+    .withMessage("is_active must be a boolean"),
+];
+
+const validateConversationQueueCreation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Queue name is required and must be at most 255 characters"),
+  body("agent_ids")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("A queue needs at least one agent"),
+  body("agent_ids.*").isUUID().withMessage("Each agent ID must be a UUID"),
+  ...conversationQueueRuleFields,
+  handleValidationErrors,
+];
+
+const validateConversationQueueUpdate = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Queue name must be 1-255 characters"),
+  body("agent_ids")
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage("A queue needs at least one agent"),
+  body("agent_ids.*").isUUID().withMessage("Each agent ID must be a UUID"),
+  ...conversationQueueRuleFields,
+  handleValidationErrors,
+];
+
+const validateAgentUpdate = [
+  body("availability_status")
+    .optional()
+    .isIn(["online", "away", "offline"])
+    .withMessage("Availability must be online, away or offline"),
+  body("max_concurrent_conversations")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Max concurrent conversations must be between 1 and 1000"),
+  handleValidationErrors,
+];
+
+// Canned response fields shared by creation and update
+const cannedResponseFields = [
+  body("category")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Category must be 1-100 characters"),
+  body("content")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage("Content must be 1-4096 characters"),
+  // The URL is built from attachment_key, so attachments always come from
+  // the media bucket; null removes the attachment
+  body("attachment_url")
+    .optional()
+    .custom((value) => value === null)
+    .withMessage(
+      "Attachment URL is set from attachment_key; send null to remove the attachment"
+    ),
+  body("attachment_key")
+    .optional({ nullable: true })
+    .isString()
+    .matches(/^whatsapp-media\/[^/]{1,255}$/)
+    .withMessage(
+      "Attachment key must be a file uploaded with /api/messages/upload-media"
+    ),
+  body("attachment_type")
+    .optional({ nullable: true })
+    .isIn(["image", "video", "document"])
+    .withMessage("Attachment type must be image, video or document"),
+  body("attachment_filename")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Attachment filename must be 1-255 characters"),
+];
+
+// Shortcuts are stored without the leading slash agents type
+const cannedResponseShortcut = () =>
+  body("shortcut")
+    .trim()
+    .customSanitizer((value) => String(value).replace(/^\//, "").toLowerCase())
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage(
+      "Shortcut must be 1-50 letters, digits, underscores or hyphens"
+    );
+
+const validateCannedResponseCreation = [
+  body("title")
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Title is required and must be at most 255 characters"),
+  cannedResponseShortcut(),
+  ...cannedResponseFields,
+  body().custom((value) => {
+    if (!value.content && !value.attachment_key) {
+      throw new Error("A canned response needs content or an attachment");
+    }
+    if (value.attachment_key && !value.attachment_type) {
+      throw new Error("attachment_type is required with an attachment");
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+const validateCannedResponseUpdate = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Title must be 1-255 characters"),
+  cannedResponseShortcut().optional(),
+  ...cannedResponseFields,
+  handleValidationErrors,
+];
+
+const validateCannedResponsePreview = [
+  body("conversation_id")
+    .isUUID()
+    .withMessage("Conversation ID must be a UUID"),
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+  handleValidationErrors,
+];
+
+// Inbox send with an optional canned response and its variables
+const validateMessageSend = [
+  body("cannedResponseId")
+    .optional()
+    .isUUID()
+    .withMessage("Canned response ID must be a UUID"),
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+  handleValidationErrors,
+];
+
 module.exports = {
   handleValidationErrors,
   validateUserRegistration,
@@ -584,14 +1101,35 @@ module.exports = {
   validateTemplateCreation,
   validateTemplateUpdate,
   validateTemplateRejection,
+  validateTemplatePreview,
   validateCampaignCreation,
   validateCampaignUpdate,
   validateCampaignRejection,
+  validateCampaignVariants,
+  validateTransportStatus,
   validateAudienceCreation,
+  validateContactUpdate,
   validateBulkAudience,
   validateMessageStatusUpdate,
   validateRemoveAudience,
+  validateSuppressionCreation,
+  validateSuppressionKeywords,
+  validateAudienceImport,
+  validateSegmentCreation,
+  validateSegmentUpdate,
+  validateSegmentPreview,
+  validateSegmentSnapshot,
   validateAssetFileCreation,
   validateAssetFileUpdate,
   validateAssetFileVersion,
+  validateOtpSend,
+  validateOtpVerify,
+  validateRoutingSettings,
+  validateConversationQueueCreation,
+  validateConversationQueueUpdate,
+  validateAgentUpdate,
+  validateCannedResponseCreation,
+  validateCannedResponseUpdate,
+  validateCannedResponsePreview,
+  validateMessageSend,
 };
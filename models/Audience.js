@@ -1,5 +1,8 @@
 const BaseModel = require("./BaseModel");
 const { parsePhoneNumber, isValidPhoneNumber } = require("libphonenumber-js");
+const SuppressionList = require("./SuppressionList");
+const CampaignVariant = require("./CampaignVariant");
+const AudienceAttributeHistory = require("./AudienceAttributeHistory");
 
 class Audience extends BaseModel {
   constructor() {
@@ -25,6 +28,11 @@ class Audience extends BaseModel {
     }
   }
 
+  // Same normalization for callers holding the exported instance
+  normalizeMSISDN(phoneNumber, defaultCountry) {
+    return Audience.normalizeMSISDN(phoneNumber, defaultCountry);
+  }
+
   // Extract country code from normalized MSISDN
   static extractCountryCode(msisdn) {
     try {
@@ -108,6 +116,95 @@ class Audience extends BaseModel {
     }
   }
 
+  /**
+   * Edit a contact's name and attributes and record what changed. Attributes
+   * are merged into last_known_attributes; a null value removes the attribute.
+   * @param {string} audienceMasterId - Contact ID
+   * @param {Object} data - { name, attributes }
+   * @param {string} changedBy - User ID
+   * @returns {Promise<Object>} { contact, changes }
+   */
+  async updateContactWithHistory(audienceMasterId, data, changedBy) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const existingResult = await client.query(
+        "SELECT * FROM audience_master WHERE id = $1 FOR UPDATE",
+        [audienceMasterId]
+      );
+      const existing = existingResult.rows[0];
+      if (!existing) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const changes = [];
+      const attributes = { ...(existing.last_known_attributes || {}) };
+
+      if (data.name !== undefined && data.name !== existing.name) {
+        changes.push({
+          field: "name",
+          old_value: existing.name,
+          new_value: data.name,
+        });
+      }
+
+      for (const [key, value] of Object.entries(data.attributes || {})) {
+        const oldValue = attributes[key];
+
+        if (value === null) {
+          if (oldValue === undefined) continue;
+          delete attributes[key];
+        } else {
+          if (JSON.stringify(oldValue) === JSON.stringify(value)) continue;
+          attributes[key] = value;
+        }
+
+        changes.push({
+          field: "attribute",
+          attribute_key: key,
+          old_value: oldValue,
+          new_value: value,
+        });
+      }
+
+      if (changes.length === 0) {
+        await client.query("ROLLBACK");
+        return { contact: existing, changes: [] };
+      }
+
+      const updated = await client.query(
+        `UPDATE audience_master
+         SET name = $2, last_known_attributes = $3
+         WHERE id = $1
+         RETURNING *`,
+        [
+          audienceMasterId,
+          data.name !== undefined ? data.name : existing.name,
+          JSON.stringify(attributes),
+        ]
+      );
+
+      const history = await AudienceAttributeHistory.recordChanges(
+        existing.organization_id,
+        audienceMasterId,
+        changes,
+        changedBy,
+        client
+      );
+
+      await client.query("COMMIT");
+      return { contact: updated.rows[0], changes: history };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error updating contact: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
   async findByOrganization(organizationId, filters = {}) {
     try {
       let query = `
@@ -191,7 +288,65 @@ class Audience extends BaseModel {
     }
   }
 
+  // Return which of the given numbers already exist in the master audience
+  async findExistingMasterMSISDNs(organizationId, msisdns) {
+    try {
+      if (msisdns.length === 0) return new Set();
+
+      const query = `
+        SELECT msisdn FROM audience_master
+        WHERE organization_id = $1 AND msisdn = ANY($2::text[])
+      `;
+
+      const result = await this.pool.query(query, [organizationId, msisdns]);
+      return new Set(result.rows.map((row) => row.msisdn));
+    } catch (error) {
+      throw new Error(
+        `Error finding existing audience numbers: ${error.message}`
+      );
+    }
+  }
+
   // Campaign Audience Methods
+  async findCampaignAudienceByMSISDNs(campaignId, msisdns) {
+    try {
+      if (msisdns.length === 0) return new Map();
+
+      const query = `
+        SELECT id, msisdn, message_status FROM campaign_audience
+        WHERE campaign_id = $1 AND msisdn = ANY($2::text[])
+      `;
+
+      const result = await this.pool.query(query, [campaignId, msisdns]);
+      return new Map(result.rows.map((row) => [row.msisdn, row]));
+    } catch (error) {
+      throw new Error(
+        `Error finding campaign audience by numbers: ${error.message}`
+      );
+    }
+  }
+
+  // Update name/attributes of a campaign audience row that has not been processed yet
+  async updatePendingCampaignAudience(campaignAudienceId, name, attributes) {
+    try {
+      const query = `
+        UPDATE campaign_audience
+        SET name = $2, attributes = $3, updated_at = NOW()
+        WHERE id = $1 AND message_status = 'pending'
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        campaignAudienceId,
+        name,
+        JSON.stringify(attributes || {}),
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error updating campaign audience: ${error.message}`);
+    }
+  }
+
   async addToCampaign(campaignId, organizationId, audienceList) {
     try {
       const client = await this.pool.connect();
@@ -201,6 +356,15 @@ class Audience extends BaseModel {
 
         const results = [];
         const errors = [];
+        const skipped = [];
+
+        // Opted-out numbers are recorded but never queued for sending
+        const suppressedNumbers = await SuppressionList.findSuppressed(
+          organizationId,
+          audienceList
+            .map((a) => Audience.normalizeMSISDN(a.msisdn))
+            .filter(Boolean)
+        );
 
         for (const audienceData of audienceList) {
           try {
@@ -230,10 +394,12 @@ class Audience extends BaseModel {
               continue;
             }
 
+            const isSuppressed = suppressedNumbers.has(normalizedMSISDN);
+
             // Insert into campaign_audience
             const insertQuery = `
-              INSERT INTO campaign_audience (campaign_id, organization_id, name, msisdn, attributes)
-              VALUES ($1, $2, $3, $4, $5)
+              INSERT INTO campaign_audience (campaign_id, organization_id, name, msisdn, attributes, message_status)
+              VALUES ($1, $2, $3, $4, $5, $6)
               RETURNING *
             `;
 
@@ -243,9 +409,14 @@ class Audience extends BaseModel {
               audienceData.name,
               normalizedMSISDN,
               JSON.stringify(audienceData.attributes || {}),
+              isSuppressed ? "skipped_opted_out" : "pending",
             ]);
 
-            results.push(result.rows[0]);
+            if (isSuppressed) {
+              skipped.push(result.rows[0]);
+            } else {
+              results.push(result.rows[0]);
+            }
 
             // Also update master table
             await this.createOrUpdateMasterRecord({
@@ -261,6 +432,13 @@ class Audience extends BaseModel {
           }
         }
 
+        // Place the new rows into the campaign's A/B test variants, if any
+        await CampaignVariant.assignAudience(
+          campaignId,
+          results.map((row) => row.id),
+          client
+        );
+
         // Update campaign total_targeted_audience
         await client.query(
           "UPDATE campaigns SET total_targeted_audience = (SELECT COUNT(*) FROM campaign_audience WHERE campaign_id = $1) WHERE id = $1",
@@ -272,9 +450,11 @@ class Audience extends BaseModel {
         return {
           success: results,
           errors: errors,
+          skipped_opted_out: skipped,
           total_processed: audienceList.length,
           successful: results.length,
           failed: errors.length,
+          skipped: skipped.length,
         };
       } catch (error) {
         await client.query("ROLLBACK");
@@ -480,6 +660,92 @@ class Audience extends BaseModel {
     }
   }
 
+  // Hold audience rows back until messaging quota frees up
+  async markThrottled(campaignAudienceIds) {
+    try {
+      if (campaignAudienceIds.length === 0) return 0;
+
+      const query = `
+        UPDATE campaign_audience
+        SET message_status = 'throttled', updated_at = NOW()
+        WHERE id = ANY($1::uuid[])
+      `;
+
+      const result = await this.pool.query(query, [campaignAudienceIds]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error marking audience as throttled: ${error.message}`);
+    }
+  }
+
+  // Record audience rows that were not sent because the number opted out
+  async markOptedOut(campaignAudienceIds) {
+    try {
+      if (campaignAudienceIds.length === 0) return 0;
+
+      const query = `
+        UPDATE campaign_audience
+        SET message_status = 'skipped_opted_out', updated_at = NOW()
+        WHERE id = ANY($1::uuid[])
+      `;
+
+      const result = await this.pool.query(query, [campaignAudienceIds]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error marking audience as opted out: ${error.message}`);
+    }
+  }
+
+  async countThrottledByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT COUNT(*) as count
+        FROM campaign_audience
+        WHERE organization_id = $1 AND message_status = 'throttled'
+      `;
+
+      const result = await this.pool.query(query, [organizationId]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw new Error(`Error counting throttled audience: ${error.message}`);
+    }
+  }
+
+  // Find campaign audience row by ID
+  async findCampaignAudienceById(campaignAudienceId) {
+    try {
+      const query = `
+        SELECT * FROM campaign_audience
+        WHERE id = $1
+      `;
+
+      const result = await this.pool.query(query, [campaignAudienceId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Error finding campaign audience by ID: ${error.message}`
+      );
+    }
+  }
+
+  // Find campaign audience row by the WhatsApp message ID it was sent with
+  async findCampaignAudienceByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query = `
+        SELECT * FROM campaign_audience
+        WHERE whatsapp_message_id = $1
+        LIMIT 1
+      `;
+
+      const result = await this.pool.query(query, [whatsappMessageId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Error finding campaign audience by WhatsApp message ID: ${error.message}`
+      );
+    }
+  }
+
   // Asset Generation Methods for Campaign Audience
   async startAssetGenerationForAudience(campaignAudienceId) {
     try {
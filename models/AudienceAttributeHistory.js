@@ -0,0 +1,97 @@
+const BaseModel = require("./BaseModel");
+
+class AudienceAttributeHistory extends BaseModel {
+  constructor() {
+    super("audience_attribute_history");
+  }
+
+  /**
+   * Record changed fields of a contact
+   * @param {string} organizationId - Organization ID
+   * @param {string} audienceMasterId - Contact ID
+   * @param {Array} changes - [{field, attribute_key, old_value, new_value}]
+   * @param {string} changedBy - User ID
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Array>} Inserted history rows
+   */
+  async recordChanges(
+    organizationId,
+    audienceMasterId,
+    changes,
+    changedBy,
+    db = this.pool
+  ) {
+    try {
+      if (changes.length === 0) return [];
+
+      const toJson = (value) =>
+        value === undefined || value === null ? null : JSON.stringify(value);
+
+      const result = await db.query(
+        `INSERT INTO audience_attribute_history
+           (organization_id, audience_master_id, changed_by, field, attribute_key, old_value, new_value)
+         SELECT $1, $2, $3, * FROM UNNEST($4::text[], $5::text[], $6::jsonb[], $7::jsonb[])
+         RETURNING *`,
+        [
+          organizationId,
+          audienceMasterId,
+          changedBy,
+          changes.map((change) => change.field),
+          changes.map((change) => change.attribute_key || null),
+          changes.map((change) => toJson(change.old_value)),
+          changes.map((change) => toJson(change.new_value)),
+        ]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error recording attribute history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change history of a contact, newest first
+   * @param {string} audienceMasterId - Contact ID
+   * @param {Object} filters - attribute_key, limit, offset
+   * @returns {Promise<Array>} History rows with the editor's name
+   */
+  async findByContact(audienceMasterId, filters = {}) {
+    try {
+      let query = `
+        SELECT h.*, u.first_name as changed_by_name, u.last_name as changed_by_lastname
+        FROM audience_attribute_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.audience_master_id = $1
+      `;
+
+      const values = [audienceMasterId];
+      let paramCount = 1;
+
+      if (filters.attribute_key) {
+        paramCount++;
+        query += ` AND h.attribute_key = $${paramCount}`;
+        values.push(filters.attribute_key);
+      }
+
+      query += ` ORDER BY h.created_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding attribute history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AudienceAttributeHistory();
@@ -0,0 +1,258 @@
+const BaseModel = require("./BaseModel");
+
+// Every column except the raw file, which is only needed by the worker
+const SUMMARY_COLUMNS = `
+  id, organization_id, campaign_id, status, file_name, file_type,
+  column_mapping, default_country, dedupe_policy,
+  total_rows, processed_rows, created_rows, updated_rows, skipped_rows,
+  opted_out_rows, failed_rows, jsonb_array_length(row_report) as report_count,
+  error_message, created_by, started_at, completed_at, created_at, updated_at
+`;
+
+class AudienceImportJob extends BaseModel {
+  constructor() {
+    super("audience_import_jobs");
+  }
+
+  /**
+   * Create a pending import job
+   * @param {Object} jobData - Job data including file_data buffer
+   * @returns {Promise<Object>} Job summary (without file data)
+   */
+  async createJob(jobData) {
+    try {
+      const query = `
+        INSERT INTO audience_import_jobs (
+          organization_id, campaign_id, file_name, file_type, file_data,
+          column_mapping, default_country, dedupe_policy, created_by
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING ${SUMMARY_COLUMNS}
+      `;
+
+      const result = await this.pool.query(query, [
+        jobData.organization_id,
+        jobData.campaign_id || null,
+        jobData.file_name,
+        jobData.file_type,
+        jobData.file_data,
+        jobData.column_mapping ? JSON.stringify(jobData.column_mapping) : null,
+        jobData.default_country || null,
+        jobData.dedupe_policy || "skip",
+        jobData.created_by,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error creating audience import job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find job summary by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job summary (without file data)
+   */
+  async findSummaryById(id) {
+    try {
+      const query = `
+        SELECT ${SUMMARY_COLUMNS}
+        FROM audience_import_jobs
+        WHERE id = $1
+      `;
+
+      const result = await this.pool.query(query, [id]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding audience import job: ${error.message}`);
+    }
+  }
+
+  /**
+   * List import jobs for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - status, campaign_id, limit, offset
+   * @returns {Promise<Array>} Job summaries
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      let query = `
+        SELECT ${SUMMARY_COLUMNS}
+        FROM audience_import_jobs
+        WHERE organization_id = $1
+      `;
+
+      const values = [organizationId];
+      let paramCount = 1;
+
+      if (filters.status) {
+        paramCount++;
+        query += ` AND status = $${paramCount}`;
+        values.push(filters.status);
+      }
+
+      if (filters.campaign_id) {
+        paramCount++;
+        query += ` AND campaign_id = $${paramCount}`;
+        values.push(filters.campaign_id);
+      }
+
+      query += ` ORDER BY created_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding audience import jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim the oldest pending job for processing
+   * @returns {Promise<Object|null>} Full job row including file data
+   */
+  async claimNextPending() {
+    try {
+      const query = `
+        UPDATE audience_import_jobs
+        SET status = 'processing', started_at = NOW(), updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM audience_import_jobs
+          WHERE status = 'pending'
+          ORDER BY created_at ASC
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error claiming audience import job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put jobs interrupted by a restart back in the queue with fresh counters
+   * @returns {Promise<number>} Number of jobs requeued
+   */
+  async requeueInterrupted() {
+    try {
+      const query = `
+        UPDATE audience_import_jobs
+        SET status = 'pending', total_rows = 0, processed_rows = 0,
+            created_rows = 0, updated_rows = 0, skipped_rows = 0,
+            opted_out_rows = 0, failed_rows = 0, row_report = '[]',
+            started_at = NULL, updated_at = NOW()
+        WHERE status = 'processing' AND file_data IS NOT NULL
+      `;
+
+      const result = await this.pool.query(query);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(
+        `Error requeueing audience import jobs: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Add chunk results to the job counters and row report
+   * @param {string} id - Job ID
+   * @param {Object} counts - processed, created, updated, skipped, opted_out, failed
+   * @param {Array} reportRows - Row report entries to append
+   */
+  async recordProgress(id, counts, reportRows = []) {
+    try {
+      const query = `
+        UPDATE audience_import_jobs
+        SET processed_rows = processed_rows + $2,
+            created_rows = created_rows + $3,
+            updated_rows = updated_rows + $4,
+            skipped_rows = skipped_rows + $5,
+            opted_out_rows = opted_out_rows + $6,
+            failed_rows = failed_rows + $7,
+            row_report = row_report || $8::jsonb,
+            updated_at = NOW()
+        WHERE id = $1
+      `;
+
+      await this.pool.query(query, [
+        id,
+        counts.processed || 0,
+        counts.created || 0,
+        counts.updated || 0,
+        counts.skipped || 0,
+        counts.opted_out || 0,
+        counts.failed || 0,
+        JSON.stringify(reportRows),
+      ]);
+    } catch (error) {
+      throw new Error(
+        `Error recording audience import progress: ${error.message}`
+      );
+    }
+  }
+
+  async setTotalRows(id, totalRows) {
+    try {
+      await this.pool.query(
+        "UPDATE audience_import_jobs SET total_rows = $2, updated_at = NOW() WHERE id = $1",
+        [id, totalRows]
+      );
+    } catch (error) {
+      throw new Error(`Error setting audience import total: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finish a job and drop the stored file
+   * @param {string} id - Job ID
+   * @param {string} status - completed or failed
+   * @param {string|null} errorMessage - Reason for failure
+   */
+  async finish(id, status, errorMessage = null) {
+    try {
+      const query = `
+        UPDATE audience_import_jobs
+        SET status = $2, error_message = $3, file_data = NULL,
+            completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `;
+
+      await this.pool.query(query, [id, status, errorMessage]);
+    } catch (error) {
+      throw new Error(`Error finishing audience import job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the per-row report of a job
+   * @param {string} id - Job ID
+   * @returns {Promise<Array>} Row report entries
+   */
+  async getRowReport(id) {
+    try {
+      const result = await this.pool.query(
+        "SELECT row_report FROM audience_import_jobs WHERE id = $1",
+        [id]
+      );
+      return result.rows[0]?.row_report || [];
+    } catch (error) {
+      throw new Error(`Error getting audience import report: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AudienceImportJob();
@@ -0,0 +1,286 @@
+const BaseModel = require("./BaseModel");
+const CampaignVariant = require("./CampaignVariant");
+const { compileRules } = require("../utils/segmentRules");
+
+class AudienceSegment extends BaseModel {
+  constructor() {
+    super("audience_segments");
+  }
+
+  /**
+   * List saved segments for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - search, limit, offset
+   * @returns {Promise<Array>} Segments
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      let query = `
+        SELECT s.*, u.first_name as created_by_name, u.last_name as created_by_lastname
+        FROM audience_segments s
+        LEFT JOIN users u ON s.created_by = u.id
+        WHERE s.organization_id = $1
+      `;
+
+      const values = [organizationId];
+      let paramCount = 1;
+
+      if (filters.search) {
+        paramCount++;
+        query += ` AND s.name ILIKE $${paramCount}`;
+        values.push(`%${filters.search}%`);
+      }
+
+      query += ` ORDER BY s.created_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding audience segments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a segment by name within an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} name - Segment name
+   * @returns {Promise<Object|null>} Segment
+   */
+  async findByName(organizationId, name) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM audience_segments
+         WHERE organization_id = $1 AND LOWER(name) = LOWER($2)`,
+        [organizationId, name]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding audience segment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a segment; updated_at is maintained here as the table has no trigger
+   * @param {string} id - Segment ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated segment
+   */
+  async update(id, data) {
+    return super.update(id, { ...data, updated_at: new Date() });
+  }
+
+  /**
+   * Count the master audience matching a rule tree
+   * @param {string} organizationId - Organization ID
+   * @param {Object} rules - Validated rule tree
+   * @returns {Promise<number>} Matching contacts
+   */
+  async countMatching(organizationId, rules) {
+    try {
+      const values = [organizationId];
+      const condition = compileRules(rules, values);
+
+      const result = await this.pool.query(
+        `SELECT COUNT(*)::int as count FROM audience_master am
+         WHERE am.organization_id = $1 AND ${condition}`,
+        values
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      throw new Error(`Error counting segment audience: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the master audience matching a rule tree
+   * @param {string} organizationId - Organization ID
+   * @param {Object} rules - Validated rule tree
+   * @param {Object} filters - limit, offset
+   * @returns {Promise<Array>} Matching contacts
+   */
+  async findMatchingAudience(organizationId, rules, filters = {}) {
+    try {
+      const values = [organizationId];
+      const condition = compileRules(rules, values);
+
+      let query = `
+        SELECT am.id, am.name, am.msisdn, am.country_code,
+               am.last_known_attributes, am.created_at
+        FROM audience_master am
+        WHERE am.organization_id = $1 AND ${condition}
+        ORDER BY am.created_at DESC
+      `;
+
+      if (filters.limit) {
+        values.push(filters.limit);
+        query += ` LIMIT $${values.length}`;
+      }
+
+      if (filters.offset) {
+        values.push(filters.offset);
+        query += ` OFFSET $${values.length}`;
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding segment audience: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find matching contacts that lack any of the given attributes
+   * @param {string} organizationId - Organization ID
+   * @param {Object} rules - Validated rule tree
+   * @param {Array<string>} attributes - Required attribute names
+   * @param {number} sampleSize - Number of phone numbers to return
+   * @returns {Promise<Object>} { count, sample }
+   */
+  async findMissingAttributes(
+    organizationId,
+    rules,
+    attributes,
+    sampleSize = 10
+  ) {
+    try {
+      const values = [organizationId];
+      const condition = compileRules(rules, values);
+      values.push(attributes);
+      const attributesParam = `$${values.length}`;
+
+      const query = `
+        SELECT am.msisdn, COUNT(*) OVER ()::int as total
+        FROM audience_master am
+        WHERE am.organization_id = $1 AND ${condition}
+        AND EXISTS (
+          SELECT 1 FROM UNNEST(${attributesParam}::text[]) AS required(key)
+          WHERE COALESCE(am.last_known_attributes->>required.key, '') = ''
+        )
+        ORDER BY am.created_at DESC
+        LIMIT ${parseInt(sampleSize)}
+      `;
+
+      const result = await this.pool.query(query, values);
+      return {
+        count: result.rows.length > 0 ? result.rows[0].total : 0,
+        sample: result.rows.map((row) => row.msisdn),
+      };
+    } catch (error) {
+      throw new Error(
+        `Error checking segment audience attributes: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Record the latest matching count of a segment
+   * @param {string} segmentId - Segment ID
+   * @param {number} count - Matching contacts
+   * @returns {Promise<void>}
+   */
+  async recordCount(segmentId, count) {
+    try {
+      await this.pool.query(
+        `UPDATE audience_segments
+         SET last_count = $2, last_counted_at = NOW()
+         WHERE id = $1`,
+        [segmentId, count]
+      );
+    } catch (error) {
+      throw new Error(`Error recording segment count: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy the contacts matching a segment into a campaign's audience. Numbers
+   * already in the campaign are left alone and suppressed numbers are added
+   * as skipped_opted_out, the same as a hand-picked list.
+   * @param {Object} segment - Segment row
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { matched, added, skipped_opted_out, already_in_campaign }
+   */
+  async snapshotToCampaign(segment, campaignId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const values = [segment.organization_id];
+      const condition = compileRules(segment.rules, values);
+
+      const matchedResult = await client.query(
+        `SELECT COUNT(*)::int as count FROM audience_master am
+         WHERE am.organization_id = $1 AND ${condition}`,
+        values
+      );
+      const matched = matchedResult.rows[0].count;
+
+      values.push(campaignId);
+      const campaignParam = `$${values.length}`;
+
+      const inserted = await client.query(
+        `INSERT INTO campaign_audience (campaign_id, organization_id, name, msisdn, attributes, message_status)
+         SELECT ${campaignParam}, am.organization_id, am.name, am.msisdn,
+                COALESCE(am.last_known_attributes, '{}'::jsonb),
+                CASE WHEN sl.id IS NULL THEN 'pending'
+                     ELSE 'skipped_opted_out' END::message_status_extended
+         FROM audience_master am
+         LEFT JOIN suppression_list sl
+           ON sl.organization_id = am.organization_id AND sl.msisdn = am.msisdn
+         WHERE am.organization_id = $1 AND ${condition}
+         ON CONFLICT (campaign_id, msisdn) DO NOTHING
+         RETURNING id, message_status`,
+        values
+      );
+
+      const addedIds = inserted.rows
+        .filter((row) => row.message_status === "pending")
+        .map((row) => row.id);
+
+      // Place the new rows into the campaign's A/B test variants, if any
+      await CampaignVariant.assignAudience(campaignId, addedIds, client);
+
+      await client.query(
+        "UPDATE campaigns SET total_targeted_audience = (SELECT COUNT(*) FROM campaign_audience WHERE campaign_id = $1) WHERE id = $1",
+        [campaignId]
+      );
+
+      await client.query(
+        `UPDATE audience_segments
+         SET last_count = $2, last_counted_at = NOW()
+         WHERE id = $1`,
+        [segment.id, matched]
+      );
+
+      await client.query("COMMIT");
+
+      return {
+        matched,
+        added: addedIds.length,
+        skipped_opted_out: inserted.rows.length - addedIds.length,
+        already_in_campaign: matched - inserted.rows.length,
+      };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(
+        `Error adding segment audience to campaign: ${error.message}`
+      );
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new AudienceSegment();
@@ -1,4 +1,10 @@
 const BaseModel = require("./BaseModel");
+const {
+  isValidRecurrence,
+  isValidTimezone,
+  getNextOccurrence,
+} = require("../utils/recurrence");
+const CampaignVariant = require("./CampaignVariant");
 
 class Campaign extends BaseModel {
   constructor() {
@@ -18,6 +24,19 @@ class Campaign extends BaseModel {
         campaignData.scheduled_at = scheduledDate;
       }
 
+      // Recurring campaigns default their first run to the next occurrence
+      if (campaignData.campaign_type === "recurring") {
+        campaignData.recurrence_timezone =
+          campaignData.recurrence_timezone || "UTC";
+
+        if (!campaignData.scheduled_at) {
+          campaignData.scheduled_at = getNextOccurrence(
+            campaignData.recurrence_rule,
+            campaignData.recurrence_timezone
+          );
+        }
+      }
+
       return await super.create(campaignData);
     } catch (error) {
       throw new Error(`Error creating campaign: ${error.message}`);
@@ -124,8 +143,14 @@ class Campaign extends BaseModel {
 
   async approveCampaign(id, approvedBy) {
     try {
+      const campaign = await this.findById(id);
+      const isScheduled = ["scheduled", "recurring"].includes(
+        campaign?.campaign_type
+      );
+
+      // Scheduled and recurring campaigns wait for the scheduler to promote them
       const updateData = {
-        status: "approved",
+        status: isScheduled ? "scheduled" : "approved",
         approved_by: approvedBy,
         approved_at: new Date(),
         rejected_by: null,
@@ -133,6 +158,10 @@ class Campaign extends BaseModel {
         rejection_reason: null,
       };
 
+      if (campaign?.campaign_type === "recurring") {
+        updateData.next_run_at = campaign.scheduled_at;
+      }
+
       return await this.update(id, updateData);
     } catch (error) {
       throw new Error(`Error approving campaign: ${error.message}`);
@@ -228,6 +257,87 @@ class Campaign extends BaseModel {
     }
   }
 
+  /**
+   * Pause every sending campaign that uses a template, directly or through
+   * an A/B variant, remembering the status to restore
+   * @param {string} templateId - Template ID
+   * @param {string} reason - Why the campaigns are paused
+   * @returns {Promise<Array>} Paused campaigns
+   */
+  async pauseCampaignsForTemplate(templateId, reason) {
+    try {
+      const query = `
+        UPDATE campaigns c
+        SET paused_from_status = c.status, status = 'paused',
+            paused_reason = $2, paused_by_template_id = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE c.status IN ('asset_generated', 'ready_to_launch', 'running')
+        AND (
+          c.template_id = $1
+          OR EXISTS (
+            SELECT 1 FROM campaign_variants v
+            WHERE v.campaign_id = c.id AND v.template_id = $1
+          )
+        )
+        RETURNING c.id, c.organization_id, c.name, c.paused_from_status
+      `;
+
+      const result = await this.pool.query(query, [templateId, reason]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error pausing campaigns for template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resume automatically paused campaigns that use a template once none of
+   * their templates is paused, disabled or rated RED
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>} Resumed campaigns
+   */
+  async resumeCampaignsPausedByTemplate(templateId) {
+    try {
+      const query = `
+        UPDATE campaigns c
+        SET status = c.paused_from_status, paused_from_status = NULL,
+            paused_reason = NULL, paused_by_template_id = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE c.status = 'paused'
+        AND c.paused_by_template_id IS NOT NULL
+        AND c.paused_from_status IS NOT NULL
+        AND (
+          c.template_id = $1
+          OR EXISTS (
+            SELECT 1 FROM campaign_variants v
+            WHERE v.campaign_id = c.id AND v.template_id = $1
+          )
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM templates t
+          WHERE (
+            t.id = c.template_id
+            OR t.id IN (
+              SELECT v.template_id FROM campaign_variants v
+              WHERE v.campaign_id = c.id
+            )
+          )
+          AND (
+            t.status <> 'approved'
+            OR t.whatsapp_quality_score->>'score' = 'RED'
+          )
+        )
+        RETURNING c.id, c.organization_id, c.name, c.status
+      `;
+
+      const result = await this.pool.query(query, [templateId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error resuming campaigns for template: ${error.message}`
+      );
+    }
+  }
+
   async cancelCampaign(id) {
     try {
       const updateData = {
@@ -363,8 +473,9 @@ class Campaign extends BaseModel {
         FROM campaigns c
         LEFT JOIN templates t ON c.template_id = t.id
         LEFT JOIN organizations o ON c.organization_id = o.id
-        WHERE c.status = 'scheduled' 
-        AND c.scheduled_at <= NOW()
+        WHERE c.status = 'scheduled'
+        AND c.campaign_type <> 'recurring'
+        AND c.scheduled_at - make_interval(hours => COALESCE(c.buffer_hours, 0)) <= NOW()
         ORDER BY c.scheduled_at ASC
       `;
 
@@ -375,6 +486,187 @@ class Campaign extends BaseModel {
     }
   }
 
+  // Recurring parents whose next run falls inside their buffer window
+  async findDueRecurringCampaigns() {
+    try {
+      const query = `
+        SELECT c.*, t.name as template_name, o.name as organization_name
+        FROM campaigns c
+        LEFT JOIN templates t ON c.template_id = t.id
+        LEFT JOIN organizations o ON c.organization_id = o.id
+        WHERE c.status = 'scheduled'
+        AND c.campaign_type = 'recurring'
+        AND c.next_run_at IS NOT NULL
+        AND c.next_run_at - make_interval(hours => COALESCE(c.buffer_hours, 0)) <= NOW()
+        ORDER BY c.next_run_at ASC
+      `;
+
+      const result = await this.pool.query(query);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding due recurring campaigns: ${error.message}`
+      );
+    }
+  }
+
+  // Clone a recurring parent into a scheduled child run and advance the parent
+  async createRecurringRun(parentCampaign, nextRunAt) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Lock the parent so two scheduler ticks cannot clone the same run
+      const parentResult = await client.query(
+        `SELECT * FROM campaigns WHERE id = $1 AND status = 'scheduled' FOR UPDATE`,
+        [parentCampaign.id]
+      );
+      const parent = parentResult.rows[0];
+
+      if (
+        !parent ||
+        !parent.next_run_at ||
+        new Date(parent.next_run_at).getTime() !==
+          new Date(parentCampaign.next_run_at).getTime()
+      ) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const runNumberResult = await client.query(
+        `SELECT COALESCE(MAX(run_number), 0) + 1 AS run_number
+         FROM campaigns WHERE parent_campaign_id = $1`,
+        [parent.id]
+      );
+      const runNumber = runNumberResult.rows[0].run_number;
+      const runName = `${parent.name} #${runNumber}`.slice(0, 255);
+
+      const childResult = await client.query(
+        `INSERT INTO campaigns (
+           organization_id, template_id, name, description, campaign_type,
+           scheduled_at, buffer_hours, status, approved_by, approved_at,
+           parent_campaign_id, run_number, created_by,
+           use_template_family, language_attribute, fallback_language,
+           phone_number_id
+         )
+         VALUES ($1, $2, $3, $4, 'scheduled', $5, $6, 'scheduled', $7, NOW(), $8, $9, $10, $11, $12, $13, $14)
+         RETURNING *`,
+        [
+          parent.organization_id,
+          parent.template_id,
+          runName,
+          parent.description,
+          parent.next_run_at,
+          parent.buffer_hours,
+          parent.approved_by,
+          parent.id,
+          runNumber,
+          parent.created_by,
+          parent.use_template_family,
+          parent.language_attribute,
+          parent.fallback_language,
+          parent.phone_number_id,
+        ]
+      );
+      const child = childResult.rows[0];
+
+      // Numbers opted out since the parent's audience was added are kept as
+      // skipped, as addToCampaign does, and not targeted
+      const audienceResult = await client.query(
+        `INSERT INTO campaign_audience (campaign_id, organization_id, name, msisdn, attributes, message_status)
+         SELECT $1, ca.organization_id, ca.name, ca.msisdn, ca.attributes,
+                CASE WHEN s.id IS NULL THEN 'pending' ELSE 'skipped_opted_out' END::message_status_extended
+         FROM campaign_audience ca
+         LEFT JOIN suppression_list s
+           ON s.organization_id = ca.organization_id AND s.msisdn = ca.msisdn
+         WHERE ca.campaign_id = $2
+         RETURNING message_status`,
+        [child.id, parent.id]
+      );
+      const targetedCount = audienceResult.rows.filter(
+        (row) => row.message_status !== "skipped_opted_out"
+      ).length;
+
+      await client.query(
+        `UPDATE campaigns SET total_targeted_audience = $1 WHERE id = $2`,
+        [targetedCount, child.id]
+      );
+      child.total_targeted_audience = targetedCount;
+
+      // Each run repeats the parent's A/B test from scratch
+      const variantCount = await CampaignVariant.copyToCampaign(
+        parent.id,
+        child.id,
+        client
+      );
+      if (variantCount > 0) {
+        await CampaignVariant.assignAudience(child.id, null, client);
+      }
+
+      const isFinished =
+        !nextRunAt ||
+        (parent.recurrence_end_at &&
+          new Date(nextRunAt) > new Date(parent.recurrence_end_at));
+
+      await client.query(
+        `UPDATE campaigns
+         SET next_run_at = $1,
+             status = $2,
+             completed_at = CASE WHEN $2 = 'completed' THEN NOW() ELSE completed_at END,
+             updated_at = NOW()
+         WHERE id = $3`,
+        [
+          isFinished ? null : nextRunAt,
+          isFinished ? "completed" : "scheduled",
+          parent.id,
+        ]
+      );
+
+      await client.query("COMMIT");
+      return child;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error creating recurring run: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  async findRuns(parentCampaignId, filters = {}) {
+    try {
+      let query = `
+        SELECT id, name, run_number, status, scheduled_at, started_at,
+               completed_at, total_targeted_audience, total_sent,
+               total_delivered, total_read, total_replied, total_failed,
+               created_at
+        FROM campaigns
+        WHERE parent_campaign_id = $1
+        ORDER BY run_number DESC
+      `;
+
+      const values = [parentCampaignId];
+      let paramCount = 1;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding campaign runs: ${error.message}`);
+    }
+  }
+
   async findByNameAndOrganization(name, organizationId) {
     try {
       const query = `
@@ -413,6 +705,99 @@ class Campaign extends BaseModel {
     }
   }
 
+  /**
+   * Find campaigns whose statistics should be rolled up: active ones, and
+   * completed ones still inside the trailing window for late receipts
+   * @param {number} trailingDays - Days after completion to keep rolling up
+   * @returns {Promise<Array>} Campaigns with their stored counters
+   */
+  async findCampaignsForStatsRollup(trailingDays) {
+    try {
+      const query = `
+        SELECT id, organization_id, template_id, status,
+               total_targeted_audience, total_sent, total_delivered,
+               total_read, total_replied, total_failed
+        FROM campaigns
+        WHERE status IN ('ready_to_launch', 'running', 'paused')
+        OR (
+          status = 'completed'
+          AND completed_at > NOW() - ($1 || ' days')::interval
+        )
+        ORDER BY updated_at ASC
+      `;
+      const result = await this.pool.query(query, [String(trailingDays)]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding campaigns for statistics rollup: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Aggregate audience statuses, replies and outstanding dispatch per campaign
+   * @param {Array} campaignIds - Campaign IDs
+   * @returns {Promise<Array>} One row of counters per campaign
+   */
+  async aggregateStatistics(campaignIds) {
+    if (campaignIds.length === 0) return [];
+
+    try {
+      const query = `
+        SELECT
+          c.id,
+          c.status,
+          ARRAY_REMOVE(
+            ARRAY_AGG(
+              DISTINCT COALESCE(ca.sent_template_id, v.template_id, c.template_id)
+            ),
+            NULL
+          ) as template_ids,
+          COUNT(ca.id)::int as audience_count,
+          COUNT(ca.id) FILTER (
+            WHERE ca.message_status <> 'skipped_opted_out'
+          )::int as total_targeted_audience,
+          COUNT(ca.id) FILTER (
+            WHERE ca.message_status IN ('sent', 'delivered', 'read')
+          )::int as total_sent,
+          COUNT(ca.id) FILTER (
+            WHERE ca.message_status IN ('delivered', 'read')
+          )::int as total_delivered,
+          COUNT(ca.id) FILTER (WHERE ca.message_status = 'read')::int as total_read,
+          COUNT(ca.id) FILTER (WHERE ca.message_status = 'failed')::int as total_failed,
+          COUNT(ca.id) FILTER (
+            WHERE ca.message_status IN (
+              'pending', 'asset_generating', 'asset_generated',
+              'ready_to_send', 'throttled'
+            )
+            AND ca.ab_test_holdout IS NOT TRUE
+          )::int as pending_count,
+          MAX(ca.updated_at) as last_activity_at,
+          (
+            SELECT COUNT(DISTINCT im.from_phone_number)
+            FROM incoming_messages im
+            WHERE im.context_campaign_id = c.id
+          )::int as total_replied,
+          (
+            SELECT COUNT(*)
+            FROM campaign_dispatch_outbox o
+            WHERE o.campaign_id = c.id AND o.status IN ('pending', 'publishing')
+          )::int as pending_dispatch_count
+        FROM campaigns c
+        LEFT JOIN campaign_audience ca ON ca.campaign_id = c.id
+        LEFT JOIN campaign_variants v ON v.id = ca.variant_id
+        WHERE c.id = ANY($1::uuid[])
+        GROUP BY c.id
+      `;
+      const result = await this.pool.query(query, [campaignIds]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error aggregating campaign statistics: ${error.message}`
+      );
+    }
+  }
+
   async findCampaignById(campaignId) {
     try {
       const query = `
@@ -463,6 +848,22 @@ class Campaign extends BaseModel {
       errors.push("Scheduled campaigns must have a scheduled date");
     }
 
+    // Validate recurring campaigns have a usable recurrence
+    if (campaignData.campaign_type === "recurring") {
+      if (!isValidRecurrence(campaignData.recurrence_rule)) {
+        errors.push(
+          "Recurring campaigns must have a valid cron or RRULE recurrence_rule"
+        );
+      }
+
+      if (
+        campaignData.recurrence_timezone &&
+        !isValidTimezone(campaignData.recurrence_timezone)
+      ) {
+        errors.push("Invalid recurrence timezone");
+      }
+    }
+
     // Validate scheduled_at is in the future
     if (
       campaignData.scheduled_at &&
@@ -0,0 +1,263 @@
+const BaseModel = require("./BaseModel");
+
+// Audience statuses campaign dispatch picks up
+const DISPATCHABLE_STATUSES = ["asset_generated", "throttled"];
+
+class CampaignDispatchOutbox extends BaseModel {
+  constructor() {
+    super("campaign_dispatch_outbox");
+  }
+
+  /**
+   * Move audience rows to 'ready_to_send', record the template they are sent
+   * with and write their outbox entries in one transaction. Rows already
+   * staged or no longer dispatchable are skipped.
+   * @param {Array} entries - [{organization_id, campaign_id, campaign_audience_id, template_id, payload}]
+   * @returns {Promise<number>} Number of entries staged
+   */
+  async stageBatch(entries) {
+    if (entries.length === 0) return 0;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const audienceResult = await client.query(
+        `UPDATE campaign_audience ca
+         SET message_status = 'ready_to_send',
+             sent_template_id = e.template_id,
+             updated_at = NOW()
+         FROM UNNEST($1::uuid[], $2::uuid[]) AS e(id, template_id)
+         WHERE ca.id = e.id
+         AND ca.message_status = ANY($3::message_status_extended[])
+         RETURNING ca.id`,
+        [
+          entries.map((entry) => entry.campaign_audience_id),
+          entries.map((entry) => entry.template_id || null),
+          DISPATCHABLE_STATUSES,
+        ]
+      );
+
+      const stagedIds = new Set(audienceResult.rows.map((row) => row.id));
+      const staged = entries.filter((entry) =>
+        stagedIds.has(entry.campaign_audience_id)
+      );
+
+      if (staged.length > 0) {
+        await client.query(
+          `INSERT INTO campaign_dispatch_outbox (
+             organization_id, campaign_id, campaign_audience_id, payload
+           )
+           SELECT * FROM UNNEST($1::uuid[], $2::uuid[], $3::uuid[], $4::jsonb[])
+           ON CONFLICT (campaign_audience_id) DO NOTHING`,
+          [
+            staged.map((entry) => entry.organization_id),
+            staged.map((entry) => entry.campaign_id),
+            staged.map((entry) => entry.campaign_audience_id),
+            staged.map((entry) => JSON.stringify(entry.payload)),
+          ]
+        );
+      }
+
+      await client.query("COMMIT");
+      return staged.length;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error staging campaign dispatch: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Claim due entries for publishing. Entries locked by another relay are skipped.
+   * @param {number} limit - Maximum entries to claim
+   * @returns {Promise<Array>} Claimed entries with the audience row's current status
+   */
+  async claimBatch(limit) {
+    try {
+      const query = `
+        WITH claimed AS (
+          UPDATE campaign_dispatch_outbox o
+          SET status = 'publishing', attempts = o.attempts + 1,
+              locked_at = NOW(), updated_at = NOW()
+          FROM (
+            SELECT id FROM campaign_dispatch_outbox
+            WHERE status = 'pending' AND available_at <= NOW()
+            ORDER BY available_at ASC, created_at ASC
+            FOR UPDATE SKIP LOCKED
+            LIMIT $1
+          ) next
+          WHERE o.id = next.id
+          RETURNING o.*
+        )
+        SELECT claimed.*, ca.message_status as audience_status
+        FROM claimed
+        LEFT JOIN campaign_audience ca ON ca.id = claimed.campaign_audience_id
+        ORDER BY claimed.organization_id, claimed.created_at
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error claiming campaign dispatch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record entries accepted by the transport
+   * @param {Array} published - [{id, transport_message_id}]
+   */
+  async markPublished(published) {
+    if (published.length === 0) return;
+
+    try {
+      await this.pool.query(
+        `UPDATE campaign_dispatch_outbox o
+         SET status = 'published', transport_message_id = p.transport_message_id,
+             last_error = NULL, locked_at = NULL, published_at = NOW(), updated_at = NOW()
+         FROM UNNEST($1::uuid[], $2::text[]) AS p(id, transport_message_id)
+         WHERE o.id = p.id`,
+        [
+          published.map((entry) => entry.id),
+          published.map((entry) => entry.transport_message_id || null),
+        ]
+      );
+    } catch (error) {
+      throw new Error(
+        `Error marking campaign dispatch as published: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Put entries back for another attempt after a backoff
+   * @param {Array} ids - Outbox entry IDs
+   * @param {string} errorMessage - Reason the attempt failed
+   * @param {number} delaySeconds - Backoff before the next attempt
+   */
+  async reschedule(ids, errorMessage, delaySeconds) {
+    if (ids.length === 0) return;
+
+    try {
+      await this.pool.query(
+        `UPDATE campaign_dispatch_outbox
+         SET status = 'pending', last_error = $2, locked_at = NULL,
+             available_at = NOW() + ($3 || ' seconds')::interval, updated_at = NOW()
+         WHERE id = ANY($1::uuid[])`,
+        [ids, errorMessage, String(delaySeconds)]
+      );
+    } catch (error) {
+      throw new Error(`Error rescheduling campaign dispatch: ${error.message}`);
+    }
+  }
+
+  /**
+   * Give up on entries and fail their audience rows in the same transaction
+   * @param {Array} failed - [{id, campaign_audience_id, error}]
+   */
+  async markFailed(failed) {
+    if (failed.length === 0) return;
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(
+        `UPDATE campaign_dispatch_outbox o
+         SET status = 'failed', last_error = f.error, locked_at = NULL, updated_at = NOW()
+         FROM UNNEST($1::uuid[], $2::text[]) AS f(id, error)
+         WHERE o.id = f.id`,
+        [failed.map((entry) => entry.id), failed.map((entry) => entry.error)]
+      );
+
+      // Only rows still waiting on this dispatch; a later status wins
+      await client.query(
+        `UPDATE campaign_audience ca
+         SET message_status = 'failed', failure_reason = f.error,
+             failed_at = NOW(), updated_at = NOW()
+         FROM UNNEST($1::uuid[], $2::text[]) AS f(id, error)
+         WHERE ca.id = f.id AND ca.message_status = 'ready_to_send'`,
+        [
+          failed.map((entry) => entry.campaign_audience_id),
+          failed.map((entry) => entry.error),
+        ]
+      );
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(
+        `Error marking campaign dispatch as failed: ${error.message}`
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Return entries left in 'publishing' by a crashed relay to the queue
+   * @param {number} staleMinutes - Lock age after which an entry is released
+   * @returns {Promise<number>} Number of entries released
+   */
+  async releaseStale(staleMinutes) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE campaign_dispatch_outbox
+         SET status = 'pending', locked_at = NULL, updated_at = NOW()
+         WHERE status = 'publishing'
+         AND locked_at < NOW() - ($1 || ' minutes')::interval`,
+        [String(staleMinutes)]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(
+        `Error releasing stale campaign dispatch: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Summarize a campaign's dispatch: counts by status and the latest failures
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { counts, recent_failures }
+   */
+  async getCampaignSummary(campaignId) {
+    try {
+      const countsResult = await this.pool.query(
+        `SELECT status, COUNT(*)::int as count
+         FROM campaign_dispatch_outbox
+         WHERE campaign_id = $1
+         GROUP BY status`,
+        [campaignId]
+      );
+
+      const failuresResult = await this.pool.query(
+        `SELECT o.id, o.campaign_audience_id, ca.msisdn, o.status, o.attempts,
+                o.last_error, o.available_at, o.updated_at
+         FROM campaign_dispatch_outbox o
+         LEFT JOIN campaign_audience ca ON ca.id = o.campaign_audience_id
+         WHERE o.campaign_id = $1 AND o.last_error IS NOT NULL
+         ORDER BY o.updated_at DESC
+         LIMIT 20`,
+        [campaignId]
+      );
+
+      return {
+        counts: countsResult.rows.reduce(
+          (counts, row) => ({ ...counts, [row.status]: row.count }),
+          { pending: 0, publishing: 0, published: 0, failed: 0 }
+        ),
+        recent_failures: failuresResult.rows,
+      };
+    } catch (error) {
+      throw new Error(
+        `Error getting campaign dispatch summary: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new CampaignDispatchOutbox();
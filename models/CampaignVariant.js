@@ -0,0 +1,348 @@
+const BaseModel = require("./BaseModel");
+const { assignVariant } = require("../utils/variantAssignment");
+
+// Audience rows whose variant can still change (nothing has been sent yet)
+const ASSIGNABLE_STATUSES = ["pending", "asset_generating", "asset_generated"];
+
+const AB_TEST_FIELDS = [
+  "ab_test_sample_percentage",
+  "ab_test_window_hours",
+  "ab_test_winning_metric",
+  "ab_test_auto_promote",
+];
+
+class CampaignVariant extends BaseModel {
+  constructor() {
+    super("campaign_variants");
+  }
+
+  /**
+   * Get the variants of a campaign with the template fields used for sending
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Array>} Variants ordered by position
+   */
+  async findByCampaign(campaignId, db = this.pool) {
+    try {
+      const query = `
+        SELECT v.*, t.name as template_name, t.category as template_category,
+               t.language as template_language, t.components, t.body_text,
+               t.header_type, t.header_media_url, t.footer_text, t.parameters
+        FROM campaign_variants v
+        LEFT JOIN templates t ON v.template_id = t.id
+        WHERE v.campaign_id = $1
+        ORDER BY v.position ASC, v.created_at ASC
+      `;
+      const result = await db.query(query, [campaignId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding campaign variants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the variants and A/B test settings of a campaign, then reassign
+   * every audience row that has not been sent yet
+   * @param {string} campaignId - Campaign ID
+   * @param {Array} variants - [{name, template_id, weight}]; empty to turn the test off
+   * @param {Object} settings - ab_test_* settings
+   * @returns {Promise<Array>} The new variants
+   */
+  async replaceForCampaign(campaignId, variants, settings = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(
+        `UPDATE campaigns SET ab_test_winner_variant_id = NULL,
+                ab_test_promoted_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [campaignId]
+      );
+
+      const settingFields = AB_TEST_FIELDS.filter(
+        (field) => settings[field] !== undefined
+      );
+      if (settingFields.length > 0) {
+        const setClause = settingFields
+          .map((field, index) => `${field} = $${index + 2}`)
+          .join(", ");
+        await client.query(`UPDATE campaigns SET ${setClause} WHERE id = $1`, [
+          campaignId,
+          ...settingFields.map((field) => settings[field]),
+        ]);
+      }
+
+      await client.query(
+        "DELETE FROM campaign_variants WHERE campaign_id = $1",
+        [campaignId]
+      );
+
+      if (variants.length > 0) {
+        await client.query(
+          `INSERT INTO campaign_variants (campaign_id, template_id, name, weight, position)
+           SELECT $1, * FROM UNNEST($2::uuid[], $3::text[], $4::int[], $5::int[])`,
+          [
+            campaignId,
+            variants.map((variant) => variant.template_id),
+            variants.map((variant) => variant.name),
+            variants.map((variant) => parseInt(variant.weight) || 1),
+            variants.map((variant, index) => index),
+          ]
+        );
+      }
+
+      await this.assignAudience(campaignId, null, client);
+
+      await client.query("COMMIT");
+      return await this.findByCampaign(campaignId);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error replacing campaign variants: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Copy the variants and A/B test settings of one campaign to another,
+   * e.g. from a recurring parent to its run
+   * @param {string} sourceCampaignId - Campaign to copy from
+   * @param {string} targetCampaignId - Campaign to copy to
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<number>} Number of variants copied
+   */
+  async copyToCampaign(sourceCampaignId, targetCampaignId, db = this.pool) {
+    try {
+      await db.query(
+        `UPDATE campaigns t
+         SET ab_test_sample_percentage = s.ab_test_sample_percentage,
+             ab_test_window_hours = s.ab_test_window_hours,
+             ab_test_winning_metric = s.ab_test_winning_metric,
+             ab_test_auto_promote = s.ab_test_auto_promote
+         FROM campaigns s
+         WHERE s.id = $1 AND t.id = $2`,
+        [sourceCampaignId, targetCampaignId]
+      );
+
+      const result = await db.query(
+        `INSERT INTO campaign_variants (campaign_id, template_id, name, weight, position)
+         SELECT $2, template_id, name, weight, position
+         FROM campaign_variants
+         WHERE campaign_id = $1`,
+        [sourceCampaignId, targetCampaignId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error copying campaign variants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign audience rows that have not been sent yet to a variant
+   * @param {string} campaignId - Campaign ID
+   * @param {Array|null} audienceIds - Rows to assign; null for the whole campaign
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<number>} Number of rows updated
+   */
+  async assignAudience(campaignId, audienceIds = null, db = this.pool) {
+    try {
+      const campaignResult = await db.query(
+        `SELECT id, ab_test_sample_percentage, ab_test_auto_promote,
+                ab_test_winner_variant_id
+         FROM campaigns WHERE id = $1`,
+        [campaignId]
+      );
+      const campaign = campaignResult.rows[0];
+      if (!campaign) return 0;
+
+      const variants = await this.findByCampaign(campaignId, db);
+
+      const values = [campaignId, ASSIGNABLE_STATUSES];
+      let query = `
+        SELECT id, msisdn FROM campaign_audience
+        WHERE campaign_id = $1
+        AND message_status = ANY($2::message_status_extended[])
+      `;
+      if (audienceIds) {
+        if (audienceIds.length === 0) return 0;
+        query += ` AND id = ANY($3::uuid[])`;
+        values.push(audienceIds);
+      }
+
+      const audienceResult = await db.query(query, values);
+      if (audienceResult.rows.length === 0) return 0;
+
+      const assignments = audienceResult.rows.map((row) => ({
+        id: row.id,
+        ...assignVariant(campaign, variants, row.msisdn),
+      }));
+
+      const result = await db.query(
+        `UPDATE campaign_audience ca
+         SET variant_id = a.variant_id, ab_test_holdout = a.ab_test_holdout
+         FROM UNNEST($1::uuid[], $2::uuid[], $3::boolean[])
+           AS a(id, variant_id, ab_test_holdout)
+         WHERE ca.id = a.id
+         AND (ca.variant_id IS DISTINCT FROM a.variant_id
+              OR ca.ab_test_holdout IS DISTINCT FROM a.ab_test_holdout)`,
+        [
+          assignments.map((a) => a.id),
+          assignments.map((a) => a.variant_id),
+          assignments.map((a) => a.ab_test_holdout),
+        ]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error assigning campaign variants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delivery, read and reply counts per variant
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>} One row per variant
+   */
+  async getVariantStats(campaignId) {
+    try {
+      const query = `
+        SELECT v.id, v.name, v.template_id, t.name as template_name,
+               v.weight, v.is_winner,
+               COUNT(ca.id)::int as assigned,
+               COUNT(ca.id) FILTER (
+                 WHERE ca.message_status IN ('sent', 'delivered', 'read')
+               )::int as sent,
+               COUNT(ca.id) FILTER (
+                 WHERE ca.message_status IN ('delivered', 'read')
+               )::int as delivered,
+               COUNT(ca.id) FILTER (WHERE ca.message_status = 'read')::int as read,
+               COUNT(ca.id) FILTER (WHERE ca.message_status = 'failed')::int as failed,
+               COUNT(DISTINCT r.campaign_audience_id)::int as replied,
+               MIN(ca.sent_at) as first_sent_at
+        FROM campaign_variants v
+        LEFT JOIN templates t ON v.template_id = t.id
+        LEFT JOIN campaign_audience ca ON ca.variant_id = v.id
+        LEFT JOIN (
+          SELECT DISTINCT ca2.id as campaign_audience_id
+          FROM incoming_messages im
+          JOIN campaign_audience ca2
+            ON ca2.whatsapp_message_id = im.context_message_id
+            AND ca2.campaign_id = $1
+          WHERE im.context_campaign_id = $1
+        ) r ON r.campaign_audience_id = ca.id
+        WHERE v.campaign_id = $1
+        GROUP BY v.id, t.name
+        ORDER BY v.position ASC, v.created_at ASC
+      `;
+      const result = await this.pool.query(query, [campaignId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error getting campaign variant stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count audience rows waiting for the winning variant
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<number>}
+   */
+  async countHoldout(campaignId) {
+    try {
+      const result = await this.pool.query(
+        `SELECT COUNT(*)::int as count FROM campaign_audience
+         WHERE campaign_id = $1 AND ab_test_holdout = true`,
+        [campaignId]
+      );
+      return result.rows[0].count;
+    } catch (error) {
+      throw new Error(`Error counting A/B test holdout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find running A/B tests whose test window has passed
+   * @returns {Promise<Array>} Campaigns due for promotion
+   */
+  async findCampaignsDueForPromotion() {
+    try {
+      const query = `
+        SELECT c.*
+        FROM campaigns c
+        WHERE c.ab_test_auto_promote = true
+        AND c.ab_test_winner_variant_id IS NULL
+        AND c.status IN ('ready_to_launch', 'running')
+        AND EXISTS (SELECT 1 FROM campaign_variants v WHERE v.campaign_id = c.id)
+        AND (
+          SELECT MIN(ca.sent_at) FROM campaign_audience ca
+          WHERE ca.campaign_id = c.id AND ca.variant_id IS NOT NULL
+        ) <= NOW() - (COALESCE(c.ab_test_window_hours, 24) || ' hours')::interval
+        ORDER BY c.created_at ASC
+      `;
+      const result = await this.pool.query(query);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding campaigns due for A/B promotion: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Mark a variant as the winner and hand it the held-out audience
+   * @param {string} campaignId - Campaign ID
+   * @param {string} variantId - Winning variant ID
+   * @returns {Promise<number|null>} Rows released, or null if already promoted
+   */
+  async promoteWinner(campaignId, variantId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      // Lock the campaign so a manual and an automatic promotion cannot race
+      const campaignResult = await client.query(
+        `SELECT id FROM campaigns
+         WHERE id = $1 AND ab_test_winner_variant_id IS NULL
+         FOR UPDATE`,
+        [campaignId]
+      );
+      if (campaignResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      await client.query(
+        `UPDATE campaign_variants
+         SET is_winner = (id = $2), updated_at = NOW()
+         WHERE campaign_id = $1`,
+        [campaignId, variantId]
+      );
+
+      await client.query(
+        `UPDATE campaigns
+         SET ab_test_winner_variant_id = $2, ab_test_promoted_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [campaignId, variantId]
+      );
+
+      const released = await client.query(
+        `UPDATE campaign_audience
+         SET variant_id = $2, ab_test_holdout = false
+         WHERE campaign_id = $1 AND ab_test_holdout = true`,
+        [campaignId, variantId]
+      );
+
+      await client.query("COMMIT");
+      return released.rowCount;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error promoting winning variant: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new CampaignVariant();
@@ -0,0 +1,163 @@
+const BaseModel = require("./BaseModel");
+
+class CannedResponse extends BaseModel {
+  constructor() {
+    super("canned_responses");
+  }
+
+  /**
+   * Build the WHERE clause shared by listing and counting
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - search, category, shortcut (prefix)
+   * @returns {Object} { where, values }
+   */
+  buildFilters(organizationId, filters = {}) {
+    let where = "WHERE organization_id = $1";
+    const values = [organizationId];
+
+    if (filters.search) {
+      values.push(`%${filters.search}%`);
+      where += ` AND (title ILIKE $${values.length} OR shortcut ILIKE $${values.length} OR content ILIKE $${values.length})`;
+    }
+
+    if (filters.category) {
+      values.push(filters.category);
+      where += ` AND category = $${values.length}`;
+    }
+
+    if (filters.shortcut) {
+      values.push(`${filters.shortcut.toLowerCase()}%`);
+      where += ` AND shortcut LIKE $${values.length}`;
+    }
+
+    return { where, values };
+  }
+
+  /**
+   * List an organization's canned responses, most used first
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - search, category, shortcut, limit, offset
+   * @returns {Promise<Array>} Canned responses
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      const { where, values } = this.buildFilters(organizationId, filters);
+      let query = `
+        SELECT * FROM canned_responses
+        ${where}
+        ORDER BY usage_count DESC, title ASC
+      `;
+
+      if (filters.limit) {
+        values.push(filters.limit);
+        query += ` LIMIT $${values.length}`;
+      }
+
+      if (filters.offset) {
+        values.push(filters.offset);
+        query += ` OFFSET $${values.length}`;
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding canned responses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count an organization's canned responses matching the filters
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - search, category, shortcut
+   * @returns {Promise<number>} Count
+   */
+  async countByOrganization(organizationId, filters = {}) {
+    try {
+      const { where, values } = this.buildFilters(organizationId, filters);
+      const result = await this.pool.query(
+        `SELECT COUNT(*) FROM canned_responses ${where}`,
+        values
+      );
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw new Error(`Error counting canned responses: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a canned response by shortcut within an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} shortcut - Shortcut
+   * @returns {Promise<Object|null>} Canned response
+   */
+  async findByShortcut(organizationId, shortcut) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM canned_responses
+         WHERE organization_id = $1 AND shortcut = $2`,
+        [organizationId, shortcut.toLowerCase()]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding canned response: ${error.message}`);
+    }
+  }
+
+  /**
+   * List an organization's categories with how many responses each has
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} category, count
+   */
+  async findCategories(organizationId) {
+    try {
+      const result = await this.pool.query(
+        `SELECT category, COUNT(*)::int AS count
+         FROM canned_responses
+         WHERE organization_id = $1 AND category IS NOT NULL
+         GROUP BY category
+         ORDER BY category ASC`,
+        [organizationId]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding canned response categories: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Count a send of a canned response
+   * @param {string} id - Canned response ID
+   * @returns {Promise<Object|null>} Updated canned response
+   */
+  async recordUsage(id) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE canned_responses
+         SET usage_count = usage_count + 1, last_used_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Error recording canned response usage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Update a canned response; updated_at is maintained here as the table has
+   * no trigger
+   * @param {string} id - Canned response ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated canned response
+   */
+  async update(id, data) {
+    return super.update(id, { ...data, updated_at: new Date() });
+  }
+}
+
+module.exports = new CannedResponse();
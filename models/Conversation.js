@@ -8,69 +8,45 @@ class Conversation extends BaseModel {
 
   /**
    * Get or create conversation using database function
-   * This ensures atomic operation and prevents duplicates
+   * This ensures atomic operation and prevents duplicates. Conversations are
+   * kept per business number: the same customer writing to the sales and
+   * the support number has two conversations.
+   * @param {string} organizationId - Organization ID
+   * @param {string} customerPhone - Customer phone number (E.164)
+   * @param {Object} options - phoneNumberId and businessPhoneNumber of the
+   *   business number, customerName, conversationType, relatedCampaignId
    */
-  // async getOrCreate(organizationId, customerPhone, options = {}) {
-  //   try {
-  //     const {
-  //       customerName = null,
-  //       conversationType = "general",
-  //       relatedCampaignId = null,
-  //     } = options;
-
-  //     const business_phone_number = "+918886959696"
-
-  //     const result = await pool.query(
-  //       `SELECT get_or_create_conversation($1, $2, $3, $4, $5, $6) as conversation_id`,
-  //       [
-  //         organizationId,
-  //         customerPhone,
-  //         customerName,
-  //         conversationType,
-  //         relatedCampaignId,
-  //         business_phone_number,
-  //       ]
-  //     );
-
-  //     const conversationId = result.rows[0].conversation_id;
-  //     return await this.findById(conversationId);
-  //   } catch (error) {
-  //     throw new Error(
-  //       `Error getting or creating conversation: ${error.message}`
-  //     );
-  //   }
-  // }
-
-
   async getOrCreate(organizationId, customerPhone, options = {}) {
-  try {
-    const {
-      conversationType = "general",
-      relatedCampaignId = null,
-    } = options;
+    try {
+      const {
+        phoneNumberId = null,
+        businessPhoneNumber = null,
+        customerName = null,
+        conversationType = "general",
+        relatedCampaignId = null,
+      } = options;
 
-    const business_phone_number = "+918886959696";
+      const result = await pool.query(
+        `SELECT get_or_create_conversation($1, $2, $3, $4, $5, $6, $7) AS conversation_id`,
+        [
+          organizationId,
+          customerPhone,
+          phoneNumberId,
+          businessPhoneNumber,
+          customerName,
+          conversationType,
+          relatedCampaignId,
+        ]
+      );
 
-    const result = await pool.query(
-      `SELECT get_or_create_conversation($1, $2, $3, $4, $5) AS conversation_id`,
-      [
-        organizationId,
-        customerPhone,
-        business_phone_number,
-        conversationType,
-        relatedCampaignId,
-      ]
-    );
-
-    const conversationId = result.rows[0].conversation_id;
-    return await this.findById(conversationId);
-  } catch (error) {
-    throw new Error(
-      `Error getting or creating conversation: ${error.message}`
-    );
+      const conversationId = result.rows[0].conversation_id;
+      return await this.findById(conversationId);
+    } catch (error) {
+      throw new Error(
+        `Error getting or creating conversation: ${error.message}`
+      );
+    }
   }
-}
-
 
   /**
    * Find conversation by customer phone and organization
@@ -101,6 +77,9 @@ class Conversation extends BaseModel {
         unreadOnly = false,
         conversationType,
         search,
+        phoneNumberId,
+        queueId,
+        awaitingAssignment = false,
         limit = 20,
         offset = 0,
       } = filters;
@@ -143,6 +122,22 @@ class Conversation extends BaseModel {
         paramCount++;
       }
 
+      if (phoneNumberId) {
+        query += ` AND phone_number_id = $${paramCount}`;
+        params.push(phoneNumberId);
+        paramCount++;
+      }
+
+      if (queueId) {
+        query += ` AND queue_id = $${paramCount}`;
+        params.push(queueId);
+        paramCount++;
+      }
+
+      if (awaitingAssignment) {
+        query += ` AND awaiting_assignment_since IS NOT NULL AND assigned_to_user_id IS NULL`;
+      }
+
       query += ` ORDER BY last_message_at DESC NULLS LAST, created_at DESC`;
       query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
       params.push(limit, offset);
@@ -166,6 +161,9 @@ class Conversation extends BaseModel {
         unreadOnly = false,
         conversationType,
         search,
+        phoneNumberId,
+        queueId,
+        awaitingAssignment = false,
       } = filters;
 
       let query = `SELECT COUNT(*) FROM ${this.tableName} WHERE 1=1`;
@@ -206,6 +204,22 @@ class Conversation extends BaseModel {
         paramCount++;
       }
 
+      if (phoneNumberId) {
+        query += ` AND phone_number_id = $${paramCount}`;
+        params.push(phoneNumberId);
+        paramCount++;
+      }
+
+      if (queueId) {
+        query += ` AND queue_id = $${paramCount}`;
+        params.push(queueId);
+        paramCount++;
+      }
+
+      if (awaitingAssignment) {
+        query += ` AND awaiting_assignment_since IS NOT NULL AND assigned_to_user_id IS NULL`;
+      }
+
       const result = await pool.query(query, params);
       return parseInt(result.rows[0].count);
     } catch (error) {
@@ -220,7 +234,8 @@ class Conversation extends BaseModel {
     try {
       const result = await pool.query(
         `UPDATE ${this.tableName}
-         SET assigned_to_user_id = $1, assigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         SET assigned_to_user_id = $1, assigned_at = CURRENT_TIMESTAMP,
+             awaiting_assignment_since = NULL, updated_at = CURRENT_TIMESTAMP
          WHERE id = $2
          RETURNING *`,
         [userId, conversationId]
@@ -263,6 +278,7 @@ class Conversation extends BaseModel {
 
       if (status === "closed") {
         updates.closed_at = new Date();
+        updates.awaiting_assignment_since = null;
         if (closedBy) {
           updates.closed_by = closedBy;
         }
@@ -293,6 +309,259 @@ class Conversation extends BaseModel {
     }
   }
 
+  /**
+   * Assign a conversation to a routed agent unless the agent reached the
+   * cap meanwhile. The conversation and the agent's row are locked so
+   * concurrent routing cannot exceed the cap, and a conversation someone
+   * else assigned since it was read is left alone.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Agent's user ID
+   * @param {number|null} maxConcurrent - Agent's cap, none when null
+   * @param {string|null} queueId - Queue that routed the conversation
+   * @param {string|null} currentAgentId - Agent the conversation had when
+   *   routing read it, null for a waiting conversation
+   * @returns {Promise<Object|null>} Conversation, null when the agent is full
+   *   or the assignment changed
+   */
+  async assignRouted(
+    conversationId,
+    userId,
+    maxConcurrent,
+    queueId = null,
+    currentAgentId = null
+  ) {
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const conversationResult = await client.query(
+        `SELECT id FROM ${this.tableName}
+         WHERE id = $1 AND assigned_to_user_id IS NOT DISTINCT FROM $2
+         FOR UPDATE`,
+        [conversationId, currentAgentId]
+      );
+      if (conversationResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [
+        userId,
+      ]);
+
+      const openResult = await client.query(
+        `SELECT COUNT(*)::int AS count FROM ${this.tableName}
+         WHERE assigned_to_user_id = $1 AND id <> $2
+         AND conversation_status IN ('active', 'waiting')`,
+        [userId, conversationId]
+      );
+
+      if (
+        maxConcurrent !== null &&
+        openResult.rows[0].count >= maxConcurrent
+      ) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const result = await client.query(
+        `UPDATE ${this.tableName}
+         SET assigned_to_user_id = $1, assigned_at = CURRENT_TIMESTAMP,
+             queue_id = $2, awaiting_assignment_since = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [userId, queueId, conversationId]
+      );
+
+      await client.query(
+        "UPDATE users SET last_assigned_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [userId]
+      );
+
+      await client.query("COMMIT");
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error assigning routed conversation: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Leave a conversation unassigned until an agent is free. The wait keeps
+   * its start so escalation is not postponed by new messages, and a
+   * conversation already waiting in the queue is left unchanged.
+   * @param {string} conversationId - Conversation ID
+   * @param {string|null} queueId - Queue the conversation waits in
+   * @param {string|null} currentAgentId - Agent the conversation had when
+   *   routing read it; a conversation assigned since is left alone
+   * @returns {Promise<Object|null>} Conversation, null when the assignment
+   *   changed
+   */
+  async markAwaitingAssignment(
+    conversationId,
+    queueId = null,
+    currentAgentId = null
+  ) {
+    try {
+      const result = await pool.query(
+        `UPDATE ${this.tableName}
+         SET assigned_to_user_id = NULL, assigned_at = NULL, queue_id = $1,
+             escalated_at = CASE
+               WHEN awaiting_assignment_since IS NULL THEN NULL
+               ELSE escalated_at
+             END,
+             awaiting_assignment_since = COALESCE(awaiting_assignment_since, CURRENT_TIMESTAMP),
+             updated_at = CASE
+               WHEN awaiting_assignment_since IS NULL
+                 OR assigned_to_user_id IS NOT NULL
+                 OR queue_id IS DISTINCT FROM $1
+               THEN CURRENT_TIMESTAMP
+               ELSE updated_at
+             END
+         WHERE id = $2 AND assigned_to_user_id IS NOT DISTINCT FROM $3
+         RETURNING *`,
+        [queueId, conversationId, currentAgentId]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Error marking conversation as awaiting assignment: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get open conversations waiting for an agent that routing can retry,
+   * longest wait first. Conversations of manual organizations only wait for
+   * an admin, unless they matched an active queue.
+   * @param {number} limit - Maximum conversations
+   * @returns {Promise<Array>} Conversations
+   */
+  async findAwaitingAssignment(limit = 500) {
+    try {
+      const result = await pool.query(
+        `SELECT c.*
+         FROM ${this.tableName} c
+         JOIN organizations o ON o.id = c.organization_id
+         LEFT JOIN conversation_queues q ON q.id = c.queue_id AND q.is_active
+         WHERE c.awaiting_assignment_since IS NOT NULL
+         AND c.assigned_to_user_id IS NULL
+         AND c.conversation_status IN ('active', 'waiting')
+         AND (q.id IS NOT NULL
+           OR COALESCE(o.conversation_routing_mode, 'manual') <> 'manual')
+         ORDER BY c.awaiting_assignment_since ASC
+         LIMIT $1`,
+        [limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding conversations awaiting assignment: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get open conversations that have waited longer than their
+   * organization's escalation wait and were not escalated yet, in every
+   * routing mode
+   * @param {number} limit - Maximum conversations
+   * @returns {Promise<Array>} Conversations with conversation_escalation_minutes
+   */
+  async findDueForEscalation(limit = 500) {
+    try {
+      const result = await pool.query(
+        `SELECT c.*, o.conversation_escalation_minutes
+         FROM ${this.tableName} c
+         JOIN organizations o ON o.id = c.organization_id
+         WHERE c.awaiting_assignment_since IS NOT NULL
+         AND c.assigned_to_user_id IS NULL
+         AND c.escalated_at IS NULL
+         AND c.conversation_status IN ('active', 'waiting')
+         AND o.conversation_escalation_minutes > 0
+         AND c.awaiting_assignment_since <=
+           CURRENT_TIMESTAMP - o.conversation_escalation_minutes * INTERVAL '1 minute'
+         ORDER BY c.awaiting_assignment_since ASC
+         LIMIT $1`,
+        [limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding conversations due for escalation: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Record that admins were told about a conversation's wait
+   * @param {string} conversationId - Conversation ID
+   */
+  async markEscalated(conversationId) {
+    try {
+      await pool.query(
+        `UPDATE ${this.tableName}
+         SET escalated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [conversationId]
+      );
+    } catch (error) {
+      throw new Error(`Error marking conversation escalated: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the agent last assigned to a customer on any business number
+   * @param {string} organizationId - Organization ID
+   * @param {string} customerPhone - Customer phone number (E.164)
+   * @returns {Promise<string|null>} User ID
+   */
+  async findLastAgent(organizationId, customerPhone) {
+    try {
+      const result = await pool.query(
+        `SELECT assigned_to_user_id FROM ${this.tableName}
+         WHERE organization_id = $1 AND customer_phone = $2
+         AND assigned_to_user_id IS NOT NULL
+         ORDER BY assigned_at DESC NULLS LAST
+         LIMIT 1`,
+        [organizationId, customerPhone]
+      );
+
+      return result.rows[0]?.assigned_to_user_id || null;
+    } catch (error) {
+      throw new Error(`Error finding last agent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reopen a closed or archived conversation the customer wrote to again
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async reopen(conversationId) {
+    try {
+      const result = await pool.query(
+        `UPDATE ${this.tableName}
+         SET conversation_status = 'active', closed_at = NULL, closed_by = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error reopening conversation: ${error.message}`);
+    }
+  }
+
   /**
    * Get conversation statistics for organization
    */
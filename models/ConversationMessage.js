@@ -99,6 +99,23 @@ class ConversationMessage extends BaseModel {
     }
   }
 
+  /**
+   * Get when the customer last wrote in a conversation
+   */
+  async getLastInboundAt(conversationId) {
+    try {
+      const result = await pool.query(
+        `SELECT MAX(created_at) AS last_inbound_at FROM ${this.tableName}
+         WHERE conversation_id = $1 AND direction = 'inbound'`,
+        [conversationId]
+      );
+
+      return result.rows[0].last_inbound_at;
+    } catch (error) {
+      throw new Error(`Error getting last inbound message: ${error.message}`);
+    }
+  }
+
   /**
    * Update message status (for webhook updates)
    */
@@ -159,6 +176,25 @@ class ConversationMessage extends BaseModel {
     }
   }
 
+  /**
+   * Mark message as sent and store the WhatsApp message ID used by status webhooks
+   */
+  async markAsSent(messageId, whatsappMessageId) {
+    try {
+      const result = await pool.query(
+        `UPDATE ${this.tableName}
+         SET message_status = 'sent', whatsapp_message_id = $1, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING *`,
+        [whatsappMessageId, messageId]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error marking message as sent: ${error.message}`);
+    }
+  }
+
   /**
    * Mark message as failed
    */
@@ -0,0 +1,132 @@
+const BaseModel = require("./BaseModel");
+
+class ConversationQueue extends BaseModel {
+  constructor() {
+    super("conversation_queues");
+  }
+
+  /**
+   * List an organization's queues with their agents, in the order they are
+   * matched
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - active_only
+   * @returns {Promise<Array>} Queues
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      let query = `
+        SELECT q.*,
+               COALESCE(
+                 (SELECT ARRAY_AGG(m.user_id ORDER BY m.created_at)
+                  FROM conversation_queue_members m
+                  WHERE m.queue_id = q.id),
+                 '{}'
+               ) AS agent_ids
+        FROM conversation_queues q
+        WHERE q.organization_id = $1
+      `;
+
+      if (filters.active_only) {
+        query += ` AND q.is_active = true`;
+      }
+
+      query += ` ORDER BY q.priority DESC, q.created_at ASC`;
+
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding conversation queues: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a queue with its agents
+   * @param {string} queueId - Queue ID
+   * @returns {Promise<Object|null>} Queue
+   */
+  async findWithMembers(queueId) {
+    try {
+      const query = `
+        SELECT q.*,
+               COALESCE(
+                 (SELECT ARRAY_AGG(m.user_id ORDER BY m.created_at)
+                  FROM conversation_queue_members m
+                  WHERE m.queue_id = q.id),
+                 '{}'
+               ) AS agent_ids
+        FROM conversation_queues q
+        WHERE q.id = $1
+      `;
+
+      const result = await this.pool.query(query, [queueId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding conversation queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a queue by name within an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} name - Queue name
+   * @returns {Promise<Object|null>} Queue
+   */
+  async findByName(organizationId, name) {
+    try {
+      const result = await this.pool.query(
+        `SELECT * FROM conversation_queues
+         WHERE organization_id = $1 AND LOWER(name) = LOWER($2)`,
+        [organizationId, name]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding conversation queue: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a queue; updated_at is maintained here as the table has no trigger
+   * @param {string} id - Queue ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object|null>} Updated queue
+   */
+  async update(id, data) {
+    return super.update(id, { ...data, updated_at: new Date() });
+  }
+
+  /**
+   * Replace a queue's agents
+   * @param {string} queueId - Queue ID
+   * @param {Array<string>} userIds - User IDs
+   */
+  async setMembers(queueId, userIds) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(
+        "DELETE FROM conversation_queue_members WHERE queue_id = $1",
+        [queueId]
+      );
+
+      if (userIds.length > 0) {
+        await client.query(
+          `INSERT INTO conversation_queue_members (queue_id, user_id)
+           SELECT $1, UNNEST($2::uuid[])
+           ON CONFLICT DO NOTHING`,
+          [queueId, userIds]
+        );
+      }
+
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error setting queue members: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new ConversationQueue();
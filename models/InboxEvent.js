@@ -0,0 +1,143 @@
+const BaseModel = require("./BaseModel");
+
+class InboxEvent extends BaseModel {
+  constructor() {
+    super("inbox_events");
+    // Postgres channel new event IDs are announced on
+    this.channel = "inbox_events";
+  }
+
+  /**
+   * Store an event and announce it to every server listening on the channel.
+   * The organization's events are inserted under an advisory lock, so their
+   * IDs commit in order and a cursor never skips an event committed late.
+   * @param {Object} eventData - organization_id, event_type, conversation_id, payload
+   * @returns {Promise<Object>} Stored event
+   */
+  async createAndNotify(eventData) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        `${this.tableName}:${eventData.organization_id}`,
+      ]);
+
+      const query = `
+        WITH event AS (
+          INSERT INTO inbox_events (organization_id, event_type, conversation_id, payload)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *
+        )
+        SELECT event.*, pg_notify(
+          '${this.channel}',
+          json_build_object('id', event.id, 'organization_id', event.organization_id)::text
+        )
+        FROM event
+      `;
+
+      const result = await client.query(query, [
+        eventData.organization_id,
+        eventData.event_type,
+        eventData.conversation_id || null,
+        JSON.stringify(eventData.payload || {}),
+      ]);
+
+      await client.query("COMMIT");
+
+      const { pg_notify, ...event } = result.rows[0];
+      return event;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error creating inbox event: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get an organization's events after a cursor, oldest first
+   * @param {string} organizationId - Organization ID
+   * @param {number|string} cursor - Last event ID the client has seen
+   * @param {number} limit - Maximum events
+   * @returns {Promise<Array>} Events
+   */
+  async findAfter(organizationId, cursor, limit = 500) {
+    try {
+      const query = `
+        SELECT * FROM inbox_events
+        WHERE organization_id = $1 AND id > $2
+        ORDER BY id ASC
+        LIMIT $3
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        cursor,
+        limit,
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding inbox events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the ID of an organization's newest event
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<string>} Event ID, "0" when there are none
+   */
+  async findLatestId(organizationId) {
+    try {
+      const query = `
+        SELECT COALESCE(MAX(id), 0)::text AS id FROM inbox_events
+        WHERE organization_id = $1
+      `;
+
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows[0].id;
+    } catch (error) {
+      throw new Error(`Error finding latest inbox event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether an organization's event is still stored. A cursor whose event
+   * was pruned cannot be resumed from without missing events.
+   * @param {string} organizationId - Organization ID
+   * @param {number|string} eventId - Event ID
+   * @returns {Promise<boolean>}
+   */
+  async exists(organizationId, eventId) {
+    try {
+      const query = `
+        SELECT 1 FROM inbox_events
+        WHERE organization_id = $1 AND id = $2
+      `;
+
+      const result = await this.pool.query(query, [organizationId, eventId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error(`Error checking inbox event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete events older than a date
+   * @param {Date} before - Cutoff
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async deleteOlderThan(before) {
+    try {
+      const result = await this.pool.query(
+        "DELETE FROM inbox_events WHERE created_at < $1",
+        [before]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error deleting inbox events: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new InboxEvent();
@@ -337,6 +337,7 @@ class Message extends BaseModel {
     try {
       const query = `
         SELECT m.*, c.id as campaign_id, c.organization_id, c.template_id,
+        c.phone_number_id as campaign_phone_number_id,
         m.id as messageId,
                t.name as template_name, t.category as template_category,
                t.language as template_language, t.components, t.body_text,
@@ -397,6 +398,34 @@ class Message extends BaseModel {
     }
   }
 
+  /**
+   * Count a retry the transport accepted. A transport that already recorded
+   * the result in-process keeps its status; otherwise the message is pending.
+   * @param {string} messageId - Message ID
+   * @param {number} retryCount - New retry count
+   * @returns {Promise<Object|null>} Updated message
+   */
+  async markRetried(messageId, retryCount) {
+    try {
+      const query = `
+        UPDATE messages
+        SET retry_count = $1,
+            message_status = CASE
+              WHEN message_status = 'failed' THEN 'pending'
+              ELSE message_status
+            END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [retryCount, messageId]);
+      return result.rows.length > 0 ? this.parseMessage(result.rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error marking message as retried: ${error.message}`);
+    }
+  }
+
   /**
    * Delete old messages (cleanup)
    * @param {number} daysOld - Number of days old to delete
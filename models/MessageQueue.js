@@ -0,0 +1,155 @@
+const BaseModel = require("./BaseModel");
+
+class MessageQueue extends BaseModel {
+  constructor() {
+    super("message_queue");
+  }
+
+  /**
+   * Queue outbound message payloads
+   * @param {string} organizationId - Organization ID
+   * @param {Array} payloads - Message payloads
+   * @param {number} delaySeconds - Delay before the first delivery attempt
+   * @returns {Promise<Array>} Inserted rows (id, created_at)
+   */
+  async enqueue(organizationId, payloads, delaySeconds = 0) {
+    try {
+      const query = `
+        INSERT INTO message_queue (organization_id, payload, available_at)
+        SELECT $1, payload, NOW() + ($3 || ' seconds')::interval
+        FROM jsonb_array_elements($2::jsonb) AS payload
+        RETURNING id, created_at
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        JSON.stringify(payloads),
+        String(delaySeconds || 0),
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error queueing messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim due messages for delivery. Rows locked by another worker are skipped.
+   * @param {number} limit - Maximum rows to claim
+   * @returns {Promise<Array>} Claimed rows
+   */
+  async claimBatch(limit) {
+    try {
+      const query = `
+        UPDATE message_queue q
+        SET status = 'processing', attempts = q.attempts + 1,
+            locked_at = NOW(), updated_at = NOW()
+        FROM (
+          SELECT id FROM message_queue
+          WHERE status = 'pending' AND available_at <= NOW()
+          ORDER BY available_at ASC, created_at ASC
+          FOR UPDATE SKIP LOCKED
+          LIMIT $1
+        ) next
+        WHERE q.id = next.id
+        RETURNING q.*
+      `;
+
+      const result = await this.pool.query(query, [limit]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error claiming queued messages: ${error.message}`);
+    }
+  }
+
+  async markSent(id, whatsappMessageId) {
+    try {
+      await this.pool.query(
+        `UPDATE message_queue
+         SET status = 'sent', whatsapp_message_id = $2, last_error = NULL,
+             locked_at = NULL, sent_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [id, whatsappMessageId]
+      );
+    } catch (error) {
+      throw new Error(`Error marking queued message as sent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a message back in the queue after a failed attempt
+   * @param {string} id - Queue row ID
+   * @param {string} errorMessage - Reason the attempt failed
+   * @param {number} delaySeconds - Backoff before the next attempt
+   */
+  async reschedule(id, errorMessage, delaySeconds) {
+    try {
+      await this.pool.query(
+        `UPDATE message_queue
+         SET status = 'pending', last_error = $2, locked_at = NULL,
+             available_at = NOW() + ($3 || ' seconds')::interval, updated_at = NOW()
+         WHERE id = $1`,
+        [id, errorMessage, String(delaySeconds)]
+      );
+    } catch (error) {
+      throw new Error(`Error rescheduling queued message: ${error.message}`);
+    }
+  }
+
+  async markFailed(id, errorMessage) {
+    try {
+      await this.pool.query(
+        `UPDATE message_queue
+         SET status = 'failed', last_error = $2, locked_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id, errorMessage]
+      );
+    } catch (error) {
+      throw new Error(
+        `Error marking queued message as failed: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Return rows left in 'processing' by a crashed worker to the queue
+   * @param {number} staleMinutes - Lock age after which a row is released
+   * @returns {Promise<number>} Number of rows released
+   */
+  async releaseStale(staleMinutes) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE message_queue
+         SET status = 'pending', locked_at = NULL, updated_at = NOW()
+         WHERE status = 'processing'
+         AND locked_at < NOW() - ($1 || ' minutes')::interval`,
+        [String(staleMinutes)]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(
+        `Error releasing stale queued messages: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Delete delivered messages older than the retention window
+   * @param {number} daysOld - Retention in days
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async deleteOldSent(daysOld) {
+    try {
+      const result = await this.pool.query(
+        `DELETE FROM message_queue
+         WHERE status = 'sent'
+         AND sent_at < NOW() - ($1 || ' days')::interval`,
+        [String(daysOld)]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error deleting old queued messages: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MessageQueue();
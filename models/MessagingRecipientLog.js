@@ -0,0 +1,180 @@
+const BaseModel = require("./BaseModel");
+
+class MessagingRecipientLog extends BaseModel {
+  constructor() {
+    super("messaging_recipient_log");
+  }
+
+  /**
+   * Count unique recipients messaged in the rolling window
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {number} windowHours - Rolling window size in hours
+   * @returns {Promise<number>} Unique recipient count
+   */
+  async countActiveRecipients(organizationId, phoneNumberId, windowHours = 24) {
+    try {
+      const query = `
+        SELECT COUNT(*) as count
+        FROM messaging_recipient_log
+        WHERE organization_id = $1
+        AND phone_number_id = $2
+        AND last_sent_at > NOW() - make_interval(hours => $3)
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumberId,
+        windowHours,
+      ]);
+      return parseInt(result.rows[0].count);
+    } catch (error) {
+      throw new Error(`Error counting active recipients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reserve quota for recipients in one transaction. The number's advisory
+   * lock is held from the count to the insert, so concurrent campaigns or
+   * relay processes on the same number cannot both spend the same quota.
+   * Recipients already inside the window are allowed without a new slot;
+   * new recipients take slots in the given order while the limit allows.
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {Array<string>} msisdns - Recipient phone numbers, in send order
+   * @param {number|null} limit - Unique recipients per window, none when null
+   * @param {number} windowHours - Rolling window size in hours
+   * @returns {Promise<Object>} { allowed: Set, reserved: Array, used }
+   */
+  async reserveRecipients(
+    organizationId,
+    phoneNumberId,
+    msisdns,
+    limit,
+    windowHours = 24
+  ) {
+    const uniqueMsisdns = [...new Set(msisdns)];
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        `messaging_recipient_log:${organizationId}:${phoneNumberId}`,
+      ]);
+
+      const countResult = await client.query(
+        `SELECT COUNT(*) as count
+         FROM messaging_recipient_log
+         WHERE organization_id = $1
+         AND phone_number_id = $2
+         AND last_sent_at > NOW() - make_interval(hours => $3)`,
+        [organizationId, phoneNumberId, windowHours]
+      );
+      const used = parseInt(countResult.rows[0].count);
+
+      const activeResult = await client.query(
+        `SELECT msisdn
+         FROM messaging_recipient_log
+         WHERE organization_id = $1
+         AND phone_number_id = $2
+         AND msisdn = ANY($3::text[])
+         AND last_sent_at > NOW() - make_interval(hours => $4)`,
+        [organizationId, phoneNumberId, uniqueMsisdns, windowHours]
+      );
+      const alreadyActive = new Set(activeResult.rows.map((row) => row.msisdn));
+
+      let remaining = limit === null ? Infinity : Math.max(limit - used, 0);
+      const allowed = new Set();
+      const reserved = [];
+
+      for (const msisdn of uniqueMsisdns) {
+        if (alreadyActive.has(msisdn)) {
+          allowed.add(msisdn);
+        } else if (remaining > 0) {
+          allowed.add(msisdn);
+          if (limit !== null) reserved.push(msisdn);
+          remaining--;
+        }
+      }
+
+      if (allowed.size > 0) {
+        await client.query(
+          `INSERT INTO messaging_recipient_log (organization_id, phone_number_id, msisdn, last_sent_at)
+           SELECT $1, $2, UNNEST($3::text[]), NOW()
+           ON CONFLICT (organization_id, phone_number_id, msisdn)
+           DO UPDATE SET last_sent_at = EXCLUDED.last_sent_at`,
+          [organizationId, phoneNumberId, [...allowed]]
+        );
+      }
+
+      await client.query("COMMIT");
+      return { allowed, reserved, used };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error reserving recipients: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Remove recipients recorded for messages that were never sent, giving
+   * their quota back
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {Array<string>} msisdns - Recipient phone numbers
+   * @returns {Promise<number>} Number of rows removed
+   */
+  async releaseRecipients(organizationId, phoneNumberId, msisdns) {
+    try {
+      if (msisdns.length === 0) return 0;
+
+      const query = `
+        DELETE FROM messaging_recipient_log
+        WHERE organization_id = $1
+        AND phone_number_id = $2
+        AND msisdn = ANY($3::text[])
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumberId,
+        [...new Set(msisdns)],
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error releasing recipients: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get when the oldest recipient in the window drops out of it
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {number} windowHours - Rolling window size in hours
+   * @returns {Promise<Date|null>} Time the next quota slot frees up
+   */
+  async getNextReleaseTime(organizationId, phoneNumberId, windowHours = 24) {
+    try {
+      const query = `
+        SELECT MIN(last_sent_at) + make_interval(hours => $3) as release_at
+        FROM messaging_recipient_log
+        WHERE organization_id = $1
+        AND phone_number_id = $2
+        AND last_sent_at > NOW() - make_interval(hours => $3)
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumberId,
+        windowHours,
+      ]);
+      return result.rows[0].release_at || null;
+    } catch (error) {
+      throw new Error(`Error getting next release time: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MessagingRecipientLog();
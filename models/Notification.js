@@ -0,0 +1,156 @@
+const BaseModel = require("./BaseModel");
+
+class Notification extends BaseModel {
+  constructor() {
+    super("notifications");
+  }
+
+  /**
+   * Record a notification for every active admin of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} notification - type, title, message, data
+   * @returns {Promise<Array>} Created notifications
+   */
+  async createForOrganizationAdmins(organizationId, notification) {
+    try {
+      const query = `
+        INSERT INTO notifications (organization_id, user_id, type, title, message, data)
+        SELECT u.organization_id, u.id, $2, $3, $4, $5
+        FROM users u
+        WHERE u.organization_id = $1
+        AND u.role = 'organization_admin'
+        AND u.is_active = true
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        notification.type,
+        notification.title,
+        notification.message || null,
+        JSON.stringify(notification.data || {}),
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error creating organization admin notifications: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - unread_only, type, limit, offset
+   * @returns {Promise<Array>} Notifications
+   */
+  async findByUser(userId, filters = {}) {
+    try {
+      let query = `
+        SELECT * FROM notifications
+        WHERE user_id = $1
+      `;
+
+      const values = [userId];
+      let paramCount = 1;
+
+      if (filters.unread_only) {
+        query += ` AND read_at IS NULL`;
+      }
+
+      if (filters.type) {
+        paramCount++;
+        query += ` AND type = $${paramCount}`;
+        values.push(filters.type);
+      }
+
+      query += ` ORDER BY created_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a user's notifications
+   * @param {string} userId - User ID
+   * @param {Object} filters - unread_only, type
+   * @returns {Promise<number>} Count
+   */
+  async countByUser(userId, filters = {}) {
+    try {
+      let query = `SELECT COUNT(*)::int as count FROM notifications WHERE user_id = $1`;
+      const values = [userId];
+
+      if (filters.unread_only) {
+        query += ` AND read_at IS NULL`;
+      }
+
+      if (filters.type) {
+        query += ` AND type = $2`;
+        values.push(filters.type);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows[0].count;
+    } catch (error) {
+      throw new Error(`Error counting notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - User ID the notification belongs to
+   * @returns {Promise<Object|null>} Updated notification, or null if not found
+   */
+  async markAsRead(id, userId) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+         WHERE id = $1 AND user_id = $2
+         RETURNING *`,
+        [id, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error marking notification as read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(userId) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE notifications SET read_at = NOW()
+         WHERE user_id = $1 AND read_at IS NULL`,
+        [userId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(
+        `Error marking all notifications as read: ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = new Notification();
@@ -124,6 +124,21 @@ class Organization extends BaseModel {
         updateData.whatsapp_app_secret = whatsappConfig.whatsapp_app_secret;
       }
 
+      if (whatsappConfig.whatsapp_messaging_tier) {
+        updateData.whatsapp_messaging_tier =
+          whatsappConfig.whatsapp_messaging_tier;
+      }
+
+      if (whatsappConfig.whatsapp_messages_per_second) {
+        updateData.whatsapp_messages_per_second =
+          whatsappConfig.whatsapp_messages_per_second;
+      }
+
+      // null switches the organization back to the MESSAGE_TRANSPORT default
+      if (whatsappConfig.message_transport !== undefined) {
+        updateData.message_transport = whatsappConfig.message_transport;
+      }
+
       return await this.update(id, updateData);
     } catch (error) {
       throw new Error(
@@ -147,6 +162,7 @@ class Organization extends BaseModel {
         whatsapp_webhook_url: decrypted.whatsapp_webhook_url,
         whatsapp_app_id: decrypted.whatsapp_app_id,
         whatsapp_app_secret: decrypted.whatsapp_app_secret,
+        message_transport: decrypted.message_transport,
       };
     } catch (error) {
       throw new Error(`Error getting WhatsApp configuration: ${error.message}`);
@@ -0,0 +1,175 @@
+const BaseModel = require("./BaseModel");
+
+class OrganizationPhoneNumber extends BaseModel {
+  constructor() {
+    super("organization_phone_numbers");
+  }
+
+  /**
+   * Get an organization's numbers, default first
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Phone numbers
+   */
+  async findByOrganization(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM organization_phone_numbers
+        WHERE organization_id = $1
+        ORDER BY is_default DESC, label NULLS LAST, display_phone_number
+      `;
+
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding phone numbers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find one of an organization's numbers by its WhatsApp phone number ID
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @returns {Promise<Object|null>} Phone number
+   */
+  async findByPhoneNumberId(organizationId, phoneNumberId) {
+    try {
+      const query = `
+        SELECT * FROM organization_phone_numbers
+        WHERE organization_id = $1 AND phone_number_id = $2
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumberId,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding phone number: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an organization's default number
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>} Phone number
+   */
+  async findDefault(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM organization_phone_numbers
+        WHERE organization_id = $1 AND is_default = true
+      `;
+
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding default phone number: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert or refresh a number reported by the Cloud API. Labels and the
+   * default flag set in this app are kept.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} phoneNumber - phone_number_id, display_phone_number,
+   *   verified_name, quality_rating, status
+   * @returns {Promise<Object>} Phone number
+   */
+  async upsert(organizationId, phoneNumber) {
+    try {
+      const query = `
+        INSERT INTO organization_phone_numbers (
+          organization_id, phone_number_id, display_phone_number,
+          verified_name, quality_rating, status, last_synced_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (organization_id, phone_number_id) DO UPDATE SET
+          display_phone_number = COALESCE(EXCLUDED.display_phone_number, organization_phone_numbers.display_phone_number),
+          verified_name = COALESCE(EXCLUDED.verified_name, organization_phone_numbers.verified_name),
+          quality_rating = COALESCE(EXCLUDED.quality_rating, organization_phone_numbers.quality_rating),
+          status = COALESCE(EXCLUDED.status, organization_phone_numbers.status),
+          last_synced_at = COALESCE(EXCLUDED.last_synced_at, organization_phone_numbers.last_synced_at),
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumber.phone_number_id,
+        phoneNumber.display_phone_number || null,
+        phoneNumber.verified_name || null,
+        phoneNumber.quality_rating || null,
+        phoneNumber.status || null,
+        phoneNumber.last_synced_at || null,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error saving phone number: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make a number the organization's default sender
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @returns {Promise<Object|null>} Phone number
+   */
+  async setDefault(organizationId, phoneNumberId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query(
+        `UPDATE organization_phone_numbers
+         SET is_default = false, updated_at = CURRENT_TIMESTAMP
+         WHERE organization_id = $1 AND is_default = true`,
+        [organizationId]
+      );
+
+      const result = await client.query(
+        `UPDATE organization_phone_numbers
+         SET is_default = true, updated_at = CURRENT_TIMESTAMP
+         WHERE organization_id = $1 AND phone_number_id = $2
+         RETURNING *`,
+        [organizationId, phoneNumberId]
+      );
+
+      await client.query("COMMIT");
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error setting default phone number: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Set a number's label
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {string|null} label - Label, e.g. sales or support
+   * @returns {Promise<Object|null>} Phone number
+   */
+  async updateLabel(organizationId, phoneNumberId, label) {
+    try {
+      const query = `
+        UPDATE organization_phone_numbers
+        SET label = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE organization_id = $1 AND phone_number_id = $2
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        phoneNumberId,
+        label,
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error updating phone number: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OrganizationPhoneNumber();
@@ -0,0 +1,234 @@
+const BaseModel = require("./BaseModel");
+
+class OtpRequest extends BaseModel {
+  constructor() {
+    super("otp_requests");
+  }
+
+  /**
+   * Store a new code unless the number's latest code is still within the
+   * resend cooldown. Sends to the same number are serialized by an advisory
+   * lock, so concurrent requests cannot both pass the check. A code that
+   * could not be sent does not hold the cooldown.
+   * @param {Object} data - OTP request fields, with organization_id and msisdn
+   * @param {number} cooldownSeconds - Wait between codes to a number
+   * @returns {Promise<Object>} { otpRequest } when stored, otherwise
+   *   { cooldownRemaining } in seconds
+   */
+  async createAfterCooldown(data, cooldownSeconds) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+        `otp_requests:${data.organization_id}:${data.msisdn}`,
+      ]);
+
+      const latest = await client.query(
+        `SELECT status,
+                CEIL(EXTRACT(EPOCH FROM (
+                  created_at + $3 * INTERVAL '1 second' - CURRENT_TIMESTAMP
+                )))::int AS cooldown_remaining
+         FROM otp_requests
+         WHERE organization_id = $1 AND msisdn = $2
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [data.organization_id, data.msisdn, cooldownSeconds]
+      );
+
+      const previous = latest.rows[0];
+      if (
+        previous &&
+        previous.status !== "failed" &&
+        previous.cooldown_remaining > 0
+      ) {
+        await client.query("ROLLBACK");
+        return { cooldownRemaining: previous.cooldown_remaining };
+      }
+
+      const keys = Object.keys(data);
+      const result = await client.query(
+        `INSERT INTO otp_requests (${keys.join(", ")})
+         VALUES (${keys.map((_, index) => `$${index + 1}`).join(", ")})
+         RETURNING *`,
+        Object.values(data)
+      );
+
+      await client.query("COMMIT");
+      return { otpRequest: result.rows[0] };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw new Error(`Error creating OTP request: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the code a number may still verify. A code still being sent is not
+   * verifiable yet, so the previous code stays usable until it goes out.
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @returns {Promise<Object|null>} Pending OTP request
+   */
+  async findPending(organizationId, msisdn) {
+    try {
+      const query = `
+        SELECT * FROM otp_requests
+        WHERE organization_id = $1 AND msisdn = $2 AND status = 'pending'
+        AND delivery_status <> 'pending'
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      const result = await this.pool.query(query, [organizationId, msisdn]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding pending OTP request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an OTP request by the WhatsApp message that carried the code
+   * @param {string} whatsappMessageId - WhatsApp message ID
+   * @returns {Promise<Object|null>} OTP request
+   */
+  async findByWhatsAppMessageId(whatsappMessageId) {
+    try {
+      const query = `
+        SELECT * FROM otp_requests WHERE whatsapp_message_id = $1
+      `;
+
+      const result = await this.pool.query(query, [whatsappMessageId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(
+        `Error finding OTP request by WhatsApp message ID: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Stop the other pending codes for a number from being verified
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @param {string} otpRequestId - The code that stays pending
+   * @returns {Promise<number>} Number of codes superseded
+   */
+  async supersedePending(organizationId, msisdn, otpRequestId) {
+    try {
+      const query = `
+        UPDATE otp_requests
+        SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+        WHERE organization_id = $1 AND msisdn = $2 AND status = 'pending'
+        AND id <> $3
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        msisdn,
+        otpRequestId,
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error superseding OTP requests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a verification attempt if the code is still pending, unexpired and
+   * has attempts left
+   * @param {string} otpRequestId - OTP request ID
+   * @returns {Promise<Object|null>} Updated OTP request, or null if the
+   *   attempt is not allowed
+   */
+  async recordAttempt(otpRequestId) {
+    try {
+      const query = `
+        UPDATE otp_requests
+        SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        AND status = 'pending'
+        AND expires_at > CURRENT_TIMESTAMP
+        AND attempts < max_attempts
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [otpRequestId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error recording OTP attempt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a pending code to a final status
+   * @param {string} otpRequestId - OTP request ID
+   * @param {string} status - verified, expired or locked
+   * @returns {Promise<Object|null>} Updated OTP request, or null if the code
+   *   was no longer pending
+   */
+  async closePending(otpRequestId, status) {
+    try {
+      const query = `
+        UPDATE otp_requests
+        SET status = $2::varchar,
+            verified_at = CASE WHEN $2::varchar = 'verified'
+              THEN CURRENT_TIMESTAMP ELSE verified_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [otpRequestId, status]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error updating OTP request status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the delivery status of the message that carried the code
+   * @param {string} otpRequestId - OTP request ID
+   * @param {string} deliveryStatus - sent, delivered, read or failed
+   * @param {Object} additionalData - whatsapp_message_id, failure_reason
+   * @returns {Promise<Object>} Updated OTP request
+   */
+  async updateDeliveryStatus(
+    otpRequestId,
+    deliveryStatus,
+    additionalData = {}
+  ) {
+    try {
+      const updateData = {
+        delivery_status: deliveryStatus,
+        ...additionalData,
+        updated_at: new Date(),
+      };
+
+      // Set timestamp based on status
+      const now = new Date();
+      switch (deliveryStatus) {
+        case "sent":
+          updateData.sent_at = now;
+          break;
+        case "delivered":
+          updateData.delivered_at = now;
+          break;
+        case "read":
+          updateData.read_at = now;
+          break;
+        case "failed":
+          updateData.failed_at = now;
+          break;
+      }
+
+      return await this.update(otpRequestId, updateData);
+    } catch (error) {
+      throw new Error(`Error updating OTP delivery status: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OtpRequest();
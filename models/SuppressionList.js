@@ -0,0 +1,156 @@
+const BaseModel = require("./BaseModel");
+
+class SuppressionList extends BaseModel {
+  constructor() {
+    super("suppression_list");
+  }
+
+  /**
+   * List suppressed numbers for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - search, reason, limit, offset
+   * @returns {Promise<Array>} Suppression entries
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      let query = `
+        SELECT * FROM suppression_list
+        WHERE organization_id = $1
+      `;
+
+      const values = [organizationId];
+      let paramCount = 1;
+
+      if (filters.search) {
+        paramCount++;
+        query += ` AND msisdn ILIKE $${paramCount}`;
+        values.push(`%${filters.search}%`);
+      }
+
+      if (filters.reason) {
+        paramCount++;
+        query += ` AND reason = $${paramCount}`;
+        values.push(filters.reason);
+      }
+
+      query += ` ORDER BY created_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding suppression list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a suppression entry by phone number
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @returns {Promise<Object|null>} Suppression entry
+   */
+  async findByMSISDN(organizationId, msisdn) {
+    try {
+      const query = `
+        SELECT * FROM suppression_list
+        WHERE organization_id = $1 AND msisdn = $2
+      `;
+
+      const result = await this.pool.query(query, [organizationId, msisdn]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error finding suppression entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find which of the given phone numbers are suppressed
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} msisdns - Phone numbers (E.164)
+   * @returns {Promise<Set<string>>} Suppressed phone numbers
+   */
+  async findSuppressed(organizationId, msisdns) {
+    try {
+      if (msisdns.length === 0) return new Set();
+
+      const query = `
+        SELECT msisdn FROM suppression_list
+        WHERE organization_id = $1 AND msisdn = ANY($2::text[])
+      `;
+
+      const result = await this.pool.query(query, [organizationId, msisdns]);
+      return new Set(result.rows.map((row) => row.msisdn));
+    } catch (error) {
+      throw new Error(`Error finding suppressed numbers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a phone number to the suppression list, or refresh its entry
+   * @param {Object} data - organization_id, msisdn, reason, keyword, notes,
+   *                        source_message_id, created_by
+   * @returns {Promise<Object>} Suppression entry
+   */
+  async addOrUpdate(data) {
+    try {
+      const query = `
+        INSERT INTO suppression_list (organization_id, msisdn, reason, keyword, notes, source_message_id, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (organization_id, msisdn)
+        DO UPDATE SET reason = EXCLUDED.reason,
+                      keyword = EXCLUDED.keyword,
+                      notes = COALESCE(EXCLUDED.notes, suppression_list.notes),
+                      source_message_id = EXCLUDED.source_message_id,
+                      updated_at = NOW()
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [
+        data.organization_id,
+        data.msisdn,
+        data.reason || "manual",
+        data.keyword || null,
+        data.notes || null,
+        data.source_message_id || null,
+        data.created_by || null,
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error adding suppression entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a phone number from the suppression list
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @returns {Promise<Object|null>} Removed entry
+   */
+  async remove(organizationId, msisdn) {
+    try {
+      const query = `
+        DELETE FROM suppression_list
+        WHERE organization_id = $1 AND msisdn = $2
+        RETURNING *
+      `;
+
+      const result = await this.pool.query(query, [organizationId, msisdn]);
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error(`Error removing suppression entry: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SuppressionList();
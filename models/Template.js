@@ -1,4 +1,5 @@
 const BaseModel = require("./BaseModel");
+const { isSupportedLanguage } = require("../config/templateLanguages");
 
 class Template extends BaseModel {
   constructor() {
@@ -7,6 +8,15 @@ class Template extends BaseModel {
 
   async create(templateData) {
     try {
+      if (
+        templateData.language &&
+        !isSupportedLanguage(templateData.language)
+      ) {
+        throw new Error(
+          `Unsupported template language: ${templateData.language}`
+        );
+      }
+
       // Ensure components is stored as JSON
       if (
         templateData.components &&
@@ -145,10 +155,19 @@ class Template extends BaseModel {
     }
   }
 
-  async approveTemplate(id, approvedBy) {
+  /**
+   * Record a platform approval. The status follows WhatsApp's review, so a
+   * template WhatsApp has not approved yet stays pending_approval until the
+   * status sync or webhook reports APPROVED.
+   * @param {string} id - Template ID
+   * @param {string} approvedBy - Approving user ID
+   * @param {string} status - Internal status matching the WhatsApp status
+   * @returns {Promise<Object>} Updated template
+   */
+  async approveTemplate(id, approvedBy, status = "approved") {
     try {
       const updateData = {
-        status: "approved",
+        status,
         approved_by: approvedBy,
         approved_at: new Date(),
         rejected_by: null,
@@ -285,6 +304,36 @@ class Template extends BaseModel {
     }
   }
 
+  /**
+   * Record that a template was created or edited in WhatsApp
+   * @param {string} id - Template ID
+   * @param {string} whatsappTemplateId - WhatsApp Template ID
+   * @param {string} whatsappStatus - Status returned by WhatsApp (e.g. PENDING)
+   * @param {string} status - Internal status matching the WhatsApp status
+   * @returns {Promise<Object>} Updated template
+   */
+  async recordWhatsAppSubmission(
+    id,
+    whatsappTemplateId,
+    whatsappStatus,
+    status
+  ) {
+    try {
+      return await this.update(id, {
+        whatsapp_template_id: whatsappTemplateId,
+        whatsapp_status: whatsappStatus,
+        whatsapp_rejected_reason: null,
+        whatsapp_updated_time: new Date(),
+        status,
+        submitted_for_approval_at: new Date(),
+      });
+    } catch (error) {
+      throw new Error(
+        `Error recording WhatsApp template submission: ${error.message}`
+      );
+    }
+  }
+
   async updateUsageStats(id, stats) {
     try {
       const updateData = {};
@@ -307,6 +356,62 @@ class Template extends BaseModel {
     }
   }
 
+  /**
+   * Recompute usage statistics from the campaign audience rows sent with
+   * each template: the row's recorded template, else its A/B variant's, else
+   * the campaign's. Templates that were never sent are left untouched.
+   * @param {Array} templateIds - Template IDs
+   * @returns {Promise<number>} Number of templates updated
+   */
+  async refreshUsageStatsFromCampaigns(templateIds) {
+    if (templateIds.length === 0) return 0;
+
+    try {
+      const query = `
+        UPDATE templates t
+        SET sent_count = s.sent_count,
+            delivered_count = s.delivered_count,
+            read_count = s.read_count,
+            updated_at = NOW()
+        FROM (
+          SELECT sent.template_id,
+                 COUNT(*) FILTER (
+                   WHERE sent.message_status IN ('sent', 'delivered', 'read')
+                 )::int as sent_count,
+                 COUNT(*) FILTER (
+                   WHERE sent.message_status IN ('delivered', 'read')
+                 )::int as delivered_count,
+                 COUNT(*) FILTER (
+                   WHERE sent.message_status = 'read'
+                 )::int as read_count
+          FROM (
+            SELECT COALESCE(ca.sent_template_id, v.template_id, c.template_id)
+                     as template_id,
+                   ca.message_status
+            FROM campaign_audience ca
+            JOIN campaigns c ON c.id = ca.campaign_id
+            LEFT JOIN campaign_variants v ON v.id = ca.variant_id
+            WHERE ca.sent_template_id = ANY($1::uuid[])
+            OR v.template_id = ANY($1::uuid[])
+            OR c.template_id = ANY($1::uuid[])
+          ) sent
+          WHERE sent.template_id = ANY($1::uuid[])
+          GROUP BY sent.template_id
+        ) s
+        WHERE t.id = s.template_id
+        AND (
+          t.sent_count IS DISTINCT FROM s.sent_count
+          OR t.delivered_count IS DISTINCT FROM s.delivered_count
+          OR t.read_count IS DISTINCT FROM s.read_count
+        )
+      `;
+      const result = await this.pool.query(query, [templateIds]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error(`Error refreshing usage statistics: ${error.message}`);
+    }
+  }
+
   async findByNameAndOrganization(name, organizationId, language = "en") {
     try {
       const query = `
@@ -342,6 +447,112 @@ class Template extends BaseModel {
     }
   }
 
+  /**
+   * List an organization's template families: templates sharing a name,
+   * one per language
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} [{ name, language_count, templates }]
+   */
+  async findFamilies(organizationId) {
+    try {
+      const query = `
+        SELECT t.name, COUNT(*)::int as language_count,
+               json_agg(json_build_object(
+                 'template_id', t.id,
+                 'language', t.language,
+                 'category', t.category,
+                 'status', t.status,
+                 'approved_by_admin', t.approved_by_admin,
+                 'whatsapp_status', t.whatsapp_status,
+                 'sendable', t.status = 'approved' AND t.approved_by_admin = 'approved'
+               ) ORDER BY t.language) as templates
+        FROM templates t
+        WHERE t.organization_id = $1
+        GROUP BY t.name
+        ORDER BY t.name ASC
+      `;
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding template families: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the templates of the named families that campaigns may send, with
+   * the template columns the campaign sender reads
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} names - Family (template) names
+   * @returns {Promise<Array>} Rows with template_id, template_name, template_language, ...
+   */
+  async findSendableFamilyTemplates(organizationId, names) {
+    try {
+      const query = `
+        SELECT t.id as template_id, t.name as template_name,
+               t.category as template_category, t.language as template_language,
+               t.components, t.body_text, t.header_type, t.header_media_url,
+               t.footer_text, t.parameters
+        FROM templates t
+        WHERE t.organization_id = $1
+        AND t.name = ANY($2)
+        AND t.status = 'approved'
+        AND t.approved_by_admin = 'approved'
+      `;
+      const result = await this.pool.query(query, [organizationId, names]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error finding sendable family templates: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get an organization's templates of one category that may be sent,
+   * newest first
+   * @param {string} organizationId - Organization ID
+   * @param {string} category - Template category, e.g. AUTHENTICATION
+   * @returns {Promise<Array>} Templates
+   */
+  async findSendableByCategory(organizationId, category) {
+    try {
+      const query = `
+        SELECT * FROM templates
+        WHERE organization_id = $1
+        AND category = $2
+        AND status = 'approved'
+        AND approved_by_admin = 'approved'
+        ORDER BY created_at DESC
+      `;
+      const result = await this.pool.query(query, [organizationId, category]);
+      return result.rows.map((row) => this.parseTemplate(row));
+    } catch (error) {
+      throw new Error(`Error finding sendable templates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the templates an organization may send: approved by WhatsApp and by
+   * an admin
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Templates
+   */
+  async findSendable(organizationId) {
+    try {
+      const query = `
+        SELECT * FROM templates
+        WHERE organization_id = $1
+        AND status = 'approved'
+        AND approved_by_admin = 'approved'
+        ORDER BY name, language
+      `;
+      const result = await this.pool.query(query, [organizationId]);
+      return result.rows.map((row) => this.parseTemplate(row));
+    } catch (error) {
+      throw new Error(`Error finding sendable templates: ${error.message}`);
+    }
+  }
+
   async findActiveTemplates(organizationId) {
     try {
       const query = `
@@ -437,27 +648,7 @@ class Template extends BaseModel {
     }
 
     // Validate language
-    const validLanguages = [
-      "en",
-      "en_US",
-      "es",
-      "es_ES",
-      "pt_BR",
-      "hi",
-      "ar",
-      "fr",
-      "de",
-      "it",
-      "ja",
-      "ko",
-      "ru",
-      "zh_CN",
-      "zh_TW",
-    ];
-    if (
-      templateData.language &&
-      !validLanguages.includes(templateData.language)
-    ) {
+    if (templateData.language && !isSupportedLanguage(templateData.language)) {
       errors.push("Invalid template language");
     }
 
@@ -0,0 +1,24 @@
+const BaseModel = require("./BaseModel");
+
+class TemplateLanguage extends BaseModel {
+  constructor() {
+    super("template_languages");
+  }
+
+  /**
+   * List the locales templates can be created in, by name
+   * @returns {Promise<Array>} [{ code, name }]
+   */
+  async findAllByName() {
+    try {
+      const result = await this.pool.query(
+        "SELECT code, name FROM template_languages ORDER BY name ASC"
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding template languages: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TemplateLanguage();
@@ -0,0 +1,137 @@
+const BaseModel = require("./BaseModel");
+
+class TemplateSyncLog extends BaseModel {
+  constructor() {
+    super("template_sync_logs");
+  }
+
+  /**
+   * Record the start of an organization's template sync
+   * @param {string} organizationId - Organization ID
+   * @param {string} triggerType - scheduled or manual
+   * @param {string|null} triggeredBy - User who started a manual sync
+   * @returns {Promise<Object>} Created log
+   */
+  async start(organizationId, triggerType, triggeredBy = null) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO template_sync_logs (organization_id, trigger_type, triggered_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [organizationId, triggerType, triggeredBy]
+      );
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error starting template sync log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the outcome of a finished sync
+   * @param {string} id - Sync log ID
+   * @param {Object} result - Counts, changes and errors of the run
+   * @returns {Promise<Object>} Updated log
+   */
+  async complete(id, result) {
+    try {
+      const query = `
+        UPDATE template_sync_logs
+        SET status = 'completed', remote_count = $2, created_count = $3,
+            updated_count = $4, deleted_count = $5, unchanged_count = $6,
+            error_count = $7, changes = $8, errors = $9,
+            completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const queryResult = await this.pool.query(query, [
+        id,
+        result.remote_count,
+        result.created_count,
+        result.updated_count,
+        result.deleted_count,
+        result.unchanged_count,
+        result.errors.length,
+        JSON.stringify(result.changes),
+        JSON.stringify(result.errors),
+      ]);
+      return queryResult.rows[0];
+    } catch (error) {
+      throw new Error(`Error completing template sync log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a sync that stopped before applying remote templates
+   * @param {string} id - Sync log ID
+   * @param {string} errorMessage - Why the sync stopped
+   * @returns {Promise<Object>} Updated log
+   */
+  async fail(id, errorMessage) {
+    try {
+      const result = await this.pool.query(
+        `UPDATE template_sync_logs
+         SET status = 'failed', error_message = $2, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [id, errorMessage]
+      );
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Error failing template sync log: ${error.message}`);
+    }
+  }
+
+  /**
+   * List an organization's sync runs, newest first
+   * @param {string} organizationId - Organization ID
+   * @param {Object} filters - status, trigger_type, limit, offset
+   * @returns {Promise<Array>} Sync logs
+   */
+  async findByOrganization(organizationId, filters = {}) {
+    try {
+      let query = `
+        SELECT l.*, u.first_name as triggered_by_name, u.last_name as triggered_by_lastname
+        FROM template_sync_logs l
+        LEFT JOIN users u ON l.triggered_by = u.id
+        WHERE l.organization_id = $1
+      `;
+
+      const values = [organizationId];
+      let paramCount = 1;
+
+      if (filters.status) {
+        paramCount++;
+        query += ` AND l.status = $${paramCount}`;
+        values.push(filters.status);
+      }
+
+      if (filters.trigger_type) {
+        paramCount++;
+        query += ` AND l.trigger_type = $${paramCount}`;
+        values.push(filters.trigger_type);
+      }
+
+      query += ` ORDER BY l.started_at DESC`;
+
+      if (filters.limit) {
+        paramCount++;
+        query += ` LIMIT $${paramCount}`;
+        values.push(filters.limit);
+      }
+
+      if (filters.offset) {
+        paramCount++;
+        query += ` OFFSET $${paramCount}`;
+        values.push(filters.offset);
+      }
+
+      const result = await this.pool.query(query, values);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding template sync logs: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TemplateSyncLog();
@@ -109,6 +109,80 @@ class User extends BaseModel {
     }
   }
 
+  // Organization users who can be assigned conversations, with their open
+  // conversations and capacity (their own cap or the organization default)
+  async findAgents(organizationId, defaultMaxConcurrent = null) {
+    try {
+      const query = `
+        SELECT u.id, u.email, u.first_name, u.last_name, u.role,
+               u.availability_status, u.availability_updated_at,
+               u.last_assigned_at,
+               COALESCE(u.max_concurrent_conversations, $2) AS max_concurrent_conversations,
+               (SELECT COUNT(*) FROM conversations c
+                WHERE c.assigned_to_user_id = u.id
+                AND c.conversation_status IN ('active', 'waiting'))::int AS open_conversations
+        FROM users u
+        WHERE u.organization_id = $1
+        AND u.role IN ('organization_admin', 'organization_user')
+        AND u.is_active = true
+        ORDER BY u.first_name, u.last_name
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        defaultMaxConcurrent
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding agents: ${error.message}`);
+    }
+  }
+
+  // Online agents below their cap; limited to userIds when given
+  async findRoutableAgents(organizationId, options = {}) {
+    try {
+      const { userIds = null, defaultMaxConcurrent = null } = options;
+
+      const query = `
+        SELECT * FROM (
+          SELECT u.id, u.first_name, u.last_name, u.last_assigned_at,
+                 COALESCE(u.max_concurrent_conversations, $2) AS max_concurrent_conversations,
+                 (SELECT COUNT(*) FROM conversations c
+                  WHERE c.assigned_to_user_id = u.id
+                  AND c.conversation_status IN ('active', 'waiting'))::int AS open_conversations
+          FROM users u
+          WHERE u.organization_id = $1
+          AND u.role IN ('organization_admin', 'organization_user')
+          AND u.is_active = true
+          AND u.availability_status = 'online'
+          AND ($3::uuid[] IS NULL OR u.id = ANY($3::uuid[]))
+        ) agents
+        WHERE max_concurrent_conversations IS NULL
+        OR open_conversations < max_concurrent_conversations
+      `;
+
+      const result = await this.pool.query(query, [
+        organizationId,
+        defaultMaxConcurrent,
+        userIds
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(`Error finding routable agents: ${error.message}`);
+    }
+  }
+
+  async updateAvailability(userId, availabilityStatus) {
+    try {
+      return await this.update(userId, {
+        availability_status: availabilityStatus,
+        availability_updated_at: new Date()
+      });
+    } catch (error) {
+      throw new Error(`Error updating availability: ${error.message}`);
+    }
+  }
+
   async findSystemUsers() {
     try {
       const query = `
@@ -1,7 +1,10 @@
 const express = require("express");
 const router = express.Router();
+const multer = require("multer");
 
 const audienceController = require("../controllers/audienceController");
+const audienceImportController = require("../controllers/audienceImportController");
+const audienceSegmentController = require("../controllers/audienceSegmentController");
 const {
   authenticate,
   authorize,
@@ -10,10 +13,23 @@ const {
 const {
   validateAudienceCreation,
   validateBulkAudience,
+  validateContactUpdate,
   validateUUID,
   validatePagination,
+  validateSuppressionCreation,
+  validateSuppressionKeywords,
+  validateAudienceImport,
+  validateSegmentCreation,
+  validateSegmentUpdate,
+  validateSegmentPreview,
 } = require("../middleware/validation");
 
+// CSV/XLSX uploads are kept in memory and stored on the import job
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+});
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -53,6 +69,251 @@ router.post(
   audienceController.bulkCreateMasterAudience
 );
 
+// Suppression list (opted-out numbers) for an organization
+router.get(
+  "/organization/:organizationId/suppressions",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validatePagination,
+  authorizeOrganization,
+  audienceController.getSuppressions
+);
+
+// Add a phone number to the suppression list
+router.post(
+  "/organization/:organizationId/suppressions",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validateSuppressionCreation,
+  authorizeOrganization,
+  audienceController.addSuppression
+);
+
+// Get opt-out / opt-in keywords
+router.get(
+  "/organization/:organizationId/suppressions/keywords",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  authorizeOrganization,
+  audienceController.getSuppressionKeywords
+);
+
+// Update opt-out / opt-in keywords
+router.put(
+  "/organization/:organizationId/suppressions/keywords",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validateSuppressionKeywords,
+  authorizeOrganization,
+  audienceController.updateSuppressionKeywords
+);
+
+// Check whether a phone number is suppressed
+router.get(
+  "/organization/:organizationId/suppressions/:msisdn",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  authorizeOrganization,
+  audienceController.getSuppression
+);
+
+// Remove a phone number from the suppression list
+router.delete(
+  "/organization/:organizationId/suppressions/:msisdn",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  authorizeOrganization,
+  audienceController.removeSuppression
+);
+
+// Contact profile: attributes, campaigns, message timeline, conversations
+// and opt-in status for one phone number
+router.get(
+  "/organization/:organizationId/contacts/:msisdn",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  authorizeOrganization,
+  audienceController.getContactProfile
+);
+
+// Edit a contact's name and attributes (recorded in the change history)
+router.patch(
+  "/organization/:organizationId/contacts/:msisdn",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validateContactUpdate,
+  authorizeOrganization,
+  audienceController.updateContact
+);
+
+// Saved audience segments (attribute and engagement rules)
+router.get(
+  "/organization/:organizationId/segments",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validatePagination,
+  authorizeOrganization,
+  audienceSegmentController.getSegments
+);
+
+// Create a segment
+router.post(
+  "/organization/:organizationId/segments",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validateSegmentCreation,
+  authorizeOrganization,
+  audienceSegmentController.createSegment
+);
+
+// Count and sample the audience matching unsaved rules
+router.post(
+  "/organization/:organizationId/segments/preview",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validateSegmentPreview,
+  authorizeOrganization,
+  audienceSegmentController.previewRules
+);
+
+// Get a segment
+router.get(
+  "/organization/:organizationId/segments/:segmentId",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validateUUID("segmentId"),
+  authorizeOrganization,
+  audienceSegmentController.getSegment
+);
+
+// Update a segment
+router.put(
+  "/organization/:organizationId/segments/:segmentId",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validateUUID("segmentId"),
+  validateSegmentUpdate,
+  authorizeOrganization,
+  audienceSegmentController.updateSegment
+);
+
+// Delete a segment
+router.delete(
+  "/organization/:organizationId/segments/:segmentId",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validateUUID("segmentId"),
+  authorizeOrganization,
+  audienceSegmentController.deleteSegment
+);
+
+// Count and sample the audience currently matching a segment
+router.get(
+  "/organization/:organizationId/segments/:segmentId/preview",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validateUUID("segmentId"),
+  authorizeOrganization,
+  audienceSegmentController.previewSegment
+);
+
+// Upload a CSV/XLSX file to import into the master audience or a campaign
+router.post(
+  "/organization/:organizationId/imports",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  upload.single("file"),
+  validateAudienceImport,
+  authorizeOrganization,
+  audienceImportController.createImportJob
+);
+
+// List import jobs for an organization
+router.get(
+  "/organization/:organizationId/imports",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  validatePagination,
+  authorizeOrganization,
+  audienceImportController.getImportJobs
+);
+
+// Get import job progress and counts
+router.get(
+  "/imports/:jobId",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("jobId"),
+  audienceImportController.getImportJob
+);
+
+// Download the per-row report (failed and skipped rows) as CSV
+router.get(
+  "/imports/:jobId/report.csv",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("jobId"),
+  audienceImportController.downloadImportReport
+);
+
 // Get all master audience (super admin and system admin only)
 router.get(
   "/",
@@ -3,6 +3,7 @@ const router = express.Router();
 
 const campaignController = require("../controllers/campaignController");
 const audienceController = require("../controllers/audienceController");
+const audienceSegmentController = require("../controllers/audienceSegmentController");
 const {
   authenticate,
   authorize,
@@ -12,10 +13,13 @@ const {
   validateCampaignCreation,
   validateCampaignUpdate,
   validateCampaignRejection,
+  validateCampaignVariants,
+  validateTransportStatus,
   validateAudienceCreation,
   validateBulkAudience,
   validateMessageStatusUpdate,
   validateRemoveAudience,
+  validateSegmentSnapshot,
   validateUUID,
   validatePagination,
 } = require("../middleware/validation");
@@ -152,6 +156,75 @@ router.post(
   campaignController.cancelCampaign
 );
 
+// Get run history for a recurring campaign
+router.get(
+  "/:campaignId/runs",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("campaignId"),
+  validatePagination,
+  campaignController.getCampaignRuns
+);
+
+// Get dispatch outbox status (published, pending retries, failures)
+router.get(
+  "/:campaignId/dispatch",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("campaignId"),
+  campaignController.getCampaignDispatchStatus
+);
+
+// Get campaign analytics (funnel, time series, failure reasons, button clicks)
+router.get(
+  "/:campaignId/analytics",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("campaignId"),
+  campaignController.getCampaignAnalytics
+);
+
+// A/B test variants
+router.get(
+  "/:campaignId/variants",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("campaignId"),
+  campaignController.getCampaignVariants
+);
+
+router.put(
+  "/:campaignId/variants",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("campaignId"),
+  validateCampaignVariants,
+  campaignController.updateCampaignVariants
+);
+
+router.post(
+  "/:campaignId/variants/:variantId/promote",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("campaignId"),
+  validateUUID("variantId"),
+  campaignController.promoteCampaignVariant
+);
+
 // Campaign audience routes
 // Get campaign audience
 router.get(
@@ -176,6 +249,15 @@ router.post(
   audienceController.addAudienceToCampaign
 );
 
+// Snapshot the audience matching a saved segment into the campaign
+router.post(
+  "/:campaignId/audience/from-segment",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("campaignId"),
+  validateSegmentSnapshot,
+  audienceSegmentController.addSegmentToCampaign
+);
+
 // Remove audience from campaign
 router.delete(
   "/:campaignId/audience",
@@ -203,10 +285,11 @@ router.post(
   campaignController.processCampaignMessages
 );
 
-// Get SQS queue status
+// Get the message transport status of the server or an organization
 router.get(
   "/sqs-status",
   authorize("super_admin", "system_admin"),
+  validateTransportStatus,
   campaignController.getSQSStatus
 );
 
@@ -217,4 +300,11 @@ router.post(
   campaignController.retryFailedMessages
 );
 
+// Refresh campaign statistics and complete finished campaigns
+router.post(
+  "/refresh-statistics",
+  authorize("super_admin", "system_admin"),
+  campaignController.refreshCampaignStatistics
+);
+
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const Conversation = require("../models/Conversation");
 const ConversationMessage = require("../models/ConversationMessage");
 const conversationService = require("../services/conversationService");
+const inboxEventService = require("../services/inboxEventService");
 const { authenticate, authorizeOrganization } = require("../middleware/auth");
 const { body, query, param } = require("express-validator");
 const { handleValidationErrors } = require("../middleware/validation");
@@ -48,6 +49,15 @@ const validateListConversations = [
     .optional()
     .isBoolean()
     .withMessage("unreadOnly must be boolean"),
+  query("phoneNumberId")
+    .optional()
+    .matches(/^\d+$/)
+    .withMessage("phoneNumberId must be a WhatsApp phone number ID"),
+  query("queueId").optional().isUUID().withMessage("queueId must be a UUID"),
+  query("awaitingAssignment")
+    .optional()
+    .isBoolean()
+    .withMessage("awaitingAssignment must be boolean"),
   query("limit")
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -88,6 +98,9 @@ router.get(
         unreadOnly,
         conversationType,
         search,
+        phoneNumberId,
+        queueId,
+        awaitingAssignment,
         limit = 20,
         offset = 0,
       } = req.query;
@@ -99,6 +112,9 @@ router.get(
         unreadOnly: unreadOnly === "true",
         conversationType,
         search,
+        phoneNumberId,
+        queueId,
+        awaitingAssignment: awaitingAssignment === "true",
         limit: parseInt(limit),
         offset: parseInt(offset),
       };
@@ -325,7 +341,7 @@ router.post(
       });
     } catch (error) {
       console.error("Error sending conversation message:", error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: "Failed to send message",
         error: error.message,
@@ -413,6 +429,8 @@ router.patch(
         req.body.userId
       );
 
+      await inboxEventService.publishAssignment(updatedConversation);
+
       res.json({
         success: true,
         message: "Conversation assigned successfully",
@@ -455,6 +473,7 @@ router.patch(
       }
 
       const updatedConversation = await Conversation.markAsRead(req.params.id);
+      await inboxEventService.publishUnreadCount(updatedConversation);
 
       res.json({
         success: true,
@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const multer = require("multer");
 const messageController = require('../controllers/messageController');
-const { authenticate, authorizeOrganization } = require("../middleware/auth");
+const {
+  authenticate,
+  authenticateStream,
+  authorizeOrganization,
+} = require("../middleware/auth");
+const { validateMessageSend } = require("../middleware/validation");
 
 
 // IMPORTANT: memory storage for S3
@@ -12,9 +17,10 @@ const upload = multer({
 });
 
 router.get("/inbox", authenticate, messageController.getInboxAudience);
+router.get("/inbox/events", authenticateStream, messageController.streamInboxEvents);
 router.get("/:conversationId/messages", authenticate, messageController.getConversationMessages);
 router.get("/:conversationId/is-active", authenticate, messageController.canSendMessage);
-router.post("/:conversationId/send", authenticate, messageController.sendMessage);
+router.post("/:conversationId/send", authenticate, validateMessageSend, messageController.sendMessage);
 router.post("/:conversationId/read", authenticate, messageController.markConversationRead);
 router.post(
   "/upload-media",
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+
+const notificationController = require("../controllers/notificationController");
+const { authenticate } = require("../middleware/auth");
+const {
+  validateUUID,
+  validatePagination,
+} = require("../middleware/validation");
+
+// All routes require authentication; users only see their own notifications
+router.use(authenticate);
+
+// Get the current user's notifications
+router.get("/", validatePagination, notificationController.getNotifications);
+
+// Mark all notifications as read
+router.post("/read-all", notificationController.markAllNotificationsRead);
+
+// Mark a notification as read
+router.patch(
+  "/:notificationId/read",
+  validateUUID("notificationId"),
+  notificationController.markNotificationRead
+);
+
+module.exports = router;
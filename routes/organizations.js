@@ -2,15 +2,25 @@ const express = require('express');
 const router = express.Router();
 
 const organizationController = require('../controllers/organizationController');
+const phoneNumberController = require('../controllers/phoneNumberController');
+const conversationRoutingController = require('../controllers/conversationRoutingController');
+const cannedResponseController = require('../controllers/cannedResponseController');
 const { authenticate, authorize, authorizeOrganization } = require('../middleware/auth');
 const { 
   validateOrganizationCreation, 
   validateOrganizationUpdate, 
   validateUUID,
   validatePagination,
+  validateRoutingSettings,
+  validateConversationQueueCreation,
+  validateConversationQueueUpdate,
+  validateAgentUpdate,
+  validateCannedResponseCreation,
+  validateCannedResponseUpdate,
+  validateCannedResponsePreview,
   handleValidationErrors 
 } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 
 // All routes require authentication
 router.use(authenticate);
@@ -81,6 +91,18 @@ router.put('/:organizationId/whatsapp-config',
       .trim()
       .isLength({ min: 1 })
       .withMessage('WhatsApp Phone Number ID cannot be empty'),
+    body('whatsapp_messaging_tier')
+      .optional()
+      .isIn(['TIER_1K', 'TIER_10K', 'TIER_100K', 'TIER_UNLIMITED'])
+      .withMessage('Invalid WhatsApp messaging tier'),
+    body('whatsapp_messages_per_second')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Messages per second must be between 1 and 1000'),
+    body('message_transport')
+      .optional({ nullable: true })
+      .isIn(['sqs', 'postgres', 'graph_api'])
+      .withMessage('Message transport must be sqs, postgres or graph_api'),
     handleValidationErrors
   ],
   authorizeOrganization,
@@ -95,4 +117,186 @@ router.get('/:organizationId/whatsapp-config',
   organizationController.getWhatsAppConfig
 );
 
+// Get messaging tier limits and remaining 24h quota
+router.get('/:organizationId/messaging-limits',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  organizationController.getMessagingLimits
+);
+
+// Get the WhatsApp numbers of the organization's business account
+router.get('/:organizationId/phone-numbers',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  phoneNumberController.getPhoneNumbers
+);
+
+// Fetch the numbers from WhatsApp
+router.post('/:organizationId/phone-numbers/sync',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  phoneNumberController.syncPhoneNumbers
+);
+
+// Label a number or make it the default sender
+router.patch('/:organizationId/phone-numbers/:phoneNumberId',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  [
+    param('phoneNumberId')
+      .matches(/^\d+$/)
+      .withMessage('Phone number ID must be a WhatsApp phone number ID'),
+    body('label')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label must be less than 100 characters'),
+    body('is_default')
+      .optional()
+      .isBoolean()
+      .withMessage('is_default must be a boolean'),
+    handleValidationErrors
+  ],
+  authorizeOrganization,
+  phoneNumberController.updatePhoneNumber
+);
+
+// Get the conversation routing mode, agent capacity and escalation wait
+router.get('/:organizationId/conversation-routing',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  conversationRoutingController.getRoutingSettings
+);
+
+// Update conversation routing
+router.put('/:organizationId/conversation-routing',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateRoutingSettings,
+  authorizeOrganization,
+  conversationRoutingController.updateRoutingSettings
+);
+
+// Get rule-based conversation queues
+router.get('/:organizationId/conversation-queues',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  conversationRoutingController.getQueues
+);
+
+// Create a conversation queue
+router.post('/:organizationId/conversation-queues',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateConversationQueueCreation,
+  authorizeOrganization,
+  conversationRoutingController.createQueue
+);
+
+// Update a conversation queue
+router.put('/:organizationId/conversation-queues/:queueId',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateUUID('queueId'),
+  validateConversationQueueUpdate,
+  authorizeOrganization,
+  conversationRoutingController.updateQueue
+);
+
+// Delete a conversation queue
+router.delete('/:organizationId/conversation-queues/:queueId',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateUUID('queueId'),
+  authorizeOrganization,
+  conversationRoutingController.deleteQueue
+);
+
+// Get agents with availability, open conversations and capacity
+router.get('/:organizationId/agents',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  conversationRoutingController.getAgents
+);
+
+// Set an agent's availability or capacity
+router.patch('/:organizationId/agents/:userId',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  validateUUID('userId'),
+  validateAgentUpdate,
+  authorizeOrganization,
+  conversationRoutingController.updateAgent
+);
+
+// Search canned responses by text, category or shortcut prefix
+router.get('/:organizationId/canned-responses',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  validatePagination,
+  authorizeOrganization,
+  cannedResponseController.getCannedResponses
+);
+
+// Get canned response categories
+router.get('/:organizationId/canned-responses/categories',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  authorizeOrganization,
+  cannedResponseController.getCategories
+);
+
+// Get a canned response
+router.get('/:organizationId/canned-responses/:cannedResponseId',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  validateUUID('cannedResponseId'),
+  authorizeOrganization,
+  cannedResponseController.getCannedResponse
+);
+
+// Create a canned response
+router.post('/:organizationId/canned-responses',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateCannedResponseCreation,
+  authorizeOrganization,
+  cannedResponseController.createCannedResponse
+);
+
+// Update a canned response
+router.put('/:organizationId/canned-responses/:cannedResponseId',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateUUID('cannedResponseId'),
+  validateCannedResponseUpdate,
+  authorizeOrganization,
+  cannedResponseController.updateCannedResponse
+);
+
+// Delete a canned response
+router.delete('/:organizationId/canned-responses/:cannedResponseId',
+  authorize('super_admin', 'system_admin', 'organization_admin'),
+  validateUUID('organizationId'),
+  validateUUID('cannedResponseId'),
+  authorizeOrganization,
+  cannedResponseController.deleteCannedResponse
+);
+
+// Fill a canned response's variables for a conversation
+router.post('/:organizationId/canned-responses/:cannedResponseId/preview',
+  authorize('super_admin', 'system_admin', 'organization_admin', 'organization_user'),
+  validateUUID('organizationId'),
+  validateUUID('cannedResponseId'),
+  validateCannedResponsePreview,
+  authorizeOrganization,
+  cannedResponseController.previewCannedResponse
+);
+
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+
+const otpController = require("../controllers/otpController");
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  validateOtpSend,
+  validateOtpVerify,
+  validateUUID,
+} = require("../middleware/validation");
+
+// All routes require authentication
+router.use(authenticate);
+
+// Organization admins send and verify codes for their own organization
+router.post(
+  "/send",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateOtpSend,
+  otpController.sendOtp
+);
+
+router.post(
+  "/verify",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateOtpVerify,
+  otpController.verifyOtp
+);
+
+// Delivery and verification status of a sent code
+router.get(
+  "/:otpId",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("otpId"),
+  otpController.getOtpRequest
+);
+
+module.exports = router;
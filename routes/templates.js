@@ -11,6 +11,7 @@ const {
   validateTemplateCreation,
   validateTemplateUpdate,
   validateTemplateRejection,
+  validateTemplatePreview,
   validateUUID,
   validatePagination,
 } = require("../middleware/validation");
@@ -32,6 +33,18 @@ router.get(
   templateController.getPendingAdminApprovalTemplates
 );
 
+// Get the languages templates can be created in
+router.get(
+  "/languages",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  templateController.getTemplateLanguages
+);
+
 // Organization-specific template routes
 // Get templates for an organization
 router.get(
@@ -138,6 +151,15 @@ router.put(
   templateController.updateTemplateParameters
 );
 
+// Preview a template rendered with sample audience data
+router.post(
+  "/:templateId/preview",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("templateId"),
+  validateTemplatePreview,
+  templateController.previewTemplate
+);
+
 // Sync templates from WhatsApp Business API (super admin and system admin only)
 router.post(
   "/organization/:organizationId/sync-whatsapp",
@@ -146,6 +168,37 @@ router.post(
   templateController.syncTemplatesFromWhatsApp
 );
 
+// Get template sync history for an organization
+router.get(
+  "/organization/:organizationId/sync-history",
+  authorize("super_admin", "system_admin", "organization_admin"),
+  validateUUID("organizationId"),
+  validatePagination,
+  authorizeOrganization,
+  templateController.getTemplateSyncHistory
+);
+
+// Get template families (one template per language) for an organization
+router.get(
+  "/organization/:organizationId/families",
+  authorize(
+    "super_admin",
+    "system_admin",
+    "organization_admin",
+    "organization_user"
+  ),
+  validateUUID("organizationId"),
+  authorizeOrganization,
+  templateController.getTemplateFamilies
+);
+
+// Sync templates of all organizations now (super admin and system admin only)
+router.post(
+  "/sync-whatsapp",
+  authorize("super_admin", "system_admin"),
+  templateController.syncAllTemplatesFromWhatsApp
+);
+
 // Get all templates (role-based filtering)
 router.get(
   "/",
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+
+const webhookController = require("../controllers/webhookController");
+const { validateUUID } = require("../middleware/validation");
+
+// WhatsApp Cloud API webhooks are called by Meta, so these routes are
+// authenticated by verify token (GET) and payload signature (POST) instead of JWT
+router.get(
+  "/whatsapp/:organizationId",
+  validateUUID("organizationId"),
+  webhookController.verifyWebhook
+);
+
+router.post(
+  "/whatsapp/:organizationId",
+  validateUUID("organizationId"),
+  webhookController.receiveWebhook
+);
+
+module.exports = router;
@@ -117,6 +117,7 @@ class DatabaseInitializer {
         DROP TABLE IF EXISTS audience_master CASCADE;
         DROP TABLE IF EXISTS asset_generate_files CASCADE;
         DROP TABLE IF EXISTS templates CASCADE;
+        DROP TABLE IF EXISTS template_languages CASCADE;
         DROP TABLE IF EXISTS users CASCADE;
         DROP TABLE IF EXISTS organizations CASCADE;
         DROP TYPE IF EXISTS webhook_event_type CASCADE;
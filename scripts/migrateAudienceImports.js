@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for CSV/XLSX audience imports
+ * Adds the audience_import_jobs table used to track background imports
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  `CREATE TABLE IF NOT EXISTS audience_import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    file_name VARCHAR(255),
+    file_type VARCHAR(10) NOT NULL,
+    file_data BYTEA,
+    column_mapping JSONB,
+    default_country VARCHAR(2),
+    dedupe_policy VARCHAR(20) NOT NULL DEFAULT 'skip',
+    total_rows INTEGER DEFAULT 0,
+    processed_rows INTEGER DEFAULT 0,
+    created_rows INTEGER DEFAULT 0,
+    updated_rows INTEGER DEFAULT 0,
+    skipped_rows INTEGER DEFAULT 0,
+    opted_out_rows INTEGER DEFAULT 0,
+    failed_rows INTEGER DEFAULT 0,
+    row_report JSONB DEFAULT '[]',
+    error_message TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );`,
+  `CREATE INDEX IF NOT EXISTS idx_audience_import_jobs_organization_id ON audience_import_jobs(organization_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_audience_import_jobs_status ON audience_import_jobs(status);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting audience import migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Audience import migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - audience_import_jobs table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'audience_import_jobs'
+      );
+    `);
+    console.log(
+      `Table audience_import_jobs: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateAudienceImports.js [migrate|status]");
+        console.log("  migrate: Add the audience import jobs table");
+        console.log("  status:  Check if the audience import table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
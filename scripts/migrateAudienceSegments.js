@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for audience segments
+ * Adds the audience_segments table holding saved rule trees that are
+ * evaluated against audience_master.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Saved segments; rules is a tree of and/or groups and conditions
+  `CREATE TABLE IF NOT EXISTS audience_segments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    rules JSONB NOT NULL,
+    last_count INTEGER,
+    last_counted_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT audience_segments_org_name_unique UNIQUE (organization_id, name)
+  );`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_audience_segments_organization_id ON audience_segments(organization_id);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting audience segments migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Audience segments migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - audience_segments table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'audience_segments'
+      );
+    `);
+    console.log(
+      `Table audience_segments: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateAudienceSegments.js [migrate|status]");
+        console.log("  migrate: Add the audience_segments table");
+        console.log("  status:  Check if the table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
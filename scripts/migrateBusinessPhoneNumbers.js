@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for multiple business phone numbers
+ * Adds organization_phone_numbers, the sender number of campaigns, and keys
+ * conversations by business number and customer
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // WhatsApp numbers of each organization's business account
+  `CREATE TABLE IF NOT EXISTS organization_phone_numbers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    phone_number_id VARCHAR(50) NOT NULL,
+    display_phone_number VARCHAR(20),
+    verified_name VARCHAR(255),
+    label VARCHAR(100),
+    quality_rating VARCHAR(20),
+    status VARCHAR(50),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    last_synced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT organization_phone_numbers_unique UNIQUE (organization_id, phone_number_id)
+  );`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_organization_phone_numbers_phone_number_id ON organization_phone_numbers(phone_number_id);`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_phone_numbers_default ON organization_phone_numbers(organization_id) WHERE is_default;`,
+
+  // The number configured on the organization becomes its default
+  `INSERT INTO organization_phone_numbers (organization_id, phone_number_id, is_default)
+   SELECT id, whatsapp_phone_number_id, true FROM organizations
+   WHERE whatsapp_phone_number_id IS NOT NULL AND whatsapp_phone_number_id <> ''
+   ON CONFLICT (organization_id, phone_number_id) DO NOTHING;`,
+
+  // Sender of a campaign; NULL sends from the default number
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS phone_number_id VARCHAR(50);`,
+
+  // Conversations are kept per business number and customer
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS phone_number_id VARCHAR(50);`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS business_phone_number VARCHAR(20);`,
+  `UPDATE conversations c SET phone_number_id = o.whatsapp_phone_number_id
+   FROM organizations o
+   WHERE c.organization_id = o.id AND c.phone_number_id IS NULL
+   AND o.whatsapp_phone_number_id IS NOT NULL AND o.whatsapp_phone_number_id <> '';`,
+  `ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_customer_org_unique;`,
+  // NULL numbers compare equal, so a customer has one conversation without a
+  // business number too
+  `DROP INDEX IF EXISTS conversations_org_number_customer_unique;`,
+  `CREATE UNIQUE INDEX conversations_org_number_customer_unique ON conversations(organization_id, COALESCE(phone_number_id, ''), customer_phone);`,
+
+  `CREATE OR REPLACE FUNCTION get_or_create_conversation(
+    p_organization_id UUID,
+    p_customer_phone VARCHAR,
+    p_phone_number_id VARCHAR,
+    p_business_phone_number VARCHAR,
+    p_customer_name VARCHAR,
+    p_conversation_type conversation_type,
+    p_related_campaign_id UUID
+  )
+  RETURNS UUID AS $$
+  DECLARE
+    v_conversation_id UUID;
+  BEGIN
+    SELECT id INTO v_conversation_id
+    FROM conversations
+    WHERE organization_id = p_organization_id
+      AND customer_phone = p_customer_phone
+      AND phone_number_id IS NOT DISTINCT FROM p_phone_number_id;
+
+    IF v_conversation_id IS NULL THEN
+      INSERT INTO conversations (
+        organization_id,
+        customer_phone,
+        phone_number_id,
+        business_phone_number,
+        customer_name,
+        conversation_type,
+        related_campaign_id
+      ) VALUES (
+        p_organization_id,
+        p_customer_phone,
+        p_phone_number_id,
+        p_business_phone_number,
+        p_customer_name,
+        COALESCE(p_conversation_type, 'general'),
+        p_related_campaign_id
+      )
+      ON CONFLICT (organization_id, COALESCE(phone_number_id, ''), customer_phone)
+      DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+      RETURNING id INTO v_conversation_id;
+    END IF;
+
+    RETURN v_conversation_id;
+  END;
+  $$ LANGUAGE plpgsql;`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting business phone numbers migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log(
+      "\n✅ business phone numbers migration completed successfully!"
+    );
+    console.log("\n📋 Changes:");
+    console.log("  - organization_phone_numbers table");
+    console.log("  - campaigns.phone_number_id column");
+    console.log(
+      "  - conversations.phone_number_id and business_phone_number columns"
+    );
+    console.log("  - get_or_create_conversation keyed by business number");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'organization_phone_numbers'
+      );
+    `);
+    console.log(
+      `Table organization_phone_numbers: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    for (const [table, column] of [
+      ["campaigns", "phone_number_id"],
+      ["conversations", "phone_number_id"],
+      ["conversations", "business_phone_number"],
+    ]) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = $1
+          AND column_name = $2
+        );
+      `,
+        [table, column]
+      );
+      console.log(
+        `Column ${table}.${column}: ${
+          result.rows[0].exists ? "✅ Exists" : "❌ Missing"
+        }`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log(
+          "Usage: node migrateBusinessPhoneNumbers.js [migrate|status]"
+        );
+        console.log("  migrate: Add business phone numbers");
+        console.log("  status:  Check if the table and columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
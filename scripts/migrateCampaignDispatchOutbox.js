@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for the campaign dispatch outbox
+ * Adds the campaign_dispatch_outbox table. Audience rows are moved to
+ * 'ready_to_send' in the same transaction that writes their outbox entry.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // One entry per campaign_audience row
+  `CREATE TABLE IF NOT EXISTS campaign_dispatch_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    campaign_audience_id UUID NOT NULL UNIQUE REFERENCES campaign_audience(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'publishing', 'published', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    available_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    transport_message_id VARCHAR(255),
+    published_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );`,
+  `CREATE INDEX IF NOT EXISTS idx_campaign_dispatch_outbox_due ON campaign_dispatch_outbox(available_at, created_at) WHERE status = 'pending';`,
+  `CREATE INDEX IF NOT EXISTS idx_campaign_dispatch_outbox_campaign_status ON campaign_dispatch_outbox(campaign_id, status);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting campaign dispatch outbox migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log(
+      "\n✅ Campaign dispatch outbox migration completed successfully!"
+    );
+    console.log("\n📋 Changes:");
+    console.log("  - campaign_dispatch_outbox table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'campaign_dispatch_outbox'
+      );
+    `);
+    console.log(
+      `Table campaign_dispatch_outbox: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log(
+          "Usage: node migrateCampaignDispatchOutbox.js [migrate|status]"
+        );
+        console.log("  migrate: Add campaign dispatch outbox table");
+        console.log("  status:  Check if the campaign dispatch outbox exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script to add scheduling and recurrence columns to campaigns
+ * Used by the campaign scheduler for recurring campaigns and their runs
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Recurrence definition on the parent campaign
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS recurrence_timezone VARCHAR(64) DEFAULT 'UTC';`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS recurrence_end_at TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE;`,
+
+  // Link from each cloned run back to its recurring parent
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS parent_campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS run_number INTEGER;`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_campaigns_next_run_at ON campaigns(next_run_at);`,
+  `CREATE INDEX IF NOT EXISTS idx_campaigns_parent_campaign_id ON campaigns(parent_campaign_id);`,
+
+  // Recurring campaigns approved before this migration start from their scheduled date
+  `UPDATE campaigns
+   SET next_run_at = scheduled_at
+   WHERE campaign_type = 'recurring'
+   AND status = 'scheduled'
+   AND next_run_at IS NULL;`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting campaign scheduling migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Campaign scheduling migration completed successfully!");
+    console.log("\n📋 Columns added to campaigns:");
+    console.log("  - recurrence_rule, recurrence_timezone, recurrence_end_at");
+    console.log("  - next_run_at");
+    console.log("  - parent_campaign_id, run_number");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const columns = [
+      "recurrence_rule",
+      "recurrence_timezone",
+      "recurrence_end_at",
+      "next_run_at",
+      "parent_campaign_id",
+      "run_number",
+    ];
+
+    for (const column of columns) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = 'campaigns'
+          AND column_name = $1
+        );
+      `,
+        [column]
+      );
+
+      const exists = result.rows[0].exists;
+      console.log(
+        `Column campaigns.${column}: ${exists ? "✅ Exists" : "❌ Missing"}`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateCampaignScheduling.js [migrate|status]");
+        console.log("  migrate: Add scheduling and recurrence columns");
+        console.log("  status:  Check if the columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for campaign statistics
+ * Records the template each audience row was sent with, so template usage
+ * counters credit A/B variants and family languages.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Template actually sent: the variant's, or the family language picked
+  `ALTER TABLE campaign_audience ADD COLUMN IF NOT EXISTS sent_template_id UUID REFERENCES templates(id) ON DELETE SET NULL;`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_campaign_audience_sent_template_id ON campaign_audience(sent_template_id);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting campaign statistics migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Campaign statistics migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - campaign_audience.sent_template_id");
+    console.log("  - campaign_audience (sent_template_id) index");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const result = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.columns
+        WHERE table_name = 'campaign_audience'
+        AND column_name = 'sent_template_id'
+      );
+    `);
+    console.log(
+      `Column campaign_audience.sent_template_id: ${
+        result.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateCampaignStatistics.js [migrate|status]");
+        console.log("  migrate: Add the sent template column");
+        console.log("  status:  Check if the column exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for campaign A/B testing
+ * Adds the campaign_variants table, the A/B test settings on campaigns and
+ * the variant assignment on campaign_audience.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // One row per template variant of a campaign
+  `CREATE TABLE IF NOT EXISTS campaign_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    template_id UUID NOT NULL REFERENCES templates(id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_winner BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT campaign_variants_name_unique UNIQUE (campaign_id, name)
+  );`,
+
+  // A/B test settings
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_sample_percentage INTEGER DEFAULT 100 CHECK (ab_test_sample_percentage BETWEEN 1 AND 100);`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_window_hours INTEGER DEFAULT 24;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_winning_metric VARCHAR(20) DEFAULT 'read_rate' CHECK (ab_test_winning_metric IN ('read_rate', 'reply_rate'));`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_auto_promote BOOLEAN DEFAULT false;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_winner_variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL;`,
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_promoted_at TIMESTAMP WITH TIME ZONE;`,
+
+  // Variant assignment of each audience row; held-out rows wait for the winner
+  `ALTER TABLE campaign_audience ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES campaign_variants(id) ON DELETE SET NULL;`,
+  `ALTER TABLE campaign_audience ADD COLUMN IF NOT EXISTS ab_test_holdout BOOLEAN DEFAULT false;`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_campaign_variants_campaign_id ON campaign_variants(campaign_id);`,
+  `CREATE INDEX IF NOT EXISTS idx_campaign_audience_variant_id ON campaign_audience(variant_id);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting campaign variants migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Campaign variants migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - campaign_variants table");
+    console.log(
+      "  - campaigns: ab_test_sample_percentage, ab_test_window_hours, ab_test_winning_metric"
+    );
+    console.log(
+      "  - campaigns: ab_test_auto_promote, ab_test_winner_variant_id, ab_test_promoted_at"
+    );
+    console.log("  - campaign_audience: variant_id, ab_test_holdout");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'campaign_variants'
+      );
+    `);
+    console.log(
+      `Table campaign_variants: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    const columns = [
+      ["campaigns", "ab_test_sample_percentage"],
+      ["campaigns", "ab_test_window_hours"],
+      ["campaigns", "ab_test_winning_metric"],
+      ["campaigns", "ab_test_auto_promote"],
+      ["campaigns", "ab_test_winner_variant_id"],
+      ["campaigns", "ab_test_promoted_at"],
+      ["campaign_audience", "variant_id"],
+      ["campaign_audience", "ab_test_holdout"],
+    ];
+
+    for (const [table, column] of columns) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = $1
+          AND column_name = $2
+        );
+      `,
+        [table, column]
+      );
+
+      const exists = result.rows[0].exists;
+      console.log(
+        `Column ${table}.${column}: ${exists ? "✅ Exists" : "❌ Missing"}`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateCampaignVariants.js [migrate|status]");
+        console.log("  migrate: Add campaign variants and A/B test columns");
+        console.log("  status:  Check if the table and columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
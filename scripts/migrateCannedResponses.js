@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for canned responses
+ * Adds the canned_responses table of saved replies agents send from the inbox
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Saved replies with variables and an optional S3 attachment
+  `CREATE TABLE IF NOT EXISTS canned_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    shortcut VARCHAR(50) NOT NULL,
+    category VARCHAR(100),
+    content TEXT,
+    attachment_url TEXT,
+    attachment_key TEXT,
+    attachment_type VARCHAR(20) CHECK (attachment_type IN ('image', 'video', 'document')),
+    attachment_filename VARCHAR(255),
+    usage_count INTEGER NOT NULL DEFAULT 0,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT canned_responses_shortcut_unique UNIQUE (organization_id, shortcut),
+    CONSTRAINT canned_responses_body_check CHECK (content IS NOT NULL OR attachment_url IS NOT NULL)
+  );`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_canned_responses_organization_category ON canned_responses(organization_id, category);`,
+  `CREATE INDEX IF NOT EXISTS idx_canned_responses_organization_usage ON canned_responses(organization_id, usage_count DESC);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting canned responses migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Canned responses migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - canned_responses table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'canned_responses'
+      );
+    `);
+    console.log(
+      `Table canned_responses: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateCannedResponses.js [migrate|status]");
+        console.log("  migrate: Create the canned_responses table");
+        console.log("  status:  Check if the table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
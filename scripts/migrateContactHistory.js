@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for contact attribute history
+ * Adds the audience_attribute_history table that records every name and
+ * attribute edit made through the contact profile.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // One row per changed field; old/new values are NULL for added/removed attributes
+  `CREATE TABLE IF NOT EXISTS audience_attribute_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    audience_master_id UUID NOT NULL REFERENCES audience_master(id) ON DELETE CASCADE,
+    field VARCHAR(20) NOT NULL CHECK (field IN ('name', 'attribute')),
+    attribute_key VARCHAR(255),
+    old_value JSONB,
+    new_value JSONB,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_audience_attribute_history_contact ON audience_attribute_history(audience_master_id, created_at);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting contact history migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Contact history migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - audience_attribute_history table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'audience_attribute_history'
+      );
+    `);
+    console.log(
+      `Table audience_attribute_history: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateContactHistory.js [migrate|status]");
+        console.log("  migrate: Add the audience_attribute_history table");
+        console.log("  status:  Check if the table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for conversation routing
+ * Adds routing settings on organizations, agent availability and capacity
+ * on users, rule-based conversation queues, and the assignment wait and
+ * escalation of conversations
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Routing settings per organization
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS conversation_routing_mode VARCHAR(20) DEFAULT 'manual'
+   CHECK (conversation_routing_mode IN ('manual', 'round_robin', 'least_open'));`,
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS conversation_routing_sticky BOOLEAN DEFAULT false;`,
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS max_concurrent_conversations INTEGER DEFAULT 10;`,
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS conversation_escalation_minutes INTEGER DEFAULT 15;`,
+
+  // Agent availability and capacity
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS availability_status VARCHAR(20) DEFAULT 'offline'
+   CHECK (availability_status IN ('online', 'away', 'offline'));`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS availability_updated_at TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS max_concurrent_conversations INTEGER;`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP WITH TIME ZONE;`,
+
+  // Rule-based queues and their agents
+  `CREATE TABLE IF NOT EXISTS conversation_queues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    routing_mode VARCHAR(20) NOT NULL DEFAULT 'round_robin'
+      CHECK (routing_mode IN ('round_robin', 'least_open')),
+    priority INTEGER NOT NULL DEFAULT 0,
+    conversation_types TEXT[] DEFAULT '{}',
+    tags TEXT[] DEFAULT '{}',
+    campaign_ids UUID[] DEFAULT '{}',
+    keywords TEXT[] DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT conversation_queues_name_unique UNIQUE (organization_id, name)
+  );`,
+  `CREATE TABLE IF NOT EXISTS conversation_queue_members (
+    queue_id UUID NOT NULL REFERENCES conversation_queues(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (queue_id, user_id)
+  );`,
+  `CREATE INDEX IF NOT EXISTS idx_conversation_queues_organization_id ON conversation_queues(organization_id, priority);`,
+  `CREATE INDEX IF NOT EXISTS idx_conversation_queue_members_user_id ON conversation_queue_members(user_id);`,
+
+  // Queue and assignment wait of each conversation
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS queue_id UUID REFERENCES conversation_queues(id) ON DELETE SET NULL;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS awaiting_assignment_since TIMESTAMP WITH TIME ZONE;`,
+  `ALTER TABLE conversations ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_awaiting_assignment ON conversations(awaiting_assignment_since)
+   WHERE awaiting_assignment_since IS NOT NULL;`,
+  `CREATE INDEX IF NOT EXISTS idx_conversations_assignee_status ON conversations(assigned_to_user_id, conversation_status);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting conversation routing migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Conversation routing migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log(
+      "  - organizations routing mode, sticky, capacity and escalation"
+    );
+    console.log("  - users availability_status, max_concurrent_conversations");
+    console.log(
+      "  - conversation_queues and conversation_queue_members tables"
+    );
+    console.log(
+      "  - conversations.queue_id, awaiting_assignment_since, escalated_at"
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    for (const table of ["conversation_queues", "conversation_queue_members"]) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `,
+        [table]
+      );
+      console.log(
+        `Table ${table}: ${result.rows[0].exists ? "✅ Exists" : "❌ Missing"}`
+      );
+    }
+
+    for (const [table, column] of [
+      ["organizations", "conversation_routing_mode"],
+      ["users", "availability_status"],
+      ["users", "max_concurrent_conversations"],
+      ["conversations", "queue_id"],
+      ["conversations", "awaiting_assignment_since"],
+      ["conversations", "escalated_at"],
+    ]) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = $1
+          AND column_name = $2
+        );
+      `,
+        [table, column]
+      );
+      console.log(
+        `Column ${table}.${column}: ${
+          result.rows[0].exists ? "✅ Exists" : "❌ Missing"
+        }`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log(
+          "Usage: node migrateConversationRouting.js [migrate|status]"
+        );
+        console.log("  migrate: Add conversation routing");
+        console.log("  status:  Check if the tables and columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runMigration,
+  checkMigrationStatus,
+};
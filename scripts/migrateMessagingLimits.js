@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for per-number messaging limits
+ * Adds the 'throttled' audience status, tier settings on organizations and
+ * the recipient log used for rolling 24h unique-recipient counts
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+// Enum values cannot be added inside a transaction block on older PostgreSQL
+const enumQueries = [
+  `ALTER TYPE message_status_extended ADD VALUE IF NOT EXISTS 'throttled' BEFORE 'sent';`,
+];
+
+const migrationQueries = [
+  // Messaging tier settings per organization
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS whatsapp_messaging_tier VARCHAR(20) DEFAULT 'TIER_1K';`,
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS whatsapp_messages_per_second INTEGER DEFAULT 80;`,
+
+  // Unique recipients per sending number
+  `CREATE TABLE IF NOT EXISTS messaging_recipient_log (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    phone_number_id TEXT NOT NULL,
+    msisdn TEXT NOT NULL,
+    last_sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (organization_id, phone_number_id, msisdn)
+  );`,
+  `CREATE INDEX IF NOT EXISTS idx_messaging_recipient_log_window ON messaging_recipient_log(organization_id, phone_number_id, last_sent_at);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting messaging limits migration...\n");
+
+    for (const query of enumQueries) {
+      await client.query(query);
+    }
+    console.log("✅ Enum message_status_extended includes 'throttled'");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Messaging limits migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - campaign_audience status 'throttled'");
+    console.log(
+      "  - organizations.whatsapp_messaging_tier, whatsapp_messages_per_second"
+    );
+    console.log("  - messaging_recipient_log table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const enumResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM pg_enum e
+        JOIN pg_type t ON e.enumtypid = t.oid
+        WHERE t.typname = 'message_status_extended'
+        AND e.enumlabel = 'throttled'
+      );
+    `);
+    console.log(
+      `Status 'throttled': ${
+        enumResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    const columns = ["whatsapp_messaging_tier", "whatsapp_messages_per_second"];
+    for (const column of columns) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = 'organizations'
+          AND column_name = $1
+        );
+      `,
+        [column]
+      );
+      console.log(
+        `Column organizations.${column}: ${
+          result.rows[0].exists ? "✅ Exists" : "❌ Missing"
+        }`
+      );
+    }
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'messaging_recipient_log'
+      );
+    `);
+    console.log(
+      `Table messaging_recipient_log: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateMessagingLimits.js [migrate|status]");
+        console.log("  migrate: Add messaging limit columns and tables");
+        console.log("  status:  Check if the messaging limit changes exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for the opt-out suppression list
+ * Adds the 'skipped_opted_out' audience status, per-organization opt-out /
+ * opt-in keywords and the suppression_list table
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+// Enum values cannot be added inside a transaction block on older PostgreSQL
+const enumQueries = [
+  `ALTER TYPE message_status_extended ADD VALUE IF NOT EXISTS 'skipped_opted_out' BEFORE 'sent';`,
+];
+
+const migrationQueries = [
+  // Opt-out / opt-in keywords per organization (NULL = defaults)
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS opt_out_keywords TEXT[];`,
+  `ALTER TABLE organizations ADD COLUMN IF NOT EXISTS opt_in_keywords TEXT[];`,
+
+  // Numbers that must not be messaged
+  `CREATE TABLE IF NOT EXISTS suppression_list (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    msisdn VARCHAR(20) NOT NULL,
+    reason VARCHAR(50) NOT NULL DEFAULT 'manual',
+    keyword VARCHAR(100),
+    notes TEXT,
+    source_message_id VARCHAR(255),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT suppression_list_org_msisdn_unique UNIQUE (organization_id, msisdn)
+  );`,
+  `CREATE INDEX IF NOT EXISTS idx_suppression_list_organization_id ON suppression_list(organization_id);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting suppression list migration...\n");
+
+    for (const query of enumQueries) {
+      await client.query(query);
+    }
+    console.log("✅ Enum message_status_extended includes 'skipped_opted_out'");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Suppression list migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - campaign_audience status 'skipped_opted_out'");
+    console.log("  - organizations.opt_out_keywords, opt_in_keywords");
+    console.log("  - suppression_list table");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const enumResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM pg_enum e
+        JOIN pg_type t ON e.enumtypid = t.oid
+        WHERE t.typname = 'message_status_extended'
+        AND e.enumlabel = 'skipped_opted_out'
+      );
+    `);
+    console.log(
+      `Status 'skipped_opted_out': ${
+        enumResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    const columns = ["opt_out_keywords", "opt_in_keywords"];
+    for (const column of columns) {
+      const result = await client.query(
+        `
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_name = 'organizations'
+          AND column_name = $1
+        );
+      `,
+        [column]
+      );
+      console.log(
+        `Column organizations.${column}: ${
+          result.rows[0].exists ? "✅ Exists" : "❌ Missing"
+        }`
+      );
+    }
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'suppression_list'
+      );
+    `);
+    console.log(
+      `Table suppression_list: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateSuppressionList.js [migrate|status]");
+        console.log("  migrate: Add suppression list columns and tables");
+        console.log("  status:  Check if the suppression list changes exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for multi-language template families
+ * Lets a campaign target every language of its template's family and pick
+ * the language per contact.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const CAMPAIGN_COLUMNS = [
+  "use_template_family",
+  "language_attribute",
+  "fallback_language",
+];
+
+const migrationQueries = [
+  // Send each contact the family template in their language
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS use_template_family BOOLEAN DEFAULT false;`,
+
+  // Contact attribute holding the preferred language
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS language_attribute VARCHAR(100) DEFAULT 'preferred_language';`,
+
+  // Language sent when neither the attribute nor the country code match;
+  // NULL means the campaign template's language
+  `ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS fallback_language VARCHAR(20);`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_templates_organization_name ON templates(organization_id, name);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting template families migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Template families migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log(
+      "  - campaigns.use_template_family, language_attribute, fallback_language"
+    );
+    console.log("  - templates (organization_id, name) index");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const columnResult = await client.query(
+      `
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'campaigns'
+      AND column_name = ANY($1)
+    `,
+      [CAMPAIGN_COLUMNS]
+    );
+    const columns = columnResult.rows.map((row) => row.column_name);
+    CAMPAIGN_COLUMNS.forEach((column) => {
+      console.log(
+        `Column campaigns.${column}: ${
+          columns.includes(column) ? "✅ Exists" : "❌ Missing"
+        }`
+      );
+    });
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateTemplateFamilies.js [migrate|status]");
+        console.log("  migrate: Add the campaign template family columns");
+        console.log("  status:  Check if the columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
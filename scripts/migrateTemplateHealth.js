@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for template health tracking
+ * Adds the notifications table and the campaign columns used to pause
+ * campaigns automatically when WhatsApp pauses, disables or rates a
+ * template RED, and to resume them once the template is approved again.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // One row per recipient; data carries the ids the notification refers to
+  `CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    data JSONB DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );`,
+
+  // Why a campaign was paused, and the status to restore when it resumes
+  `ALTER TABLE campaigns
+   ADD COLUMN IF NOT EXISTS paused_reason TEXT,
+   ADD COLUMN IF NOT EXISTS paused_by_template_id UUID REFERENCES templates(id) ON DELETE SET NULL,
+   ADD COLUMN IF NOT EXISTS paused_from_status campaign_status;`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);`,
+  `CREATE INDEX IF NOT EXISTS idx_campaigns_paused_by_template_id ON campaigns(paused_by_template_id);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting template health migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Template health migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - notifications table");
+    console.log(
+      "  - campaigns.paused_reason, paused_by_template_id, paused_from_status columns"
+    );
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'notifications'
+      );
+    `);
+    console.log(
+      `Table notifications: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    const columnResult = await client.query(`
+      SELECT column_name FROM information_schema.columns
+      WHERE table_name = 'campaigns'
+      AND column_name IN ('paused_reason', 'paused_by_template_id', 'paused_from_status')
+    `);
+    const columns = columnResult.rows.map((row) => row.column_name);
+    ["paused_reason", "paused_by_template_id", "paused_from_status"].forEach(
+      (column) => {
+        console.log(
+          `Column campaigns.${column}: ${
+            columns.includes(column) ? "✅ Exists" : "❌ Missing"
+          }`
+        );
+      }
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateTemplateHealth.js [migrate|status]");
+        console.log(
+          "  migrate: Add the notifications table and campaign pause columns"
+        );
+        console.log("  status:  Check if the table and columns exist");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for the WhatsApp template language list
+ * Replaces the template_language enum with the template_languages table of
+ * every locale WhatsApp supports. Existing templates keep their language.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+const { TEMPLATE_LANGUAGES } = require("../config/templateLanguages");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // Locales WhatsApp accepts for message templates
+  `CREATE TABLE IF NOT EXISTS template_languages (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );`,
+
+  {
+    text: `INSERT INTO template_languages (code, name)
+           SELECT * FROM unnest($1::varchar[], $2::varchar[])
+           ON CONFLICT (code) DO UPDATE SET name = EXCLUDED.name`,
+    values: [
+      TEMPLATE_LANGUAGES.map((language) => language.code),
+      TEMPLATE_LANGUAGES.map((language) => language.name),
+    ],
+  },
+
+  // Keep any language already stored, even one missing from the list
+  `INSERT INTO template_languages (code, name)
+   SELECT DISTINCT language::text, language::text FROM templates
+   ON CONFLICT (code) DO NOTHING;`,
+
+  // Convert the enum column in place; the cast keeps every row's value
+  `ALTER TABLE templates ALTER COLUMN language DROP DEFAULT;`,
+  `ALTER TABLE templates ALTER COLUMN language TYPE VARCHAR(20) USING language::text;`,
+  `ALTER TABLE templates ALTER COLUMN language SET DEFAULT 'en';`,
+
+  `DO $$ BEGIN
+    ALTER TABLE templates ADD CONSTRAINT templates_language_fkey
+      FOREIGN KEY (language) REFERENCES template_languages(code);
+  EXCEPTION
+    WHEN duplicate_object THEN null;
+  END $$;`,
+
+  `DROP TYPE IF EXISTS template_language;`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting template languages migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    const convertedResult = await client.query(
+      "SELECT COUNT(*)::int as count FROM templates"
+    );
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Template languages migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log(
+      `  - template_languages table (${TEMPLATE_LANGUAGES.length} locales)`
+    );
+    console.log(
+      `  - templates.language references template_languages (${convertedResult.rows[0].count} templates kept)`
+    );
+    console.log("  - template_language enum dropped");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'template_languages'
+      );
+    `);
+    console.log(
+      `Table template_languages: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    if (tableResult.rows[0].exists) {
+      const languageResult = await client.query(
+        "SELECT COUNT(*)::int as count FROM template_languages"
+      );
+      console.log(
+        `Locales: ${languageResult.rows[0].count}/${TEMPLATE_LANGUAGES.length}`
+      );
+    }
+
+    const columnResult = await client.query(`
+      SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'templates' AND column_name = 'language'
+    `);
+    console.log(
+      `Column templates.language converted: ${
+        columnResult.rows[0]?.data_type === "character varying"
+          ? "✅ Yes"
+          : "❌ No"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateTemplateLanguages.js [migrate|status]");
+        console.log(
+          "  migrate: Replace the template_language enum with the template_languages table"
+        );
+        console.log("  status:  Check if the table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Migration script for scheduled template sync
+ * Adds the template_sync_logs table and lets templates created by the
+ * scheduled sync have no creating user.
+ */
+
+require("dotenv").config();
+const { Pool } = require("pg");
+
+// Database connection
+const pool = new Pool({
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+});
+
+const migrationQueries = [
+  // One row per organization sync run; changes lists what the run did
+  `CREATE TABLE IF NOT EXISTS template_sync_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('scheduled', 'manual')),
+    triggered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    remote_count INTEGER DEFAULT 0,
+    created_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    deleted_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    error_count INTEGER DEFAULT 0,
+    changes JSONB DEFAULT '[]',
+    errors JSONB DEFAULT '[]',
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+  );`,
+
+  // Templates created by the scheduled sync have no creating user
+  `ALTER TABLE templates ALTER COLUMN created_by DROP NOT NULL;`,
+
+  // Indexes
+  `CREATE INDEX IF NOT EXISTS idx_template_sync_logs_organization_id ON template_sync_logs(organization_id, started_at);`,
+];
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🚀 Starting template sync migration...\n");
+
+    await client.query("BEGIN");
+
+    for (let i = 0; i < migrationQueries.length; i++) {
+      console.log(
+        `Executing migration step ${i + 1}/${migrationQueries.length}...`
+      );
+      await client.query(migrationQueries[i]);
+      console.log(`✅ Step ${i + 1} completed successfully`);
+    }
+
+    await client.query("COMMIT");
+
+    console.log("\n✅ Template sync migration completed successfully!");
+    console.log("\n📋 Changes:");
+    console.log("  - template_sync_logs table");
+    console.log("  - templates.created_by is nullable");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("❌ Migration failed:", error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function checkMigrationStatus() {
+  const client = await pool.connect();
+
+  try {
+    console.log("🔍 Checking migration status...\n");
+
+    const tableResult = await client.query(`
+      SELECT EXISTS (
+        SELECT FROM information_schema.tables
+        WHERE table_schema = 'public'
+        AND table_name = 'template_sync_logs'
+      );
+    `);
+    console.log(
+      `Table template_sync_logs: ${
+        tableResult.rows[0].exists ? "✅ Exists" : "❌ Missing"
+      }`
+    );
+
+    const columnResult = await client.query(`
+      SELECT is_nullable FROM information_schema.columns
+      WHERE table_name = 'templates' AND column_name = 'created_by'
+    `);
+    console.log(
+      `Column templates.created_by nullable: ${
+        columnResult.rows[0]?.is_nullable === "YES" ? "✅ Yes" : "❌ No"
+      }`
+    );
+  } catch (error) {
+    console.error("❌ Error checking migration status:", error.message);
+  } finally {
+    client.release();
+  }
+}
+
+// Main execution
+async function main() {
+  const command = process.argv[2];
+
+  try {
+    switch (command) {
+      case "migrate":
+        await runMigration();
+        break;
+      case "status":
+        await checkMigrationStatus();
+        break;
+      default:
+        console.log("Usage: node migrateTemplateSync.js [migrate|status]");
+        console.log("  migrate: Add the template_sync_logs table");
+        console.log("  status:  Check if the table exists");
+        break;
+    }
+  } catch (error) {
+    console.error("❌ Script execution failed:", error.message);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { runMigration, checkMigrationStatus };
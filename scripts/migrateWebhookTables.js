@@ -149,6 +149,9 @@ const migrationQueries = [
   `CREATE INDEX IF NOT EXISTS idx_incoming_messages_context_campaign ON incoming_messages(context_campaign_id);`,
   `CREATE INDEX IF NOT EXISTS idx_incoming_messages_timestamp ON incoming_messages(timestamp);`,
 
+  // Index used by the webhook receiver to match status updates to campaign audience
+  `CREATE INDEX IF NOT EXISTS idx_campaign_audience_whatsapp_message_id ON campaign_audience(whatsapp_message_id);`,
+
   // Create trigger for messages updated_at
   `CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();`,
@@ -20,6 +20,9 @@ const adminRoutes = require("./routes/admin");
 const dashboardRoutes = require("./routes/dashboard");
 const conversationRoutes = require("./routes/conversations");
 const messageRoutes = require("./routes/messages");
+const webhookRoutes = require("./routes/webhooks");
+const notificationRoutes = require("./routes/notifications");
+const otpRoutes = require("./routes/otp");
 
 // Create Express app
 const app = express();
@@ -47,7 +50,7 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN || "*",
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
 };
 app.use(cors(corsOptions));
@@ -62,14 +65,34 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Meta delivers webhooks from a small pool of IPs; don't throttle them
+  skip: (req) => req.originalUrl.startsWith("/api/webhooks"),
 });
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Logging middleware
+// Logging middleware; inbox event streams pass the access token in the
+// query string, so it is masked in the logged URL
+morgan.token("url", (req) =>
+  (req.originalUrl || req.url).replace(
+    /([?&]access_token=)[^&]*/gi,
+    "$1[REDACTED]"
+  )
+);
+
 if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 } else {
@@ -99,6 +122,9 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/otp", otpRoutes);
 
 // API documentation endpoint
 app.get("/api", (req, res) => {
@@ -132,8 +158,47 @@ app.get("/api", (req, res) => {
         "GET /api/organizations/:id/users": "Get organization users",
         "PUT /api/organizations/:id/whatsapp-config": "Update WhatsApp config",
         "GET /api/organizations/:id/whatsapp-config": "Get WhatsApp config",
+        "GET /api/organizations/:id/messaging-limits":
+          "Get messaging tier limits and remaining quota",
+        "GET /api/organizations/:id/phone-numbers":
+          "Get the business account's phone numbers",
+        "POST /api/organizations/:id/phone-numbers/sync":
+          "Sync phone numbers from WhatsApp",
+        "PATCH /api/organizations/:id/phone-numbers/:phoneNumberId":
+          "Label a phone number or make it the default",
+        "GET /api/organizations/:id/conversation-routing":
+          "Get conversation routing settings",
+        "PUT /api/organizations/:id/conversation-routing":
+          "Update routing mode, sticky agents, capacity and escalation wait",
+        "GET /api/organizations/:id/conversation-queues":
+          "Get rule-based conversation queues",
+        "POST /api/organizations/:id/conversation-queues":
+          "Create a conversation queue",
+        "PUT /api/organizations/:id/conversation-queues/:queueId":
+          "Update a conversation queue",
+        "DELETE /api/organizations/:id/conversation-queues/:queueId":
+          "Delete a conversation queue",
+        "GET /api/organizations/:id/agents":
+          "Get agents with availability and open conversations",
+        "PATCH /api/organizations/:id/agents/:userId":
+          "Set an agent's availability or capacity",
+        "GET /api/organizations/:id/canned-responses":
+          "Search canned responses by text, category or shortcut",
+        "GET /api/organizations/:id/canned-responses/categories":
+          "Get canned response categories",
+        "GET /api/organizations/:id/canned-responses/:cannedResponseId":
+          "Get a canned response",
+        "POST /api/organizations/:id/canned-responses":
+          "Create a canned response",
+        "PUT /api/organizations/:id/canned-responses/:cannedResponseId":
+          "Update a canned response",
+        "DELETE /api/organizations/:id/canned-responses/:cannedResponseId":
+          "Delete a canned response",
+        "POST /api/organizations/:id/canned-responses/:cannedResponseId/preview":
+          "Fill a canned response's variables for a conversation",
       },
       templates: {
+        "GET /api/templates/languages": "Get supported template languages",
         "GET /api/templates/pending-approval": "Get pending approval templates",
         "GET /api/templates/pending-admin-approval":
           "Get pending admin approval templates",
@@ -142,18 +207,28 @@ app.get("/api", (req, res) => {
           "Get auto reply templates",
         "POST /api/templates/organization/:id": "Create new template",
         "GET /api/templates/:id": "Get template by ID",
-        "PUT /api/templates/:id": "Update template",
-        "DELETE /api/templates/:id": "Delete template",
-        "POST /api/templates/:id/submit-approval": "Submit for approval",
+        "PUT /api/templates/:id":
+          "Update template (content edits are resubmitted to WhatsApp)",
+        "DELETE /api/templates/:id": "Delete template (also from WhatsApp)",
+        "POST /api/templates/:id/submit-approval":
+          "Submit template to WhatsApp for approval",
         "POST /api/templates/:id/approve": "Approve template",
         "POST /api/templates/:id/reject": "Reject template",
         "POST /api/templates/:id/admin-approve":
           "Admin approve with auto reply flag",
         "POST /api/templates/:id/admin-reject": "Admin reject template",
         "PUT /api/templates/:id/parameters": "Update template parameters",
+        "POST /api/templates/:id/preview":
+          "Preview template rendered with sample audience data",
         "PUT /api/templates/:id/auto-reply-status": "Update auto reply status",
         "POST /api/templates/organization/:id/sync-whatsapp":
           "Sync from WhatsApp API",
+        "GET /api/templates/organization/:id/sync-history":
+          "Get template sync history",
+        "GET /api/templates/organization/:id/families":
+          "Get template families (one template per language)",
+        "POST /api/templates/sync-whatsapp":
+          "Sync all organizations from WhatsApp API now",
       },
       campaigns: {
         "GET /api/campaigns/pending-approval": "Get pending approval campaigns",
@@ -169,16 +244,62 @@ app.get("/api", (req, res) => {
         "POST /api/campaigns/:id/start": "Start campaign",
         "POST /api/campaigns/:id/pause": "Pause campaign",
         "POST /api/campaigns/:id/cancel": "Cancel campaign",
+        "GET /api/campaigns/:id/runs": "Get recurring campaign run history",
+        "GET /api/campaigns/:id/dispatch": "Get campaign dispatch outbox status",
+        "GET /api/campaigns/:id/analytics?timezone=Asia/Kolkata":
+          "Get campaign funnel, time series, failure reasons and button clicks",
+        "GET /api/campaigns/:id/variants": "Get A/B test variants and results",
+        "PUT /api/campaigns/:id/variants": "Replace A/B test variants",
+        "POST /api/campaigns/:id/variants/:variantId/promote":
+          "Promote an A/B test variant to the held-out audience",
         "GET /api/campaigns/:id/audience?include_replies=true":
           "Get campaign audience with reply messages",
         "POST /api/campaigns/:id/audience": "Add audience to campaign",
+        "POST /api/campaigns/:id/audience/from-segment":
+          "Add the audience matching a saved segment to campaign",
         "DELETE /api/campaigns/:id/audience": "Remove audience from campaign",
         "PUT /api/campaigns/audience/:id/status": "Update message status",
+        "POST /api/campaigns/refresh-statistics":
+          "Roll up campaign statistics and complete finished campaigns",
       },
       audience: {
         "GET /api/audience/organization/:id": "Get master audience",
         "POST /api/audience/organization/:id": "Create audience record",
         "POST /api/audience/organization/:id/bulk": "Bulk create audience",
+        "GET /api/audience/organization/:id/suppressions":
+          "Get suppression list",
+        "POST /api/audience/organization/:id/suppressions":
+          "Add number to suppression list",
+        "GET /api/audience/organization/:id/suppressions/:msisdn":
+          "Check if number is suppressed",
+        "DELETE /api/audience/organization/:id/suppressions/:msisdn":
+          "Remove number from suppression list",
+        "GET /api/audience/organization/:id/suppressions/keywords":
+          "Get opt-out / opt-in keywords",
+        "PUT /api/audience/organization/:id/suppressions/keywords":
+          "Update opt-out / opt-in keywords",
+        "POST /api/audience/organization/:id/imports":
+          "Import audience from CSV/XLSX file (multipart)",
+        "GET /api/audience/organization/:id/imports": "Get import jobs",
+        "GET /api/audience/imports/:jobId": "Get import job progress",
+        "GET /api/audience/imports/:jobId/report.csv":
+          "Download import row report",
+        "GET /api/audience/organization/:id/contacts/:msisdn":
+          "Get contact profile (campaigns, timeline, conversations, opt-in)",
+        "PATCH /api/audience/organization/:id/contacts/:msisdn":
+          "Edit contact name and attributes",
+        "GET /api/audience/organization/:id/segments": "Get audience segments",
+        "POST /api/audience/organization/:id/segments": "Create segment",
+        "POST /api/audience/organization/:id/segments/preview":
+          "Count and sample audience matching unsaved rules",
+        "GET /api/audience/organization/:id/segments/:segmentId":
+          "Get segment",
+        "PUT /api/audience/organization/:id/segments/:segmentId":
+          "Update segment",
+        "DELETE /api/audience/organization/:id/segments/:segmentId":
+          "Delete segment",
+        "GET /api/audience/organization/:id/segments/:segmentId/preview":
+          "Count and sample audience matching segment",
       },
       "asset-files": {
         "GET /api/asset-files/organization/:id": "Get organization asset files",
@@ -200,6 +321,32 @@ app.get("/api", (req, res) => {
         "GET /api/dashboard/stats": "Get dashboard statistics (role-based)",
         "GET /api/dashboard/activities": "Get recent activities (role-based)",
       },
+      webhooks: {
+        "GET /api/webhooks/whatsapp/:organizationId":
+          "WhatsApp webhook verification (hub.challenge)",
+        "POST /api/webhooks/whatsapp/:organizationId":
+          "Receive WhatsApp webhook notifications (signed)",
+      },
+      notifications: {
+        "GET /api/notifications": "Get current user's notifications",
+        "PATCH /api/notifications/:id/read": "Mark notification as read",
+        "POST /api/notifications/read-all": "Mark all notifications as read",
+      },
+      otp: {
+        "POST /api/otp/send":
+          "Send a one-time password through an authentication template",
+        "POST /api/otp/verify": "Verify a one-time password",
+        "GET /api/otp/:id": "Get OTP delivery and verification status",
+      },
+      inbox: {
+        "GET /api/messages/inbox": "Get the organization's conversations",
+        "GET /api/messages/inbox/events":
+          "Stream inbox events (server-sent events, resumable with Last-Event-ID)",
+        "GET /api/messages/:conversationId/is-active":
+          "Check the 24-hour customer service window",
+        "POST /api/messages/:conversationId/send":
+          "Send a message or a canned response (templateId is sent instead once the window has closed)",
+      },
     },
   });
 });
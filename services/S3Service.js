@@ -80,6 +80,21 @@ class S3Service {
     );
   }
 
+  /**
+   * URL of an object in the bucket, in the form S3 returns for uploads
+   * @param {string} key
+   * @returns {string}
+   */
+  getObjectUrl(key) {
+    if (!this.bucket) {
+      throw new Error("S3 bucket not configured");
+    }
+
+    const region = process.env.AWS_REGION || "us-east-1";
+    const path = key.split("/").map(encodeURIComponent).join("/");
+    return `https://${this.bucket}.s3.${region}.amazonaws.com/${path}`;
+  }
+
   /**
    * Generate signed GET URL
    * @param {string} key
@@ -0,0 +1,155 @@
+const CampaignVariant = require("../models/CampaignVariant");
+const logger = require("../utils/logger");
+
+const WINNING_METRICS = ["read_rate", "reply_rate"];
+
+/**
+ * A/B Test Service
+ * Compares the template variants of a campaign and promotes the winner to
+ * the audience held out of the test
+ */
+class ABTestService {
+  constructor() {
+    this.minSampleSize = parseInt(process.env.AB_TEST_MIN_SAMPLE_SIZE) || 1;
+  }
+
+  /**
+   * Per-variant results with read and reply rates
+   * @param {Object} campaign - Campaign row
+   * @returns {Promise<Object>} A/B test report
+   */
+  async getVariantReport(campaign) {
+    const [stats, holdout] = await Promise.all([
+      CampaignVariant.getVariantStats(campaign.id),
+      CampaignVariant.countHoldout(campaign.id),
+    ]);
+
+    const variants = stats.map((variant) => ({
+      ...variant,
+      read_rate: this.toRate(variant.read, variant.sent),
+      reply_rate: this.toRate(variant.replied, variant.sent),
+    }));
+
+    const metric = this.getWinningMetric(campaign);
+    const leader = this.pickWinner(variants, metric);
+
+    const firstSentAt = variants
+      .map((variant) => variant.first_sent_at)
+      .filter(Boolean)
+      .sort((a, b) => new Date(a) - new Date(b))[0];
+    const windowHours = parseInt(campaign.ab_test_window_hours) || 24;
+
+    return {
+      settings: {
+        sample_percentage: campaign.ab_test_sample_percentage,
+        window_hours: windowHours,
+        winning_metric: metric,
+        auto_promote: !!campaign.ab_test_auto_promote,
+      },
+      variants,
+      holdout_count: holdout,
+      leader_variant_id: leader ? leader.id : null,
+      winner_variant_id: campaign.ab_test_winner_variant_id || null,
+      promoted_at: campaign.ab_test_promoted_at || null,
+      test_ends_at: firstSentAt
+        ? new Date(
+            new Date(firstSentAt).getTime() + windowHours * 60 * 60 * 1000
+          )
+        : null,
+    };
+  }
+
+  /**
+   * Pick the variant with the best rate for the metric. Ties go to the
+   * variant with more sends, then to the earlier one.
+   * @param {Array} variants - Variant results with rates
+   * @param {string} metric - 'read_rate' or 'reply_rate'
+   * @returns {Object|null} Winning variant, or null if none has enough sends
+   */
+  pickWinner(variants, metric) {
+    const eligible = variants.filter(
+      (variant) => variant.sent >= this.minSampleSize
+    );
+    if (eligible.length === 0) return null;
+
+    return eligible.reduce((best, variant) => {
+      if (variant[metric] > best[metric]) return variant;
+      if (variant[metric] === best[metric] && variant.sent > best.sent) {
+        return variant;
+      }
+      return best;
+    });
+  }
+
+  /**
+   * Promote a variant to the held-out audience
+   * @param {string} campaignId - Campaign ID
+   * @param {string} variantId - Variant ID
+   * @returns {Promise<number|null>} Rows released, or null if already promoted
+   */
+  async promoteWinner(campaignId, variantId) {
+    const released = await CampaignVariant.promoteWinner(campaignId, variantId);
+
+    if (released !== null) {
+      logger.info("A/B test winner promoted", {
+        campaignId,
+        variantId,
+        releasedAudience: released,
+      });
+    }
+
+    return released;
+  }
+
+  /**
+   * Promote the winner of every A/B test whose window has passed
+   * @returns {Promise<Array>} IDs of campaigns that were promoted
+   */
+  async promoteDueCampaigns() {
+    const promoted = [];
+    const campaigns = await CampaignVariant.findCampaignsDueForPromotion();
+
+    for (const campaign of campaigns) {
+      try {
+        const report = await this.getVariantReport(campaign);
+        if (!report.leader_variant_id) {
+          logger.debug("A/B test has no eligible variant yet", {
+            campaignId: campaign.id,
+          });
+          continue;
+        }
+
+        const released = await this.promoteWinner(
+          campaign.id,
+          report.leader_variant_id
+        );
+        if (released !== null) {
+          promoted.push(campaign.id);
+        }
+      } catch (error) {
+        logger.error("Error promoting A/B test winner", {
+          campaignId: campaign.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return promoted;
+  }
+
+  getWinningMetric(campaign) {
+    return WINNING_METRICS.includes(campaign.ab_test_winning_metric)
+      ? campaign.ab_test_winning_metric
+      : "read_rate";
+  }
+
+  /**
+   * Percentage of part in total, rounded to two decimals
+   */
+  toRate(part, total) {
+    if (!total) return 0;
+    return Math.round((part / total) * 10000) / 100;
+  }
+}
+
+module.exports = new ABTestService();
@@ -0,0 +1,636 @@
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const Audience = require("../models/Audience");
+const AudienceImportJob = require("../models/AudienceImportJob");
+const Campaign = require("../models/Campaign");
+const Template = require("../models/Template");
+const logger = require("../utils/logger");
+
+// Contact fields a column can map to; any other target is an attribute name
+const CONTACT_FIELDS = ["msisdn", "name", "country_code"];
+
+// Header aliases used when no column mapping is given
+const HEADER_ALIASES = {
+  msisdn: [
+    "msisdn",
+    "phone",
+    "phone_number",
+    "phonenumber",
+    "mobile",
+    "mobile_number",
+    "whatsapp",
+    "whatsapp_number",
+    "number",
+  ],
+  name: ["name", "full_name", "fullname", "customer_name", "contact_name"],
+  country_code: ["country", "country_code", "countrycode"],
+};
+
+/**
+ * Audience Import Service
+ * Processes uploaded CSV/XLSX files into the master audience or a campaign
+ * audience in the background, recording progress and a per-row report
+ */
+class AudienceImportService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.processingInterval =
+      parseInt(process.env.AUDIENCE_IMPORT_INTERVAL) || 5000; // 5 seconds
+    this.chunkSize = parseInt(process.env.AUDIENCE_IMPORT_CHUNK_SIZE) || 500;
+    this.maxRows = parseInt(process.env.AUDIENCE_IMPORT_MAX_ROWS) || 200000;
+    this.maxReportRows =
+      parseInt(process.env.AUDIENCE_IMPORT_MAX_REPORT_ROWS) || 10000;
+  }
+
+  /**
+   * Start the audience import service
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn("Audience import service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting audience import service", {
+      processingInterval: this.processingInterval,
+    });
+
+    try {
+      const requeued = await AudienceImportJob.requeueInterrupted();
+      if (requeued > 0) {
+        logger.info("Requeued interrupted audience imports", { requeued });
+      }
+    } catch (error) {
+      logger.error("Error requeueing interrupted audience imports", {
+        error: error.message,
+      });
+    }
+
+    this.processPendingJobs();
+
+    this.intervalId = setInterval(() => {
+      this.processPendingJobs();
+    }, this.processingInterval);
+  }
+
+  /**
+   * Stop the audience import service
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Audience import service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Audience import service stopped");
+  }
+
+  /**
+   * Process queued import jobs one at a time until none are left
+   */
+  async processPendingJobs() {
+    if (this.isTicking) return;
+
+    this.isTicking = true;
+    try {
+      let job = await AudienceImportJob.claimNextPending();
+      while (job) {
+        await this.processJob(job);
+        job = await AudienceImportJob.claimNextPending();
+      }
+    } catch (error) {
+      logger.error("Error processing audience imports", {
+        error: error.message,
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Run a single import job
+   * @param {Object} job - Claimed job row including file data
+   */
+  async processJob(job) {
+    logger.info("Starting audience import", {
+      jobId: job.id,
+      organizationId: job.organization_id,
+      campaignId: job.campaign_id,
+      fileName: job.file_name,
+    });
+
+    try {
+      const { headers, rows } = await this.parseFile(
+        job.file_type,
+        job.file_data
+      );
+
+      if (rows.length === 0) {
+        throw new Error("File contains no data rows");
+      }
+      if (rows.length > this.maxRows) {
+        throw new Error(
+          `File has ${rows.length} rows, the maximum is ${this.maxRows}`
+        );
+      }
+
+      const mapping = this.resolveColumnMapping(headers, job.column_mapping);
+      const requiredAttributes = job.campaign_id
+        ? await this.getRequiredAttributes(job.campaign_id)
+        : [];
+
+      await AudienceImportJob.setTotalRows(job.id, rows.length);
+
+      const { entries, rejected } = this.prepareRows(
+        rows,
+        mapping,
+        job,
+        requiredAttributes
+      );
+
+      const reportState = { reported: 0 };
+      await this.recordChunk(job.id, rejected, reportState);
+
+      for (let i = 0; i < entries.length; i += this.chunkSize) {
+        const chunk = entries.slice(i, i + this.chunkSize);
+        const outcomes = job.campaign_id
+          ? await this.importCampaignChunk(job, chunk)
+          : await this.importMasterChunk(job, chunk);
+
+        await this.recordChunk(job.id, outcomes, reportState);
+      }
+
+      await AudienceImportJob.finish(job.id, "completed");
+
+      logger.info("Audience import completed", { jobId: job.id });
+    } catch (error) {
+      logger.error("Audience import failed", {
+        jobId: job.id,
+        error: error.message,
+      });
+      await AudienceImportJob.finish(job.id, "failed", error.message);
+    }
+  }
+
+  /**
+   * Parse an uploaded file into header names and row records
+   * @param {string} fileType - csv or xlsx
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} { headers, rows: [{ rowNumber, record }] }
+   */
+  async parseFile(fileType, buffer) {
+    if (fileType === "csv") {
+      let headers = [];
+      const records = parse(buffer, {
+        bom: true,
+        columns: (header) => {
+          headers = header.map((h) => String(h).trim());
+          return headers;
+        },
+        info: true,
+        relax_column_count: true,
+        skip_empty_lines: true,
+        trim: true,
+      });
+
+      return {
+        headers,
+        rows: records.map(({ record, info }) => ({
+          rowNumber: info.lines,
+          record,
+        })),
+      };
+    }
+
+    if (fileType === "xlsx") {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+
+      const sheet = workbook.worksheets[0];
+      if (!sheet) {
+        throw new Error("Workbook has no worksheets");
+      }
+
+      const headers = [];
+      sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        headers[colNumber - 1] = String(cell.text || "").trim();
+      });
+
+      const rows = [];
+      sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const record = {};
+        headers.forEach((header, index) => {
+          if (!header) return;
+          record[header] = String(row.getCell(index + 1).text || "").trim();
+        });
+
+        if (Object.values(record).some((value) => value !== "")) {
+          rows.push({ rowNumber, record });
+        }
+      });
+
+      return { headers: headers.filter(Boolean), rows };
+    }
+
+    throw new Error(`Unsupported file type: ${fileType}`);
+  }
+
+  /**
+   * Build the list of column -> target pairs
+   * @param {Array<string>} headers - File headers
+   * @param {Object|null} columnMapping - { "<column>": "msisdn|name|country_code|<attribute>" }
+   * @returns {Array<Object>} [{ header, target }]
+   */
+  resolveColumnMapping(headers, columnMapping) {
+    let mapping;
+
+    if (columnMapping && Object.keys(columnMapping).length > 0) {
+      const missing = Object.keys(columnMapping).filter(
+        (header) => !headers.includes(header)
+      );
+      if (missing.length > 0) {
+        throw new Error(
+          `Mapped columns not found in file: ${missing.join(", ")}`
+        );
+      }
+
+      mapping = Object.entries(columnMapping).map(([header, target]) => ({
+        header,
+        target: String(target).trim(),
+      }));
+    } else {
+      mapping = headers.map((header) => {
+        const key = header.toLowerCase().replace(/[\s-]+/g, "_");
+        const field = Object.keys(HEADER_ALIASES).find((f) =>
+          HEADER_ALIASES[f].includes(key)
+        );
+        return { header, target: field || header };
+      });
+    }
+
+    if (!mapping.some((m) => m.target === "msisdn")) {
+      throw new Error("No column is mapped to msisdn (phone number)");
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Get attributes a campaign's template requires on every audience row
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array<string>>} Attribute names
+   */
+  async getRequiredAttributes(campaignId) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new Error("Campaign not found");
+    }
+
+    const template = await Template.findById(campaign.template_id);
+    if (
+      !template ||
+      template.approved_by_admin !== "approved" ||
+      !template.parameters
+    ) {
+      return [];
+    }
+
+    const templateParams =
+      typeof template.parameters === "string"
+        ? JSON.parse(template.parameters)
+        : template.parameters;
+
+    return Object.values(templateParams || {});
+  }
+
+  /**
+   * Map, normalize, validate and dedupe file rows
+   * @returns {Object} { entries: rows to import, rejected: report outcomes }
+   */
+  prepareRows(rows, mapping, job, requiredAttributes) {
+    const rejected = [];
+    const byMSISDN = new Map();
+
+    for (const { rowNumber, record } of rows) {
+      const contact = { msisdn: null, name: null, country_code: null };
+      const attributes = {};
+
+      for (const { header, target } of mapping) {
+        const value = record[header];
+        if (value === undefined || value === null || value === "") continue;
+
+        if (CONTACT_FIELDS.includes(target)) {
+          contact[target] = String(value);
+        } else {
+          attributes[target] = value;
+        }
+      }
+
+      const country = /^[A-Za-z]{2}$/.test(contact.country_code || "")
+        ? contact.country_code.toUpperCase()
+        : job.default_country || undefined;
+      // Numbers written in international form without the leading "+"
+      const msisdn =
+        Audience.normalizeMSISDN(contact.msisdn, country) ||
+        (contact.msisdn && !contact.msisdn.trim().startsWith("+")
+          ? Audience.normalizeMSISDN(`+${contact.msisdn.trim()}`)
+          : null);
+
+      if (!msisdn) {
+        rejected.push({
+          row: rowNumber,
+          msisdn: contact.msisdn,
+          status: "failed",
+          reason: contact.msisdn
+            ? "Invalid phone number format"
+            : "Phone number is missing",
+        });
+        continue;
+      }
+
+      const missingAttributes = requiredAttributes.filter(
+        (attr) => attributes[attr] === undefined || attributes[attr] === ""
+      );
+      if (missingAttributes.length > 0) {
+        rejected.push({
+          row: rowNumber,
+          msisdn,
+          status: "failed",
+          reason: `Missing required attributes [${missingAttributes.join(
+            ", "
+          )}]`,
+        });
+        continue;
+      }
+
+      const entry = {
+        row: rowNumber,
+        msisdn,
+        name: contact.name || msisdn,
+        attributes,
+      };
+
+      const previous = byMSISDN.get(msisdn);
+      if (!previous) {
+        byMSISDN.set(msisdn, entry);
+      } else if (job.dedupe_policy === "update") {
+        // Last occurrence wins
+        rejected.push({
+          row: previous.row,
+          msisdn,
+          status: "skipped",
+          reason: `Superseded by row ${rowNumber}`,
+        });
+        byMSISDN.set(msisdn, entry);
+      } else {
+        rejected.push({
+          row: rowNumber,
+          msisdn,
+          status: "skipped",
+          reason: `Duplicate of row ${previous.row}`,
+        });
+      }
+    }
+
+    return { entries: [...byMSISDN.values()], rejected };
+  }
+
+  /**
+   * Import a chunk into the organization's master audience
+   * @returns {Promise<Array>} Row outcomes
+   */
+  async importMasterChunk(job, chunk) {
+    const outcomes = [];
+    const existing = await Audience.findExistingMasterMSISDNs(
+      job.organization_id,
+      chunk.map((entry) => entry.msisdn)
+    );
+
+    for (const entry of chunk) {
+      const exists = existing.has(entry.msisdn);
+
+      if (exists && job.dedupe_policy !== "update") {
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: "skipped",
+          reason: "Already in audience",
+        });
+        continue;
+      }
+
+      try {
+        await Audience.createOrUpdateMasterRecord({
+          organization_id: job.organization_id,
+          name: entry.name,
+          msisdn: entry.msisdn,
+          attributes: entry.attributes,
+          created_by: job.created_by,
+        });
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: exists ? "updated" : "created",
+        });
+      } catch (error) {
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: "failed",
+          reason: error.message,
+        });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Import a chunk into a campaign audience (also updates the master audience)
+   * @returns {Promise<Array>} Row outcomes
+   */
+  async importCampaignChunk(job, chunk) {
+    const outcomes = [];
+    const existing = await Audience.findCampaignAudienceByMSISDNs(
+      job.campaign_id,
+      chunk.map((entry) => entry.msisdn)
+    );
+
+    const newEntries = [];
+    for (const entry of chunk) {
+      const existingRow = existing.get(entry.msisdn);
+      if (!existingRow) {
+        newEntries.push(entry);
+        continue;
+      }
+
+      if (job.dedupe_policy !== "update") {
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: "skipped",
+          reason: "Already in campaign",
+        });
+        continue;
+      }
+
+      try {
+        const updated = await Audience.updatePendingCampaignAudience(
+          existingRow.id,
+          entry.name,
+          entry.attributes
+        );
+        if (!updated) {
+          outcomes.push({
+            row: entry.row,
+            msisdn: entry.msisdn,
+            status: "skipped",
+            reason: `Already in campaign with status ${existingRow.message_status}`,
+          });
+          continue;
+        }
+
+        await Audience.createOrUpdateMasterRecord({
+          organization_id: job.organization_id,
+          name: entry.name,
+          msisdn: entry.msisdn,
+          attributes: entry.attributes,
+        });
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: "updated",
+        });
+      } catch (error) {
+        outcomes.push({
+          row: entry.row,
+          msisdn: entry.msisdn,
+          status: "failed",
+          reason: error.message,
+        });
+      }
+    }
+
+    if (newEntries.length > 0) {
+      const result = await Audience.addToCampaign(
+        job.campaign_id,
+        job.organization_id,
+        newEntries.map((entry) => ({
+          name: entry.name,
+          msisdn: entry.msisdn,
+          attributes: entry.attributes,
+        }))
+      );
+
+      const rowByMSISDN = new Map(newEntries.map((e) => [e.msisdn, e.row]));
+
+      for (const record of result.success) {
+        outcomes.push({
+          row: rowByMSISDN.get(record.msisdn),
+          msisdn: record.msisdn,
+          status: "created",
+        });
+      }
+      for (const record of result.skipped_opted_out) {
+        outcomes.push({
+          row: rowByMSISDN.get(record.msisdn),
+          msisdn: record.msisdn,
+          status: "opted_out",
+          reason: "Number has opted out; recorded as skipped_opted_out",
+        });
+      }
+      for (const failure of result.errors) {
+        outcomes.push({
+          row: rowByMSISDN.get(failure.data.msisdn),
+          msisdn: failure.data.msisdn,
+          status: "failed",
+          reason: failure.error,
+        });
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Persist counters and report rows for a batch of outcomes
+   * @param {string} jobId - Job ID
+   * @param {Array} outcomes - Row outcomes
+   * @param {Object} reportState - Tracks how many report rows were stored
+   */
+  async recordChunk(jobId, outcomes, reportState) {
+    if (outcomes.length === 0) return;
+
+    const counts = {
+      processed: outcomes.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      opted_out: 0,
+      failed: 0,
+    };
+    for (const outcome of outcomes) {
+      counts[outcome.status]++;
+    }
+
+    // Successful rows are only counted; the report lists rows needing attention
+    const reportRows = outcomes
+      .filter((o) => !["created", "updated"].includes(o.status))
+      .slice(0, Math.max(this.maxReportRows - reportState.reported, 0));
+    reportState.reported += reportRows.length;
+
+    await AudienceImportJob.recordProgress(jobId, counts, reportRows);
+  }
+
+  /**
+   * Render a job's row report as CSV
+   * @param {Array} report - Row report entries
+   * @returns {string} CSV text
+   */
+  buildReportCsv(report) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? "" : String(value);
+      // Keep spreadsheets from running cells as formulas
+      if (/^[=+\-@]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = ["row,msisdn,status,reason"];
+    for (const entry of [...report].sort((a, b) => a.row - b.row)) {
+      lines.push(
+        [entry.row, entry.msisdn, entry.status, entry.reason]
+          .map(escape)
+          .join(",")
+      );
+    }
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      processingInterval: this.processingInterval,
+      chunkSize: this.chunkSize,
+      maxRows: this.maxRows,
+    };
+  }
+}
+
+module.exports = new AudienceImportService();
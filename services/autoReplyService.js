@@ -2,7 +2,7 @@ const logger = require("../utils/logger");
 const IncomingMessage = require("../models/IncomingMessage");
 const Template = require("../models/Template");
 const Campaign = require("../models/Campaign");
-const sqsService = require("./sqsService");
+const messageTransportService = require("./messageTransportService");
 const autoReplyMessageGenerator = require("./autoReplyMessageGenerator");
 
 class AutoReplyService {
@@ -159,7 +159,7 @@ class AutoReplyService {
       console.log("Auto reply payload:", autoReplyPayload);
 
       // Send to SQS
-      await this.sendAutoReplyToSQS(autoReplyPayload);
+      await this.sendAutoReply(autoReplyPayload);
 
       // // Update status to sent
       await this.updateAutoReplyStatus(incomingMessage.id, "sent");
@@ -245,23 +245,24 @@ class AutoReplyService {
   }
 
   /**
-   * Send auto reply to SQS
+   * Send auto reply through the message transport
    */
-  async sendAutoReplyToSQS(payload) {
+  async sendAutoReply(payload) {
     try {
-      const result = await sqsService.sendMessage(payload, {
+      const result = await messageTransportService.sendMessage(payload, {
         messageGroupId:
           process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-auto-replies",
       });
 
-      logger.info("Auto reply sent to SQS", {
+      logger.info("Auto reply sent", {
         messageId: result.MessageId,
+        transport: result.transport,
         toPhone: payload.to,
       });
 
       return result;
     } catch (error) {
-      logger.error("Error sending auto reply to SQS", {
+      logger.error("Error sending auto reply", {
         toPhone: payload.to,
         error: error.message,
       });
@@ -1,6 +1,15 @@
 const campaignProcessingService = require("./campaignProcessingService");
 const messageRetryService = require("./messageRetryService");
 const autoReplyService = require("./autoReplyService");
+const campaignSchedulerService = require("./campaignSchedulerService");
+const audienceImportService = require("./audienceImportService");
+const messageQueueWorkerService = require("./messageQueueWorkerService");
+const campaignDispatchRelayService = require("./campaignDispatchRelayService");
+const campaignStatsService = require("./campaignStatsService");
+const templateSyncService = require("./templateSyncService");
+const messageTransportService = require("./messageTransportService");
+const inboxEventService = require("./inboxEventService");
+const conversationRoutingService = require("./conversationRoutingService");
 const logger = require("../utils/logger");
 
 class BackgroundJobProcessor {
@@ -28,6 +37,14 @@ class BackgroundJobProcessor {
     // campaignProcessingService.start();
     // messageRetryService.start();
     // autoReplyService.start();
+    campaignSchedulerService.start();
+    audienceImportService.start();
+    messageQueueWorkerService.start();
+    campaignDispatchRelayService.start();
+    campaignStatsService.start();
+    templateSyncService.start();
+    inboxEventService.start();
+    conversationRoutingService.start();
 
     // Start health check
     this.startHealthCheck();
@@ -51,6 +68,14 @@ class BackgroundJobProcessor {
     campaignProcessingService.stop();
     messageRetryService.stop();
     autoReplyService.stop();
+    campaignSchedulerService.stop();
+    audienceImportService.stop();
+    messageQueueWorkerService.stop();
+    campaignDispatchRelayService.stop();
+    campaignStatsService.stop();
+    templateSyncService.stop();
+    inboxEventService.stop();
+    conversationRoutingService.stop();
 
     // Stop health check
     this.stopHealthCheck();
@@ -85,12 +110,63 @@ class BackgroundJobProcessor {
         autoReplyService.start();
       }
 
-      // Check SQS connectivity
-      const sqsService = require("./sqsService");
-      const isSQSConfigured = await sqsService.isConfigured();
+      // Check if campaign scheduler service is still running
+      if (!campaignSchedulerService.isRunning) {
+        logger.warn("Campaign scheduler service is not running, restarting...");
+        campaignSchedulerService.start();
+      }
+
+      // Check if audience import service is still running
+      if (!audienceImportService.isRunning) {
+        logger.warn("Audience import service is not running, restarting...");
+        audienceImportService.start();
+      }
+
+      // Check if message queue worker is still running
+      if (!messageQueueWorkerService.isRunning) {
+        logger.warn("Message queue worker is not running, restarting...");
+        messageQueueWorkerService.start();
+      }
+
+      // Check if campaign dispatch relay is still running
+      if (!campaignDispatchRelayService.isRunning) {
+        logger.warn("Campaign dispatch relay is not running, restarting...");
+        campaignDispatchRelayService.start();
+      }
+
+      // Check if campaign stats service is still running
+      if (!campaignStatsService.isRunning) {
+        logger.warn("Campaign stats service is not running, restarting...");
+        campaignStatsService.start();
+      }
+
+      // Check if template sync service is still running
+      if (!templateSyncService.isRunning) {
+        logger.warn("Template sync service is not running, restarting...");
+        templateSyncService.start();
+      }
+
+      // Check if inbox event pruning is still running
+      if (!inboxEventService.isRunning) {
+        logger.warn("Inbox event service is not running, restarting...");
+        inboxEventService.start();
+      }
 
-      if (!isSQSConfigured) {
-        logger.warn("SQS service is not properly configured");
+      // Check if waiting conversations are still retried and escalated
+      if (!conversationRoutingService.isRunning) {
+        logger.warn(
+          "Conversation routing service is not running, restarting..."
+        );
+        conversationRoutingService.start();
+      }
+
+      // Check the default message transport
+      const isTransportConfigured = await messageTransportService.isConfigured();
+
+      if (!isTransportConfigured) {
+        logger.warn("Default message transport is not properly configured", {
+          transport: messageTransportService.getDefaultTransportName(),
+        });
       }
 
       logger.debug("Health check completed successfully");
@@ -132,6 +208,14 @@ class BackgroundJobProcessor {
         processingInterval: campaignProcessingService.processingInterval,
       },
       messageRetryStatus: messageRetryService.getStatus(),
+      campaignSchedulerStatus: campaignSchedulerService.getStatus(),
+      audienceImportStatus: audienceImportService.getStatus(),
+      messageQueueWorkerStatus: messageQueueWorkerService.getStatus(),
+      campaignDispatchRelayStatus: campaignDispatchRelayService.getStatus(),
+      campaignStatsStatus: campaignStatsService.getStatus(),
+      templateSyncStatus: templateSyncService.getStatus(),
+      inboxEventStatus: inboxEventService.getStatus(),
+      conversationRoutingStatus: conversationRoutingService.getStatus(),
     };
   }
 
@@ -152,6 +236,63 @@ class BackgroundJobProcessor {
     }
   }
 
+  /**
+   * Manually trigger campaign scheduling (scheduled promotions and recurring runs)
+   * @returns {Promise<void>}
+   */
+  async triggerCampaignScheduling() {
+    try {
+      logger.info("Manually triggering campaign scheduling");
+      await campaignSchedulerService.processSchedules();
+      logger.info("Manual campaign scheduling completed");
+    } catch (error) {
+      logger.error("Error during manual campaign scheduling", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Manually trigger the campaign statistics rollup and completion check
+   * @returns {Promise<void>}
+   */
+  async triggerCampaignStatsRollup() {
+    try {
+      logger.info("Manually triggering campaign statistics rollup");
+      await campaignStatsService.rollupStatistics();
+      logger.info("Manual campaign statistics rollup completed");
+    } catch (error) {
+      logger.error("Error during manual campaign statistics rollup", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Manually trigger the WhatsApp template sync for all organizations
+   * @returns {Promise<Object>} Sync result; alreadyRunning when a run is in
+   *   progress and nothing was started
+   */
+  async triggerTemplateSync() {
+    try {
+      logger.info("Manually triggering WhatsApp template sync");
+      const result = await templateSyncService.syncAllOrganizations();
+      if (result.alreadyRunning) {
+        logger.info("WhatsApp template sync already running");
+      } else {
+        logger.info("Manual WhatsApp template sync completed");
+      }
+      return result;
+    } catch (error) {
+      logger.error("Error during manual WhatsApp template sync", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Manually trigger message retry processing
    * @returns {Promise<void>}
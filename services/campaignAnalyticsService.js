@@ -0,0 +1,313 @@
+const Campaign = require("../models/Campaign");
+const abTestService = require("./abTestService");
+const { isValidTimezone } = require("../utils/recurrence");
+
+// Incoming interactive types that are a tap on a template or reply button
+const BUTTON_INTERACTIVE_TYPES = ["button", "button_reply", "list_reply"];
+
+const SERIES_EVENTS = ["sent", "delivered", "read", "failed", "replied"];
+
+const BUCKET_FORMATS = {
+  hour: 'YYYY-MM-DD"T"HH24:00',
+  day: "YYYY-MM-DD",
+};
+
+/**
+ * Campaign Analytics Service
+ * Builds the per-campaign funnel, time series, failure and button breakdowns
+ * from campaign_audience and incoming_messages
+ */
+class CampaignAnalyticsService {
+  /**
+   * Build the full analytics report for a campaign
+   * @param {Object} campaign - Campaign row
+   * @param {Object} options - timezone (IANA) the time series are bucketed in
+   * @returns {Promise<Object>} Analytics report
+   */
+  async getCampaignAnalytics(campaign, options = {}) {
+    const campaignId = campaign.id;
+    const timezone = isValidTimezone(options.timezone)
+      ? options.timezone
+      : "UTC";
+
+    const [
+      funnel,
+      hourly,
+      daily,
+      failureReasons,
+      buttonClicks,
+      responseTimes,
+      abTest,
+    ] = await Promise.all([
+      this.getFunnel(campaignId),
+      this.getTimeSeries(campaignId, "hour", timezone),
+      this.getTimeSeries(campaignId, "day", timezone),
+      this.getFailureReasons(campaignId),
+      this.getButtonClicks(campaignId),
+      this.getResponseTimes(campaignId),
+      abTestService.getVariantReport(campaign),
+    ]);
+
+    return {
+      funnel,
+      time_series: { timezone, hourly, daily },
+      failure_reasons: failureReasons,
+      button_clicks: buttonClicks,
+      response_times: responseTimes,
+      ab_test: abTest.variants.length > 0 ? abTest : null,
+    };
+  }
+
+  /**
+   * Sent → delivered → read → replied funnel with conversion rates
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { totals, stages }
+   */
+  async getFunnel(campaignId) {
+    try {
+      const query = `
+        SELECT
+          COUNT(*)::int as targeted,
+          COUNT(*) FILTER (
+            WHERE message_status IN ('sent', 'delivered', 'read')
+          )::int as sent,
+          COUNT(*) FILTER (
+            WHERE message_status IN ('delivered', 'read')
+          )::int as delivered,
+          COUNT(*) FILTER (WHERE message_status = 'read')::int as read,
+          COUNT(*) FILTER (WHERE message_status = 'failed')::int as failed,
+          COUNT(*) FILTER (
+            WHERE message_status = 'skipped_opted_out'
+          )::int as skipped,
+          COUNT(*) FILTER (
+            WHERE message_status IN (
+              'pending', 'asset_generating', 'asset_generated',
+              'ready_to_send', 'throttled'
+            )
+          )::int as pending,
+          (
+            SELECT COUNT(DISTINCT from_phone_number)
+            FROM incoming_messages
+            WHERE context_campaign_id = $1
+          )::int as replied
+        FROM campaign_audience
+        WHERE campaign_id = $1
+      `;
+
+      const result = await Campaign.pool.query(query, [campaignId]);
+      const totals = result.rows[0];
+
+      const stageNames = ["sent", "delivered", "read", "replied"];
+      const stages = stageNames.map((stage, index) => ({
+        stage,
+        count: totals[stage],
+        rate_from_previous:
+          index === 0
+            ? this.toRate(totals.sent, totals.targeted)
+            : this.toRate(totals[stage], totals[stageNames[index - 1]]),
+        rate_from_sent: this.toRate(totals[stage], totals.sent),
+      }));
+
+      return { totals, stages };
+    } catch (error) {
+      throw new Error(`Error building campaign funnel: ${error.message}`);
+    }
+  }
+
+  /**
+   * Event counts per hour or day from the audience timestamps and first replies
+   * @param {string} campaignId - Campaign ID
+   * @param {string} granularity - 'hour' or 'day'
+   * @param {string} timezone - IANA timezone for the bucket boundaries
+   * @returns {Promise<Array>} [{ bucket, sent, delivered, read, failed, replied }]
+   */
+  async getTimeSeries(campaignId, granularity, timezone) {
+    try {
+      const query = `
+        SELECT
+          to_char(date_trunc($2, e.occurred_at AT TIME ZONE $3), $4) as bucket,
+          e.event,
+          COUNT(*)::int as count
+        FROM (
+          SELECT 'sent' as event, sent_at as occurred_at
+          FROM campaign_audience WHERE campaign_id = $1 AND sent_at IS NOT NULL
+          UNION ALL
+          SELECT 'delivered', delivered_at
+          FROM campaign_audience WHERE campaign_id = $1 AND delivered_at IS NOT NULL
+          UNION ALL
+          SELECT 'read', read_at
+          FROM campaign_audience WHERE campaign_id = $1 AND read_at IS NOT NULL
+          UNION ALL
+          SELECT 'failed', failed_at
+          FROM campaign_audience WHERE campaign_id = $1 AND failed_at IS NOT NULL
+          UNION ALL
+          SELECT 'replied', MIN(timestamp)
+          FROM incoming_messages WHERE context_campaign_id = $1
+          GROUP BY from_phone_number
+        ) e
+        GROUP BY 1, 2
+        ORDER BY 1
+      `;
+
+      const result = await Campaign.pool.query(query, [
+        campaignId,
+        granularity,
+        timezone,
+        BUCKET_FORMATS[granularity],
+      ]);
+
+      const buckets = new Map();
+      result.rows.forEach((row) => {
+        if (!buckets.has(row.bucket)) {
+          const point = { bucket: row.bucket };
+          SERIES_EVENTS.forEach((event) => {
+            point[event] = 0;
+          });
+          buckets.set(row.bucket, point);
+        }
+        buckets.get(row.bucket)[row.event] = row.count;
+      });
+
+      return [...buckets.values()];
+    } catch (error) {
+      throw new Error(`Error building campaign time series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Failed audience rows grouped by failure reason
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>} [{ reason, count, percentage }]
+   */
+  async getFailureReasons(campaignId) {
+    try {
+      const query = `
+        SELECT COALESCE(NULLIF(TRIM(failure_reason), ''), 'Unknown') as reason,
+               COUNT(*)::int as count,
+               SUM(COUNT(*)) OVER ()::int as total_failed
+        FROM campaign_audience
+        WHERE campaign_id = $1 AND message_status = 'failed'
+        GROUP BY 1
+        ORDER BY count DESC, reason ASC
+        LIMIT 50
+      `;
+
+      const result = await Campaign.pool.query(query, [campaignId]);
+
+      return result.rows.map(({ total_failed, ...row }) => ({
+        ...row,
+        percentage: this.toRate(row.count, total_failed),
+      }));
+    } catch (error) {
+      throw new Error(
+        `Error grouping campaign failure reasons: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Quick-reply and button taps on the campaign's messages
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Array>} [{ interactive_type, label, payload, clicks, unique_clickers }]
+   */
+  async getButtonClicks(campaignId) {
+    try {
+      const query = `
+        SELECT interactive_type,
+               COALESCE(interactive_data->>'text', interactive_data->>'title') as label,
+               COALESCE(interactive_data->>'payload', interactive_data->>'id') as payload,
+               COUNT(*)::int as clicks,
+               COUNT(DISTINCT from_phone_number)::int as unique_clickers
+        FROM incoming_messages
+        WHERE context_campaign_id = $1
+        AND interactive_type = ANY($2::text[])
+        GROUP BY 1, 2, 3
+        ORDER BY clicks DESC
+      `;
+
+      const result = await Campaign.pool.query(query, [
+        campaignId,
+        BUTTON_INTERACTIVE_TYPES,
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error(
+        `Error counting campaign button clicks: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Median seconds from send to read and from send to the first reply
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Medians in seconds with their sample sizes
+   */
+  async getResponseTimes(campaignId) {
+    try {
+      const readQuery = `
+        SELECT
+          percentile_cont(0.5) WITHIN GROUP (
+            ORDER BY EXTRACT(EPOCH FROM (read_at - sent_at))
+          ) as median_seconds,
+          COUNT(*)::int as sample_size
+        FROM campaign_audience
+        WHERE campaign_id = $1
+        AND sent_at IS NOT NULL AND read_at IS NOT NULL
+        AND read_at >= sent_at
+      `;
+
+      // First reply to each audience row's own message
+      const replyQuery = `
+        WITH first_replies AS (
+          SELECT ca.id, ca.sent_at, MIN(im.timestamp) as replied_at
+          FROM incoming_messages im
+          JOIN campaign_audience ca
+            ON ca.whatsapp_message_id = im.context_message_id
+            AND ca.campaign_id = $1
+          WHERE im.context_campaign_id = $1
+          AND ca.sent_at IS NOT NULL
+          GROUP BY ca.id, ca.sent_at
+        )
+        SELECT
+          percentile_cont(0.5) WITHIN GROUP (
+            ORDER BY EXTRACT(EPOCH FROM (replied_at - sent_at))
+          ) as median_seconds,
+          COUNT(*)::int as sample_size
+        FROM first_replies
+        WHERE replied_at >= sent_at
+      `;
+
+      const [readResult, replyResult] = await Promise.all([
+        Campaign.pool.query(readQuery, [campaignId]),
+        Campaign.pool.query(replyQuery, [campaignId]),
+      ]);
+
+      const toSummary = (row) => ({
+        median_seconds:
+          row.median_seconds === null
+            ? null
+            : Math.round(Number(row.median_seconds)),
+        sample_size: row.sample_size,
+      });
+
+      return {
+        time_to_read: toSummary(readResult.rows[0]),
+        time_to_reply: toSummary(replyResult.rows[0]),
+      };
+    } catch (error) {
+      throw new Error(
+        `Error computing campaign response times: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Percentage of part in total, rounded to two decimals
+   */
+  toRate(part, total) {
+    if (!total) return 0;
+    return Math.round((part / total) * 10000) / 100;
+  }
+}
+
+module.exports = new CampaignAnalyticsService();
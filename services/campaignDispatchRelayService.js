@@ -0,0 +1,344 @@
+const CampaignDispatchOutbox = require("../models/CampaignDispatchOutbox");
+const messageTransportService = require("./messageTransportService");
+const rateGovernorService = require("./rateGovernorService");
+const logger = require("../utils/logger");
+
+const PUBLISH_BATCH_SIZE = 10; // SQS batch limit
+
+/**
+ * Campaign Dispatch Relay Service
+ * Publishes campaign_dispatch_outbox entries through the message transport,
+ * records the outcome of each entry and retries only the entries that failed
+ */
+class CampaignDispatchRelayService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.processingInterval =
+      parseInt(process.env.CAMPAIGN_DISPATCH_INTERVAL) || 5000; // 5 seconds
+    this.claimSize = parseInt(process.env.CAMPAIGN_DISPATCH_CLAIM_SIZE) || 100;
+    this.maxAttempts =
+      parseInt(process.env.CAMPAIGN_DISPATCH_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay =
+      parseInt(process.env.CAMPAIGN_DISPATCH_RETRY_BASE_DELAY) || 30; // seconds
+    this.staleLockMinutes =
+      parseInt(process.env.CAMPAIGN_DISPATCH_STALE_LOCK_MINUTES) || 5;
+  }
+
+  /**
+   * Start the campaign dispatch relay
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Campaign dispatch relay is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting campaign dispatch relay", {
+      processingInterval: this.processingInterval,
+      claimSize: this.claimSize,
+      maxAttempts: this.maxAttempts,
+    });
+
+    this.publishPending();
+
+    this.intervalId = setInterval(() => {
+      this.publishPending();
+    }, this.processingInterval);
+  }
+
+  /**
+   * Stop the campaign dispatch relay
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Campaign dispatch relay is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Campaign dispatch relay stopped");
+  }
+
+  /**
+   * Publish due outbox entries until none are left. Safe to call at any time;
+   * a call made while a pass is running returns straight away.
+   */
+  async publishPending() {
+    if (this.isTicking) return;
+
+    this.isTicking = true;
+    try {
+      const released = await CampaignDispatchOutbox.releaseStale(
+        this.staleLockMinutes
+      );
+      if (released > 0) {
+        logger.warn("Released stale campaign dispatch entries", { released });
+      }
+
+      let entries = await CampaignDispatchOutbox.claimBatch(this.claimSize);
+      while (entries.length > 0) {
+        await this.publishEntries(entries);
+        entries = await CampaignDispatchOutbox.claimBatch(this.claimSize);
+      }
+    } catch (error) {
+      logger.error("Error publishing campaign dispatch", {
+        error: error.message,
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Publish claimed entries, grouped by organization for pacing
+   * @param {Array} entries - Claimed outbox entries
+   */
+  async publishEntries(entries) {
+    // An audience row that moved past ready_to_send was already handed over
+    // by an earlier attempt (e.g. the relay stopped before recording it)
+    const alreadyDispatched = entries.filter(
+      (entry) =>
+        entry.audience_status && entry.audience_status !== "ready_to_send"
+    );
+    await CampaignDispatchOutbox.markPublished(
+      alreadyDispatched.map((entry) => ({ id: entry.id }))
+    );
+
+    const toPublish = entries.filter(
+      (entry) => !alreadyDispatched.includes(entry)
+    );
+
+    for (let i = 0; i < toPublish.length; i += PUBLISH_BATCH_SIZE) {
+      const batch = toPublish.slice(i, i + PUBLISH_BATCH_SIZE);
+
+      // Keep each transport call to one organization and sending number
+      const bySender = new Map();
+      batch.forEach((entry) => {
+        const phoneNumberId = entry.payload?.phoneNumberId || null;
+        const key = `${entry.organization_id}:${phoneNumberId || ""}`;
+        if (!bySender.has(key)) {
+          bySender.set(key, {
+            organizationId: entry.organization_id,
+            phoneNumberId,
+            entries: [],
+          });
+        }
+        bySender.get(key).entries.push(entry);
+      });
+
+      for (const sender of bySender.values()) {
+        await this.publishBatch(
+          sender.organizationId,
+          sender.entries,
+          sender.phoneNumberId
+        );
+      }
+    }
+  }
+
+  /**
+   * Publish one batch and record the outcome of every entry
+   * @param {string} organizationId - Organization ID
+   * @param {Array} entries - Outbox entries of that organization
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   */
+  async publishBatch(organizationId, entries, phoneNumberId = null) {
+    let result;
+
+    try {
+      // Respect the per-second cap of the sending number
+      await rateGovernorService.acquire(
+        organizationId,
+        entries.length,
+        phoneNumberId
+      );
+
+      result = await messageTransportService.sendMessageBatch(
+        entries.map((entry) => {
+          const { quotaReserved, ...payload } = entry.payload;
+          return { ...payload, dispatchId: entry.id };
+        }),
+        {
+          messageGroupId:
+            process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-messages",
+          // Failed entries are retried here, so the transport must not record them
+          recordFailures: false,
+        }
+      );
+    } catch (error) {
+      logger.error("Error publishing campaign dispatch batch", {
+        organizationId,
+        entryCount: entries.length,
+        error: error.message,
+      });
+      await this.handleFailures(
+        entries.map((entry) => ({
+          entry,
+          error: error.message,
+          retryable: true,
+        }))
+      );
+      return;
+    }
+
+    const entryAt = (resultEntry) =>
+      entries[parseInt(String(resultEntry.Id).split("-")[1])];
+
+    const published = (result.Successful || [])
+      .map((resultEntry) => ({
+        entry: entryAt(resultEntry),
+        messageId: resultEntry.MessageId,
+      }))
+      .filter((item) => item.entry);
+
+    const failures = (result.Failed || [])
+      .map((resultEntry) => ({
+        entry: entryAt(resultEntry),
+        error: resultEntry.Message || resultEntry.Code || "Publish failed",
+        retryable: !resultEntry.SenderFault,
+      }))
+      .filter((item) => item.entry);
+
+    // Entries missing from both lists were not acknowledged; try them again
+    const answered = new Set([
+      ...published.map((item) => item.entry.id),
+      ...failures.map((item) => item.entry.id),
+    ]);
+    entries
+      .filter((entry) => !answered.has(entry.id))
+      .forEach((entry) =>
+        failures.push({
+          entry,
+          error: "No result returned by transport",
+          retryable: true,
+        })
+      );
+
+    await CampaignDispatchOutbox.markPublished(
+      published.map((item) => ({
+        id: item.entry.id,
+        transport_message_id: item.messageId,
+      }))
+    );
+    await this.handleFailures(failures);
+
+    logger.info("Campaign dispatch batch published", {
+      organizationId,
+      transport: result.transport,
+      published: published.length,
+      failed: failures.length,
+    });
+  }
+
+  /**
+   * Reschedule retryable failures with backoff, fail the rest
+   * @param {Array} failures - [{entry, error, retryable}]
+   */
+  async handleFailures(failures) {
+    const permanent = [];
+    const permanentEntries = [];
+    const retryGroups = new Map();
+
+    failures.forEach(({ entry, error, retryable }) => {
+      if (retryable && entry.attempts < this.maxAttempts) {
+        const delaySeconds =
+          this.retryBaseDelay * Math.pow(2, entry.attempts - 1);
+        const key = `${delaySeconds}|${error}`;
+        if (!retryGroups.has(key)) {
+          retryGroups.set(key, { delaySeconds, error, ids: [] });
+        }
+        retryGroups.get(key).ids.push(entry.id);
+      } else {
+        permanent.push({
+          id: entry.id,
+          campaign_audience_id: entry.campaign_audience_id,
+          error,
+        });
+        permanentEntries.push(entry);
+      }
+    });
+
+    for (const group of retryGroups.values()) {
+      await CampaignDispatchOutbox.reschedule(
+        group.ids,
+        group.error,
+        group.delaySeconds
+      );
+      logger.warn("Campaign dispatch entries will be retried", {
+        entryCount: group.ids.length,
+        delaySeconds: group.delaySeconds,
+        error: group.error,
+      });
+    }
+
+    if (permanent.length > 0) {
+      await CampaignDispatchOutbox.markFailed(permanent);
+      logger.error("Campaign dispatch entries failed", {
+        entryCount: permanent.length,
+        errors: [...new Set(permanent.map((item) => item.error))],
+      });
+
+      await this.releaseQuota(permanentEntries);
+    }
+  }
+
+  /**
+   * Give back the messaging quota reserved for entries that failed for good
+   * @param {Array} entries - Failed outbox entries
+   */
+  async releaseQuota(entries) {
+    const bySender = new Map();
+    entries
+      .filter((entry) => entry.payload?.quotaReserved)
+      .forEach((entry) => {
+        const phoneNumberId = entry.payload.phoneNumberId || null;
+        const key = `${entry.organization_id}:${phoneNumberId || ""}`;
+        if (!bySender.has(key)) {
+          bySender.set(key, {
+            organizationId: entry.organization_id,
+            phoneNumberId,
+            msisdns: [],
+          });
+        }
+        bySender.get(key).msisdns.push(entry.payload.to);
+      });
+
+    for (const sender of bySender.values()) {
+      try {
+        await rateGovernorService.release(
+          sender.organizationId,
+          sender.msisdns,
+          sender.phoneNumberId
+        );
+      } catch (error) {
+        logger.error("Error releasing messaging quota", {
+          organizationId: sender.organizationId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      processingInterval: this.processingInterval,
+      claimSize: this.claimSize,
+      maxAttempts: this.maxAttempts,
+    };
+  }
+}
+
+module.exports = new CampaignDispatchRelayService();
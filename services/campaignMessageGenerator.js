@@ -15,6 +15,8 @@ class CampaignMessageGenerator {
         campaignId: campaign.id,
         campaignAudienceId: audienceData.id,
         to: audienceData.msisdn,
+        // Sender number; null sends from the organization's default number
+        phoneNumberId: campaign.phone_number_id || null,
       };
 
       // Determine message type based on template category and content
@@ -219,6 +221,12 @@ class CampaignMessageGenerator {
               mediaUrl: mediaUrl,
             });
           }
+        } else if (component.format === "LOCATION") {
+          parameters.push({
+            type: "header",
+            valueType: "location",
+            location: this.getLocationFromAttributes(attributes),
+          });
         }
       } else if (component.type === "BODY" && component.text) {
         // Extract placeholders from body text and map to attributes using admin-defined parameters
@@ -243,20 +251,337 @@ class CampaignMessageGenerator {
             });
           }
         });
+        parameters.push(
+          ...this.generateButtonParameters(component.buttons, attributes)
+        );
+      } else if (component.type === "BUTTONS" && component.buttons) {
+        parameters.push(
+          ...this.generateButtonParameters(component.buttons, attributes)
+        );
+      } else if (
+        component.type === "LIMITED_TIME_OFFER" &&
+        component.limited_time_offer?.has_expiration
+      ) {
+        parameters.push({
+          type: "limited_time_offer",
+          valueType: "limited_time_offer",
+          limited_time_offer: {
+            expiration_time_ms: this.getOfferExpiration(attributes),
+          },
+        });
+      } else if (component.type === "CAROUSEL" && component.cards) {
+        component.cards.forEach((card, cardIndex) => {
+          parameters.push(
+            ...this.generateCardParameters(
+              card,
+              cardIndex,
+              attributes,
+              generatedAssetUrls,
+              template.parameters?.cards?.[cardIndex] || {}
+            )
+          );
+        });
+      }
+    });
+
+    return parameters;
+  }
+
+  /**
+   * Generate parameters for one carousel card. Card media comes from
+   * generated_asset_urls.card_<n>_<format>, card placeholders from the
+   * parameters.cards[n] mappings or card_<n>_param_<m> attributes.
+   * @param {Object} card - Carousel card with its own components
+   * @param {number} cardIndex - Card position in the carousel
+   * @param {Object} attributes - Audience attributes
+   * @param {Object} generatedAssetUrls - Generated asset URLs
+   * @param {Object} cardParameters - Admin-defined mappings for this card
+   * @returns {Array} Card parameters, each with cardIndex
+   */
+  generateCardParameters(
+    card,
+    cardIndex,
+    attributes,
+    generatedAssetUrls,
+    cardParameters
+  ) {
+    const parameters = [];
+    const legacyPrefix = `card_${cardIndex}_param`;
+
+    (card.components || []).forEach((component) => {
+      if (component.type === "HEADER" && component.format) {
+        const format = component.format.toLowerCase();
+        // A card header is always media and always needs a link
+        parameters.push({
+          type: "header",
+          valueType: format,
+          mediaUrl:
+            generatedAssetUrls[`card_${cardIndex}_${format}`] || null,
+        });
+      } else if (component.type === "BODY" && component.text) {
+        parameters.push(
+          ...this.extractBodyParameters(
+            component.text,
+            attributes,
+            cardParameters,
+            legacyPrefix
+          )
+        );
+      } else if (component.type === "BUTTONS" && component.buttons) {
+        component.buttons.forEach((button, index) => {
+          if (button.type === "URL" && /\{\{\d+\}\}/.test(button.url || "")) {
+            // Only the dynamic URL suffix is sent
+            const [suffix] = this.extractBodyParameters(
+              button.url,
+              attributes,
+              cardParameters,
+              legacyPrefix
+            );
+            parameters.push({
+              type: "button",
+              valueType: "text",
+              value: suffix.value,
+              buttonIndex: index,
+            });
+          }
+        });
+        parameters.push(
+          ...this.generateButtonParameters(component.buttons, attributes)
+        );
+      }
+    });
+
+    return parameters.map((param) => ({ ...param, cardIndex }));
+  }
+
+  /**
+   * Generate parameters for copy code, catalog and multi-product buttons
+   * @param {Array} buttons - Template buttons
+   * @param {Object} attributes - Audience attributes
+   * @returns {Array} Button parameters
+   */
+  generateButtonParameters(buttons, attributes) {
+    const parameters = [];
+
+    buttons.forEach((button, index) => {
+      if (button.type === "COPY_CODE") {
+        parameters.push({
+          type: "button",
+          subType: "copy_code",
+          valueType: "coupon_code",
+          value: attributes.coupon_code ? String(attributes.coupon_code) : null,
+          buttonIndex: index,
+        });
+      } else if (button.type === "CATALOG") {
+        parameters.push({
+          type: "button",
+          subType: "catalog",
+          valueType: "action",
+          action: {
+            thumbnail_product_retailer_id: this.getThumbnailProductId(
+              attributes
+            ),
+          },
+          buttonIndex: index,
+        });
+      } else if (button.type === "MPM") {
+        parameters.push({
+          type: "button",
+          subType: "mpm",
+          valueType: "action",
+          action: {
+            thumbnail_product_retailer_id: this.getThumbnailProductId(
+              attributes
+            ),
+            sections: this.getProductSections(attributes),
+          },
+          buttonIndex: index,
+        });
       }
     });
 
     return parameters;
   }
 
+  /**
+   * Build a currency or date_time parameter from an object mapping, e.g.
+   * { attribute: "amount", type: "currency", currency_code: "INR" }
+   * @param {Object} mapping - Admin-defined parameter mapping
+   * @param {Object} attributes - Audience attributes
+   * @param {number} paramIndex - Placeholder number
+   * @returns {Object} Body parameter
+   */
+  generateTypedParameter(mapping, attributes, paramIndex) {
+    const rawValue = attributes[mapping.attribute];
+    const hasValue =
+      rawValue !== undefined && rawValue !== null && rawValue !== "";
+    const value = hasValue
+      ? rawValue.toString()
+      : mapping.fallback_value || `Parameter ${paramIndex}`;
+
+    if (mapping.type === "currency") {
+      const amount = parseFloat(rawValue);
+      const code =
+        attributes[mapping.currency_attribute] || mapping.currency_code;
+      const fallbackValue = Number.isFinite(amount)
+        ? `${code} ${amount}`
+        : value;
+
+      return {
+        type: "body",
+        valueType: "currency",
+        value: fallbackValue,
+        currency: {
+          fallback_value: fallbackValue,
+          code,
+          amount_1000: Number.isFinite(amount)
+            ? Math.round(amount * 1000)
+            : null,
+        },
+      };
+    }
+
+    if (mapping.type === "date_time") {
+      return {
+        type: "body",
+        valueType: "date_time",
+        value,
+        date_time: { fallback_value: value },
+      };
+    }
+
+    return { type: "body", valueType: "text", value };
+  }
+
+  /**
+   * Get a location header from the location_* audience attributes
+   * @param {Object} attributes - Audience attributes
+   * @returns {Object} latitude, longitude and optional name and address
+   */
+  getLocationFromAttributes(attributes) {
+    const location = {
+      latitude: parseFloat(attributes.location_latitude),
+      longitude: parseFloat(attributes.location_longitude),
+    };
+
+    if (attributes.location_name) location.name = attributes.location_name;
+    if (attributes.location_address) {
+      location.address = attributes.location_address;
+    }
+
+    return location;
+  }
+
+  /**
+   * Get a limited-time offer's expiry in epoch milliseconds from the
+   * offer_expiration_time_ms or offer_expires_at (ISO date) attribute
+   * @param {Object} attributes - Audience attributes
+   * @returns {number|null} Expiry timestamp
+   */
+  getOfferExpiration(attributes) {
+    if (attributes.offer_expiration_time_ms) {
+      const expiration = parseInt(attributes.offer_expiration_time_ms);
+      return Number.isFinite(expiration) ? expiration : null;
+    }
+
+    if (attributes.offer_expires_at) {
+      const expiration = new Date(attributes.offer_expires_at).getTime();
+      return Number.isFinite(expiration) ? expiration : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the product shown on a catalog or multi-product button
+   * @param {Object} attributes - Audience attributes
+   * @returns {string|null} Product retailer ID
+   */
+  getThumbnailProductId(attributes) {
+    const productIds = this.parseList(attributes.product_retailer_ids);
+
+    return (
+      attributes.thumbnail_product_retailer_id ||
+      attributes.product_retailer_id ||
+      productIds[0] ||
+      null
+    );
+  }
+
+  /**
+   * Get multi-product message sections from the mpm_sections attribute
+   * ([{ title, product_retailer_ids }]) or from product_retailer_ids as a
+   * single section titled mpm_section_title
+   * @param {Object} attributes - Audience attributes
+   * @returns {Array} Sections with product_items
+   */
+  getProductSections(attributes) {
+    let sections = attributes.mpm_sections;
+
+    if (typeof sections === "string") {
+      try {
+        sections = JSON.parse(sections);
+      } catch (error) {
+        sections = null;
+      }
+    }
+
+    if (!Array.isArray(sections)) {
+      sections = [
+        {
+          title: attributes.mpm_section_title || "Products",
+          product_retailer_ids: attributes.product_retailer_ids,
+        },
+      ];
+    }
+
+    return sections.map((section) => ({
+      title: section.title,
+      product_items: this.parseList(
+        section.product_items || section.product_retailer_ids
+      ).map((item) =>
+        typeof item === "object" ? item : { product_retailer_id: String(item) }
+      ),
+    }));
+  }
+
+  /**
+   * Read a list attribute given as an array, JSON array or comma separated
+   * @param {Array|string} value - Attribute value
+   * @returns {Array} List items
+   */
+  parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (!value || typeof value !== "string") return [];
+
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON, read as comma separated
+    }
+
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+
   /**
    * Extract body parameters from template text using admin-defined parameter mappings
    * @param {string} bodyText - Template body text with placeholders
    * @param {Object} attributes - Audience attributes
    * @param {Object} templateParameters - Admin-defined parameter mappings
+   * @param {string} legacyPrefix - Attribute prefix for unmapped placeholders,
+   *   e.g. card_0_param for carousel cards
    * @returns {Array} Body parameters
    */
-  extractBodyParameters(bodyText, attributes, templateParameters = {}) {
+  extractBodyParameters(
+    bodyText,
+    attributes,
+    templateParameters = {},
+    legacyPrefix = null
+  ) {
     const parameters = [];
     const placeholderRegex = /\{\{(\d+)\}\}/g;
     let match;
@@ -271,8 +596,19 @@ class CampaignMessageGenerator {
 
       if (templateParameters[paramIndex]) {
         const paramMapping = templateParameters[paramIndex];
+        // Object mappings carry a parameter type (currency, date_time)
+        if (typeof paramMapping === "object") {
+          parameters.push(
+            this.generateTypedParameter(paramMapping, attributes, paramIndex)
+          );
+          continue;
+        }
         // Get value from audience attributes using admin-defined mapping
         value = attributes[paramMapping] || paramMapping;
+      } else if (legacyPrefix) {
+        value =
+          attributes[`${legacyPrefix}_${paramIndex}`] ||
+          `Parameter ${paramIndex}`;
       } else {
         // Fallback to legacy parameter mapping
         const attributeKey = `param_${paramIndex}`;
@@ -375,7 +711,13 @@ class CampaignMessageGenerator {
 
     // Validate based on message type
     if (messagePayload.templateName) {
-      return !!(messagePayload.templateName && messagePayload.templateLanguage);
+      return !!(
+        messagePayload.templateName &&
+        messagePayload.templateLanguage &&
+        (messagePayload.templateParameters || []).every((param) =>
+          this.isValidTemplateParameter(param)
+        )
+      );
     } else if (messagePayload.messageType === "text") {
       return !!messagePayload.messageContent;
     } else if (
@@ -388,6 +730,48 @@ class CampaignMessageGenerator {
 
     return false;
   }
+
+  /**
+   * Check a template parameter has the values WhatsApp requires for its type
+   * @param {Object} param - Generated template parameter
+   * @returns {boolean} True if valid
+   */
+  isValidTemplateParameter(param) {
+    switch (param.valueType) {
+      case "image":
+      case "video":
+      case "document":
+        return !!param.mediaUrl;
+      case "location":
+        return (
+          Number.isFinite(param.location?.latitude) &&
+          Number.isFinite(param.location?.longitude)
+        );
+      case "currency":
+        return (
+          !!param.currency?.code &&
+          Number.isFinite(param.currency?.amount_1000)
+        );
+      case "date_time":
+        return !!param.date_time?.fallback_value;
+      case "coupon_code":
+        return !!param.value;
+      case "limited_time_offer":
+        return Number.isFinite(param.limited_time_offer?.expiration_time_ms);
+      case "action":
+        if (!param.action?.thumbnail_product_retailer_id) return false;
+        if (param.subType !== "mpm") return true;
+        return (
+          Array.isArray(param.action.sections) &&
+          param.action.sections.length > 0 &&
+          param.action.sections.every(
+            (section) => section.title && section.product_items.length > 0
+          )
+        );
+      default:
+        return true;
+    }
+  }
 }
 
 module.exports = new CampaignMessageGenerator();
@@ -1,9 +1,15 @@
 const Campaign = require("../models/Campaign");
 const Audience = require("../models/Audience");
 const Template = require("../models/Template");
-const sqsService = require("./sqsService");
+const CampaignDispatchOutbox = require("../models/CampaignDispatchOutbox");
+const CampaignVariant = require("../models/CampaignVariant");
+const rateGovernorService = require("./rateGovernorService");
+const suppressionService = require("./suppressionService");
 const campaignMessageGenerator = require("./campaignMessageGenerator");
+const campaignDispatchRelayService = require("./campaignDispatchRelayService");
+const abTestService = require("./abTestService");
 const logger = require("../utils/logger");
+const { selectLanguage } = require("../utils/templateLanguage");
 
 class CampaignProcessingService {
   constructor() {
@@ -11,6 +17,8 @@ class CampaignProcessingService {
     this.batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 10;
     this.processingInterval =
       parseInt(process.env.CAMPAIGN_PROCESSING_INTERVAL) || 30000; // 30 seconds
+    this.dispatchStageSize =
+      parseInt(process.env.CAMPAIGN_DISPATCH_STAGE_SIZE) || 100;
   }
 
   /**
@@ -74,17 +82,22 @@ class CampaignProcessingService {
 
       if (campaigns.length === 0) {
         logger.debug("No campaigns ready for processing");
-        return;
+      } else {
+        logger.info("Found campaigns ready for processing", {
+          campaignCount: campaigns.length,
+        });
+
+        // Process each campaign
+        for (const campaign of campaigns) {
+          await this.processCampaign(campaign);
+        }
       }
 
-      logger.info("Found campaigns ready for processing", {
-        campaignCount: campaigns.length,
-      });
+      // Release audience held back by messaging limits
+      await this.processThrottledAudience();
 
-      // Process each campaign
-      for (const campaign of campaigns) {
-        await this.processCampaign(campaign);
-      }
+      // Send A/B test winners to the audience held out of the test
+      await this.processAbTestPromotions();
     } catch (error) {
       logger.error("Error processing campaigns", {
         error: error.message,
@@ -94,7 +107,8 @@ class CampaignProcessingService {
   }
 
   /**
-   * Get campaigns that are ready for processing (asset_generated status)
+   * Get campaigns that are ready for processing (asset_generated status
+   * and, for scheduled runs, scheduled_at has arrived)
    * @returns {Array} Array of campaigns
    */
   async getCampaignsReadyForProcessing() {
@@ -107,6 +121,7 @@ class CampaignProcessingService {
         LEFT JOIN templates t ON c.template_id = t.id
         WHERE c.status = 'asset_generated'
         AND c.total_targeted_audience > 0
+        AND (c.scheduled_at IS NULL OR c.scheduled_at <= NOW())
         ORDER BY c.created_at ASC
         LIMIT $1
       `;
@@ -156,20 +171,9 @@ class CampaignProcessingService {
       });
 
       // Prepare template data
-      const template = {
-        id: campaign.template_id,
-        name: campaign.template_name,
-        category: campaign.template_category,
-        language: campaign.template_language,
-        components: this.parseComponents(campaign.components),
-        body_text: campaign.body_text,
-        header_type: campaign.header_type,
-        header_media_url: campaign.header_media_url,
-        footer_text: campaign.footer_text,
-        parameters: campaign.parameters,
-      };
-
-      // Generate and send messages to SQS
+      const template = this.buildTemplate(campaign);
+
+      // Generate messages and stage them for dispatch
       await this.generateAndSendMessages(campaign, template, audienceList);
 
       logger.info("Campaign processing completed", {
@@ -194,20 +198,29 @@ class CampaignProcessingService {
   /**
    * Get campaign audience specifically for processing (no replies, optimized for message generation)
    * @param {string} campaignId - Campaign ID
+   * @param {string} messageStatus - Audience status to pick up
    * @returns {Array} Array of audience data for processing
    */
-  async getCampaignAudienceForProcessing(campaignId) {
+  async getCampaignAudienceForProcessing(
+    campaignId,
+    messageStatus = "asset_generated"
+  ) {
     try {
       const query = `
         SELECT ca.id, ca.campaign_id, ca.organization_id, ca.name, ca.msisdn, 
-               ca.attributes, ca.message_status, ca.created_at, ca.generated_asset_urls
+               ca.attributes, ca.message_status, ca.created_at, ca.generated_asset_urls,
+               ca.variant_id
         FROM campaign_audience ca
         WHERE ca.campaign_id = $1
-        AND ca.message_status = 'asset_generated'
+        AND ca.message_status = $2
+        AND ca.ab_test_holdout IS NOT TRUE
         ORDER BY ca.created_at ASC
       `;
 
-      const result = await Audience.pool.query(query, [campaignId]);
+      const result = await Audience.pool.query(query, [
+        campaignId,
+        messageStatus,
+      ]);
 
       // Parse attributes JSON for each audience member
       return result.rows.map((row) => ({
@@ -265,22 +278,92 @@ class CampaignProcessingService {
   }
 
   /**
-   * Generate messages and send them to SQS
+   * Generate messages and stage them in the campaign dispatch outbox. Each
+   * audience row moves to 'ready_to_send' in the same transaction as its
+   * outbox entry; the relay then publishes them through the message transport.
    * @param {Object} campaign - Campaign data
    * @param {Object} template - Template data
    * @param {Array} audienceList - List of audience members
    */
   async generateAndSendMessages(campaign, template, audienceList) {
+    // Quota newly reserved for recipients that never reach the outbox is
+    // given back when the run ends
+    let reserved = [];
+    const stagedRecipients = new Set();
+
     try {
-      const messages = [];
-      const sqsBatchSize = 10; // SQS batch limit
+      const entries = [];
+
+      // Drop numbers that opted out after they were added to the campaign
+      const { allowed: notSuppressed, suppressed } =
+        await suppressionService.partitionAudience(
+          campaign.organization_id,
+          audienceList
+        );
+
+      if (suppressed.length > 0) {
+        await Audience.markOptedOut(suppressed.map((a) => a.id));
+        logger.info("Audience skipped due to opt-out", {
+          campaignId: campaign.id,
+          skippedCount: suppressed.length,
+        });
+      }
 
-      for (const audienceData of audienceList) {
+      // Hold back recipients beyond the messaging tier's 24h limit
+      const partition = await rateGovernorService.partitionAudience(
+        campaign.organization_id,
+        notSuppressed,
+        campaign.phone_number_id
+      );
+      const { allowed, throttled } = partition;
+      reserved = partition.reserved;
+      const reservedRecipients = new Set(reserved);
+
+      if (throttled.length > 0) {
+        await Audience.markThrottled(throttled.map((a) => a.id));
+        logger.info("Audience throttled by messaging limits", {
+          campaignId: campaign.id,
+          throttledCount: throttled.length,
+        });
+      }
+
+      // Rows assigned to an A/B test variant are sent with its template
+      const variantTemplates = new Map();
+      if (allowed.some((audienceData) => audienceData.variant_id)) {
+        const variants = await CampaignVariant.findByCampaign(campaign.id);
+        variants.forEach((variant) => {
+          variantTemplates.set(variant.id, this.buildTemplate(variant));
+        });
+      }
+
+      // Campaigns targeting a template family send each contact the
+      // family's template in their language
+      const familyTemplates = campaign.use_template_family
+        ? await this.loadFamilyTemplates(campaign, [
+            template,
+            ...variantTemplates.values(),
+          ])
+        : null;
+
+      let stagedCount = 0;
+
+      for (const audienceData of allowed) {
         try {
+          let audienceTemplate =
+            variantTemplates.get(audienceData.variant_id) || template;
+          if (familyTemplates) {
+            audienceTemplate = this.selectFamilyTemplate(
+              campaign,
+              audienceTemplate,
+              audienceData,
+              familyTemplates
+            );
+          }
+
           // Generate message payload
           const messagePayload = campaignMessageGenerator.generateMessage(
             campaign,
-            template,
+            audienceTemplate,
             audienceData
           );
 
@@ -295,19 +378,17 @@ class CampaignProcessingService {
             continue;
           }
 
-          messages.push(messagePayload);
-
-          // Update audience status to ready_to_send
-          await Audience.updateMessageStatus(audienceData.id, "ready_to_send");
-          console.log("Message payload:", messagePayload);
-
-          console.log("Messages payload:", messagePayload.templateParameters);
-
-          // Send batch when we reach the limit
-          if (messages.length >= sqsBatchSize) {
-            await this.sendMessageBatch(messages);
-            messages.length = 0; // Clear the array
-          }
+          entries.push({
+            organization_id: campaign.organization_id,
+            campaign_id: campaign.id,
+            campaign_audience_id: audienceData.id,
+            template_id: audienceTemplate.id,
+            payload: {
+              ...messagePayload,
+              // Lets the relay give the quota back if the send fails for good
+              quotaReserved: reservedRecipients.has(audienceData.msisdn),
+            },
+          });
         } catch (error) {
           logger.error("Error generating message for audience", {
             campaignId: campaign.id,
@@ -320,50 +401,248 @@ class CampaignProcessingService {
             failure_reason: error.message,
           });
         }
+
+        // Stage a chunk once it is full; a failure here aborts the run and
+        // leaves the chunk's rows untouched for the next one
+        if (entries.length >= this.dispatchStageSize) {
+          stagedCount += await CampaignDispatchOutbox.stageBatch(entries);
+          entries.forEach((entry) => stagedRecipients.add(entry.payload.to));
+          entries.length = 0; // Clear the array
+        }
       }
 
-      // Send remaining messages
-      if (messages.length > 0) {
-        await this.sendMessageBatch(messages);
+      // Stage remaining messages
+      if (entries.length > 0) {
+        stagedCount += await CampaignDispatchOutbox.stageBatch(entries);
+        entries.forEach((entry) => stagedRecipients.add(entry.payload.to));
       }
+
+      logger.info("Campaign messages staged for dispatch", {
+        campaignId: campaign.id,
+        stagedCount,
+      });
+
+      // Publish now rather than waiting for the relay's next poll
+      await campaignDispatchRelayService.publishPending();
     } catch (error) {
       logger.error("Error generating and sending messages", {
         campaignId: campaign.id,
         error: error.message,
       });
       throw error;
+    } finally {
+      await this.releaseUnstagedQuota(campaign, reserved, stagedRecipients);
     }
   }
 
   /**
-   * Send a batch of messages to SQS
-   * @param {Array} messages - Array of message payloads
+   * Give back the quota reserved for recipients whose message failed to
+   * generate or stage. Errors are logged so they never mask the run's own.
+   * @param {Object} campaign - Campaign data
+   * @param {Array<string>} reserved - Recipients newly reserved by the run
+   * @param {Set<string>} stagedRecipients - Recipients staged for dispatch
    */
-  async sendMessageBatch(messages) {
-    console.log("Sending message batch to SQS", {
-      messageCount: messages.length,
-    });
-    console.log("Message payload:", messages);
+  async releaseUnstagedQuota(campaign, reserved, stagedRecipients) {
+    const unstaged = reserved.filter(
+      (msisdn) => !stagedRecipients.has(msisdn)
+    );
+    if (unstaged.length === 0) return;
+
     try {
-      const result = await sqsService.sendMessageBatch(messages, {
-        messageGroupId: process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-messages",
+      await rateGovernorService.release(
+        campaign.organization_id,
+        unstaged,
+        campaign.phone_number_id
+      );
+    } catch (error) {
+      logger.error("Error releasing messaging quota", {
+        campaignId: campaign.id,
+        error: error.message,
       });
+    }
+  }
 
-      logger.info("Message batch sent to SQS", {
-        successful: result.Successful?.length || 0,
-        failed: result.Failed?.length || 0,
+  /**
+   * Re-dispatch audience rows held in 'throttled' state once quota frees up
+   */
+  async processThrottledAudience() {
+    try {
+      const query = `
+        SELECT DISTINCT ON (c.id) c.*, t.name as template_name, t.category as template_category,
+               t.language as template_language, t.components, t.body_text,
+               t.header_type, t.header_media_url, t.footer_text, t.parameters
+        FROM campaigns c
+        JOIN campaign_audience ca ON ca.campaign_id = c.id
+        LEFT JOIN templates t ON c.template_id = t.id
+        WHERE ca.message_status = 'throttled'
+        AND c.status IN ('ready_to_launch', 'running')
+        ORDER BY c.id, c.created_at ASC
+      `;
+
+      const result = await Campaign.pool.query(query);
+
+      for (const campaign of result.rows) {
+        const quota = await rateGovernorService.getQuota(
+          campaign.organization_id,
+          campaign.phone_number_id
+        );
+        if (quota.uniqueRecipientsRemaining === 0) {
+          logger.debug("Messaging quota still exhausted, keeping audience throttled", {
+            campaignId: campaign.id,
+            nextReleaseAt: quota.nextReleaseAt,
+          });
+          continue;
+        }
+
+        const audienceList = await this.getCampaignAudienceForProcessing(
+          campaign.id,
+          "throttled"
+        );
+
+        logger.info("Releasing throttled audience", {
+          campaignId: campaign.id,
+          throttledCount: audienceList.length,
+          uniqueRecipientsRemaining: quota.uniqueRecipientsRemaining,
+        });
+
+        const template = this.buildTemplate(campaign);
+
+        await this.generateAndSendMessages(campaign, template, audienceList);
+      }
+    } catch (error) {
+      logger.error("Error processing throttled audience", {
+        error: error.message,
       });
+    }
+  }
 
-      return result;
+  /**
+   * Promote the winners of A/B tests whose window has passed and send the
+   * held-out audience with the winning template
+   */
+  async processAbTestPromotions() {
+    try {
+      const promotedCampaignIds = await abTestService.promoteDueCampaigns();
+
+      for (const campaignId of promotedCampaignIds) {
+        await this.releasePromotedAudience(campaignId);
+      }
     } catch (error) {
-      logger.error("Error sending message batch to SQS", {
-        messageCount: messages.length,
+      logger.error("Error processing A/B test promotions", {
         error: error.message,
       });
-      throw error;
     }
   }
 
+  /**
+   * Send audience rows released by an A/B test promotion. Campaigns that have
+   * not been processed yet pick the rows up in their normal run.
+   * @param {string} campaignId - Campaign ID
+   */
+  async releasePromotedAudience(campaignId) {
+    const query = `
+      SELECT c.*, t.name as template_name, t.category as template_category,
+             t.language as template_language, t.components, t.body_text,
+             t.header_type, t.header_media_url, t.footer_text, t.parameters
+      FROM campaigns c
+      LEFT JOIN templates t ON c.template_id = t.id
+      WHERE c.id = $1
+      AND c.status IN ('ready_to_launch', 'running')
+    `;
+
+    const result = await Campaign.pool.query(query, [campaignId]);
+    const campaign = result.rows[0];
+    if (!campaign) return;
+
+    const audienceList = await this.getCampaignAudienceForProcessing(
+      campaign.id
+    );
+    if (audienceList.length === 0) return;
+
+    logger.info("Sending A/B test winner to held-out audience", {
+      campaignId: campaign.id,
+      variantId: campaign.ab_test_winner_variant_id,
+      audienceCount: audienceList.length,
+    });
+
+    await this.generateAndSendMessages(
+      campaign,
+      this.buildTemplate(campaign),
+      audienceList
+    );
+  }
+
+  /**
+   * Load the sendable templates of the families a campaign sends
+   * @param {Object} campaign - Campaign data
+   * @param {Array} templates - Campaign and variant templates
+   * @returns {Map} Template name -> Map of language -> template data
+   */
+  async loadFamilyTemplates(campaign, templates) {
+    const names = [
+      ...new Set(templates.map((template) => template.name).filter(Boolean)),
+    ];
+    const rows = await Template.findSendableFamilyTemplates(
+      campaign.organization_id,
+      names
+    );
+
+    const families = new Map();
+    rows.forEach((row) => {
+      if (!families.has(row.template_name)) {
+        families.set(row.template_name, new Map());
+      }
+      families
+        .get(row.template_name)
+        .set(row.template_language, this.buildTemplate(row));
+    });
+
+    return families;
+  }
+
+  /**
+   * Pick the family template in the contact's language. The contact's
+   * language attribute wins over the country code, then the campaign's
+   * fallback language; the template itself is sent when nothing matches.
+   * @param {Object} campaign - Campaign with language_attribute, fallback_language
+   * @param {Object} template - Campaign or variant template
+   * @param {Object} audienceData - Audience member
+   * @param {Map} familyTemplates - From loadFamilyTemplates
+   * @returns {Object} Template data
+   */
+  selectFamilyTemplate(campaign, template, audienceData, familyTemplates) {
+    const family = familyTemplates.get(template.name);
+    if (!family) return template;
+
+    const { language } = selectLanguage([...family.keys()], audienceData, {
+      attribute: campaign.language_attribute,
+      fallback: campaign.fallback_language || template.language,
+    });
+
+    return (language && family.get(language)) || template;
+  }
+
+  /**
+   * Build the template data used by the message generator from a row that
+   * carries the template columns (campaign or variant joined with templates)
+   * @param {Object} row - Row with template_id, template_name, components, ...
+   * @returns {Object} Template data
+   */
+  buildTemplate(row) {
+    return {
+      id: row.template_id,
+      name: row.template_name,
+      category: row.template_category,
+      language: row.template_language,
+      components: this.parseComponents(row.components),
+      body_text: row.body_text,
+      header_type: row.header_type,
+      header_media_url: row.header_media_url,
+      footer_text: row.footer_text,
+      parameters: row.parameters,
+    };
+  }
+
   /**
    * Parse JSON components safely
    * @param {string|Object} components - Components data
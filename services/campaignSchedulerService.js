@@ -0,0 +1,181 @@
+const Campaign = require("../models/Campaign");
+const { getNextOccurrence } = require("../utils/recurrence");
+const logger = require("../utils/logger");
+
+/**
+ * Campaign Scheduler Service
+ * Promotes scheduled campaigns into the send pipeline once they enter their
+ * buffer window, and clones a child run for each recurring campaign occurrence
+ */
+class CampaignSchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.schedulerInterval =
+      parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL) || 60000; // 1 minute
+  }
+
+  /**
+   * Start the campaign scheduler service
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Campaign scheduler service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting campaign scheduler service", {
+      schedulerInterval: this.schedulerInterval,
+    });
+
+    // Run immediately on start
+    this.processSchedules();
+
+    this.intervalId = setInterval(() => {
+      this.processSchedules();
+    }, this.schedulerInterval);
+  }
+
+  /**
+   * Stop the campaign scheduler service
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Campaign scheduler service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Campaign scheduler service stopped");
+  }
+
+  /**
+   * Run one scheduler tick
+   */
+  async processSchedules() {
+    // Skip the tick if the previous one is still running
+    if (this.isTicking) {
+      logger.debug("Campaign scheduler tick already in progress");
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      // Clone recurring runs first so new children can be promoted in the same tick
+      await this.processRecurringCampaigns();
+      await this.processScheduledCampaigns();
+    } catch (error) {
+      logger.error("Error in campaign scheduler", {
+        error: error.message,
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Promote scheduled campaigns whose buffer window has started.
+   * Promoted campaigns go to 'approved' so asset generation can begin;
+   * campaign processing still waits for scheduled_at before dispatching.
+   */
+  async processScheduledCampaigns() {
+    const campaigns = await Campaign.findScheduledCampaigns();
+
+    if (campaigns.length === 0) {
+      logger.debug("No scheduled campaigns due for promotion");
+      return;
+    }
+
+    logger.info("Found scheduled campaigns due for promotion", {
+      campaignCount: campaigns.length,
+    });
+
+    for (const campaign of campaigns) {
+      try {
+        await Campaign.update(campaign.id, { status: "approved" });
+
+        logger.info("Scheduled campaign promoted", {
+          campaignId: campaign.id,
+          campaignName: campaign.name,
+          scheduledAt: campaign.scheduled_at,
+          bufferHours: campaign.buffer_hours,
+        });
+      } catch (error) {
+        logger.error("Error promoting scheduled campaign", {
+          campaignId: campaign.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Clone a child run for each recurring campaign whose next run is due
+   */
+  async processRecurringCampaigns() {
+    const campaigns = await Campaign.findDueRecurringCampaigns();
+
+    if (campaigns.length === 0) {
+      logger.debug("No recurring campaigns due for a new run");
+      return;
+    }
+
+    for (const campaign of campaigns) {
+      try {
+        // Search from now as well as the due run so missed occurrences
+        // (e.g. while the server was down) are skipped rather than replayed
+        const searchFrom = new Date(
+          Math.max(new Date(campaign.next_run_at).getTime(), Date.now())
+        );
+        const nextRunAt = getNextOccurrence(
+          campaign.recurrence_rule,
+          campaign.recurrence_timezone,
+          searchFrom,
+          campaign.scheduled_at
+        );
+
+        const run = await Campaign.createRecurringRun(campaign, nextRunAt);
+
+        if (!run) {
+          logger.debug("Recurring run already created by another worker", {
+            campaignId: campaign.id,
+          });
+          continue;
+        }
+
+        logger.info("Recurring campaign run created", {
+          campaignId: campaign.id,
+          runId: run.id,
+          runNumber: run.run_number,
+          scheduledAt: run.scheduled_at,
+          nextRunAt,
+        });
+      } catch (error) {
+        logger.error("Error creating recurring campaign run", {
+          campaignId: campaign.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedulerInterval: this.schedulerInterval,
+    };
+  }
+}
+
+module.exports = new CampaignSchedulerService();
@@ -0,0 +1,202 @@
+const Campaign = require("../models/Campaign");
+const Template = require("../models/Template");
+const logger = require("../utils/logger");
+
+const STAT_FIELDS = [
+  "total_targeted_audience",
+  "total_sent",
+  "total_delivered",
+  "total_read",
+  "total_replied",
+  "total_failed",
+];
+
+// Campaign statuses that can be moved to 'completed'
+const COMPLETABLE_STATUSES = ["ready_to_launch", "running"];
+
+/**
+ * Campaign Stats Service
+ * Rolls campaign_audience statuses and campaign replies up into the campaign
+ * and template counters, and completes campaigns once nothing is left to send
+ */
+class CampaignStatsService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.processingInterval =
+      parseInt(process.env.CAMPAIGN_STATS_INTERVAL) || 60000; // 1 minute
+    this.completionWindowMinutes =
+      parseInt(process.env.CAMPAIGN_COMPLETION_WINDOW_MINUTES) || 60;
+    this.trailingDays = parseInt(process.env.CAMPAIGN_STATS_TRAILING_DAYS) || 7;
+    this.batchSize = parseInt(process.env.CAMPAIGN_STATS_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Start the campaign stats service
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Campaign stats service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting campaign stats service", {
+      processingInterval: this.processingInterval,
+      completionWindowMinutes: this.completionWindowMinutes,
+      trailingDays: this.trailingDays,
+    });
+
+    this.rollupStatistics();
+
+    this.intervalId = setInterval(() => {
+      this.rollupStatistics();
+    }, this.processingInterval);
+  }
+
+  /**
+   * Stop the campaign stats service
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Campaign stats service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Campaign stats service stopped");
+  }
+
+  /**
+   * Roll up statistics for every active or recently completed campaign
+   */
+  async rollupStatistics() {
+    if (this.isTicking) return;
+
+    this.isTicking = true;
+    try {
+      const campaigns = await Campaign.findCampaignsForStatsRollup(
+        this.trailingDays
+      );
+
+      let updated = 0;
+      let completed = 0;
+      const templateIds = new Set();
+
+      for (let i = 0; i < campaigns.length; i += this.batchSize) {
+        const batch = campaigns.slice(i, i + this.batchSize);
+        const current = new Map(
+          batch.map((campaign) => [campaign.id, campaign])
+        );
+        const rows = await Campaign.aggregateStatistics(
+          batch.map((campaign) => campaign.id)
+        );
+
+        for (const row of rows) {
+          try {
+            const result = await this.applyStatistics(current.get(row.id), row);
+            if (result.updated) {
+              updated++;
+              row.template_ids.forEach((id) => templateIds.add(id));
+            }
+            if (result.completed) completed++;
+          } catch (error) {
+            logger.error("Error rolling up campaign statistics", {
+              campaignId: row.id,
+              error: error.message,
+            });
+          }
+        }
+      }
+
+      const templatesUpdated = await Template.refreshUsageStatsFromCampaigns([
+        ...templateIds,
+      ]);
+
+      if (updated > 0 || completed > 0) {
+        logger.info("Campaign statistics rolled up", {
+          campaigns: campaigns.length,
+          updated,
+          completed,
+          templatesUpdated,
+        });
+      }
+    } catch (error) {
+      logger.error("Error rolling up campaign statistics", {
+        error: error.message,
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Write changed counters and complete the campaign when it is finished
+   * @param {Object} campaign - Campaign row (id, status, stored counters)
+   * @param {Object} row - Aggregated counters from Campaign.aggregateStatistics
+   * @returns {Promise<Object>} { updated, completed }
+   */
+  async applyStatistics(campaign, row) {
+    const stats = {};
+    STAT_FIELDS.forEach((field) => {
+      stats[field] = row[field];
+    });
+
+    const changed = STAT_FIELDS.some(
+      (field) => Number(campaign?.[field] ?? -1) !== row[field]
+    );
+    if (changed) {
+      await Campaign.updateStatistics(row.id, stats);
+    }
+
+    const completed = this.isFinished(row);
+    if (completed) {
+      await Campaign.completeCampaign(row.id);
+      logger.info("Campaign completed", {
+        campaignId: row.id,
+        ...stats,
+      });
+    }
+
+    return { updated: changed, completed };
+  }
+
+  /**
+   * A campaign is finished when no audience row or outbox entry is waiting to
+   * be sent and no row has changed for the completion window
+   * @param {Object} row - Aggregated counters
+   * @returns {boolean}
+   */
+  isFinished(row) {
+    if (!COMPLETABLE_STATUSES.includes(row.status)) return false;
+    if (row.audience_count === 0) return false;
+    if (row.pending_count > 0 || row.pending_dispatch_count > 0) return false;
+
+    const quietSince = Date.now() - this.completionWindowMinutes * 60 * 1000;
+    return (
+      !row.last_activity_at ||
+      new Date(row.last_activity_at).getTime() <= quietSince
+    );
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      processingInterval: this.processingInterval,
+      completionWindowMinutes: this.completionWindowMinutes,
+      trailingDays: this.trailingDays,
+    };
+  }
+}
+
+module.exports = new CampaignStatsService();
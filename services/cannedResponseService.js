@@ -0,0 +1,167 @@
+const CannedResponse = require("../models/CannedResponse");
+const Audience = require("../models/Audience");
+const customeMessageGenerator = require("./customeMessageGenerator");
+
+// Placeholders left in a rendered response, e.g. {{order_id}} or {{1}}
+const VARIABLE_REGEX = /\{\{(\w+)\}\}/g;
+
+const cannedResponseError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, extra);
+};
+
+/**
+ * Canned Response Service
+ * Fills saved replies for a conversation with the same placeholder engine
+ * as custom messages. Variables come from the contact's attributes, the
+ * conversation and the agent, overridden by the values the agent gives.
+ */
+class CannedResponseService {
+  /**
+   * Load a canned response that belongs to the organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} cannedResponseId - Canned response ID
+   * @returns {Promise<Object>} Canned response
+   */
+  async findOwned(organizationId, cannedResponseId) {
+    const cannedResponse = await CannedResponse.findById(cannedResponseId);
+    if (!cannedResponse || cannedResponse.organization_id !== organizationId) {
+      throw cannedResponseError("Canned response not found", 404);
+    }
+    return cannedResponse;
+  }
+
+  /**
+   * List the distinct variable names in a text
+   * @param {string|null} text - Text with {{variables}}
+   * @returns {Array<string>} Variable names
+   */
+  findVariables(text) {
+    if (!text) return [];
+    return [...new Set(Array.from(text.matchAll(VARIABLE_REGEX), (m) => m[1]))];
+  }
+
+  /**
+   * Build the placeholder engine's audience data for a conversation
+   * @param {Object} conversation - Conversation row
+   * @param {Object|null} agent - Sending user
+   * @param {Object} variables - Values given by the agent
+   * @returns {Promise<Object>} name, msisdn, attributes
+   */
+  async buildAudienceData(conversation, agent, variables = {}) {
+    const customerPhone =
+      conversation.customer_phone_number || conversation.customer_phone;
+    const contact = await Audience.findByMSISDNAndOrganization(
+      customerPhone,
+      conversation.organization_id
+    );
+    const customerName = contact?.name || conversation.customer_name || null;
+
+    return {
+      name: customerName,
+      msisdn: customerPhone,
+      attributes: {
+        ...(contact?.last_known_attributes || {}),
+        customer_name: customerName,
+        customer_phone: customerPhone,
+        agent_name:
+          [agent?.first_name, agent?.last_name].filter(Boolean).join(" ") ||
+          null,
+        agent_first_name: agent?.first_name || null,
+        business_phone_number: conversation.business_phone_number || null,
+        ...(variables && typeof variables === "object" ? variables : {}),
+      },
+    };
+  }
+
+  /**
+   * Fill a canned response for a conversation. Variables without a value
+   * are left in place and listed in missing_variables.
+   * @param {Object} cannedResponse - Canned response row
+   * @param {Object} conversation - Conversation row
+   * @param {Object|null} agent - Sending user
+   * @param {Object} variables - Values given by the agent
+   * @returns {Promise<Object>} content, attachment, missing_variables
+   */
+  async render(cannedResponse, conversation, agent, variables = {}) {
+    const audienceData = await this.buildAudienceData(
+      conversation,
+      agent,
+      variables
+    );
+    const content = customeMessageGenerator.replacePlaceholders(
+      cannedResponse.content,
+      audienceData,
+      {}
+    );
+
+    return {
+      content: content || null,
+      attachment: cannedResponse.attachment_url
+        ? {
+            url: cannedResponse.attachment_url,
+            type: cannedResponse.attachment_type,
+            filename: cannedResponse.attachment_filename,
+          }
+        : null,
+      missing_variables: this.findVariables(content),
+    };
+  }
+
+  /**
+   * Build the message content to send a canned response in a conversation
+   * @param {Object} cannedResponse - Canned response row
+   * @param {Object} conversation - Conversation row
+   * @param {Object|null} agent - Sending user
+   * @param {Object} variables - Values given by the agent
+   * @returns {Promise<Object>} messageType, messageContent, mediaUrl,
+   *   mediaType, caption, filename
+   */
+  async buildMessage(cannedResponse, conversation, agent, variables = {}) {
+    const rendered = await this.render(
+      cannedResponse,
+      conversation,
+      agent,
+      variables
+    );
+
+    if (rendered.missing_variables.length > 0) {
+      throw cannedResponseError(
+        `Canned response variables are missing values: ${rendered.missing_variables.join(
+          ", "
+        )}`,
+        400,
+        {
+          code: "MISSING_VARIABLES",
+          details: { missing_variables: rendered.missing_variables },
+        }
+      );
+    }
+
+    if (!rendered.attachment) {
+      return {
+        messageType: "text",
+        messageContent: rendered.content,
+        mediaUrl: null,
+        mediaType: null,
+        caption: null,
+        filename: null,
+      };
+    }
+
+    return {
+      messageType: rendered.attachment.type,
+      messageContent: rendered.content,
+      mediaUrl: rendered.attachment.url,
+      mediaType: rendered.attachment.type,
+      caption: rendered.content,
+      filename:
+        rendered.attachment.type === "document"
+          ? rendered.attachment.filename
+          : null,
+    };
+  }
+}
+
+module.exports = new CannedResponseService();
@@ -0,0 +1,227 @@
+const Audience = require("../models/Audience");
+const AudienceAttributeHistory = require("../models/AudienceAttributeHistory");
+const SuppressionList = require("../models/SuppressionList");
+
+// WhatsApp customer service window: free-form replies allowed after an inbound message
+const SERVICE_WINDOW_HOURS = 24;
+
+/**
+ * Contact Profile Service
+ * Gathers everything known about one phone number in an organization:
+ * the master record, campaigns, the message timeline across all message
+ * tables, conversations and opt-in status
+ */
+class ContactProfileService {
+  /**
+   * Build the profile of a phone number
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number in E.164 format
+   * @param {Object} options - timeline_limit, before (ISO timestamp)
+   * @returns {Promise<Object|null>} Profile, or null if the number is unknown
+   */
+  async getProfile(organizationId, msisdn, options = {}) {
+    // Webhooks and older rows store the number with or without the leading +
+    const phoneVariants = [msisdn, msisdn.replace(/^\+/, "")];
+
+    const contactResult = await Audience.pool.query(
+      `SELECT am.*, u.first_name as created_by_name, u.last_name as created_by_lastname
+       FROM audience_master am
+       LEFT JOIN users u ON am.created_by = u.id
+       WHERE am.organization_id = $1 AND am.msisdn = $2`,
+      [organizationId, msisdn]
+    );
+    const contact = contactResult.rows[0] || null;
+
+    const [campaigns, timeline, conversations, suppression, lastInbound] =
+      await Promise.all([
+        this.getCampaigns(organizationId, phoneVariants),
+        this.getTimeline(organizationId, phoneVariants, options),
+        this.getConversations(organizationId, phoneVariants),
+        SuppressionList.findByMSISDN(organizationId, msisdn),
+        this.getLastInboundAt(organizationId, phoneVariants),
+      ]);
+
+    if (
+      !contact &&
+      campaigns.length === 0 &&
+      timeline.length === 0 &&
+      conversations.length === 0 &&
+      !suppression
+    ) {
+      return null;
+    }
+
+    const attributeHistory = contact
+      ? await AudienceAttributeHistory.findByContact(contact.id, { limit: 50 })
+      : [];
+
+    return {
+      msisdn,
+      contact,
+      campaigns,
+      timeline,
+      conversations,
+      opt_in: {
+        status: suppression ? "opted_out" : "opted_in",
+        reason: suppression ? suppression.reason : null,
+        keyword: suppression ? suppression.keyword : null,
+        opted_out_at: suppression ? suppression.created_at : null,
+      },
+      service_window: {
+        last_inbound_at: lastInbound,
+        is_open:
+          !!lastInbound &&
+          Date.now() - new Date(lastInbound).getTime() <
+            SERVICE_WINDOW_HOURS * 60 * 60 * 1000,
+      },
+      attribute_history: attributeHistory,
+    };
+  }
+
+  /**
+   * Every campaign the number was part of, newest first
+   */
+  async getCampaigns(organizationId, phoneVariants) {
+    const query = `
+      SELECT ca.id as campaign_audience_id, ca.campaign_id,
+             c.name as campaign_name, c.status as campaign_status,
+             t.name as template_name, v.name as variant_name,
+             ca.message_status, ca.sent_at, ca.delivered_at, ca.read_at,
+             ca.failed_at, ca.failure_reason, ca.created_at as added_at,
+             EXISTS (
+               SELECT 1 FROM incoming_messages im
+               WHERE im.context_campaign_id = ca.campaign_id
+               AND im.from_phone_number = ANY($2::text[])
+             ) as replied
+      FROM campaign_audience ca
+      JOIN campaigns c ON ca.campaign_id = c.id
+      LEFT JOIN templates t ON c.template_id = t.id
+      LEFT JOIN campaign_variants v ON ca.variant_id = v.id
+      WHERE ca.organization_id = $1
+      AND ca.msisdn = ANY($2::text[])
+      ORDER BY ca.created_at DESC
+    `;
+
+    const result = await Audience.pool.query(query, [
+      organizationId,
+      phoneVariants,
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Inbound and outbound messages across messages, incoming_messages and
+   * conversation_messages, newest first. A message stored in more than one
+   * table is returned once, preferring the conversation copy.
+   */
+  async getTimeline(organizationId, phoneVariants, options = {}) {
+    const limit = Math.min(parseInt(options.timeline_limit) || 50, 200);
+    const values = [organizationId, phoneVariants, limit];
+
+    let beforeClause = "";
+    if (options.before) {
+      values.push(options.before);
+      beforeClause = `WHERE occurred_at < $${values.length}::timestamptz`;
+    }
+
+    const query = `
+      WITH events AS (
+        SELECT 1 as priority, 'conversation' as source, cm.id,
+               cm.direction::text as direction, cm.message_type,
+               cm.message_content as content, cm.media_url, cm.caption,
+               cm.template_name, cm.message_status::text as status,
+               cm.failure_reason, cm.whatsapp_message_id,
+               cv.related_campaign_id as campaign_id, cm.conversation_id,
+               cm.sent_by_user_id, cm.interactive_data,
+               COALESCE(cm.sent_at, cm.created_at) as occurred_at
+        FROM conversation_messages cm
+        JOIN conversations cv ON cm.conversation_id = cv.id
+        WHERE cv.organization_id = $1
+        AND cv.customer_phone = ANY($2::text[])
+
+        UNION ALL
+
+        SELECT 2, 'message', m.id,
+               CASE WHEN m.is_incoming THEN 'inbound' ELSE 'outbound' END,
+               m.message_type, m.message_content, m.media_url, m.caption,
+               m.template_name, m.message_status, m.failure_reason,
+               m.whatsapp_message_id, m.campaign_id, NULL::uuid, NULL::uuid,
+               m.interaction_data, COALESCE(m.sent_at, m.created_at)
+        FROM messages m
+        WHERE m.organization_id = $1
+        AND (m.to_number = ANY($2::text[]) OR m.from_number = ANY($2::text[]))
+
+        UNION ALL
+
+        SELECT 3, 'incoming', im.id, 'inbound', im.message_type,
+               im.content, im.media_url, NULL, NULL, 'received', NULL,
+               im.whatsapp_message_id, im.context_campaign_id, NULL::uuid,
+               NULL::uuid, im.interactive_data, im.timestamp
+        FROM incoming_messages im
+        WHERE im.organization_id = $1
+        AND im.from_phone_number = ANY($2::text[])
+      ),
+      deduplicated AS (
+        SELECT DISTINCT ON (COALESCE(whatsapp_message_id, source || ':' || id))
+               *
+        FROM events
+        ORDER BY COALESCE(whatsapp_message_id, source || ':' || id), priority
+      )
+      SELECT d.source, d.id, d.direction, d.message_type, d.content,
+             d.media_url, d.caption, d.template_name, d.status,
+             d.failure_reason, d.whatsapp_message_id, d.campaign_id,
+             c.name as campaign_name, d.conversation_id,
+             d.sent_by_user_id, u.first_name as sent_by_name,
+             u.last_name as sent_by_lastname, d.interactive_data,
+             d.occurred_at
+      FROM deduplicated d
+      LEFT JOIN campaigns c ON d.campaign_id = c.id
+      LEFT JOIN users u ON d.sent_by_user_id = u.id
+      ${beforeClause}
+      ORDER BY d.occurred_at DESC
+      LIMIT $3
+    `;
+
+    const result = await Audience.pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Conversations with the number, with status, tags and assignee
+   */
+  async getConversations(organizationId, phoneVariants) {
+    const query = `
+      SELECT cv.id, cv.conversation_type, cv.conversation_status,
+             cv.related_campaign_id, cv.assigned_to_user_id,
+             u.first_name as assigned_to_name, u.last_name as assigned_to_lastname,
+             cv.assigned_at, cv.tags, cv.notes, cv.total_messages,
+             cv.unread_count, cv.last_message_at, cv.last_message_preview,
+             cv.created_at, cv.closed_at
+      FROM conversations cv
+      LEFT JOIN users u ON cv.assigned_to_user_id = u.id
+      WHERE cv.organization_id = $1
+      AND cv.customer_phone = ANY($2::text[])
+      ORDER BY cv.last_message_at DESC NULLS LAST
+    `;
+
+    const result = await Audience.pool.query(query, [
+      organizationId,
+      phoneVariants,
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Time of the latest message received from the number
+   */
+  async getLastInboundAt(organizationId, phoneVariants) {
+    const result = await Audience.pool.query(
+      `SELECT MAX(timestamp) as last_inbound_at FROM incoming_messages
+       WHERE organization_id = $1 AND from_phone_number = ANY($2::text[])`,
+      [organizationId, phoneVariants]
+    );
+    return result.rows[0].last_inbound_at;
+  }
+}
+
+module.exports = new ContactProfileService();
@@ -0,0 +1,383 @@
+const Conversation = require("../models/Conversation");
+const ConversationQueue = require("../models/ConversationQueue");
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const inboxEventService = require("./inboxEventService");
+const logger = require("../utils/logger");
+
+// Organization routing modes; queues use the automatic ones
+const ROUTING_MODES = ["manual", "round_robin", "least_open"];
+const QUEUE_ROUTING_MODES = ["round_robin", "least_open"];
+
+// Agent availability; only online agents are routed to
+const AVAILABILITY_STATUSES = ["online", "away", "offline"];
+
+const lastAssignedTime = (agent) =>
+  agent.last_assigned_at ? new Date(agent.last_assigned_at).getTime() : 0;
+
+/**
+ * Conversation Routing Service
+ * Assigns new and reopened conversations to online agents below their cap,
+ * through the first matching queue or the organization's routing mode.
+ * Conversations nobody could take wait, are retried every run unless the
+ * organization routes manually, and are escalated to the organization
+ * admins after the configured wait.
+ */
+class ConversationRoutingService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.checkInterval =
+      parseInt(process.env.CONVERSATION_ROUTING_INTERVAL) || 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Start retrying and escalating waiting conversations
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Conversation routing service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting conversation routing service", {
+      checkInterval: this.checkInterval,
+    });
+
+    this.processWaitingConversations();
+
+    this.intervalId = setInterval(() => {
+      this.processWaitingConversations();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Stop retrying and escalating waiting conversations
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Conversation routing service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Conversation routing service stopped");
+  }
+
+  /**
+   * Route a new or reopened conversation. Failures are logged, never
+   * thrown, so routing cannot break inbound message handling.
+   * @param {Object} conversation - Conversation row
+   * @param {Object} options - messageContent of the customer's message,
+   *   reopened
+   * @returns {Promise<Object|null>} Assigned conversation, null when it waits
+   */
+  async routeConversation(conversation, options = {}) {
+    const { messageContent = null, reopened = false } = options;
+
+    try {
+      const organization = await Organization.findById(
+        conversation.organization_id
+      );
+      if (!organization) return null;
+
+      const queue = await this.matchQueue(conversation, messageContent);
+      return await this.assign(conversation, organization, queue, reopened);
+    } catch (error) {
+      logger.error("Error routing conversation", {
+        conversationId: conversation.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Find the first active queue, by priority, whose rules match. Each rule
+   * set matches when any of its values does; empty rule sets are ignored,
+   * so a queue without rules takes every conversation.
+   * @param {Object} conversation - Conversation row
+   * @param {string|null} messageContent - Customer's message
+   * @returns {Promise<Object|null>} Queue with agent_ids
+   */
+  async matchQueue(conversation, messageContent = null) {
+    const queues = await ConversationQueue.findByOrganization(
+      conversation.organization_id,
+      { active_only: true }
+    );
+
+    const text = String(messageContent || "").toLowerCase();
+    const tags = conversation.tags || [];
+
+    return (
+      queues.find((queue) => {
+        const types = queue.conversation_types || [];
+        const queueTags = queue.tags || [];
+        const campaignIds = queue.campaign_ids || [];
+        const keywords = queue.keywords || [];
+
+        return (
+          (types.length === 0 ||
+            types.includes(conversation.conversation_type)) &&
+          (queueTags.length === 0 ||
+            queueTags.some((tag) => tags.includes(tag))) &&
+          (campaignIds.length === 0 ||
+            campaignIds.includes(conversation.related_campaign_id)) &&
+          (keywords.length === 0 ||
+            keywords.some((keyword) => text.includes(keyword.toLowerCase())))
+        );
+      }) || null
+    );
+  }
+
+  /**
+   * Assign a conversation through a queue or the organization's mode, or
+   * leave it waiting when no agent is free
+   * @param {Object} conversation - Conversation row
+   * @param {Object} organization - Organization row
+   * @param {Object|null} queue - Matched queue
+   * @param {boolean} reopened - Whether the customer reopened it
+   * @returns {Promise<Object|null>} Assigned conversation
+   */
+  async assign(conversation, organization, queue, reopened = false) {
+    const mode = queue
+      ? queue.routing_mode
+      : organization.conversation_routing_mode || "manual";
+
+    // Manual routing leaves assigned conversations alone
+    if (mode === "manual") {
+      if (!conversation.assigned_to_user_id) {
+        await Conversation.markAwaitingAssignment(conversation.id, null);
+      }
+      return null;
+    }
+
+    const agents = await User.findRoutableAgents(conversation.organization_id, {
+      userIds: queue ? queue.agent_ids : null,
+      defaultMaxConcurrent: organization.max_concurrent_conversations,
+    });
+
+    const stickyAgentId = organization.conversation_routing_sticky
+      ? conversation.assigned_to_user_id ||
+        (await Conversation.findLastAgent(
+          conversation.organization_id,
+          conversation.customer_phone
+        ))
+      : null;
+
+    for (const agent of this.rankAgents(agents, mode, stickyAgentId)) {
+      const assigned = await Conversation.assignRouted(
+        conversation.id,
+        agent.id,
+        agent.max_concurrent_conversations,
+        queue ? queue.id : null,
+        conversation.assigned_to_user_id || null
+      );
+      if (!assigned) continue;
+
+      logger.info("Conversation routed", {
+        conversationId: conversation.id,
+        userId: agent.id,
+        queueId: queue ? queue.id : null,
+        mode,
+        reopened,
+      });
+      await inboxEventService.publishAssignment(assigned);
+      return assigned;
+    }
+
+    const waiting = await Conversation.markAwaitingAssignment(
+      conversation.id,
+      queue ? queue.id : null,
+      conversation.assigned_to_user_id || null
+    );
+    if (!waiting) {
+      logger.info("Conversation assignment changed while routing", {
+        conversationId: conversation.id,
+      });
+      return null;
+    }
+    if (conversation.assigned_to_user_id) {
+      await inboxEventService.publishAssignment(waiting);
+    }
+
+    logger.info("No agent available, conversation waiting", {
+      conversationId: conversation.id,
+      queueId: queue ? queue.id : null,
+      mode,
+    });
+    return null;
+  }
+
+  /**
+   * Order agents to try: the sticky agent first when eligible, then the
+   * longest idle (round robin) or the least busy (least open)
+   * @param {Array} agents - Routable agents
+   * @param {string} mode - round_robin or least_open
+   * @param {string|null} stickyAgentId - Agent to keep
+   * @returns {Array} Agents
+   */
+  rankAgents(agents, mode, stickyAgentId = null) {
+    const ranked = [...agents].sort((a, b) => {
+      if (
+        mode === "least_open" &&
+        a.open_conversations !== b.open_conversations
+      ) {
+        return a.open_conversations - b.open_conversations;
+      }
+      return lastAssignedTime(a) - lastAssignedTime(b);
+    });
+
+    const stickyIndex = ranked.findIndex((agent) => agent.id === stickyAgentId);
+    if (stickyIndex > 0) {
+      ranked.unshift(...ranked.splice(stickyIndex, 1));
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Retry waiting conversations, then escalate those that waited longer
+   * than their organization's escalation wait
+   */
+  async processWaitingConversations() {
+    if (this.isTicking) return;
+
+    this.isTicking = true;
+    try {
+      const assignedCount = await this.retryWaitingConversations();
+      const escalatedCount = await this.escalateWaitingConversations();
+
+      if (assignedCount > 0 || escalatedCount > 0) {
+        logger.info("Processed waiting conversations", {
+          assigned: assignedCount,
+          escalated: escalatedCount,
+        });
+      }
+    } catch (error) {
+      logger.error("Error processing waiting conversations", {
+        error: error.message,
+      });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Route waiting conversations again; manual organizations are skipped
+   * as their conversations wait for an admin
+   * @returns {Promise<number>} Conversations assigned
+   */
+  async retryWaitingConversations() {
+    const conversations = await Conversation.findAwaitingAssignment();
+    const organizations = new Map();
+    let assignedCount = 0;
+
+    for (const conversation of conversations) {
+      try {
+        if (!organizations.has(conversation.organization_id)) {
+          organizations.set(
+            conversation.organization_id,
+            await Organization.findById(conversation.organization_id)
+          );
+        }
+        const organization = organizations.get(conversation.organization_id);
+        if (!organization) continue;
+
+        const queue = conversation.queue_id
+          ? await ConversationQueue.findWithMembers(conversation.queue_id)
+          : null;
+
+        const assigned = await this.assign(
+          conversation,
+          organization,
+          queue && queue.is_active ? queue : null
+        );
+        if (assigned) assignedCount++;
+      } catch (error) {
+        logger.error("Error retrying waiting conversation", {
+          conversationId: conversation.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return assignedCount;
+  }
+
+  /**
+   * Escalate the conversations past their organization's escalation wait
+   * @returns {Promise<number>} Conversations escalated
+   */
+  async escalateWaitingConversations() {
+    const conversations = await Conversation.findDueForEscalation();
+    let escalatedCount = 0;
+
+    for (const conversation of conversations) {
+      try {
+        await this.escalate(conversation);
+        escalatedCount++;
+      } catch (error) {
+        logger.error("Error escalating waiting conversation", {
+          conversationId: conversation.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return escalatedCount;
+  }
+
+  /**
+   * Notify the organization admins once about a conversation waiting
+   * longer than the escalation wait
+   * @param {Object} conversation - Waiting conversation with
+   *   conversation_escalation_minutes
+   */
+  async escalate(conversation) {
+    const waitMinutes = conversation.conversation_escalation_minutes;
+
+    await Notification.createForOrganizationAdmins(
+      conversation.organization_id,
+      {
+        type: "conversation_escalated",
+        title: `Conversation with ${conversation.customer_phone} is waiting for an agent`,
+        message: `No agent was assigned within ${waitMinutes} minutes.`,
+        data: {
+          conversation_id: conversation.id,
+          queue_id: conversation.queue_id,
+          customer_phone: conversation.customer_phone,
+          awaiting_assignment_since: conversation.awaiting_assignment_since,
+        },
+      }
+    );
+    await Conversation.markEscalated(conversation.id);
+
+    logger.info("Conversation escalated to organization admins", {
+      conversationId: conversation.id,
+      organizationId: conversation.organization_id,
+      waitMinutes,
+    });
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      checkInterval: this.checkInterval,
+    };
+  }
+}
+
+module.exports = new ConversationRoutingService();
+module.exports.ROUTING_MODES = ROUTING_MODES;
+module.exports.QUEUE_ROUTING_MODES = QUEUE_ROUTING_MODES;
+module.exports.AVAILABILITY_STATUSES = AVAILABILITY_STATUSES;
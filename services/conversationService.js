@@ -1,8 +1,25 @@
 const Conversation = require("../models/Conversation");
 const ConversationMessage = require("../models/ConversationMessage");
-const sqsService = require("./sqsService");
+const Template = require("../models/Template");
+const Audience = require("../models/Audience");
+const campaignMessageGenerator = require("./campaignMessageGenerator");
+const messageTransportService = require("./messageTransportService");
+const suppressionService = require("./suppressionService");
+const inboxEventService = require("./inboxEventService");
+const phoneNumberService = require("./phoneNumberService");
+const conversationRoutingService = require("./conversationRoutingService");
 const { formatPhoneNumber } = require("../utils/phoneUtils");
 
+// Free-form messages may only be sent this long after the customer's last
+// message; templates can be sent at any time
+const SERVICE_WINDOW_HOURS = 24;
+
+const conversationError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return Object.assign(error, extra);
+};
+
 /**
  * Conversation Service
  * Handles manual chat/chatbot functionality
@@ -19,6 +36,7 @@ class ConversationService {
         organizationId,
         fromPhoneNumber,
         toPhoneNumber,
+        phoneNumberId = null,
         messageType,
         content,
         mediaUrl,
@@ -41,11 +59,13 @@ class ConversationService {
         conversationType = "campaign_reply";
       }
 
-      // Get or create conversation
+      // Get or create the conversation on the number the customer wrote to
       const conversation = await Conversation.getOrCreate(
         organizationId,
         normalizedPhone,
         {
+          phoneNumberId,
+          businessPhoneNumber: toPhoneNumber,
           customerName,
           conversationType,
           relatedCampaignId: contextCampaignId,
@@ -68,6 +88,26 @@ class ConversationService {
         interactiveData,
       });
 
+      // A customer writing to a closed conversation reopens it
+      const reopened = ["closed", "archived"].includes(
+        conversation.conversation_status
+      );
+      if (reopened) {
+        await Conversation.reopen(conversation.id);
+      }
+
+      // Re-read so the event carries the counters the insert trigger updated
+      const current =
+        (await Conversation.findById(conversation.id)) || conversation;
+      await inboxEventService.publishMessage(current, message);
+
+      if (reopened || !current.assigned_to_user_id) {
+        await conversationRoutingService.routeConversation(current, {
+          messageContent: content,
+          reopened,
+        });
+      }
+
       return {
         conversation,
         message,
@@ -92,12 +132,15 @@ class ConversationService {
         mediaUrl = null,
         mediaType = null,
         caption = null,
+        filename = null,
         templateName = null,
         templateLanguage = null,
         templateParameters = null,
         contextMessageId = null,
         from_phone_number = null,
         to_phone_number = null,
+        templateId = null,
+        parameters = {},
       } = messageData;
 
       // Get conversation to get customer phone
@@ -106,28 +149,77 @@ class ConversationService {
         throw new Error("Conversation not found");
       }
 
-      // Create conversation message record
-      const message = await ConversationMessage.createMessage({
-        conversationId,
+      const recipient = to_phone_number || conversation.customer_phone_number;
+
+      // Reply from the business number the conversation belongs to
+      const sender = await phoneNumberService.resolveSender(
         organizationId,
-        direction: "outbound",
-        sentByUserId: userId,
+        conversation.phone_number_id
+      );
+      const fromPhoneNumber =
+        from_phone_number ||
+        conversation.business_phone_number ||
+        sender.display_phone_number;
+
+      if (await suppressionService.isSuppressed(organizationId, recipient)) {
+        const error = new Error(
+          "Recipient has opted out of messages from this organization"
+        );
+        error.statusCode = 403;
+        throw error;
+      }
+
+      let content = {
         messageType,
         messageContent,
         mediaUrl,
         mediaType,
         caption,
+        filename,
         templateName,
         templateLanguage,
         templateParameters,
+      };
+
+      // Outside the service window only a template can be sent: the one given
+      // as the fallback, or the caller gets the templates that can be used
+      let sendTemplate = messageType === "template" && !!templateId;
+      if (messageType !== "template") {
+        const serviceWindow = await this.getServiceWindow(conversationId);
+        if (!serviceWindow.isOpen) {
+          if (!templateId) {
+            throw await this.serviceWindowError(organizationId, serviceWindow);
+          }
+          sendTemplate = true;
+        }
+      }
+
+      if (sendTemplate) {
+        content = await this.buildTemplateContent(
+          organizationId,
+          recipient,
+          templateId,
+          parameters
+        );
+      }
+
+      // Create conversation message record
+      const message = await ConversationMessage.createMessage({
+        conversationId,
+        organizationId,
+        direction: "outbound",
+        sentByUserId: userId,
+        ...content,
         contextMessageId,
         messageStatus: "pending",
-        from_phone_number,
+        from_phone_number: fromPhoneNumber,
         to_phone_number,
 
       });
 
-      // Send to SQS for WhatsApp delivery
+      await inboxEventService.publishMessage(conversation, message);
+
+      // Send through the organization's message transport
       // Note: The message sender Lambda expects specific fields
       const sqsPayload = {
         // Conversation-specific fields
@@ -141,17 +233,11 @@ class ConversationService {
         campaignId: null, // Not from campaign
         campaignAudienceId: null, // Not from campaign
         to: to_phone_number,
-        from: from_phone_number, // Will use organization's WhatsApp number
+        from: fromPhoneNumber,
+        phoneNumberId: sender.phone_number_id,
 
         // Message content
-        messageType,
-        messageContent: messageContent,
-        mediaUrl,
-        mediaType,
-        caption,
-        templateName,
-        templateLanguage,
-        templateParameters,
+        ...content,
         contextMessageId,
 
         // Metadata
@@ -159,7 +245,7 @@ class ConversationService {
         timestamp: new Date().toISOString(),
       };
 
-      await sqsService.sendMessage(sqsPayload, {
+      await messageTransportService.sendMessage(sqsPayload, {
        messageGroupId:
               process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-outbound-messages",
       });
@@ -171,16 +257,218 @@ class ConversationService {
     }
   }
 
+  /**
+   * Get a conversation's customer service window. Free-form messages may
+   * only be sent while it is open.
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} isOpen, lastCustomerMessageAt, expiresAt
+   */
+  async getServiceWindow(conversationId) {
+    const lastCustomerMessageAt = await ConversationMessage.getLastInboundAt(
+      conversationId
+    );
+    const expiresAt = lastCustomerMessageAt
+      ? new Date(
+          new Date(lastCustomerMessageAt).getTime() +
+            SERVICE_WINDOW_HOURS * 60 * 60 * 1000
+        )
+      : null;
+
+    return {
+      isOpen: !!expiresAt && expiresAt > new Date(),
+      lastCustomerMessageAt,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Get the templates that can reopen a conversation: every sendable
+   * template except authentication templates, which only carry codes
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Templates
+   */
+  async getReopeningTemplates(organizationId) {
+    const templates = await Template.findSendable(organizationId);
+    return templates.filter(
+      (template) => template.category !== "AUTHENTICATION"
+    );
+  }
+
+  /**
+   * List the templates that can reopen a conversation, as shown to agents
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} id, name, language, category and body_text
+   */
+  async listReopeningTemplates(organizationId) {
+    const templates = await this.getReopeningTemplates(organizationId);
+    return templates.map((template) => ({
+      id: template.id,
+      name: template.name,
+      language: template.language,
+      category: template.category,
+      body_text: template.body_text,
+    }));
+  }
+
+  /**
+   * Build the error for a free-form message outside the service window
+   * @param {string} organizationId - Organization ID
+   * @param {Object} serviceWindow - Window from getServiceWindow
+   * @returns {Promise<Error>} Error with statusCode, code and details
+   */
+  async serviceWindowError(organizationId, serviceWindow) {
+    const templates = await this.listReopeningTemplates(organizationId);
+
+    return conversationError(
+      serviceWindow.lastCustomerMessageAt
+        ? "The 24-hour customer service window has closed. Send a template to reopen the conversation"
+        : "The customer has not messaged yet. Send a template to start the conversation",
+      422,
+      {
+        code: "SERVICE_WINDOW_CLOSED",
+        details: {
+          last_customer_message_at: serviceWindow.lastCustomerMessageAt,
+          window_expired_at: serviceWindow.expiresAt,
+          templates,
+        },
+      }
+    );
+  }
+
+  /**
+   * List the attributes a template's {{n}} variables read that have no value.
+   * Mapped variables read their admin-defined attribute, the others param_n
+   * or body_param_n.
+   * @param {Object} template - Template with components and parameters
+   * @param {Object} attributes - Attribute values
+   * @returns {Array<string>} Attribute names without a value
+   */
+  findMissingTemplateParameters(template, attributes) {
+    const mappings = template.parameters || {};
+    const missing = new Set();
+
+    (template.components || [])
+      .filter(
+        (component) =>
+          component.type === "BODY" ||
+          (component.type === "HEADER" && component.format === "TEXT")
+      )
+      .forEach((component) => {
+        for (const match of String(component.text || "").matchAll(
+          /\{\{(\d+)\}\}/g
+        )) {
+          const mapping = mappings[parseInt(match[1])];
+          // Typed mappings are checked with the generated parameter
+          if (mapping && typeof mapping === "object") continue;
+
+          const names = mapping
+            ? [mapping]
+            : [`param_${match[1]}`, `body_param_${match[1]}`];
+          const hasValue = names.some(
+            (name) =>
+              attributes[name] !== undefined &&
+              attributes[name] !== null &&
+              String(attributes[name]).trim() !== ""
+          );
+          if (!hasValue) missing.add(names[0]);
+        }
+      });
+
+    return [...missing];
+  }
+
+  /**
+   * Build template message content from a template ID. Parameter values
+   * come from the contact's attributes, overridden by the values given.
+   * @param {string} organizationId - Organization ID
+   * @param {string} customerPhone - Recipient phone number
+   * @param {string} templateId - Template ID
+   * @param {Object} parameters - Attribute values for the template parameters
+   * @returns {Promise<Object>} Message content
+   */
+  async buildTemplateContent(
+    organizationId,
+    customerPhone,
+    templateId,
+    parameters = {}
+  ) {
+    const template = (await this.getReopeningTemplates(organizationId)).find(
+      (t) => t.id === templateId
+    );
+    if (!template) {
+      throw conversationError(
+        "Template is not an approved template of this organization",
+        400
+      );
+    }
+
+    const contact = await Audience.findByMSISDNAndOrganization(
+      customerPhone,
+      organizationId
+    );
+    const audienceData = {
+      name: contact?.name,
+      msisdn: customerPhone,
+      attributes: { ...(contact?.last_known_attributes || {}), ...parameters },
+      generated_asset_urls: {},
+    };
+
+    // The campaign generator sends the mapping name or "Parameter n" for a
+    // variable without a value; a conversation send fails instead
+    const missingParameters = this.findMissingTemplateParameters(
+      template,
+      audienceData.attributes
+    );
+    if (missingParameters.length > 0) {
+      throw conversationError("Template parameters are missing values", 400, {
+        code: "MISSING_PARAMETERS",
+        details: { missing_parameters: missingParameters },
+      });
+    }
+
+    const templateMessage = campaignMessageGenerator.generateTemplateMessage(
+      {},
+      template,
+      audienceData
+    );
+    if (
+      !templateMessage.templateParameters.every((param) =>
+        campaignMessageGenerator.isValidTemplateParameter(param)
+      )
+    ) {
+      throw conversationError("Template parameters are missing values", 400);
+    }
+
+    return {
+      messageType: "template",
+      messageContent: campaignMessageGenerator.replacePlaceholders(
+        template.body_text,
+        audienceData,
+        template.parameters || {}
+      ),
+      mediaUrl: null,
+      mediaType: null,
+      caption: null,
+      filename: null,
+      templateName: templateMessage.templateName,
+      templateLanguage: templateMessage.templateLanguage,
+      templateParameters: templateMessage.templateParameters,
+    };
+  }
+
   /**
    * Update message status from webhook
    */
   async updateMessageStatus(whatsappMessageId, status, timestamp = null) {
     try {
-      return await ConversationMessage.updateStatus(
+      const message = await ConversationMessage.updateStatus(
         whatsappMessageId,
         status,
         timestamp
       );
+
+      await inboxEventService.publishMessageStatus(message);
+      return message;
     } catch (error) {
       console.error("Error updating conversation message status:", error);
       // Don't throw - this is optional feature
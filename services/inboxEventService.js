@@ -0,0 +1,466 @@
+const pool = require("../config/database");
+const InboxEvent = require("../models/InboxEvent");
+const ConversationMessage = require("../models/ConversationMessage");
+const logger = require("../utils/logger");
+
+// Events pushed to the agent inbox
+const INBOX_EVENT_TYPES = {
+  CONVERSATION_CREATED: "conversation.created",
+  CONVERSATION_ASSIGNED: "conversation.assigned",
+  CONVERSATION_UNREAD: "conversation.unread",
+  MESSAGE_CREATED: "message.created",
+  MESSAGE_STATUS: "message.status",
+};
+
+// More missed events than this and the client reloads the inbox instead
+const MAX_REPLAY_EVENTS = 1000;
+
+/**
+ * Inbox Event Service
+ * Publishes conversation changes for the real-time inbox. Events are stored
+ * in inbox_events, whose IDs are the resume cursors, and announced with
+ * Postgres NOTIFY so every server instance pushes them to its open streams.
+ */
+class InboxEventService {
+  constructor() {
+    this.isRunning = false;
+    this.intervalId = null;
+    this.retentionHours =
+      parseInt(process.env.INBOX_EVENT_RETENTION_HOURS) || 24;
+    this.pruneInterval =
+      parseInt(process.env.INBOX_EVENT_PRUNE_INTERVAL) || 60 * 60 * 1000; // 1 hour
+    this.reconnectDelay = 5000;
+
+    this.listenClient = null;
+    this.connecting = null;
+    this.subscribers = new Map(); // organizationId -> Set of subscribers
+    this.notificationChains = new Map(); // organizationId -> last handling
+  }
+
+  /**
+   * Start pruning events older than the retention period
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Inbox event service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting inbox event service", {
+      retentionHours: this.retentionHours,
+    });
+
+    this.pruneEvents();
+
+    this.intervalId = setInterval(() => {
+      this.pruneEvents();
+    }, this.pruneInterval);
+  }
+
+  /**
+   * Stop pruning events
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Inbox event service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Inbox event service stopped");
+  }
+
+  async pruneEvents() {
+    try {
+      const deleted = await InboxEvent.deleteOlderThan(
+        new Date(Date.now() - this.retentionHours * 60 * 60 * 1000)
+      );
+      if (deleted > 0) {
+        logger.info("Pruned inbox events", { deleted });
+      }
+    } catch (error) {
+      logger.error("Error pruning inbox events", { error: error.message });
+    }
+  }
+
+  /**
+   * Store and announce an event. Failures are logged, never thrown, so
+   * the inbox push cannot break message handling.
+   * @param {string} organizationId - Organization ID
+   * @param {string} eventType - One of INBOX_EVENT_TYPES
+   * @param {Object} payload - Event data
+   * @returns {Promise<Object|null>} Stored event
+   */
+  async publish(organizationId, eventType, payload) {
+    try {
+      return await InboxEvent.createAndNotify({
+        organization_id: organizationId,
+        event_type: eventType,
+        conversation_id: payload.conversation_id || null,
+        payload,
+      });
+    } catch (error) {
+      logger.error("Error publishing inbox event", {
+        organizationId,
+        eventType,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Publish a new conversation message, the conversation itself when this is
+   * its first message, and the unread count after an inbound message
+   * @param {Object} conversation - Conversation row, read after the insert
+   * @param {Object} message - Conversation message row
+   */
+  async publishMessage(conversation, message) {
+    const organizationId = conversation.organization_id;
+
+    try {
+      const messageCount = await ConversationMessage.countByConversation(
+        conversation.id
+      );
+      if (messageCount === 1) {
+        await this.publish(
+          organizationId,
+          INBOX_EVENT_TYPES.CONVERSATION_CREATED,
+          { conversation_id: conversation.id, conversation }
+        );
+      }
+    } catch (error) {
+      logger.error("Error counting conversation messages", {
+        conversationId: conversation.id,
+        error: error.message,
+      });
+    }
+
+    await this.publish(organizationId, INBOX_EVENT_TYPES.MESSAGE_CREATED, {
+      conversation_id: conversation.id,
+      message,
+    });
+
+    if (message.direction === "inbound") {
+      await this.publishUnreadCount(conversation);
+    }
+  }
+
+  /**
+   * Publish a conversation message's delivery status
+   * @param {Object} message - Updated conversation message row
+   */
+  async publishMessageStatus(message) {
+    if (!message) return;
+
+    await this.publish(
+      message.organization_id,
+      INBOX_EVENT_TYPES.MESSAGE_STATUS,
+      {
+        conversation_id: message.conversation_id,
+        message_id: message.id,
+        whatsapp_message_id: message.whatsapp_message_id,
+        status: message.message_status,
+        failure_reason: message.failure_reason || null,
+      }
+    );
+  }
+
+  /**
+   * Publish a conversation's assignee
+   * @param {Object} conversation - Updated conversation row
+   */
+  async publishAssignment(conversation) {
+    if (!conversation) return;
+
+    await this.publish(
+      conversation.organization_id,
+      INBOX_EVENT_TYPES.CONVERSATION_ASSIGNED,
+      {
+        conversation_id: conversation.id,
+        assigned_to_user_id: conversation.assigned_to_user_id,
+        assigned_at: conversation.assigned_at,
+      }
+    );
+  }
+
+  /**
+   * Publish a conversation's unread count
+   * @param {Object} conversation - Conversation row
+   */
+  async publishUnreadCount(conversation) {
+    if (!conversation) return;
+
+    await this.publish(
+      conversation.organization_id,
+      INBOX_EVENT_TYPES.CONVERSATION_UNREAD,
+      {
+        conversation_id: conversation.id,
+        // The inbox counts unread_customer_messages; older conversation
+        // tables only have unread_count
+        unread_count:
+          conversation.unread_customer_messages ??
+          conversation.unread_count ??
+          0,
+      }
+    );
+  }
+
+  /**
+   * Stream an organization's events to one client: the events after its
+   * cursor first, then new events as they are published
+   * @param {string} organizationId - Organization ID
+   * @param {string|null} cursor - Last event ID the client has seen
+   * @param {Object} handlers - onEvent(event), onReset(cursor), onReady(cursor)
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(organizationId, cursor, handlers) {
+    const subscriber = {
+      organizationId,
+      handlers,
+      lastEventId: cursor,
+      replaying: true,
+      queue: [],
+    };
+
+    if (!this.subscribers.has(organizationId)) {
+      this.subscribers.set(organizationId, new Set());
+    }
+    this.subscribers.get(organizationId).add(subscriber);
+
+    const unsubscribe = () => {
+      const organizationSubscribers = this.subscribers.get(organizationId);
+      if (!organizationSubscribers) return;
+
+      organizationSubscribers.delete(subscriber);
+      if (organizationSubscribers.size === 0) {
+        this.subscribers.delete(organizationId);
+      }
+    };
+
+    try {
+      // Listen before replaying so nothing published meanwhile is lost
+      await this.ensureListening();
+      await this.replay(subscriber);
+    } catch (error) {
+      unsubscribe();
+      throw error;
+    }
+
+    handlers.onReady(subscriber.lastEventId);
+    return unsubscribe;
+  }
+
+  /**
+   * Send a subscriber the events after its cursor, then the events queued
+   * while replaying
+   * @param {Object} subscriber - Subscriber
+   */
+  async replay(subscriber) {
+    subscriber.replaying = true;
+    let missed = [];
+
+    if (!subscriber.lastEventId) {
+      subscriber.lastEventId = await InboxEvent.findLatestId(
+        subscriber.organizationId
+      );
+    } else if (
+      subscriber.lastEventId !== "0" &&
+      !(await InboxEvent.exists(
+        subscriber.organizationId,
+        subscriber.lastEventId
+      ))
+    ) {
+      await this.reset(subscriber);
+    } else {
+      missed = await InboxEvent.findAfter(
+        subscriber.organizationId,
+        subscriber.lastEventId,
+        MAX_REPLAY_EVENTS + 1
+      );
+
+      if (missed.length > MAX_REPLAY_EVENTS) {
+        missed = [];
+        await this.reset(subscriber);
+      }
+    }
+
+    // Queued events already in the replay are skipped by their ID
+    subscriber.replaying = false;
+    const queued = subscriber.queue;
+    subscriber.queue = [];
+    [...missed, ...queued].forEach((event) => this.deliver(subscriber, event));
+  }
+
+  /**
+   * Tell a subscriber its cursor cannot be resumed; it continues from the
+   * newest event after reloading the inbox
+   * @param {Object} subscriber - Subscriber
+   */
+  async reset(subscriber) {
+    subscriber.queue = [];
+    subscriber.lastEventId = await InboxEvent.findLatestId(
+      subscriber.organizationId
+    );
+    subscriber.handlers.onReset(subscriber.lastEventId);
+  }
+
+  deliver(subscriber, event) {
+    if (subscriber.replaying) {
+      subscriber.queue.push(event);
+      return;
+    }
+
+    // Skip events already sent during the replay
+    if (Number(event.id) <= Number(subscriber.lastEventId || 0)) return;
+
+    subscriber.lastEventId = String(event.id);
+    subscriber.handlers.onEvent(event);
+  }
+
+  /**
+   * Open the connection listening for new event IDs
+   */
+  async ensureListening() {
+    if (this.listenClient) return;
+    if (!this.connecting) {
+      this.connecting = this.listen().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async listen() {
+    const client = await pool.connect();
+
+    client.on("notification", (notification) => {
+      this.handleNotification(notification.payload);
+    });
+    client.on("error", (error) => {
+      logger.error("Inbox event listener connection error", {
+        error: error.message,
+      });
+      this.handleDisconnect(client);
+    });
+
+    try {
+      await client.query(`LISTEN ${InboxEvent.channel}`);
+    } catch (error) {
+      client.release(true);
+      throw error;
+    }
+
+    this.listenClient = client;
+    logger.info("Listening for inbox events");
+  }
+
+  /**
+   * Drop a broken listening connection and reconnect
+   * @param {Object} client - Dropped client
+   */
+  handleDisconnect(client) {
+    if (this.listenClient !== client) return;
+
+    this.listenClient = null;
+    client.release(true);
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Listen again once subscribers are waiting, and replay what their
+   * streams missed while the connection was down
+   */
+  scheduleReconnect() {
+    setTimeout(async () => {
+      if (this.subscribers.size === 0) return;
+
+      try {
+        await this.ensureListening();
+        for (const organizationSubscribers of this.subscribers.values()) {
+          for (const subscriber of organizationSubscribers) {
+            await this.replay(subscriber);
+          }
+        }
+      } catch (error) {
+        logger.error("Error reconnecting inbox event listener", {
+          error: error.message,
+        });
+        this.scheduleReconnect();
+      }
+    }, this.reconnectDelay);
+  }
+
+  /**
+   * Push a notified event to the organization's streams. Events are loaded
+   * one at a time per organization, so they reach the streams in the order
+   * they were announced; a stream drops events older than its cursor.
+   * @param {string} payload - NOTIFY payload with id and organization_id
+   */
+  handleNotification(payload) {
+    let notification;
+    try {
+      notification = JSON.parse(payload);
+    } catch (error) {
+      return;
+    }
+
+    const organizationId = notification.organization_id;
+    const organizationSubscribers = this.subscribers.get(organizationId);
+    if (!organizationSubscribers || organizationSubscribers.size === 0) return;
+
+    const previous =
+      this.notificationChains.get(organizationId) || Promise.resolve();
+    const current = previous.then(() => this.deliverNotification(notification));
+    this.notificationChains.set(organizationId, current);
+
+    current.then(() => {
+      if (this.notificationChains.get(organizationId) === current) {
+        this.notificationChains.delete(organizationId);
+      }
+    });
+  }
+
+  /**
+   * Load a notified event and deliver it to the organization's streams
+   * @param {Object} notification - id, organization_id
+   */
+  async deliverNotification(notification) {
+    try {
+      const event = await InboxEvent.findById(notification.id);
+      if (!event) return;
+
+      const organizationSubscribers = this.subscribers.get(
+        notification.organization_id
+      );
+      if (!organizationSubscribers) return;
+
+      organizationSubscribers.forEach((subscriber) =>
+        this.deliver(subscriber, event)
+      );
+    } catch (error) {
+      logger.error("Error loading inbox event", {
+        eventId: notification.id,
+        error: error.message,
+      });
+    }
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isListening: !!this.listenClient,
+      retentionHours: this.retentionHours,
+      organizations: this.subscribers.size,
+    };
+  }
+}
+
+module.exports = new InboxEventService();
+module.exports.INBOX_EVENT_TYPES = INBOX_EVENT_TYPES;
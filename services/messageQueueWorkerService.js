@@ -0,0 +1,178 @@
+const MessageQueue = require("../models/MessageQueue");
+const graphApiTransport = require("./transports/graphApiTransport");
+const logger = require("../utils/logger");
+
+/**
+ * Message Queue Worker Service
+ * Delivers messages written by the postgres transport. Rows are claimed with
+ * FOR UPDATE SKIP LOCKED, so several server instances can share the queue.
+ */
+class MessageQueueWorkerService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.lastCleanupAt = 0;
+    this.processingInterval =
+      parseInt(process.env.MESSAGE_QUEUE_INTERVAL) || 2000; // 2 seconds
+    this.batchSize = parseInt(process.env.MESSAGE_QUEUE_BATCH_SIZE) || 50;
+    this.maxAttempts = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelay =
+      parseInt(process.env.MESSAGE_QUEUE_RETRY_BASE_DELAY) || 30; // seconds
+    this.staleLockMinutes =
+      parseInt(process.env.MESSAGE_QUEUE_STALE_LOCK_MINUTES) || 5;
+    this.retentionDays =
+      parseInt(process.env.MESSAGE_QUEUE_RETENTION_DAYS) || 7;
+  }
+
+  /**
+   * Start the message queue worker
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Message queue worker is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting message queue worker", {
+      processingInterval: this.processingInterval,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts,
+    });
+
+    this.processQueue();
+
+    this.intervalId = setInterval(() => {
+      this.processQueue();
+    }, this.processingInterval);
+  }
+
+  /**
+   * Stop the message queue worker
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Message queue worker is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Message queue worker stopped");
+  }
+
+  /**
+   * Deliver due messages until the queue is drained
+   */
+  async processQueue() {
+    if (this.isTicking) return;
+
+    this.isTicking = true;
+    try {
+      const released = await MessageQueue.releaseStale(this.staleLockMinutes);
+      if (released > 0) {
+        logger.warn("Released stale message queue locks", { released });
+      }
+
+      let rows = await MessageQueue.claimBatch(this.batchSize);
+      while (rows.length > 0 && this.isRunning) {
+        for (const row of rows) {
+          await this.deliverRow(row);
+        }
+        rows = await MessageQueue.claimBatch(this.batchSize);
+      }
+
+      await this.cleanup();
+    } catch (error) {
+      logger.error("Error processing message queue", { error: error.message });
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Send one queued message and reschedule it with backoff if it can be retried
+   * @param {Object} row - Claimed message_queue row
+   */
+  async deliverRow(row) {
+    const payload = row.payload;
+    const canRetry = row.attempts < this.maxAttempts;
+
+    // Failures are only recorded on the message rows once no retries are left
+    const outcome = await graphApiTransport.sendAndRecord(payload, {
+      recordFailure: false,
+    });
+
+    try {
+      if (outcome.whatsappMessageId) {
+        await MessageQueue.markSent(row.id, outcome.whatsappMessageId);
+        return;
+      }
+
+      if (outcome.retryable && canRetry) {
+        const delaySeconds =
+          this.retryBaseDelay * Math.pow(2, row.attempts - 1);
+        await MessageQueue.reschedule(row.id, outcome.error, delaySeconds);
+
+        logger.warn("Queued message send failed, will retry", {
+          queueId: row.id,
+          attempts: row.attempts,
+          delaySeconds,
+          error: outcome.error,
+        });
+        return;
+      }
+
+      await MessageQueue.markFailed(row.id, outcome.error);
+      await graphApiTransport.safeRecord(
+        () => graphApiTransport.recordFailed(payload, outcome.error),
+        payload
+      );
+
+      logger.error("Queued message failed", {
+        queueId: row.id,
+        organizationId: row.organization_id,
+        attempts: row.attempts,
+        error: outcome.error,
+      });
+    } catch (error) {
+      logger.error("Error updating queued message", {
+        queueId: row.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete delivered rows past retention, at most once an hour
+   */
+  async cleanup() {
+    if (Date.now() - this.lastCleanupAt < 60 * 60 * 1000) return;
+
+    this.lastCleanupAt = Date.now();
+    const deleted = await MessageQueue.deleteOldSent(this.retentionDays);
+    if (deleted > 0) {
+      logger.info("Deleted old queued messages", { deleted });
+    }
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      processingInterval: this.processingInterval,
+      batchSize: this.batchSize,
+      maxAttempts: this.maxAttempts,
+    };
+  }
+}
+
+module.exports = new MessageQueueWorkerService();
@@ -1,6 +1,6 @@
 const logger = require("../utils/logger");
 const Message = require("../models/Message");
-const sqsService = require("./sqsService");
+const messageTransportService = require("./messageTransportService");
 const campaignMessageGenerator = require("./campaignMessageGenerator");
 
 class MessageRetryService {
@@ -152,6 +152,7 @@ class MessageRetryService {
   async processBatch(messages) {
     try {
       const sqsMessages = [];
+      const retriedMessages = [];
       const messageUpdates = [];
 
       for (const message of messages) {
@@ -170,11 +171,7 @@ class MessageRetryService {
 
           if (sqsPayload) {
             sqsMessages.push(sqsPayload);
-            messageUpdates.push({
-              id: message.id,
-              retry_count: message.retry_count + 1,
-              message_status: "pending",
-            });
+            retriedMessages.push(message);
           }
         } catch (error) {
           logger.error("Error generating retry payload for message", {
@@ -194,27 +191,47 @@ class MessageRetryService {
         }
       }
 
+      // Messages that could not be regenerated never reach the transport
+      for (const update of messageUpdates) {
+        try {
+          await this.updateMessageRetryStatus(update);
+        } catch (error) {
+          logger.error("Error updating message retry status", {
+            messageId: update.id,
+            error: error.message,
+          });
+        }
+      }
+
       let successful = 0;
       let failed = 0;
 
-      // Send messages to SQS if any were generated
+      // Send messages through the message transport if any were generated
       if (sqsMessages.length > 0) {
         try {
-          const sqsResult = await sqsService.sendMessageBatch(sqsMessages, {
-            messageGroupId:
-              process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-retry-messages",
-          });
+          const sqsResult = await messageTransportService.sendMessageBatch(
+            sqsMessages,
+            {
+              messageGroupId:
+                process.env.SQS_MESSAGE_GROUP_ID || "whatsapp-retry-messages",
+              // Send failures are recorded below, once per message
+              recordFailures: false,
+            }
+          );
 
           successful = sqsResult.Successful?.length || 0;
           failed = sqsResult.Failed?.length || 0;
 
-          logger.info("Retry messages sent to SQS", {
+          await this.recordSendResult(retriedMessages, sqsResult);
+
+          logger.info("Retry messages sent", {
+            transport: sqsResult.transport,
             successful,
             failed,
             totalMessages: sqsMessages.length,
           });
         } catch (error) {
-          logger.error("Error sending retry messages to SQS", {
+          logger.error("Error sending retry messages", {
             messageCount: sqsMessages.length,
             error: error.message,
           });
@@ -222,24 +239,56 @@ class MessageRetryService {
         }
       }
 
-      // Update message retry counts and statuses
-      for (const update of messageUpdates) {
-        try {
-          await this.updateMessageRetryStatus(update);
-        } catch (error) {
-          logger.error("Error updating message retry status", {
-            messageId: update.id,
-            error: error.message,
-          });
-        }
-      }
-
       return { successful, failed };
     } catch (error) {
       throw new Error(`Error processing batch: ${error.message}`);
     }
   }
 
+  /**
+   * Record the outcome of a retry batch. Only retries the transport accepted
+   * count towards the retry limit; rejected ones stay failed with the reason.
+   * @param {Array} messages - Retried messages, in payload order
+   * @param {Object} result - Transport result { Successful, Failed }
+   */
+  async recordSendResult(messages, result) {
+    const messageAt = (resultEntry) =>
+      messages[parseInt(String(resultEntry.Id).split("-")[1])];
+
+    for (const resultEntry of result.Successful || []) {
+      const message = messageAt(resultEntry);
+      if (!message) continue;
+      try {
+        await Message.markRetried(message.id, message.retry_count + 1);
+      } catch (error) {
+        logger.error("Error updating message retry status", {
+          messageId: message.id,
+          error: error.message,
+        });
+      }
+    }
+
+    for (const resultEntry of result.Failed || []) {
+      const message = messageAt(resultEntry);
+      if (!message) continue;
+      try {
+        await this.updateMessageRetryStatus({
+          id: message.id,
+          retry_count: message.retry_count,
+          message_status: "failed",
+          failure_reason: `Retry send failed: ${
+            resultEntry.Message || resultEntry.Code || "unknown error"
+          }`,
+        });
+      } catch (error) {
+        logger.error("Error updating message retry status", {
+          messageId: message.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
   /**
    * Generate retry payload for SQS
    * @param {Object} message - Failed message data
@@ -252,6 +301,7 @@ class MessageRetryService {
         id: message.campaign_id,
         organization_id: message.organization_id,
         template_id: message.template_id,
+        phone_number_id: message.campaign_phone_number_id,
       };
 
       // Helper function to safely parse JSON fields
@@ -365,6 +415,7 @@ class MessageRetryService {
       campaign_audience_id: row.campaign_audience_id,
       organization_id: row.organization_id,
       template_id: row.template_id,
+      campaign_phone_number_id: row.campaign_phone_number_id,
       template_name: row.template_name,
       template_category: row.template_category,
       template_language: row.template_language,
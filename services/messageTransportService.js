@@ -0,0 +1,138 @@
+const Organization = require("../models/Organization");
+const sqsTransport = require("./transports/sqsTransport");
+const postgresTransport = require("./transports/postgresTransport");
+const graphApiTransport = require("./transports/graphApiTransport");
+const logger = require("../utils/logger");
+
+const TRANSPORTS = {
+  sqs: sqsTransport,
+  postgres: postgresTransport,
+  graph_api: graphApiTransport,
+};
+
+/**
+ * Single entry point for outbound messages. Each organization picks a driver
+ * with organizations.message_transport; MESSAGE_TRANSPORT is the default.
+ * Results use the SQS response shape so callers work with any driver.
+ */
+class MessageTransportService {
+  constructor() {
+    this.transports = TRANSPORTS;
+  }
+
+  getDefaultTransportName() {
+    const name = process.env.MESSAGE_TRANSPORT || "sqs";
+    if (!this.transports[name]) {
+      logger.warn("Unknown MESSAGE_TRANSPORT, falling back to sqs", { name });
+      return "sqs";
+    }
+    return name;
+  }
+
+  /**
+   * Resolve the driver name for an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<string>} Driver name
+   */
+  async getTransportName(organizationId) {
+    const organization = organizationId
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (
+      organization?.message_transport &&
+      this.transports[organization.message_transport]
+    ) {
+      return organization.message_transport;
+    }
+
+    return this.getDefaultTransportName();
+  }
+
+  /**
+   * Send a single message
+   * @param {Object} message - Message payload
+   * @param {Object} options - Driver options (messageGroupId, delaySeconds, ...)
+   * @returns {Promise<Object>} { MessageId, transport }
+   */
+  async sendMessage(message, options = {}) {
+    const result = await this.sendMessageBatch([message], options);
+
+    if (result.Failed.length > 0) {
+      throw new Error(`Failed to send message: ${result.Failed[0].Message}`);
+    }
+
+    return {
+      MessageId: result.Successful[0]?.MessageId,
+      transport: result.transport,
+    };
+  }
+
+  /**
+   * Send messages through each organization's driver
+   * @param {Array} messages - Message payloads
+   * @param {Object} options - Driver options (messageGroupId, delaySeconds, ...)
+   * @returns {Promise<Object>} { Successful, Failed, transport }
+   */
+  async sendMessageBatch(messages, options = {}) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new Error("Messages must be a non-empty array");
+    }
+
+    // Keep the caller's indexes so Successful/Failed Ids stay meaningful
+    const groups = new Map();
+    messages.forEach((message, index) => {
+      const key = message.organizationId;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ message, index });
+    });
+
+    const result = { Successful: [], Failed: [], transport: null };
+    const transportNames = new Set();
+
+    for (const [organizationId, entries] of groups) {
+      const transportName = await this.getTransportName(organizationId);
+      const transport = this.transports[transportName];
+      transportNames.add(transportName);
+
+      const groupResult = await transport.sendBatch(
+        entries.map((entry) => entry.message),
+        options
+      );
+
+      const toCallerId = (entry) => {
+        const position = parseInt(String(entry.Id).split("-")[1]);
+        const original = entries[position];
+        return {
+          ...entry,
+          Id: original ? `msg-${original.index}` : entry.Id,
+        };
+      };
+
+      result.Successful.push(...(groupResult.Successful || []).map(toCallerId));
+      result.Failed.push(...(groupResult.Failed || []).map(toCallerId));
+    }
+
+    result.transport = [...transportNames].join(",");
+    return result;
+  }
+
+  /**
+   * Check that a driver can accept messages
+   * @param {string|null} transportName - Driver name, defaults to MESSAGE_TRANSPORT
+   * @returns {Promise<boolean>} True if configured
+   */
+  async isConfigured(transportName = null) {
+    const transport =
+      this.transports[transportName || this.getDefaultTransportName()];
+    return transport ? transport.isConfigured() : false;
+  }
+
+  getAvailableTransports() {
+    return Object.keys(this.transports);
+  }
+}
+
+module.exports = new MessageTransportService();
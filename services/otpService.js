@@ -0,0 +1,289 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const OtpRequest = require("../models/OtpRequest");
+const Template = require("../models/Template");
+const suppressionService = require("./suppressionService");
+const graphApiTransport = require("./transports/graphApiTransport");
+const { matchLanguage } = require("../utils/templateLanguage");
+const logger = require("../utils/logger");
+
+const OTP_DEFAULTS = {
+  codeLength: parseInt(process.env.OTP_CODE_LENGTH) || 6,
+  expiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES) || 10,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownSeconds:
+    parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+};
+
+const HASH_SALT_ROUNDS = 10;
+
+// Authentication template buttons that carry the code: copy code and one-tap
+// buttons are synced as OTP, older templates list them as URL buttons
+const CODE_BUTTON_TYPES = ["OTP", "URL"];
+
+const otpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * OTP Service
+ * Sends one-time passwords through an organization's approved authentication
+ * template and verifies them. Only a bcrypt hash of each code is stored.
+ *
+ * Codes always go out synchronously through the Graph API transport, whatever
+ * the organization's message_transport: the caller waits for WhatsApp to
+ * accept the code, and the message ID it returns tracks delivery status.
+ */
+class OtpService {
+  /**
+   * Generate a numeric code
+   * @param {number} length - Number of digits
+   * @returns {string} Code, zero padded
+   */
+  generateCode(length) {
+    return crypto
+      .randomInt(0, 10 ** length)
+      .toString()
+      .padStart(length, "0");
+  }
+
+  /**
+   * Pick the authentication template to send
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - templateId, language
+   * @returns {Promise<Object>} Template
+   */
+  async selectTemplate(organizationId, { templateId, language } = {}) {
+    const templates = await Template.findSendableByCategory(
+      organizationId,
+      "AUTHENTICATION"
+    );
+
+    if (templateId) {
+      const template = templates.find((t) => t.id === templateId);
+      if (!template) {
+        throw otpError(
+          "Template is not an approved authentication template of this organization",
+          400
+        );
+      }
+      return template;
+    }
+
+    if (templates.length === 0) {
+      throw otpError(
+        "Organization has no approved authentication template",
+        400
+      );
+    }
+
+    const matched = matchLanguage(
+      language,
+      templates.map((t) => t.language)
+    );
+    return templates.find((t) => t.language === matched) || templates[0];
+  }
+
+  /**
+   * Build the message payload: the code fills the body and every copy code
+   * or one-tap button
+   * @param {string} organizationId - Organization ID
+   * @param {Object} template - Authentication template
+   * @param {string} msisdn - Recipient phone number
+   * @param {string} code - Plain code
+   * @returns {Object} Message payload for the Graph API transport
+   */
+  buildPayload(organizationId, template, msisdn, code) {
+    const templateParameters = [
+      { type: "body", valueType: "text", value: code },
+    ];
+
+    (template.components || [])
+      .filter((component) => component.type === "BUTTONS")
+      .forEach((component) => {
+        (component.buttons || []).forEach((button, index) => {
+          if (CODE_BUTTON_TYPES.includes(button.type)) {
+            templateParameters.push({
+              type: "button",
+              valueType: "text",
+              value: code,
+              buttonIndex: index,
+            });
+          }
+        });
+      });
+
+    return {
+      organizationId,
+      to: msisdn,
+      templateName: template.name,
+      templateLanguage: template.language,
+      templateParameters,
+    };
+  }
+
+  /**
+   * Code lifetime: the request's, else the template footer's
+   * code_expiration_minutes, else the default
+   * @param {Object} template - Authentication template
+   * @param {number} expiryMinutes - Requested lifetime
+   * @returns {number} Minutes
+   */
+  getExpiryMinutes(template, expiryMinutes) {
+    const footer = (template.components || []).find(
+      (component) => component.type === "FOOTER"
+    );
+
+    return (
+      expiryMinutes ||
+      parseInt(footer?.code_expiration_minutes) ||
+      OTP_DEFAULTS.expiryMinutes
+    );
+  }
+
+  /**
+   * Generate, store and send a code
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Recipient phone number (E.164)
+   * @param {Object} options - templateId, language, codeLength,
+   *   expiryMinutes, createdBy
+   * @returns {Promise<Object>} OTP request, without the code hash
+   */
+  async send(organizationId, msisdn, options = {}) {
+    if (await suppressionService.isSuppressed(organizationId, msisdn)) {
+      throw otpError(
+        "Recipient has opted out of messages from this organization",
+        403
+      );
+    }
+
+    const template = await this.selectTemplate(organizationId, options);
+    const code = this.generateCode(
+      options.codeLength || OTP_DEFAULTS.codeLength
+    );
+    const expiryMinutes = this.getExpiryMinutes(
+      template,
+      options.expiryMinutes
+    );
+
+    const { otpRequest, cooldownRemaining } =
+      await OtpRequest.createAfterCooldown(
+        {
+          organization_id: organizationId,
+          template_id: template.id,
+          msisdn,
+          code_hash: await bcrypt.hash(code, HASH_SALT_ROUNDS),
+          status: "pending",
+          delivery_status: "pending",
+          max_attempts: OTP_DEFAULTS.maxAttempts,
+          expires_at: new Date(Date.now() + expiryMinutes * 60 * 1000),
+          created_by: options.createdBy || null,
+        },
+        OTP_DEFAULTS.resendCooldownSeconds
+      );
+    if (!otpRequest) {
+      throw otpError(
+        `Please wait ${cooldownRemaining} seconds before requesting another code`,
+        429
+      );
+    }
+
+    let whatsappMessageId;
+    try {
+      whatsappMessageId = await graphApiTransport.deliver(
+        this.buildPayload(organizationId, template, msisdn, code)
+      );
+    } catch (error) {
+      logger.error("Error sending OTP", {
+        organizationId,
+        otpRequestId: otpRequest.id,
+        error: error.message,
+      });
+
+      await OtpRequest.updateDeliveryStatus(otpRequest.id, "failed", {
+        status: "failed",
+        failure_reason: error.message,
+      });
+      throw otpError(`Code could not be sent: ${error.message}`, 502);
+    }
+
+    const sent = await OtpRequest.updateDeliveryStatus(otpRequest.id, "sent", {
+      whatsapp_message_id: whatsappMessageId,
+    });
+
+    // Only the newest code for a number can be verified, once it went out
+    await OtpRequest.supersedePending(organizationId, msisdn, otpRequest.id);
+
+    logger.info("OTP sent", {
+      organizationId,
+      otpRequestId: otpRequest.id,
+      templateId: template.id,
+    });
+
+    return this.serialize(sent);
+  }
+
+  /**
+   * Check a code against the newest pending code for a number
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} Verified OTP request, without the code hash
+   */
+  async verify(organizationId, msisdn, code) {
+    const otpRequest = await OtpRequest.findPending(organizationId, msisdn);
+    if (!otpRequest) {
+      throw otpError("No active code for this number", 400);
+    }
+
+    if (new Date(otpRequest.expires_at) <= new Date()) {
+      await OtpRequest.closePending(otpRequest.id, "expired");
+      throw otpError("Code has expired", 400);
+    }
+
+    const attempt = await OtpRequest.recordAttempt(otpRequest.id);
+    if (!attempt) {
+      await OtpRequest.closePending(otpRequest.id, "locked");
+      throw otpError("Too many attempts, request a new code", 429);
+    }
+
+    if (await bcrypt.compare(String(code), otpRequest.code_hash)) {
+      const verified = await OtpRequest.closePending(otpRequest.id, "verified");
+      if (!verified) {
+        throw otpError("No active code for this number", 400);
+      }
+      return this.serialize(verified);
+    }
+
+    const remaining = attempt.max_attempts - attempt.attempts;
+    if (remaining <= 0) {
+      await OtpRequest.closePending(otpRequest.id, "locked");
+      throw otpError("Invalid code, request a new code", 400);
+    }
+
+    throw otpError(
+      `Invalid code, ${remaining} attempt${remaining === 1 ? "" : "s"} left`,
+      400
+    );
+  }
+
+  /**
+   * OTP request as returned by the API
+   * @param {Object} otpRequest - OTP request row
+   * @returns {Object} OTP request without the code hash
+   */
+  serialize(otpRequest) {
+    const { code_hash, ...rest } = otpRequest;
+    return {
+      ...rest,
+      resend_available_at: new Date(
+        new Date(otpRequest.created_at).getTime() +
+          OTP_DEFAULTS.resendCooldownSeconds * 1000
+      ),
+    };
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,217 @@
+const Organization = require("../models/Organization");
+const OrganizationPhoneNumber = require("../models/OrganizationPhoneNumber");
+const whatsappApiService = require("./whatsappApiService");
+const { formatPhoneNumber } = require("../utils/phoneUtils");
+const logger = require("../utils/logger");
+
+const phoneNumberError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Phone Number Service
+ * Keeps the WhatsApp numbers of each organization's business account and
+ * picks the number a message is sent from or was received on
+ */
+class PhoneNumberService {
+  /**
+   * Normalize a display number such as "+91 88869 59696" to E.164
+   * @param {string} displayPhoneNumber - Number as shown by WhatsApp
+   * @returns {string|null} E.164 number
+   */
+  normalizeDisplayNumber(displayPhoneNumber) {
+    if (!displayPhoneNumber) return null;
+
+    const digits = String(displayPhoneNumber).replace(/\D/g, "");
+    return formatPhoneNumber(`+${digits}`) || `+${digits}`;
+  }
+
+  /**
+   * Get an organization's numbers
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Phone numbers, default first
+   */
+  async list(organizationId) {
+    return OrganizationPhoneNumber.findByOrganization(organizationId);
+  }
+
+  /**
+   * Fetch the business account's numbers from the Cloud API and store them.
+   * Without a default, the organization's configured number (or the first
+   * number) becomes the default.
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Phone numbers
+   */
+  async sync(organizationId) {
+    const config = await Organization.getWhatsAppConfig(organizationId);
+    if (!config) {
+      throw phoneNumberError("Organization not found", 404);
+    }
+
+    if (!config.whatsapp_business_account_id || !config.whatsapp_access_token) {
+      throw phoneNumberError(
+        "WhatsApp Business Account ID and access token are required",
+        400
+      );
+    }
+
+    const phoneNumbers = await whatsappApiService.getPhoneNumbers(
+      config.whatsapp_business_account_id,
+      config.whatsapp_access_token
+    );
+
+    const syncedAt = new Date();
+    for (const phoneNumber of phoneNumbers) {
+      await OrganizationPhoneNumber.upsert(organizationId, {
+        phone_number_id: phoneNumber.id,
+        display_phone_number: this.normalizeDisplayNumber(
+          phoneNumber.display_phone_number
+        ),
+        verified_name: phoneNumber.verified_name,
+        quality_rating: phoneNumber.quality_rating,
+        status: phoneNumber.status,
+        last_synced_at: syncedAt,
+      });
+    }
+
+    if (
+      phoneNumbers.length > 0 &&
+      !(await OrganizationPhoneNumber.findDefault(organizationId))
+    ) {
+      const configured = phoneNumbers.find(
+        (phoneNumber) => phoneNumber.id === config.whatsapp_phone_number_id
+      );
+      await this.makeDefault(
+        organizationId,
+        (configured || phoneNumbers[0]).id
+      );
+    }
+
+    logger.info("Phone numbers synced", {
+      organizationId,
+      count: phoneNumbers.length,
+    });
+
+    return this.list(organizationId);
+  }
+
+  /**
+   * Change a number's label or make it the default
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @param {Object} changes - label, is_default
+   * @returns {Promise<Object>} Phone number
+   */
+  async update(organizationId, phoneNumberId, changes) {
+    let phoneNumber = await this.findOwned(organizationId, phoneNumberId);
+
+    if (changes.label !== undefined) {
+      phoneNumber = await OrganizationPhoneNumber.updateLabel(
+        organizationId,
+        phoneNumberId,
+        changes.label || null
+      );
+    }
+
+    if (changes.is_default === true) {
+      phoneNumber = await this.makeDefault(organizationId, phoneNumberId);
+    }
+
+    return phoneNumber;
+  }
+
+  /**
+   * Make a number the default sender. It also becomes the organization's
+   * configured number, which messages without a chosen sender go out from.
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @returns {Promise<Object>} Phone number
+   */
+  async makeDefault(organizationId, phoneNumberId) {
+    const phoneNumber = await OrganizationPhoneNumber.setDefault(
+      organizationId,
+      phoneNumberId
+    );
+    await Organization.update(organizationId, {
+      whatsapp_phone_number_id: phoneNumberId,
+    });
+    return phoneNumber;
+  }
+
+  /**
+   * Find one of an organization's numbers
+   * @param {string} organizationId - Organization ID
+   * @param {string} phoneNumberId - WhatsApp phone number ID
+   * @returns {Promise<Object>} Phone number
+   */
+  async findOwned(organizationId, phoneNumberId) {
+    const phoneNumber = await OrganizationPhoneNumber.findByPhoneNumberId(
+      organizationId,
+      phoneNumberId
+    );
+    if (!phoneNumber) {
+      throw phoneNumberError(
+        "Phone number does not belong to this organization",
+        400
+      );
+    }
+    return phoneNumber;
+  }
+
+  /**
+   * Pick the number to send from: the one asked for, else the default
+   * number, else the number configured on the organization
+   * @param {string} organizationId - Organization ID
+   * @param {string|null} phoneNumberId - WhatsApp phone number ID
+   * @returns {Promise<Object>} phone_number_id and display_phone_number
+   */
+  async resolveSender(organizationId, phoneNumberId = null) {
+    if (phoneNumberId) {
+      return this.findOwned(organizationId, phoneNumberId);
+    }
+
+    const defaultNumber = await OrganizationPhoneNumber.findDefault(
+      organizationId
+    );
+    if (defaultNumber) return defaultNumber;
+
+    const organization = await Organization.findById(organizationId);
+    return {
+      phone_number_id: organization?.whatsapp_phone_number_id || null,
+      display_phone_number: null,
+    };
+  }
+
+  /**
+   * Find the number an inbound webhook was received on. Numbers that were
+   * not synced yet are added from the webhook metadata.
+   * @param {string} organizationId - Organization ID
+   * @param {Object} metadata - Webhook value.metadata
+   * @returns {Promise<Object|null>} Phone number
+   */
+  async resolveReceiver(organizationId, metadata = {}) {
+    if (!metadata.phone_number_id) return null;
+
+    const phoneNumber = await OrganizationPhoneNumber.findByPhoneNumberId(
+      organizationId,
+      metadata.phone_number_id
+    );
+    if (phoneNumber) return phoneNumber;
+
+    logger.info("Adding phone number from webhook", {
+      organizationId,
+      phoneNumberId: metadata.phone_number_id,
+    });
+
+    return OrganizationPhoneNumber.upsert(organizationId, {
+      phone_number_id: metadata.phone_number_id,
+      display_phone_number: this.normalizeDisplayNumber(
+        metadata.display_phone_number
+      ),
+    });
+  }
+}
+
+module.exports = new PhoneNumberService();
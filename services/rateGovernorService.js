@@ -0,0 +1,202 @@
+const Organization = require("../models/Organization");
+const MessagingRecipientLog = require("../models/MessagingRecipientLog");
+const logger = require("../utils/logger");
+
+// Unique recipients allowed per rolling 24h for each WhatsApp messaging tier
+const TIER_LIMITS = {
+  TIER_1K: 1000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: null,
+};
+
+const WINDOW_HOURS = 24;
+
+/**
+ * Rate Governor Service
+ * Enforces WhatsApp messaging limits per organization and phone number:
+ * unique recipients per rolling 24h (messaging tier) and messages per second
+ */
+class RateGovernorService {
+  constructor() {
+    this.defaultTier = process.env.WHATSAPP_DEFAULT_MESSAGING_TIER || "TIER_1K";
+    this.defaultMessagesPerSecond =
+      parseInt(process.env.WHATSAPP_DEFAULT_MESSAGES_PER_SECOND) || 80;
+    // Next free dispatch slot per organization:phone_number_id
+    this.nextSlotAt = new Map();
+  }
+
+  /**
+   * Get configured limits for an organization's sending number
+   * @param {string} organizationId - Organization ID
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   * @returns {Promise<Object>} Limits
+   */
+  async getLimits(organizationId, phoneNumberId = null) {
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      throw new Error("Organization not found");
+    }
+
+    const tier = TIER_LIMITS.hasOwnProperty(organization.whatsapp_messaging_tier)
+      ? organization.whatsapp_messaging_tier
+      : this.defaultTier;
+
+    return {
+      phoneNumberId:
+        phoneNumberId || organization.whatsapp_phone_number_id || "default",
+      messagingTier: tier,
+      dailyRecipientLimit: TIER_LIMITS[tier],
+      messagesPerSecond:
+        organization.whatsapp_messages_per_second ||
+        this.defaultMessagesPerSecond,
+    };
+  }
+
+  /**
+   * Get remaining quota for an organization's sending number
+   * @param {string} organizationId - Organization ID
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   * @returns {Promise<Object>} Quota details
+   */
+  async getQuota(organizationId, phoneNumberId = null) {
+    const limits = await this.getLimits(organizationId, phoneNumberId);
+    const used = await MessagingRecipientLog.countActiveRecipients(
+      organizationId,
+      limits.phoneNumberId,
+      WINDOW_HOURS
+    );
+    const nextReleaseAt = await MessagingRecipientLog.getNextReleaseTime(
+      organizationId,
+      limits.phoneNumberId,
+      WINDOW_HOURS
+    );
+
+    return {
+      ...limits,
+      windowHours: WINDOW_HOURS,
+      uniqueRecipientsUsed: used,
+      uniqueRecipientsRemaining:
+        limits.dailyRecipientLimit === null
+          ? null
+          : Math.max(limits.dailyRecipientLimit - used, 0),
+      nextReleaseAt,
+    };
+  }
+
+  /**
+   * Split audience rows into those that fit the 24h recipient quota and those
+   * that must be held back. Recipients already messaged inside the window do
+   * not consume new quota. Allowed recipients are reserved in the same
+   * transaction that counts the quota; callers release the newly reserved
+   * ones they end up not sending to.
+   * @param {string} organizationId - Organization ID
+   * @param {Array} audienceList - Campaign audience rows (need msisdn)
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   * @returns {Promise<Object>} { allowed, throttled, reserved, quota }
+   */
+  async partitionAudience(
+    organizationId,
+    audienceList,
+    phoneNumberId = null
+  ) {
+    const limits = await this.getLimits(organizationId, phoneNumberId);
+    const { allowed: allowedRecipients, reserved, used } =
+      await MessagingRecipientLog.reserveRecipients(
+        organizationId,
+        limits.phoneNumberId,
+        audienceList.map((a) => a.msisdn),
+        limits.dailyRecipientLimit,
+        WINDOW_HOURS
+      );
+
+    const allowed = audienceList.filter((a) => allowedRecipients.has(a.msisdn));
+    const throttled = audienceList.filter(
+      (a) => !allowedRecipients.has(a.msisdn)
+    );
+    const quota = {
+      ...limits,
+      windowHours: WINDOW_HOURS,
+      uniqueRecipientsUsed: used + reserved.length,
+      uniqueRecipientsRemaining:
+        limits.dailyRecipientLimit === null
+          ? null
+          : Math.max(limits.dailyRecipientLimit - used - reserved.length, 0),
+    };
+
+    if (throttled.length > 0) {
+      logger.warn("Messaging tier limit reached, holding audience", {
+        organizationId,
+        phoneNumberId: limits.phoneNumberId,
+        messagingTier: limits.messagingTier,
+        allowed: allowed.length,
+        throttled: throttled.length,
+      });
+    }
+
+    return { allowed, throttled, reserved, quota };
+  }
+
+  /**
+   * Give back quota reserved by partitionAudience for recipients whose
+   * message was never handed to the transport
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} msisdns - Newly reserved recipients
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   * @returns {Promise<number>} Number of recipients released
+   */
+  async release(organizationId, msisdns, phoneNumberId = null) {
+    if (msisdns.length === 0) return 0;
+
+    const limits = await this.getLimits(organizationId, phoneNumberId);
+    const released = await MessagingRecipientLog.releaseRecipients(
+      organizationId,
+      limits.phoneNumberId,
+      msisdns
+    );
+
+    logger.info("Released messaging quota for unsent recipients", {
+      organizationId,
+      phoneNumberId: limits.phoneNumberId,
+      released,
+    });
+    return released;
+  }
+
+  /**
+   * Wait until a batch of messages may be dispatched without exceeding the
+   * per-second cap for the organization's sending number. The slots are
+   * kept in this process only, so the cap holds per server instance, not
+   * across instances sending from the same number.
+   * @param {string} organizationId - Organization ID
+   * @param {number} messageCount - Number of messages about to be sent
+   * @param {string|null} phoneNumberId - Sending number, default when null
+   * @returns {Promise<void>}
+   */
+  async acquire(organizationId, messageCount, phoneNumberId = null) {
+    const limits = await this.getLimits(organizationId, phoneNumberId);
+    const key = `${organizationId}:${limits.phoneNumberId}`;
+    const now = Date.now();
+
+    const slotAt = Math.max(this.nextSlotAt.get(key) || 0, now);
+    this.nextSlotAt.set(
+      key,
+      slotAt + (messageCount * 1000) / limits.messagesPerSecond
+    );
+
+    const waitMs = slotAt - now;
+    if (waitMs > 0) {
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = new RateGovernorService();
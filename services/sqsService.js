@@ -79,8 +79,11 @@ class SQSService {
         DelaySeconds: options.delaySeconds || 0,
         MessageAttributes: options.messageAttributes || {},
         MessageGroupId: options.messageGroupId,
+        // Campaign dispatch entries carry their outbox ID, so a republished
+        // entry is dropped by FIFO deduplication
         MessageDeduplicationId: options.messageDeduplicationId ? 
-          `${options.messageDeduplicationId}-${index}` : undefined
+          `${options.messageDeduplicationId}-${index}` :
+          (options.messageGroupId && message.dispatchId) || undefined
       }));
 
       // Remove undefined properties from each entry
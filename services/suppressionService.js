@@ -0,0 +1,196 @@
+const Organization = require("../models/Organization");
+const SuppressionList = require("../models/SuppressionList");
+const logger = require("../utils/logger");
+
+// Used when an organization has not configured its own keywords
+const DEFAULT_OPT_OUT_KEYWORDS = [
+  "STOP",
+  "STOPALL",
+  "STOP ALL",
+  "UNSUBSCRIBE",
+  "CANCEL",
+  "END",
+  "QUIT",
+  "OPT OUT",
+  "OPTOUT",
+  "ALTO",
+  "BAJA",
+  "PARAR",
+  "DETENER",
+  "CANCELAR",
+  "ARRET",
+  "ARRÊT",
+  "DESABONNER",
+  "STOPP",
+  "ABMELDEN",
+  "PARE",
+  "SAIR",
+  "ROKO",
+  "रोको",
+  "बंद करो",
+  "إيقاف",
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = [
+  "START",
+  "UNSTOP",
+  "SUBSCRIBE",
+  "OPT IN",
+  "OPTIN",
+  "ALTA",
+  "INICIAR",
+  "SUSCRIBIR",
+  "COMMENCER",
+  "ANMELDEN",
+  "शुरू",
+];
+
+/**
+ * Suppression Service
+ * Keeps the per-organization opt-out list in sync with customer keywords
+ * and answers "may we message this number?" for every outbound path
+ */
+class SuppressionService {
+  /**
+   * Get the effective opt-out / opt-in keywords for an organization
+   * @param {Object} organization - Organization row
+   * @returns {Object} { optOut, optIn }
+   */
+  getKeywords(organization) {
+    return {
+      optOut:
+        organization?.opt_out_keywords?.length > 0
+          ? organization.opt_out_keywords
+          : DEFAULT_OPT_OUT_KEYWORDS,
+      optIn:
+        organization?.opt_in_keywords?.length > 0
+          ? organization.opt_in_keywords
+          : DEFAULT_OPT_IN_KEYWORDS,
+    };
+  }
+
+  /**
+   * Normalize message text for keyword comparison
+   * @param {string} text - Raw text
+   * @returns {string} Upper-cased text without surrounding punctuation
+   */
+  normalizeKeyword(text) {
+    return String(text || "")
+      .normalize("NFC")
+      .trim()
+      .replace(/\s+/g, " ")
+      .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+      .toUpperCase();
+  }
+
+  /**
+   * Match a whole message against a keyword list
+   * @param {string} text - Message text
+   * @param {Array<string>} keywords - Keywords
+   * @returns {string|null} Matched keyword
+   */
+  matchKeyword(text, keywords) {
+    const normalized = this.normalizeKeyword(text);
+    if (!normalized) return null;
+
+    return (
+      keywords.find((keyword) => this.normalizeKeyword(keyword) === normalized) ||
+      null
+    );
+  }
+
+  /**
+   * Apply opt-out / opt-in keywords from an incoming customer message
+   * @param {Object} messageData - organizationId, fromPhoneNumber, content, whatsappMessageId
+   * @returns {Promise<Object|null>} { action, keyword } when a keyword matched
+   */
+  async handleIncomingMessage(messageData) {
+    const { organizationId, fromPhoneNumber, content, whatsappMessageId } =
+      messageData;
+
+    if (!content || !fromPhoneNumber) return null;
+
+    const organization = await Organization.findById(organizationId);
+    const keywords = this.getKeywords(organization);
+
+    const optOutKeyword = this.matchKeyword(content, keywords.optOut);
+    if (optOutKeyword) {
+      await SuppressionList.addOrUpdate({
+        organization_id: organizationId,
+        msisdn: fromPhoneNumber,
+        reason: "opt_out_keyword",
+        keyword: optOutKeyword,
+        source_message_id: whatsappMessageId,
+      });
+
+      logger.info("Contact opted out by keyword", {
+        organizationId,
+        msisdn: fromPhoneNumber,
+        keyword: optOutKeyword,
+      });
+
+      return { action: "opted_out", keyword: optOutKeyword };
+    }
+
+    const optInKeyword = this.matchKeyword(content, keywords.optIn);
+    if (optInKeyword) {
+      // Only undo keyword opt-outs; manual suppressions stay until an admin removes them
+      const existing = await SuppressionList.findByMSISDN(
+        organizationId,
+        fromPhoneNumber
+      );
+      if (!existing || existing.reason !== "opt_out_keyword") return null;
+
+      await SuppressionList.remove(organizationId, fromPhoneNumber);
+
+      logger.info("Contact opted in by keyword", {
+        organizationId,
+        msisdn: fromPhoneNumber,
+        keyword: optInKeyword,
+      });
+
+      return { action: "opted_in", keyword: optInKeyword };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a phone number is suppressed for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} msisdn - Phone number (E.164)
+   * @returns {Promise<boolean>} True when the number must not be messaged
+   */
+  async isSuppressed(organizationId, msisdn) {
+    if (!msisdn) return false;
+    const entry = await SuppressionList.findByMSISDN(organizationId, msisdn);
+    return !!entry;
+  }
+
+  /**
+   * Split audience rows into those that may be messaged and those suppressed
+   * @param {string} organizationId - Organization ID
+   * @param {Array} audienceList - Rows with msisdn
+   * @returns {Promise<Object>} { allowed, suppressed }
+   */
+  async partitionAudience(organizationId, audienceList) {
+    const suppressedNumbers = await SuppressionList.findSuppressed(
+      organizationId,
+      audienceList.map((a) => a.msisdn)
+    );
+
+    const allowed = [];
+    const suppressed = [];
+    for (const audience of audienceList) {
+      if (suppressedNumbers.has(audience.msisdn)) {
+        suppressed.push(audience);
+      } else {
+        allowed.push(audience);
+      }
+    }
+
+    return { allowed, suppressed };
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,403 @@
+const campaignMessageGenerator = require("./campaignMessageGenerator");
+const graphApiTransport = require("./transports/graphApiTransport");
+
+const PLACEHOLDER_REGEX = /\{\{(\d+)\}\}/g;
+const MEDIA_FORMATS = ["IMAGE", "VIDEO", "DOCUMENT"];
+
+/**
+ * Template Preview Service
+ * Renders a template for one recipient through the campaign message generator
+ * so the preview shows exactly what the sender would send
+ */
+class TemplatePreviewService {
+  /**
+   * Render a template for a sample recipient
+   * @param {Object} template - Parsed template row
+   * @param {Object} audienceData - id, msisdn, name, attributes, generated_asset_urls
+   * @param {Object} options - campaign_id, parameters (mapping override)
+   * @returns {Object} { rendered, sqs_payload, graph_api_body, empty_attributes, is_valid }
+   */
+  render(template, audienceData, options = {}) {
+    const senderTemplate = this.buildSenderTemplate(
+      template,
+      options.parameters
+    );
+
+    const messagePayload = campaignMessageGenerator.generateMessage(
+      {
+        id: options.campaign_id || null,
+        organization_id: template.organization_id,
+      },
+      senderTemplate,
+      audienceData
+    );
+
+    let graphApiBody = null;
+    try {
+      graphApiBody = graphApiTransport.buildMessageBody(messagePayload);
+    } catch (error) {
+      // Without a recipient there is no Graph API body to show
+      graphApiBody = null;
+    }
+
+    return {
+      rendered: this.renderComponents(senderTemplate, messagePayload),
+      sqs_payload: messagePayload,
+      graph_api_body: graphApiBody,
+      empty_attributes: this.findEmptyAttributes(
+        senderTemplate,
+        audienceData,
+        messagePayload
+      ),
+      is_valid: this.isSendable(messagePayload),
+    };
+  }
+
+  /**
+   * Build the template the way the campaign sender loads it
+   * @param {Object} template - Parsed template row
+   * @param {Object} parameters - Optional parameter mappings to try out
+   * @returns {Object} Sender template
+   */
+  buildSenderTemplate(template, parameters) {
+    return {
+      id: template.id,
+      name: template.name,
+      category: template.category,
+      language: template.language,
+      components: Array.isArray(template.components)
+        ? template.components
+        : null,
+      body_text: template.body_text,
+      header_type: template.header_type,
+      header_media_url: template.header_media_url,
+      footer_text: template.footer_text,
+      parameters: parameters || template.parameters || {},
+    };
+  }
+
+  /**
+   * Fill the template text with the generated parameter values
+   * @param {Object} template - Sender template
+   * @param {Object} messagePayload - Generated message payload
+   * @returns {Object} header, body, footer, buttons
+   */
+  renderComponents(template, messagePayload) {
+    const rendered = {
+      header: null,
+      body: null,
+      footer: template.footer_text || null,
+      buttons: [],
+    };
+
+    if (!messagePayload.templateName) {
+      rendered.body = messagePayload.messageContent || messagePayload.caption;
+      if (messagePayload.mediaUrl) {
+        rendered.header = {
+          format: template.header_type,
+          media_url: messagePayload.mediaUrl,
+        };
+      }
+      return rendered;
+    }
+
+    const parameters = messagePayload.templateParameters || [];
+    const valuesOf = (type, cardIndex) =>
+      parameters
+        .filter(
+          (param) =>
+            param.type === type &&
+            param.cardIndex === cardIndex &&
+            typeof param.value === "string"
+        )
+        .map((param) => param.value);
+
+    if (!template.components) {
+      rendered.body = template.body_text || null;
+      if (template.header_type) {
+        rendered.header = {
+          format: template.header_type,
+          media_url: template.header_media_url || null,
+        };
+      }
+      return rendered;
+    }
+
+    template.components.forEach((component) => {
+      if (component.type === "HEADER") {
+        if (component.format === "TEXT") {
+          rendered.header = {
+            format: "TEXT",
+            text: this.fillPlaceholders(component.text, valuesOf("header")),
+          };
+        } else if (component.format === "LOCATION") {
+          const locationParam = parameters.find(
+            (param) => param.valueType === "location"
+          );
+          rendered.header = {
+            format: "LOCATION",
+            location: locationParam ? locationParam.location : null,
+          };
+        } else {
+          const mediaParam = parameters.find(
+            (param) =>
+              param.type === "header" &&
+              param.cardIndex === undefined &&
+              param.mediaUrl
+          );
+          rendered.header = {
+            format: component.format,
+            media_url: mediaParam ? mediaParam.mediaUrl : null,
+          };
+        }
+      } else if (component.type === "BODY") {
+        rendered.body = this.fillPlaceholders(component.text, valuesOf("body"));
+      } else if (component.type === "FOOTER") {
+        rendered.footer = component.text || null;
+      } else if (
+        (component.type === "BUTTON" || component.type === "BUTTONS") &&
+        component.buttons
+      ) {
+        rendered.buttons.push(
+          ...this.renderButtons(
+            component.buttons,
+            parameters.filter((param) => param.cardIndex === undefined)
+          )
+        );
+      } else if (component.type === "LIMITED_TIME_OFFER") {
+        const offerParam = parameters.find(
+          (param) => param.type === "limited_time_offer"
+        );
+        rendered.limited_time_offer = {
+          text: component.limited_time_offer?.text || null,
+          expiration_time_ms: offerParam
+            ? offerParam.limited_time_offer.expiration_time_ms
+            : null,
+        };
+      } else if (component.type === "CAROUSEL" && component.cards) {
+        rendered.cards = component.cards.map((card, cardIndex) => {
+          const cardParameters = parameters.filter(
+            (param) => param.cardIndex === cardIndex
+          );
+          const renderedCard = { header: null, body: null, buttons: [] };
+
+          (card.components || []).forEach((cardComponent) => {
+            if (cardComponent.type === "HEADER") {
+              const mediaParam = cardParameters.find(
+                (param) => param.type === "header"
+              );
+              renderedCard.header = {
+                format: cardComponent.format,
+                media_url: mediaParam ? mediaParam.mediaUrl : null,
+              };
+            } else if (cardComponent.type === "BODY") {
+              renderedCard.body = this.fillPlaceholders(
+                cardComponent.text,
+                valuesOf("body", cardIndex)
+              );
+            } else if (
+              cardComponent.type === "BUTTONS" &&
+              cardComponent.buttons
+            ) {
+              renderedCard.buttons = this.renderButtons(
+                cardComponent.buttons,
+                cardParameters
+              );
+            }
+          });
+
+          return renderedCard;
+        });
+      }
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Render buttons with their generated URL or coupon code
+   * @param {Array} buttons - Template buttons
+   * @param {Array} parameters - Generated parameters of the message or card
+   * @returns {Array} Rendered buttons
+   */
+  renderButtons(buttons, parameters) {
+    return buttons.map((button, index) => {
+      const renderedButton = { type: button.type, text: button.text };
+      const buttonParam = parameters.find(
+        (param) => param.type === "button" && param.buttonIndex === index
+      );
+
+      // Message URL buttons carry the whole URL, card URL buttons the suffix
+      if (button.url) {
+        renderedButton.url =
+          buttonParam && buttonParam.cardIndex === undefined
+            ? buttonParam.value
+            : this.fillPlaceholders(
+                button.url,
+                buttonParam ? [buttonParam.value] : []
+              );
+      }
+      if (button.type === "COPY_CODE") {
+        renderedButton.coupon_code = buttonParam ? buttonParam.value : null;
+      }
+      if (button.phone_number) {
+        renderedButton.phone_number = button.phone_number;
+      }
+      return renderedButton;
+    });
+  }
+
+  /**
+   * Replace {{n}} placeholders in order of appearance, the order in which the
+   * generator emits their values
+   * @param {string} text - Template text
+   * @param {Array<string>} values - Generated values
+   * @returns {string} Rendered text
+   */
+  fillPlaceholders(text, values) {
+    if (!text) return text || null;
+
+    let index = 0;
+    return text.replace(PLACEHOLDER_REGEX, (match) =>
+      index < values.length ? values[index++] : match
+    );
+  }
+
+  /**
+   * Placeholders and assets that resolve to nothing for this recipient,
+   * with the value the generator falls back to
+   * @param {Object} template - Sender template
+   * @param {Object} audienceData - Recipient data
+   * @param {Object} messagePayload - Generated message payload
+   * @returns {Array} { component, placeholder, attribute, sent_value, reason }
+   */
+  findEmptyAttributes(template, audienceData, messagePayload) {
+    if (!messagePayload.templateName || !template.components) return [];
+
+    const attributes = audienceData.attributes || {};
+    const generatedAssetUrls = audienceData.generated_asset_urls || {};
+    const mappings = template.parameters || {};
+    const parameters = messagePayload.templateParameters || [];
+    const empty = [];
+
+    const checkText = (component, text, fallback) => {
+      if (!text) return;
+
+      for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+        const paramIndex = parseInt(match[1]);
+        const mapping = mappings[paramIndex];
+        // Typed mappings (currency, date_time) name their attribute
+        const attribute =
+          typeof mapping === "object" ? mapping.attribute : mapping;
+
+        if (mapping) {
+          if (!attributes[attribute]) {
+            empty.push({
+              component,
+              placeholder: match[0],
+              attribute,
+              sent_value: typeof mapping === "object" ? null : mapping,
+              reason: "attribute_missing",
+            });
+          }
+        } else if (
+          !attributes[`param_${paramIndex}`] &&
+          !attributes[`body_param_${paramIndex}`]
+        ) {
+          empty.push({
+            component,
+            placeholder: match[0],
+            attribute: null,
+            sent_value: fallback(paramIndex, match[0]),
+            reason: "unmapped",
+          });
+        }
+      }
+    };
+
+    template.components.forEach((component) => {
+      if (component.type === "HEADER") {
+        if (component.format === "TEXT") {
+          checkText("header", component.text, (n) => `Parameter ${n}`);
+        } else if (MEDIA_FORMATS.includes(component.format)) {
+          const assetKey = component.format.toLowerCase();
+          if (!generatedAssetUrls[assetKey]) {
+            empty.push({
+              component: "header",
+              placeholder: null,
+              attribute: `generated_asset_urls.${assetKey}`,
+              sent_value: null,
+              reason: "asset_missing",
+            });
+          }
+        }
+      } else if (component.type === "BODY") {
+        checkText("body", component.text, (n) => `Parameter ${n}`);
+      } else if (component.type === "CAROUSEL" && component.cards) {
+        component.cards.forEach((card, cardIndex) => {
+          const header = (card.components || []).find(
+            (cardComponent) => cardComponent.type === "HEADER"
+          );
+          const assetKey = `card_${cardIndex}_${header?.format?.toLowerCase()}`;
+          if (header && !generatedAssetUrls[assetKey]) {
+            empty.push({
+              component: `card_${cardIndex}_header`,
+              placeholder: null,
+              attribute: `generated_asset_urls.${assetKey}`,
+              sent_value: null,
+              reason: "asset_missing",
+            });
+          }
+        });
+      } else if (
+        (component.type === "BUTTON" || component.type === "BUTTONS") &&
+        component.buttons
+      ) {
+        component.buttons.forEach((button, index) => {
+          if (button.type !== "URL" || !/\{\{\d+\}\}/.test(button.url)) {
+            return;
+          }
+
+          const sent = parameters.some(
+            (param) => param.type === "button" && param.buttonIndex === index
+          );
+          if (!sent) {
+            empty.push({
+              component: `button_${index}`,
+              placeholder: null,
+              attribute: null,
+              sent_value: null,
+              reason: "not_sent",
+            });
+            return;
+          }
+
+          checkText(
+            `button_${index}`,
+            button.url,
+            (n, placeholder) => placeholder
+          );
+        });
+      }
+    });
+
+    return empty;
+  }
+
+  /**
+   * Whether the payload has everything but the campaign and recipient IDs the
+   * sender validates, which a preview may not have
+   * @param {Object} messagePayload - Generated message payload
+   * @returns {boolean}
+   */
+  isSendable(messagePayload) {
+    return campaignMessageGenerator.validateMessagePayload({
+      ...messagePayload,
+      campaignId: messagePayload.campaignId || "preview",
+      campaignAudienceId: messagePayload.campaignAudienceId || "preview",
+      to: messagePayload.to || "preview",
+    });
+  }
+}
+
+module.exports = new TemplatePreviewService();
@@ -0,0 +1,280 @@
+const Template = require("../models/Template");
+const Campaign = require("../models/Campaign");
+const Notification = require("../models/Notification");
+const whatsappApiService = require("./whatsappApiService");
+const logger = require("../utils/logger");
+
+// WhatsApp statuses under which a template can no longer be sent
+const BLOCKING_WHATSAPP_STATUSES = ["PAUSED", "DISABLED", "DELETED"];
+
+// Quality rating at which WhatsApp is about to pause a template
+const BLOCKING_QUALITY_SCORE = "RED";
+
+const BLOCK_DESCRIPTIONS = {
+  PAUSED: "was paused by WhatsApp",
+  DISABLED: "was disabled by WhatsApp",
+  DELETED: "was deleted in WhatsApp",
+  [BLOCKING_QUALITY_SCORE]: "dropped to RED quality",
+};
+
+// Status events applied to the local template; others are only logged
+const TRACKED_STATUS_EVENTS = [
+  "APPROVED",
+  "REINSTATED",
+  "PENDING",
+  "IN_APPEAL",
+  "REJECTED",
+  "PAUSED",
+  "DISABLED",
+];
+
+/**
+ * Template Status Service
+ * Applies WhatsApp template status and quality changes to local templates:
+ * a paused, disabled, deleted or RED template pauses the campaigns using it and
+ * notifies the organization admins; once approved again the template is
+ * usable and those campaigns resume
+ */
+class TemplateStatusService {
+  /**
+   * Handle a message_template_status_update webhook change
+   * @param {string} organizationId - Organization ID
+   * @param {Object} value - Change value (event, message_template_id, reason)
+   * @returns {Promise<Object|null>} Result, or null if the template is unknown
+   */
+  async handleStatusUpdate(organizationId, value) {
+    const template = await this.findTemplate(
+      organizationId,
+      value.message_template_id
+    );
+    if (!template) return null;
+
+    const event = String(value.event || "").toUpperCase();
+    const reason = this.extractReason(value);
+
+    // A flagged template is still sendable; WhatsApp pauses it if its
+    // quality does not recover
+    if (event === "FLAGGED") {
+      await Notification.createForOrganizationAdmins(organizationId, {
+        type: "template_flagged",
+        title: `Template "${template.name}" was flagged by WhatsApp`,
+        message:
+          "Its quality rating is low. WhatsApp will pause it if the quality does not improve.",
+        data: this.notificationData(template, { reason }),
+      });
+      return { template, paused_campaigns: [], resumed_campaigns: [] };
+    }
+
+    if (!TRACKED_STATUS_EVENTS.includes(event)) {
+      logger.info("Untracked template status event ignored", {
+        organizationId,
+        templateId: template.id,
+        event,
+      });
+      return null;
+    }
+
+    return await this.applyWhatsAppState(template, {
+      whatsappStatus: event === "REINSTATED" ? "APPROVED" : event,
+      qualityScore: this.getQualityScore(template),
+      reason,
+    });
+  }
+
+  /**
+   * Handle a message_template_quality_update webhook change
+   * @param {string} organizationId - Organization ID
+   * @param {Object} value - Change value (new_quality_score, message_template_id)
+   * @returns {Promise<Object|null>} Result, or null if the template is unknown
+   */
+  async handleQualityUpdate(organizationId, value) {
+    const template = await this.findTemplate(
+      organizationId,
+      value.message_template_id
+    );
+    if (!template) return null;
+
+    // Quality is only rated for approved templates
+    return await this.applyWhatsAppState(template, {
+      whatsappStatus: template.whatsapp_status || "APPROVED",
+      qualityScore: value.new_quality_score,
+    });
+  }
+
+  /**
+   * Store WhatsApp's status and quality rating on a local template and act on
+   * the change: blocking pauses the template's campaigns and notifies the
+   * organization admins, unblocking resumes the campaigns it paused
+   * @param {Object} template - Local template
+   * @param {Object} state - whatsappStatus, qualityScore, reason
+   * @returns {Promise<Object>} { template, paused_campaigns, resumed_campaigns }
+   */
+  async applyWhatsAppState(template, { whatsappStatus, qualityScore, reason }) {
+    const previousBlock = this.getBlock(
+      template.whatsapp_status,
+      this.getQualityScore(template)
+    );
+    const block = this.getBlock(whatsappStatus, qualityScore);
+
+    let status = whatsappApiService.mapTemplateStatus(whatsappStatus);
+    if (block === BLOCKING_QUALITY_SCORE) {
+      status = "paused";
+    } else if (status === "approved" && template.status === "active") {
+      status = "active";
+    }
+
+    const updateData = {
+      status,
+      whatsapp_status: whatsappStatus,
+      whatsapp_updated_time: new Date(),
+    };
+    if (qualityScore && qualityScore !== this.getQualityScore(template)) {
+      updateData.whatsapp_quality_score = JSON.stringify({
+        score: qualityScore,
+        date: Math.floor(Date.now() / 1000),
+      });
+    }
+    if (whatsappStatus === "REJECTED") {
+      updateData.whatsapp_rejected_reason = reason || null;
+    }
+
+    const updatedTemplate = await Template.update(template.id, updateData);
+
+    const reinstated =
+      !block && !!previousBlock && ["approved", "active"].includes(status);
+    let pausedCampaigns = [];
+    let resumedCampaigns = [];
+
+    if (block) {
+      pausedCampaigns = await Campaign.pauseCampaignsForTemplate(
+        template.id,
+        this.describeBlock(template, block, reason)
+      );
+    } else if (reinstated) {
+      resumedCampaigns = await Campaign.resumeCampaignsPausedByTemplate(
+        template.id
+      );
+    }
+
+    if (block && block !== previousBlock) {
+      // A deleted template never comes back, so its campaigns stay paused
+      const message =
+        block === "DELETED"
+          ? `${pausedCampaigns.length} campaign(s) using it were paused.`
+          : `${pausedCampaigns.length} campaign(s) using it were paused and resume when the template is approved again.`;
+
+      await Notification.createForOrganizationAdmins(template.organization_id, {
+        type:
+          block === BLOCKING_QUALITY_SCORE
+            ? "template_quality_red"
+            : `template_${block.toLowerCase()}`,
+        title: this.describeBlock(template, block),
+        message: reason ? `${message} Reason: ${reason}` : message,
+        data: this.notificationData(template, {
+          whatsapp_status: whatsappStatus,
+          quality_score: qualityScore || null,
+          reason,
+          campaign_ids: pausedCampaigns.map((campaign) => campaign.id),
+        }),
+      });
+    } else if (reinstated) {
+      await Notification.createForOrganizationAdmins(template.organization_id, {
+        type: "template_reinstated",
+        title: `Template "${template.name}" is available again`,
+        message: `WhatsApp approved the template again. ${resumedCampaigns.length} campaign(s) resumed.`,
+        data: this.notificationData(template, {
+          whatsapp_status: whatsappStatus,
+          quality_score: qualityScore || null,
+          campaign_ids: resumedCampaigns.map((campaign) => campaign.id),
+        }),
+      });
+    }
+
+    if (block !== previousBlock) {
+      logger.info("Template availability changed by WhatsApp", {
+        templateId: template.id,
+        organizationId: template.organization_id,
+        whatsappStatus,
+        qualityScore,
+        block,
+        previousBlock,
+        pausedCampaigns: pausedCampaigns.length,
+        resumedCampaigns: resumedCampaigns.length,
+      });
+    }
+
+    return {
+      template: updatedTemplate,
+      paused_campaigns: pausedCampaigns,
+      resumed_campaigns: resumedCampaigns,
+    };
+  }
+
+  /**
+   * Find the local template a webhook refers to within the organization
+   */
+  async findTemplate(organizationId, whatsappTemplateId) {
+    if (!whatsappTemplateId) return null;
+
+    const template = await Template.findByWhatsAppTemplateId(
+      String(whatsappTemplateId)
+    );
+
+    if (!template || template.organization_id !== organizationId) {
+      logger.warn("Template webhook for unknown template ignored", {
+        organizationId,
+        whatsappTemplateId,
+      });
+      return null;
+    }
+
+    return template;
+  }
+
+  /**
+   * What keeps a template from being sent: the WhatsApp status, RED, or null
+   */
+  getBlock(whatsappStatus, qualityScore) {
+    if (BLOCKING_WHATSAPP_STATUSES.includes(whatsappStatus)) {
+      return whatsappStatus;
+    }
+    if (
+      whatsappStatus === "APPROVED" &&
+      qualityScore === BLOCKING_QUALITY_SCORE
+    ) {
+      return BLOCKING_QUALITY_SCORE;
+    }
+    return null;
+  }
+
+  describeBlock(template, block, reason = null) {
+    const description = `Template "${template.name}" ${BLOCK_DESCRIPTIONS[block]}`;
+    return reason ? `${description} (${reason})` : description;
+  }
+
+  getQualityScore(template) {
+    const qualityScore =
+      typeof template.whatsapp_quality_score === "string"
+        ? JSON.parse(template.whatsapp_quality_score)
+        : template.whatsapp_quality_score;
+    return qualityScore ? qualityScore.score || null : null;
+  }
+
+  extractReason(value) {
+    if (value.other_info && value.other_info.description) {
+      return value.other_info.description;
+    }
+    return value.reason && value.reason !== "NONE" ? value.reason : null;
+  }
+
+  notificationData(template, data = {}) {
+    return {
+      template_id: template.id,
+      template_name: template.name,
+      whatsapp_template_id: template.whatsapp_template_id,
+      ...data,
+    };
+  }
+}
+
+module.exports = new TemplateStatusService();
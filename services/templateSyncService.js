@@ -0,0 +1,437 @@
+const Organization = require("../models/Organization");
+const Template = require("../models/Template");
+const TemplateSyncLog = require("../models/TemplateSyncLog");
+const whatsappApiService = require("./whatsappApiService");
+const templateStatusService = require("./templateStatusService");
+const logger = require("../utils/logger");
+
+// Remote fields compared against the local template to detect an update
+const SYNCED_FIELDS = [
+  "name",
+  "category",
+  "language",
+  "components",
+  "whatsapp_status",
+  "whatsapp_rejected_reason",
+];
+
+// JSON with sorted object keys; JSONB does not keep WhatsApp's key order
+const canonicalJson = (value) =>
+  JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.keys(nested)
+          .sort()
+          .reduce((sorted, nestedKey) => {
+            sorted[nestedKey] = nested[nestedKey];
+            return sorted;
+          }, {})
+      : nested
+  );
+
+/**
+ * Template Sync Service
+ * Periodically pulls every active organization's templates from the WhatsApp
+ * Business API, applies created, updated and deleted templates and keeps a
+ * sync log per organization
+ */
+class TemplateSyncService {
+  constructor() {
+    this.isRunning = false;
+    this.isTicking = false;
+    this.intervalId = null;
+    this.syncingOrganizations = new Set();
+    this.processingInterval =
+      parseInt(process.env.TEMPLATE_SYNC_INTERVAL) || 60 * 60 * 1000; // 1 hour
+  }
+
+  /**
+   * Start the template sync service
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("Template sync service is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info("Starting template sync service", {
+      processingInterval: this.processingInterval,
+    });
+
+    // Failures are logged by the run itself
+    this.intervalId = setInterval(() => {
+      this.syncAllOrganizations().catch(() => {});
+    }, this.processingInterval);
+  }
+
+  /**
+   * Stop the template sync service
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn("Template sync service is not running");
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    logger.info("Template sync service stopped");
+  }
+
+  /**
+   * Sync every active organization with a WhatsApp configuration
+   * @returns {Promise<Object>} { alreadyRunning } and, for a run, the
+   *   organizations, synced and failed counts
+   */
+  async syncAllOrganizations() {
+    if (this.isTicking) return { alreadyRunning: true };
+
+    this.isTicking = true;
+    try {
+      const organizations = await Organization.findActiveOrganizations();
+
+      let synced = 0;
+      let failed = 0;
+
+      for (const organization of organizations) {
+        try {
+          if (!(await Organization.hasWhatsAppConfig(organization.id))) {
+            continue;
+          }
+          if (this.isSyncing(organization.id)) continue;
+
+          await this.syncOrganization(organization.id);
+          synced++;
+        } catch (error) {
+          failed++;
+          logger.error("Error syncing organization templates", {
+            organizationId: organization.id,
+            error: error.message,
+          });
+        }
+      }
+
+      logger.info("Scheduled template sync completed", {
+        organizations: organizations.length,
+        synced,
+        failed,
+      });
+
+      return {
+        alreadyRunning: false,
+        organizations: organizations.length,
+        synced,
+        failed,
+      };
+    } catch (error) {
+      logger.error("Error running scheduled template sync", {
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Whether a sync is running for the organization in this process
+   * @param {string} organizationId - Organization ID
+   * @returns {boolean}
+   */
+  isSyncing(organizationId) {
+    return this.syncingOrganizations.has(organizationId);
+  }
+
+  /**
+   * Sync one organization's templates and record the run
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - trigger_type (scheduled|manual), user_id
+   * @returns {Promise<Object>} Completed sync log
+   */
+  async syncOrganization(organizationId, options = {}) {
+    const triggerType = options.trigger_type || "scheduled";
+    const userId = options.user_id || null;
+
+    this.syncingOrganizations.add(organizationId);
+    let log = null;
+
+    try {
+      log = await TemplateSyncLog.start(organizationId, triggerType, userId);
+
+      const whatsappConfig = await Organization.getWhatsAppConfig(
+        organizationId
+      );
+      if (
+        !whatsappConfig ||
+        !whatsappConfig.whatsapp_business_account_id ||
+        !whatsappConfig.whatsapp_access_token
+      ) {
+        throw new Error(
+          "WhatsApp Business API configuration not found for this organization"
+        );
+      }
+
+      const remoteTemplates = await whatsappApiService.getMessageTemplates(
+        whatsappConfig.whatsapp_business_account_id,
+        whatsappConfig.whatsapp_access_token
+      );
+
+      const result = await this.applyRemoteTemplates(
+        organizationId,
+        remoteTemplates,
+        userId
+      );
+      const completedLog = await TemplateSyncLog.complete(log.id, result);
+
+      logger.info("WhatsApp templates sync completed", {
+        organizationId,
+        triggerType,
+        syncedBy: userId,
+        totalTemplates: result.remote_count,
+        createdCount: result.created_count,
+        updatedCount: result.updated_count,
+        deletedCount: result.deleted_count,
+        errorsCount: result.errors.length,
+      });
+
+      return completedLog;
+    } catch (error) {
+      if (log) {
+        await TemplateSyncLog.fail(log.id, error.message);
+      }
+      throw error;
+    } finally {
+      this.syncingOrganizations.delete(organizationId);
+    }
+  }
+
+  /**
+   * Diff remote templates against local rows by whatsapp_template_id and
+   * apply templates created, updated or deleted in WhatsApp
+   * @param {string} organizationId - Organization ID
+   * @param {Array} remoteTemplates - Templates from the WhatsApp API
+   * @param {string|null} userId - User who started the sync
+   * @returns {Promise<Object>} Counts, changes and errors
+   */
+  async applyRemoteTemplates(organizationId, remoteTemplates, userId) {
+    const localTemplates = await Template.findAll({
+      organization_id: organizationId,
+    });
+
+    const byWhatsAppId = new Map();
+    // Local templates never linked to WhatsApp are matched by name and language
+    const unlinked = new Map();
+    localTemplates.forEach((template) => {
+      if (template.whatsapp_template_id) {
+        byWhatsAppId.set(String(template.whatsapp_template_id), template);
+      } else {
+        unlinked.set(`${template.name}:${template.language}`, template);
+      }
+    });
+
+    const result = {
+      remote_count: remoteTemplates.length,
+      created_count: 0,
+      updated_count: 0,
+      deleted_count: 0,
+      unchanged_count: 0,
+      changes: [],
+      errors: [],
+    };
+    const remoteIds = new Set(
+      remoteTemplates.map((remoteTemplate) => String(remoteTemplate.id))
+    );
+
+    // Deletions first: a template deleted and created again in WhatsApp
+    // under the same name is linked to the existing local row
+    for (const [whatsappTemplateId, localTemplate] of byWhatsAppId) {
+      if (remoteIds.has(whatsappTemplateId)) continue;
+
+      try {
+        const unlinkedTemplate = await this.applyRemoteDeletion(
+          localTemplate,
+          userId
+        );
+        unlinked.set(
+          `${unlinkedTemplate.name}:${unlinkedTemplate.language}`,
+          unlinkedTemplate
+        );
+
+        result.deleted_count++;
+        result.changes.push({
+          action: "deleted",
+          template_id: localTemplate.id,
+          whatsapp_template_id: whatsappTemplateId,
+          name: localTemplate.name,
+        });
+      } catch (error) {
+        logger.error("Error applying remote template deletion", {
+          organizationId,
+          templateId: localTemplate.id,
+          whatsappTemplateId,
+          error: error.message,
+        });
+
+        result.errors.push({
+          whatsapp_template_id: whatsappTemplateId,
+          template_name: localTemplate.name,
+          error: error.message,
+        });
+      }
+    }
+
+    for (const remoteTemplate of remoteTemplates) {
+      try {
+        const templateData = whatsappApiService.transformWhatsAppTemplate(
+          remoteTemplate,
+          organizationId
+        );
+        const unlinkedKey = `${remoteTemplate.name}:${remoteTemplate.language}`;
+        const localTemplate =
+          byWhatsAppId.get(String(remoteTemplate.id)) ||
+          unlinked.get(unlinkedKey);
+
+        if (!localTemplate) {
+          const newTemplate = await Template.create({
+            ...templateData,
+            created_by: userId,
+            synced_at: new Date(),
+            synced_by: userId,
+          });
+
+          result.created_count++;
+          result.changes.push({
+            action: "created",
+            template_id: newTemplate.id,
+            whatsapp_template_id: remoteTemplate.id,
+            name: remoteTemplate.name,
+          });
+          continue;
+        }
+
+        unlinked.delete(unlinkedKey);
+
+        const changedFields = this.diffTemplate(localTemplate, templateData);
+        if (changedFields.length === 0) {
+          result.unchanged_count++;
+          continue;
+        }
+
+        await this.applyRemoteChanges(localTemplate, remoteTemplate, {
+          ...templateData,
+          synced_at: new Date(),
+          synced_by: userId,
+        });
+
+        result.updated_count++;
+        result.changes.push({
+          action: localTemplate.whatsapp_template_id ? "updated" : "linked",
+          template_id: localTemplate.id,
+          whatsapp_template_id: remoteTemplate.id,
+          name: remoteTemplate.name,
+          fields: changedFields,
+        });
+      } catch (error) {
+        logger.error("Error processing template during sync", {
+          organizationId,
+          whatsappTemplateId: remoteTemplate.id,
+          templateName: remoteTemplate.name,
+          error: error.message,
+        });
+
+        result.errors.push({
+          whatsapp_template_id: remoteTemplate.id,
+          template_name: remoteTemplate.name,
+          error: error.message,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fields of the local template that differ from the remote one
+   * @param {Object} localTemplate - Local template row
+   * @param {Object} templateData - Transformed remote template
+   * @returns {Array<string>} Changed field names
+   */
+  diffTemplate(localTemplate, templateData) {
+    const changedFields = SYNCED_FIELDS.filter((field) => {
+      const localValue = localTemplate[field] ?? null;
+      const remoteValue = templateData[field] ?? null;
+      return canonicalJson(localValue) !== canonicalJson(remoteValue);
+    });
+
+    if (!localTemplate.whatsapp_template_id) {
+      changedFields.push("whatsapp_template_id");
+    }
+
+    const remoteQuality = templateData.whatsapp_quality_score
+      ? JSON.parse(templateData.whatsapp_quality_score).score || null
+      : null;
+    if (
+      remoteQuality !== templateStatusService.getQualityScore(localTemplate)
+    ) {
+      changedFields.push("whatsapp_quality_score");
+    }
+
+    return changedFields;
+  }
+
+  /**
+   * Apply a changed remote template. Status and quality go through the
+   * template status service so campaigns are paused or resumed as they are
+   * for webhooks.
+   */
+  async applyRemoteChanges(localTemplate, remoteTemplate, updateData) {
+    await templateStatusService.applyWhatsAppState(localTemplate, {
+      whatsappStatus: remoteTemplate.status,
+      qualityScore: remoteTemplate.quality_score?.score || null,
+      reason:
+        remoteTemplate.rejected_reason &&
+        remoteTemplate.rejected_reason !== "NONE"
+          ? remoteTemplate.rejected_reason
+          : null,
+    });
+
+    // The status service already set the local status
+    const { status, ...contentData } = updateData;
+    return await Template.update(localTemplate.id, contentData);
+  }
+
+  /**
+   * Apply a template deleted in WhatsApp: campaigns using it are paused and
+   * the template is unlinked so it can be submitted again
+   */
+  async applyRemoteDeletion(localTemplate, userId) {
+    await templateStatusService.applyWhatsAppState(localTemplate, {
+      whatsappStatus: "DELETED",
+      qualityScore: templateStatusService.getQualityScore(localTemplate),
+    });
+
+    return await Template.update(localTemplate.id, {
+      whatsapp_template_id: null,
+      synced_at: new Date(),
+      synced_by: userId,
+    });
+  }
+
+  /**
+   * Get service status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isTicking,
+      processingInterval: this.processingInterval,
+      syncingOrganizations: [...this.syncingOrganizations],
+    };
+  }
+}
+
+module.exports = new TemplateSyncService();
@@ -0,0 +1,456 @@
+const Organization = require("../../models/Organization");
+const Message = require("../../models/Message");
+const Audience = require("../../models/Audience");
+const ConversationMessage = require("../../models/ConversationMessage");
+const whatsappApiService = require("../whatsappApiService");
+const inboxEventService = require("../inboxEventService");
+const logger = require("../../utils/logger");
+
+const MEDIA_TYPES = ["image", "video", "document", "audio", "sticker"];
+// Parameter types sent as { type, [type]: object }
+const STRUCTURED_TYPES = [
+  "location",
+  "currency",
+  "date_time",
+  "action",
+  "limited_time_offer",
+];
+
+/**
+ * Sends messages straight to the Cloud API from this process and records the
+ * outcome the same way the message sender Lambda does for the SQS driver.
+ */
+class GraphApiTransport {
+  constructor() {
+    this.name = "graph_api";
+    this.credentialsCache = new Map();
+    this.credentialsTtl =
+      parseInt(process.env.GRAPH_API_CREDENTIALS_CACHE_TTL) || 60000; // 1 minute
+  }
+
+  /**
+   * Get decrypted sending credentials for an organization
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} phoneNumberId and accessToken
+   */
+  async getCredentials(organizationId) {
+    const cached = this.credentialsCache.get(organizationId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.credentials;
+    }
+
+    const organization = await Organization.findById(organizationId, true);
+    if (!organization) {
+      throw new Error("Organization not found");
+    }
+
+    if (
+      !organization.whatsapp_phone_number_id ||
+      !organization.whatsapp_access_token
+    ) {
+      throw new Error("WhatsApp phone number ID and access token are required");
+    }
+
+    const credentials = {
+      phoneNumberId: organization.whatsapp_phone_number_id,
+      accessToken: organization.whatsapp_access_token,
+    };
+
+    this.credentialsCache.set(organizationId, {
+      credentials,
+      expiresAt: Date.now() + this.credentialsTtl,
+    });
+
+    return credentials;
+  }
+
+  /**
+   * Convert a message payload into a Graph API /messages body
+   * @param {Object} payload - Message payload built by the message generators
+   * @returns {Object} Graph API message body
+   */
+  buildMessageBody(payload) {
+    const body = {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: String(payload.to || "").replace(/^\+/, ""),
+    };
+
+    if (payload.contextMessageId) {
+      body.context = { message_id: payload.contextMessageId };
+    }
+
+    if (payload.templateName) {
+      body.type = "template";
+      body.template = {
+        name: payload.templateName,
+        language: { code: payload.templateLanguage || "en" },
+      };
+
+      const components = this.buildTemplateComponents(
+        payload.templateParameters
+      );
+      if (components.length > 0) {
+        body.template.components = components;
+      }
+
+      return body;
+    }
+
+    const messageType = payload.messageType || "text";
+
+    if (messageType === "text") {
+      body.type = "text";
+      body.text = {
+        body: payload.messageContent || "",
+        preview_url: /https?:\/\//.test(payload.messageContent || ""),
+      };
+      return body;
+    }
+
+    if (MEDIA_TYPES.includes(messageType)) {
+      if (!payload.mediaUrl) {
+        throw new Error(`mediaUrl is required for ${messageType} messages`);
+      }
+
+      const media = { link: payload.mediaUrl };
+      if (
+        payload.caption &&
+        ["image", "video", "document"].includes(messageType)
+      ) {
+        media.caption = payload.caption;
+      }
+      if (payload.filename && messageType === "document") {
+        media.filename = payload.filename;
+      }
+
+      body.type = messageType;
+      body[messageType] = media;
+      return body;
+    }
+
+    throw new Error(`Unsupported message type: ${messageType}`);
+  }
+
+  /**
+   * Group flat templateParameters into Graph API template components
+   * @param {Array} templateParameters - [{type, valueType, value, mediaUrl,
+   *   buttonIndex, subType, cardIndex}]
+   * @returns {Array} Template components
+   */
+  buildTemplateComponents(templateParameters) {
+    if (!Array.isArray(templateParameters)) {
+      return [];
+    }
+
+    const cards = new Map();
+    const messageParameters = [];
+
+    templateParameters.forEach((param) => {
+      if (param.cardIndex === undefined || param.cardIndex === null) {
+        messageParameters.push(param);
+        return;
+      }
+      if (!cards.has(param.cardIndex)) {
+        cards.set(param.cardIndex, []);
+      }
+      cards.get(param.cardIndex).push(param);
+    });
+
+    const components = this.groupComponents(messageParameters);
+
+    if (cards.size > 0) {
+      components.push({
+        type: "carousel",
+        cards: [...cards.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([cardIndex, parameters]) => ({
+            card_index: cardIndex,
+            components: this.groupComponents(parameters),
+          })),
+      });
+    }
+
+    return components;
+  }
+
+  /**
+   * Group the parameters of a message or one carousel card into header,
+   * body, limited-time offer and button components
+   * @param {Array} templateParameters - Template parameters
+   * @returns {Array} Template components
+   */
+  groupComponents(templateParameters) {
+    const header = [];
+    const body = [];
+    const limitedTimeOffer = [];
+    const buttons = new Map();
+
+    const toParameter = (param) => {
+      if (MEDIA_TYPES.includes(param.valueType)) {
+        return {
+          type: param.valueType,
+          [param.valueType]: { link: param.mediaUrl || param.value },
+        };
+      }
+      if (STRUCTURED_TYPES.includes(param.valueType)) {
+        return {
+          type: param.valueType,
+          [param.valueType]: param[param.valueType],
+        };
+      }
+      if (param.valueType === "coupon_code") {
+        return { type: "coupon_code", coupon_code: String(param.value ?? "") };
+      }
+      return { type: "text", text: String(param.value ?? "") };
+    };
+
+    templateParameters.forEach((param) => {
+      if (param.type === "header") {
+        header.push(toParameter(param));
+      } else if (param.type === "body") {
+        body.push(toParameter(param));
+      } else if (param.type === "limited_time_offer") {
+        limitedTimeOffer.push(toParameter(param));
+      } else if (param.type === "button") {
+        const index = String(param.buttonIndex ?? 0);
+        if (!buttons.has(index)) {
+          buttons.set(index, {
+            subType: param.subType || "url",
+            parameters: [],
+          });
+        }
+        buttons.get(index).parameters.push(toParameter(param));
+      }
+    });
+
+    const components = [];
+    if (header.length > 0) {
+      components.push({ type: "header", parameters: header });
+    }
+    if (body.length > 0) {
+      components.push({ type: "body", parameters: body });
+    }
+    if (limitedTimeOffer.length > 0) {
+      components.push({
+        type: "limited_time_offer",
+        parameters: limitedTimeOffer,
+      });
+    }
+    buttons.forEach(({ subType, parameters }, index) => {
+      components.push({
+        type: "button",
+        sub_type: subType,
+        index,
+        parameters,
+      });
+    });
+
+    return components;
+  }
+
+  /**
+   * Send one payload to the Cloud API
+   * @param {Object} payload - Message payload
+   * @returns {Promise<string>} WhatsApp message ID
+   */
+  async deliver(payload) {
+    const { phoneNumberId, accessToken } = await this.getCredentials(
+      payload.organizationId
+    );
+
+    // Campaigns and conversations pick a sender from the organization's
+    // numbers; other payloads go out from the configured number
+    const response = await whatsappApiService.sendMessage(
+      payload.phoneNumberId || phoneNumberId,
+      accessToken,
+      this.buildMessageBody(payload)
+    );
+
+    const whatsappMessageId = response?.messages?.[0]?.id;
+    if (!whatsappMessageId) {
+      throw new Error("WhatsApp API response did not include a message ID");
+    }
+
+    return whatsappMessageId;
+  }
+
+  /**
+   * Record a successful send against the campaign, retry or conversation row
+   * @param {Object} payload - Message payload
+   * @param {string} whatsappMessageId - ID returned by the Cloud API
+   */
+  async recordSent(payload, whatsappMessageId) {
+    if (payload.conversationMessageId) {
+      await inboxEventService.publishMessageStatus(
+        await ConversationMessage.markAsSent(payload.conversationMessageId, whatsappMessageId)
+      );
+      return;
+    }
+
+    if (payload.campaignAudienceId && !payload.is_auto_reply) {
+      await Audience.updateMessageStatus(payload.campaignAudienceId, "sent", {
+        whatsapp_message_id: whatsappMessageId,
+      });
+    }
+
+    if (payload.messageId) {
+      await Message.updateStatus(payload.messageId, "sent", {
+        whatsapp_message_id: whatsappMessageId,
+      });
+      return;
+    }
+
+    await Message.create(
+      await this.buildMessageRecord(payload, {
+        whatsapp_message_id: whatsappMessageId,
+        message_status: "sent",
+        sent_at: new Date(),
+      })
+    );
+  }
+
+  /**
+   * Record a failed send so the retry service and inbox can see it
+   * @param {Object} payload - Message payload
+   * @param {string} reason - Failure reason
+   */
+  async recordFailed(payload, reason) {
+    if (payload.conversationMessageId) {
+      await inboxEventService.publishMessageStatus(
+        await ConversationMessage.markAsFailed(payload.conversationMessageId, reason)
+      );
+      return;
+    }
+
+    if (payload.campaignAudienceId && !payload.is_auto_reply) {
+      await Audience.updateMessageStatus(payload.campaignAudienceId, "failed", {
+        failure_reason: reason,
+      });
+    }
+
+    if (payload.messageId) {
+      await Message.updateStatus(payload.messageId, "failed", {
+        failure_reason: reason,
+      });
+      return;
+    }
+
+    await Message.create(
+      await this.buildMessageRecord(payload, {
+        message_status: "failed",
+        failed_at: new Date(),
+        failure_reason: reason,
+      })
+    );
+  }
+
+  async buildMessageRecord(payload, statusData) {
+    const { phoneNumberId } = await this.getCredentials(
+      payload.organizationId
+    ).catch(() => ({ phoneNumberId: null }));
+
+    return {
+      organization_id: payload.organizationId,
+      campaign_id: payload.campaignId || null,
+      campaign_audience_id: payload.campaignAudienceId || null,
+      from_number:
+        payload.from || payload.phoneNumberId || phoneNumberId || "unknown",
+      to_number: payload.to,
+      is_auto_reply: !!payload.is_auto_reply,
+      original_message_id: payload.original_message_id || null,
+      message_type: payload.templateName
+        ? "template"
+        : payload.messageType || "text",
+      message_content: payload.messageContent || null,
+      media_url: payload.mediaUrl || null,
+      caption: payload.caption || null,
+      filename: payload.filename || null,
+      template_name: payload.templateName || null,
+      template_language: payload.templateLanguage || null,
+      template_parameters: payload.templateParameters || null,
+      ...statusData,
+    };
+  }
+
+  /**
+   * Send a payload and record the result
+   * @param {Object} payload - Message payload
+   * @returns {Promise<Object>} { whatsappMessageId } on success, { error, retryable } on failure
+   */
+  async sendAndRecord(payload, { recordFailure = true } = {}) {
+    let whatsappMessageId;
+    try {
+      whatsappMessageId = await this.deliver(payload);
+    } catch (error) {
+      if (recordFailure) {
+        await this.safeRecord(
+          () => this.recordFailed(payload, error.message),
+          payload
+        );
+      }
+      return { error: error.message, retryable: !!error.retryable };
+    }
+
+    await this.safeRecord(
+      () => this.recordSent(payload, whatsappMessageId),
+      payload
+    );
+    return { whatsappMessageId };
+  }
+
+  async safeRecord(record, payload) {
+    try {
+      await record();
+    } catch (error) {
+      logger.error("Error recording message send result", {
+        organizationId: payload.organizationId,
+        campaignAudienceId: payload.campaignAudienceId,
+        conversationMessageId: payload.conversationMessageId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Send messages one by one. Failures are reported, not thrown.
+   * @param {Array} messages - Message payloads
+   * @param {Object} options - recordFailures: false when the caller retries failures itself
+   * @returns {Promise<Object>} SQS-style { Successful, Failed }
+   */
+  async sendBatch(messages, options = {}) {
+    const result = { Successful: [], Failed: [] };
+
+    for (const [index, payload] of messages.entries()) {
+      const outcome = await this.sendAndRecord(payload, {
+        recordFailure: options.recordFailures !== false,
+      });
+      if (outcome.whatsappMessageId) {
+        result.Successful.push({
+          Id: `msg-${index}`,
+          MessageId: outcome.whatsappMessageId,
+        });
+      } else {
+        result.Failed.push({
+          Id: `msg-${index}`,
+          SenderFault: !outcome.retryable,
+          Message: outcome.error,
+        });
+      }
+    }
+
+    logger.info("Messages sent through WhatsApp API", {
+      successful: result.Successful.length,
+      failed: result.Failed.length,
+    });
+
+    return result;
+  }
+
+  async isConfigured() {
+    // Credentials are per organization and checked on each send
+    return true;
+  }
+}
+
+module.exports = new GraphApiTransport();
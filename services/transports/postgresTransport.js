@@ -0,0 +1,53 @@
+const MessageQueue = require("../../models/MessageQueue");
+const logger = require("../../utils/logger");
+
+/**
+ * Writes payloads to the message_queue table. Delivery is done by
+ * messageQueueWorkerService, so no AWS account is needed.
+ */
+class PostgresTransport {
+  constructor() {
+    this.name = "postgres";
+  }
+
+  /**
+   * Queue messages, grouped by organization
+   * @param {Array} messages - Message payloads
+   * @param {Object} options - delaySeconds
+   * @returns {Promise<Object>} SQS-style { Successful, Failed }
+   */
+  async sendBatch(messages, options = {}) {
+    const rows = await MessageQueue.enqueue(
+      messages[0].organizationId,
+      messages,
+      options.delaySeconds || 0
+    );
+
+    logger.info("Messages queued in message_queue", {
+      organizationId: messages[0].organizationId,
+      messageCount: rows.length,
+    });
+
+    return {
+      Successful: rows.map((row, index) => ({
+        Id: `msg-${index}`,
+        MessageId: row.id,
+      })),
+      Failed: [],
+    };
+  }
+
+  async isConfigured() {
+    try {
+      await MessageQueue.pool.query("SELECT 1 FROM message_queue LIMIT 1");
+      return true;
+    } catch (error) {
+      logger.error("Message queue table is not available", {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = new PostgresTransport();
@@ -0,0 +1,44 @@
+const sqsService = require("../sqsService");
+
+const SQS_BATCH_LIMIT = 10;
+
+/**
+ * Publishes payloads to the SQS queue read by the message sender Lambda
+ */
+class SqsTransport {
+  constructor() {
+    this.name = "sqs";
+  }
+
+  /**
+   * Send messages in SQS-sized batches
+   * @param {Array} messages - Message payloads
+   * @param {Object} options - sqsService options (messageGroupId, delaySeconds, ...)
+   * @returns {Promise<Object>} Merged { Successful, Failed }
+   */
+  async sendBatch(messages, options = {}) {
+    const result = { Successful: [], Failed: [] };
+
+    for (let i = 0; i < messages.length; i += SQS_BATCH_LIMIT) {
+      const batch = messages.slice(i, i + SQS_BATCH_LIMIT);
+      const batchResult = await sqsService.sendMessageBatch(batch, options);
+
+      // sqsService Ids are msg-<index in batch>-<timestamp>; make them relative to all messages
+      const withOffset = (entry) => ({
+        ...entry,
+        Id: `msg-${i + parseInt(String(entry.Id).split("-")[1])}`,
+      });
+
+      result.Successful.push(...(batchResult.Successful || []).map(withOffset));
+      result.Failed.push(...(batchResult.Failed || []).map(withOffset));
+    }
+
+    return result;
+  }
+
+  async isConfigured() {
+    return sqsService.isConfigured();
+  }
+}
+
+module.exports = new SqsTransport();
@@ -0,0 +1,461 @@
+const crypto = require("crypto");
+const WebhookEvent = require("../models/WebhookEvent");
+const IncomingMessage = require("../models/IncomingMessage");
+const Message = require("../models/Message");
+const Audience = require("../models/Audience");
+const OtpRequest = require("../models/OtpRequest");
+const conversationService = require("./conversationService");
+const phoneNumberService = require("./phoneNumberService");
+const suppressionService = require("./suppressionService");
+const templateStatusService = require("./templateStatusService");
+const { formatPhoneNumber } = require("../utils/phoneUtils");
+const logger = require("../utils/logger");
+
+// Order in which delivery statuses may advance; a status never moves backwards
+const STATUS_RANK = {
+  pending: 0,
+  asset_generating: 0,
+  asset_generated: 0,
+  ready_to_send: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+};
+
+const STATUS_EVENT_TYPES = {
+  sent: "message_status",
+  delivered: "delivery_receipt",
+  read: "read_receipt",
+  failed: "error",
+};
+
+// Template webhook fields and the handler applying each
+const TEMPLATE_CHANGE_HANDLERS = {
+  message_template_status_update: "handleStatusUpdate",
+  message_template_quality_update: "handleQualityUpdate",
+};
+
+/**
+ * Webhook Processing Service
+ * Verifies and splits WhatsApp Cloud API webhook payloads into webhook events,
+ * incoming messages, conversation updates, delivery status changes and
+ * template status/quality changes
+ */
+class WebhookProcessingService {
+  /**
+   * Verify the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer|string} rawBody - Raw request body as received
+   * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+   * @param {string} appSecret - Organization's WhatsApp app secret
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(rawBody, signatureHeader, appSecret) {
+    if (!rawBody || !signatureHeader || !appSecret) return false;
+
+    const [scheme, signature] = signatureHeader.split("=");
+    if (scheme !== "sha256" || !signature) return false;
+
+    const expected = crypto
+      .createHmac("sha256", appSecret)
+      .update(rawBody)
+      .digest("hex");
+
+    const expectedBuffer = Buffer.from(expected, "hex");
+    const signatureBuffer = Buffer.from(signature, "hex");
+
+    if (expectedBuffer.length !== signatureBuffer.length) return false;
+
+    return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  /**
+   * Process a full webhook payload for an organization
+   * @param {string} organizationId - Organization ID
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Promise<Object>} Counts of processed items
+   */
+  async processPayload(organizationId, payload) {
+    const summary = { statuses: 0, messages: 0, templates: 0, errors: 0 };
+
+    if (!payload || payload.object !== "whatsapp_business_account") {
+      logger.warn("Ignoring webhook payload with unexpected object", {
+        organizationId,
+        object: payload?.object,
+      });
+      return summary;
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const templateHandler = TEMPLATE_CHANGE_HANDLERS[change.field];
+        if (templateHandler && change.value) {
+          try {
+            await templateStatusService[templateHandler](
+              organizationId,
+              change.value
+            );
+            summary.templates++;
+          } catch (error) {
+            summary.errors++;
+            logger.error("Error processing template webhook", {
+              organizationId,
+              field: change.field,
+              whatsappTemplateId: change.value.message_template_id,
+              error: error.message,
+            });
+          }
+          continue;
+        }
+
+        if (change.field !== "messages" || !change.value) {
+          logger.debug("Skipping unsupported webhook change", {
+            organizationId,
+            field: change.field,
+          });
+          continue;
+        }
+
+        const value = change.value;
+
+        for (const status of value.statuses || []) {
+          try {
+            await this.processStatus(organizationId, value, status);
+            summary.statuses++;
+          } catch (error) {
+            summary.errors++;
+            logger.error("Error processing webhook status", {
+              organizationId,
+              whatsappMessageId: status.id,
+              error: error.message,
+            });
+          }
+        }
+
+        for (const message of value.messages || []) {
+          try {
+            await this.processIncomingMessage(organizationId, value, message);
+            summary.messages++;
+          } catch (error) {
+            summary.errors++;
+            logger.error("Error processing incoming webhook message", {
+              organizationId,
+              whatsappMessageId: message.id,
+              error: error.message,
+            });
+          }
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apply a delivery status update to campaign audience, messages, OTP
+   * requests and conversations
+   * @param {string} organizationId - Organization ID
+   * @param {Object} value - Change value containing metadata
+   * @param {Object} status - Single status object from the payload
+   */
+  async processStatus(organizationId, value, status) {
+    const timestamp = this.parseTimestamp(status.timestamp);
+    const failureReason = this.extractFailureReason(status.errors);
+    const campaignAudience = await Audience.findCampaignAudienceByWhatsAppMessageId(
+      status.id
+    );
+
+    const event = await WebhookEvent.create({
+      organization_id: organizationId,
+      campaign_id: campaignAudience?.campaign_id || null,
+      campaign_audience_id: campaignAudience?.id || null,
+      event_type: STATUS_EVENT_TYPES[status.status] || "message_status",
+      whatsapp_message_id: status.id,
+      from_phone_number: value.metadata?.display_phone_number || null,
+      to_phone_number: status.recipient_id || null,
+      status: status.status,
+      timestamp,
+      raw_payload: status,
+      error_message: failureReason,
+    });
+
+    try {
+      if (
+        campaignAudience &&
+        this.shouldAdvanceStatus(campaignAudience.message_status, status.status)
+      ) {
+        await Audience.updateMessageStatus(
+          campaignAudience.id,
+          status.status,
+          failureReason ? { failure_reason: failureReason } : {}
+        );
+      }
+
+      const message = await Message.findByWhatsAppMessageId(status.id);
+      if (
+        message &&
+        this.shouldAdvanceStatus(message.message_status, status.status)
+      ) {
+        await Message.updateStatus(
+          message.id,
+          status.status,
+          failureReason ? { failure_reason: failureReason } : {}
+        );
+      }
+
+      const otpRequest = await OtpRequest.findByWhatsAppMessageId(status.id);
+      if (
+        otpRequest &&
+        this.shouldAdvanceStatus(otpRequest.delivery_status, status.status)
+      ) {
+        await OtpRequest.updateDeliveryStatus(
+          otpRequest.id,
+          status.status,
+          failureReason ? { failure_reason: failureReason } : {}
+        );
+      }
+
+      await conversationService.updateMessageStatus(
+        status.id,
+        status.status,
+        timestamp
+      );
+
+      await WebhookEvent.markAsProcessed(event.id);
+    } catch (error) {
+      await WebhookEvent.markAsProcessed(event.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an incoming customer message and hand it to the conversation inbox
+   * @param {string} organizationId - Organization ID
+   * @param {Object} value - Change value containing metadata and contacts
+   * @param {Object} message - Single message object from the payload
+   */
+  async processIncomingMessage(organizationId, value, message) {
+    const existing = await IncomingMessage.findByWhatsAppMessageId(message.id);
+    if (existing) {
+      logger.debug("Duplicate incoming webhook message ignored", {
+        organizationId,
+        whatsappMessageId: message.id,
+      });
+      return;
+    }
+
+    const timestamp = this.parseTimestamp(message.timestamp);
+    const fromPhoneNumber =
+      formatPhoneNumber(`+${message.from}`) || `+${message.from}`;
+    const toPhoneNumber = value.metadata?.display_phone_number
+      ? formatPhoneNumber(`+${value.metadata.display_phone_number}`) ||
+        value.metadata.display_phone_number
+      : null;
+    // Replies are kept with the business number that received them
+    const receiver = await phoneNumberService.resolveReceiver(
+      organizationId,
+      value.metadata
+    );
+    const contact = (value.contacts || []).find(
+      (c) => c.wa_id === message.from
+    );
+    const extracted = this.extractMessageContent(message);
+
+    // Link replies to the campaign message they answer
+    const contextMessageId = message.context?.id || null;
+    let contextCampaignId = null;
+    let campaignAudienceId = null;
+    if (contextMessageId) {
+      const campaignAudience =
+        await Audience.findCampaignAudienceByWhatsAppMessageId(
+          contextMessageId
+        );
+      if (campaignAudience) {
+        contextCampaignId = campaignAudience.campaign_id;
+        campaignAudienceId = campaignAudience.id;
+      } else {
+        const originalMessage = await Message.findByWhatsAppMessageId(
+          contextMessageId
+        );
+        contextCampaignId = originalMessage?.campaign_id || null;
+      }
+    }
+
+    const event = await WebhookEvent.create({
+      organization_id: organizationId,
+      campaign_id: contextCampaignId,
+      campaign_audience_id: campaignAudienceId,
+      event_type: extracted.interactiveType
+        ? "interactive_response"
+        : "message_received",
+      whatsapp_message_id: message.id,
+      from_phone_number: fromPhoneNumber,
+      to_phone_number: toPhoneNumber,
+      timestamp,
+      raw_payload: message,
+      interactive_type: extracted.interactiveType,
+      interactive_data: extracted.interactiveData,
+    });
+
+    try {
+      await IncomingMessage.create({
+        organization_id: organizationId,
+        whatsapp_message_id: message.id,
+        from_phone_number: fromPhoneNumber,
+        to_phone_number: toPhoneNumber,
+        message_type: message.type,
+        content: extracted.content,
+        media_url: extracted.mediaUrl,
+        media_type: extracted.mediaType,
+        timestamp,
+        interactive_type: extracted.interactiveType,
+        interactive_data: extracted.interactiveData,
+        context_message_id: contextMessageId,
+        context_campaign_id: contextCampaignId,
+        raw_payload: message,
+      });
+
+      // STOP / START style keywords update the suppression list
+      if (["text", "button", "interactive"].includes(message.type)) {
+        await suppressionService.handleIncomingMessage({
+          organizationId,
+          fromPhoneNumber,
+          content: extracted.content,
+          whatsappMessageId: message.id,
+        });
+      }
+
+      await conversationService.handleIncomingMessage({
+        organizationId,
+        fromPhoneNumber,
+        toPhoneNumber: receiver?.display_phone_number || toPhoneNumber,
+        phoneNumberId: receiver?.phone_number_id || null,
+        messageType: message.type,
+        content: extracted.content,
+        mediaUrl: extracted.mediaUrl,
+        mediaType: extracted.mediaType,
+        whatsappMessageId: message.id,
+        timestamp,
+        interactiveType: extracted.interactiveType,
+        interactiveData: extracted.interactiveData,
+        contextMessageId,
+        contextCampaignId,
+        customerName: contact?.profile?.name || null,
+      });
+
+      await WebhookEvent.markAsProcessed(event.id);
+    } catch (error) {
+      await WebhookEvent.markAsProcessed(event.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract content, media and interactive data from a webhook message
+   * @param {Object} message - Webhook message object
+   * @returns {Object} Normalized message content
+   */
+  extractMessageContent(message) {
+    const result = {
+      content: null,
+      mediaUrl: null,
+      mediaType: null,
+      interactiveType: null,
+      interactiveData: null,
+    };
+
+    switch (message.type) {
+      case "text":
+        result.content = message.text?.body || null;
+        break;
+      case "image":
+      case "video":
+      case "audio":
+      case "document":
+      case "sticker": {
+        const media = message[message.type] || {};
+        result.content = media.caption || media.filename || null;
+        result.mediaUrl = media.url || media.link || null;
+        result.mediaType = media.mime_type || message.type;
+        break;
+      }
+      case "button":
+        result.content = message.button?.text || null;
+        result.interactiveType = "button";
+        result.interactiveData = message.button || null;
+        break;
+      case "interactive": {
+        const interactive = message.interactive || {};
+        const reply = interactive[interactive.type] || {};
+        result.content = reply.title || reply.body || null;
+        result.interactiveType = interactive.type || "interactive";
+        result.interactiveData = reply;
+        break;
+      }
+      case "location": {
+        const location = message.location || {};
+        result.content =
+          location.name ||
+          location.address ||
+          `${location.latitude},${location.longitude}`;
+        result.interactiveData = location;
+        break;
+      }
+      case "reaction":
+        result.content = message.reaction?.emoji || null;
+        result.interactiveData = message.reaction || null;
+        break;
+      case "contacts":
+        result.interactiveData = { contacts: message.contacts || [] };
+        break;
+      default:
+        break;
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a status update moves a message forward
+   * @param {string} currentStatus - Status currently stored
+   * @param {string} newStatus - Status received from the webhook
+   * @returns {boolean} True if the update should be applied
+   */
+  shouldAdvanceStatus(currentStatus, newStatus) {
+    if (newStatus === "failed") {
+      return !["delivered", "read", "failed"].includes(currentStatus);
+    }
+
+    if (STATUS_RANK[newStatus] === undefined) return false;
+    if (currentStatus === "failed") return true;
+
+    return (STATUS_RANK[currentStatus] ?? 0) < STATUS_RANK[newStatus];
+  }
+
+  /**
+   * Build a readable failure reason from webhook error objects
+   * @param {Array} errors - Errors array from a status update
+   * @returns {string|null} Failure reason
+   */
+  extractFailureReason(errors) {
+    if (!Array.isArray(errors) || errors.length === 0) return null;
+
+    return errors
+      .map((err) => {
+        const detail = err.error_data?.details || err.message || err.title;
+        return err.code ? `${err.code}: ${detail}` : detail;
+      })
+      .join("; ");
+  }
+
+  /**
+   * Convert a WhatsApp unix timestamp (seconds) to a Date
+   * @param {string|number} timestamp - Unix timestamp in seconds
+   * @returns {Date} Parsed date, or now if missing
+   */
+  parseTimestamp(timestamp) {
+    const seconds = parseInt(timestamp);
+    return Number.isNaN(seconds) ? new Date() : new Date(seconds * 1000);
+  }
+}
+
+module.exports = new WebhookProcessingService();
@@ -1,13 +1,80 @@
 const axios = require("axios");
 const logger = require("../utils/logger");
 
+// Positional variables in template text, e.g. {{1}}
+const TEMPLATE_VARIABLE_REGEX = /\{\{(\d+)\}\}/g;
+
+/**
+ * Sample values for the variables in a template text, one per {{n}}. WhatsApp
+ * refuses templates whose variables have no example.
+ * @param {string} text - Template text
+ * @returns {Array<string>} Sample values in variable order
+ */
+const buildExampleValues = (text) => {
+  const count = Math.max(
+    0,
+    ...Array.from(String(text || "").matchAll(TEMPLATE_VARIABLE_REGEX), (m) =>
+      parseInt(m[1])
+    )
+  );
+  return Array.from({ length: count }, (_, index) => `sample${index + 1}`);
+};
+
+/**
+ * Add the example WhatsApp requires to a component with variables. Examples
+ * already on the component are kept.
+ * @param {Object} component - Template component
+ * @returns {Object} Component with its example
+ */
+const withExample = (component) => {
+  const { type } = component;
+  if (component.example) return component;
+
+  if (type === "HEADER" && (component.format || "TEXT") === "TEXT") {
+    const values = buildExampleValues(component.text);
+    return values.length > 0
+      ? { ...component, example: { header_text: values } }
+      : component;
+  }
+
+  if (type === "BODY") {
+    const values = buildExampleValues(component.text);
+    return values.length > 0
+      ? { ...component, example: { body_text: [values] } }
+      : component;
+  }
+
+  if (type === "BUTTONS" && Array.isArray(component.buttons)) {
+    return {
+      ...component,
+      buttons: component.buttons.map((button) => {
+        // A URL button's example is the whole URL with the variable filled
+        const values = buildExampleValues(button.url);
+        return button.type === "URL" && !button.example && values.length > 0
+          ? {
+              ...button,
+              example: [
+                button.url.replace(
+                  TEMPLATE_VARIABLE_REGEX,
+                  (_, index) => values[index - 1]
+                ),
+              ],
+            }
+          : button;
+      }),
+    };
+  }
+
+  return component;
+};
+
 class WhatsAppApiService {
   constructor() {
     this.baseURL = "https://graph.facebook.com/v18.0";
   }
 
   /**
-   * Get message templates from WhatsApp Business API
+   * Get message templates from WhatsApp Business API, following every page
    * @param {string} businessAccountId - WhatsApp Business Account ID
    * @param {string} accessToken - WhatsApp Access Token
    * @returns {Promise<Array>} Array of templates
@@ -15,23 +82,33 @@ class WhatsAppApiService {
   async getMessageTemplates(businessAccountId, accessToken) {
     try {
       const url = `${this.baseURL}/${businessAccountId}/message_templates`;
+      const templates = [];
+      let after = null;
 
-      const response = await axios.get(url, {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          "Content-Type": "application/json",
-        },
-        params: {
-          fields:
-            "id,name,status,category,language,components,quality_score,rejected_reason,created_time,updated_time",
-        },
-      });
+      do {
+        const response = await axios.get(url, {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+          params: {
+            fields:
+              "id,name,status,category,language,components,quality_score,rejected_reason,created_time,updated_time",
+            limit: 100,
+            ...(after && { after }),
+          },
+        });
 
-      if (response.data && response.data.data) {
-        return response.data.data;
-      }
+        if (response.data && response.data.data) {
+          templates.push(...response.data.data);
+        }
+
+        after = response.data?.paging?.next
+          ? response.data.paging.cursors?.after
+          : null;
+      } while (after);
 
-      return [];
+      return templates;
     } catch (error) {
       logger.error("Error fetching templates from WhatsApp API", {
         businessAccountId,
@@ -128,15 +205,6 @@ class WhatsAppApiService {
    */
   transformWhatsAppTemplate(whatsappTemplate, organizationId) {
     try {
-      // Map WhatsApp status to our internal status
-      const statusMapping = {
-        APPROVED: "approved",
-        PENDING: "pending_approval",
-        REJECTED: "rejected",
-        DISABLED: "rejected",
-        PAUSED: "draft",
-      };
-
       // Map WhatsApp category to our internal category
       const categoryMapping = {
         MARKETING: "MARKETING",
@@ -151,7 +219,7 @@ class WhatsAppApiService {
         language: whatsappTemplate.language || "en",
         components: whatsappTemplate.components || [],
         organization_id: organizationId,
-        status: statusMapping[whatsappTemplate.status] || "draft",
+        status: this.mapTemplateStatus(whatsappTemplate.status),
         whatsapp_template_id: whatsappTemplate.id,
         whatsapp_status: whatsappTemplate.status,
         whatsapp_quality_score: whatsappTemplate.quality_score
@@ -174,6 +242,192 @@ class WhatsAppApiService {
     }
   }
 
+  /**
+   * Map a WhatsApp template status to our internal status
+   * @param {string} whatsappStatus - Status from WhatsApp API (e.g. APPROVED)
+   * @returns {string} Internal template status
+   */
+  mapTemplateStatus(whatsappStatus) {
+    const statusMapping = {
+      APPROVED: "approved",
+      REINSTATED: "approved",
+      PENDING: "pending_approval",
+      IN_APPEAL: "pending_approval",
+      REJECTED: "rejected",
+      DISABLED: "rejected",
+      PAUSED: "paused",
+    };
+
+    return statusMapping[whatsappStatus] || "draft";
+  }
+
+  /**
+   * Build the message_templates request body from a local template. Stored
+   * components are sent as they are; otherwise they are built from the
+   * header, body and footer fields. Text with {{n}} variables gets sample
+   * values as its example unless it already has one.
+   * @param {Object} template - Local template
+   * @returns {Object} Graph API template body (name, language, category, components)
+   */
+  buildTemplatePayload(template) {
+    let components =
+      typeof template.components === "string"
+        ? JSON.parse(template.components)
+        : template.components;
+
+    if (!Array.isArray(components) || components.length === 0) {
+      components = [];
+
+      if (template.header_type === "TEXT" && template.header_text) {
+        components.push({
+          type: "HEADER",
+          format: "TEXT",
+          text: template.header_text,
+        });
+      } else if (template.header_type && template.header_type !== "TEXT") {
+        components.push({ type: "HEADER", format: template.header_type });
+      }
+
+      components.push({ type: "BODY", text: template.body_text });
+
+      if (template.footer_text) {
+        components.push({ type: "FOOTER", text: template.footer_text });
+      }
+    }
+
+    return {
+      name: template.name,
+      language: template.language || "en",
+      category: template.category,
+      components: components.map((component) =>
+        withExample({
+          ...component,
+          type: String(component.type).toUpperCase(),
+        })
+      ),
+    };
+  }
+
+  /**
+   * Create a message template in the WhatsApp Business Account
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @param {string} accessToken - WhatsApp Access Token
+   * @param {Object} templateBody - Body from buildTemplatePayload
+   * @returns {Promise<Object>} { id, status, category }
+   */
+  async createMessageTemplate(businessAccountId, accessToken, templateBody) {
+    try {
+      const url = `${this.baseURL}/${businessAccountId}/message_templates`;
+
+      const response = await axios.post(url, templateBody, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: parseInt(process.env.WHATSAPP_API_TIMEOUT) || 15000,
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.toTemplateApiError(error, "creating", {
+        businessAccountId,
+        templateName: templateBody.name,
+      });
+    }
+  }
+
+  /**
+   * Edit an existing message template. WhatsApp only accepts the category
+   * while the template is not approved, and reviews the template again.
+   * @param {string} whatsappTemplateId - WhatsApp Template ID
+   * @param {string} accessToken - WhatsApp Access Token
+   * @param {Object} changes - { components, category }
+   * @returns {Promise<Object>} { success }
+   */
+  async updateMessageTemplate(whatsappTemplateId, accessToken, changes) {
+    try {
+      const url = `${this.baseURL}/${whatsappTemplateId}`;
+
+      const response = await axios.post(url, changes, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: parseInt(process.env.WHATSAPP_API_TIMEOUT) || 15000,
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.toTemplateApiError(error, "updating", { whatsappTemplateId });
+    }
+  }
+
+  /**
+   * Delete one language of a message template
+   * @param {string} businessAccountId - WhatsApp Business Account ID
+   * @param {string} accessToken - WhatsApp Access Token
+   * @param {string} name - Template name
+   * @param {string} whatsappTemplateId - WhatsApp Template ID (hsm_id)
+   * @returns {Promise<Object>} { success }
+   */
+  async deleteMessageTemplate(
+    businessAccountId,
+    accessToken,
+    name,
+    whatsappTemplateId
+  ) {
+    try {
+      const url = `${this.baseURL}/${businessAccountId}/message_templates`;
+
+      const response = await axios.delete(url, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        params: {
+          name,
+          hsm_id: whatsappTemplateId,
+        },
+        timeout: parseInt(process.env.WHATSAPP_API_TIMEOUT) || 15000,
+      });
+
+      return response.data;
+    } catch (error) {
+      throw this.toTemplateApiError(error, "deleting", {
+        businessAccountId,
+        whatsappTemplateId,
+      });
+    }
+  }
+
+  /**
+   * Turn a failed template request into an Error carrying the HTTP status
+   * and the message WhatsApp shows to users (category, format and naming
+   * problems are reported in error_user_title / error_user_msg)
+   * @param {Error} error - Axios error
+   * @param {string} action - What was being done, for the log
+   * @param {Object} meta - Log metadata
+   * @returns {Error} Error with statusCode, code, subcode and title
+   */
+  toTemplateApiError(error, action, meta = {}) {
+    const apiError = error.response?.data?.error;
+
+    logger.error(`Error ${action} template through WhatsApp API`, {
+      ...meta,
+      error: error.message,
+      response: error.response?.data,
+    });
+
+    const templateError = new Error(
+      apiError?.error_user_msg || apiError?.message || error.message
+    );
+    templateError.statusCode = error.response?.status;
+    templateError.code = apiError?.code;
+    templateError.subcode = apiError?.error_subcode;
+    templateError.title = apiError?.error_user_title || null;
+    return templateError;
+  }
+
   /**
    * Get phone numbers associated with WhatsApp Business Account
    * @param {string} businessAccountId - WhatsApp Business Account ID
@@ -234,6 +488,51 @@ class WhatsAppApiService {
       throw new Error(`WhatsApp API error: ${error.message}`);
     }
   }
+
+  /**
+   * Send a message through the Cloud API
+   * @param {string} phoneNumberId - WhatsApp Phone Number ID of the sender
+   * @param {string} accessToken - WhatsApp Access Token
+   * @param {Object} body - Graph API message body
+   * @returns {Promise<Object>} API response with contacts and messages
+   */
+  async sendMessage(phoneNumberId, accessToken, body) {
+    try {
+      const url = `${this.baseURL}/${phoneNumberId}/messages`;
+
+      const response = await axios.post(url, body, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: parseInt(process.env.WHATSAPP_API_TIMEOUT) || 15000,
+      });
+
+      return response.data;
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+
+      logger.error("Error sending message through WhatsApp API", {
+        phoneNumberId,
+        to: body.to,
+        error: error.message,
+        response: error.response?.data,
+      });
+
+      const sendError = new Error(
+        `WhatsApp API error: ${apiError?.message || error.message}`
+      );
+      sendError.statusCode = error.response?.status;
+      sendError.code = apiError?.code;
+      // Network errors, throttling and server errors are worth another try
+      sendError.retryable =
+        !error.response ||
+        error.response.status === 429 ||
+        error.response.status >= 500 ||
+        [4, 80007, 130429, 131000, 131016, 131056].includes(apiError?.code);
+      throw sendError;
+    }
+  }
 }
 
 module.exports = new WhatsAppApiService();
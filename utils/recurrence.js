@@ -0,0 +1,141 @@
+const cronParser = require('cron-parser');
+const { rrulestr } = require('rrule');
+
+/**
+ * Recurrence utility functions
+ * Computes run times for recurring campaigns from a cron expression
+ * or an RRULE string, evaluated in an IANA timezone
+ */
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. 'Asia/Kolkata')
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a recurrence string is in RRULE format
+ * @param {string} rule - Recurrence string
+ * @returns {boolean} True for RRULE, false for cron
+ */
+function isRRule(rule) {
+  return /^RRULE:/i.test(rule.trim()) || /(^|;)FREQ=/i.test(rule.trim());
+}
+
+/**
+ * Get the wall-clock time of an instant in a timezone, as a "floating" Date
+ * whose UTC fields hold the local fields
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Floating date
+ */
+function toWallTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value);
+
+  return new Date(
+    Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'))
+  );
+}
+
+/**
+ * Convert a floating wall-clock Date back to the real instant in a timezone
+ * @param {Date} wallTime - Floating date (UTC fields hold local time)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function fromWallTime(wallTime, timezone) {
+  // Offset can differ on each side of a DST change, so correct twice
+  let instant = new Date(wallTime.getTime());
+  for (let i = 0; i < 2; i++) {
+    const offset = toWallTime(instant, timezone).getTime() - instant.getTime();
+    instant = new Date(wallTime.getTime() - offset);
+  }
+  return instant;
+}
+
+/**
+ * Parse an RRULE string anchored at a floating start date
+ * @param {string} rule - RRULE string, with or without the 'RRULE:' prefix
+ * @param {Date} wallStart - Floating start date
+ * @returns {Object} rrule RRule instance
+ */
+function parseRRule(rule, wallStart) {
+  const normalized = rule.trim().replace(/^RRULE:/i, '');
+  return rrulestr(`RRULE:${normalized}`, { dtstart: wallStart });
+}
+
+/**
+ * Validate a cron expression or RRULE string
+ * @param {string} rule - Recurrence string
+ * @returns {boolean} True if it can be parsed
+ */
+function isValidRecurrence(rule) {
+  if (!rule || typeof rule !== 'string') return false;
+
+  try {
+    if (isRRule(rule)) {
+      parseRRule(rule, new Date());
+    } else {
+      cronParser.parseExpression(rule, { tz: 'UTC' });
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the next occurrence strictly after a given instant
+ * @param {string} rule - Cron expression or RRULE string
+ * @param {string} timezone - IANA timezone the rule is expressed in
+ * @param {Date} after - Instant to search from
+ * @param {Date} startAt - First occurrence anchor (used as RRULE DTSTART)
+ * @returns {Date|null} Next occurrence or null if the rule is exhausted
+ */
+function getNextOccurrence(rule, timezone = 'UTC', after = new Date(), startAt = null) {
+  const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+
+  if (isRRule(rule)) {
+    const wallStart = toWallTime(startAt || after, tz);
+    const next = parseRRule(rule, wallStart).after(toWallTime(after, tz), false);
+    return next ? fromWallTime(next, tz) : null;
+  }
+
+  try {
+    const interval = cronParser.parseExpression(rule, {
+      currentDate: after,
+      tz,
+    });
+    return interval.next().toDate();
+  } catch (error) {
+    // cron-parser throws once an end date is passed
+    return null;
+  }
+}
+
+module.exports = {
+  isValidTimezone,
+  isValidRecurrence,
+  getNextOccurrence,
+};
@@ -0,0 +1,356 @@
+/**
+ * Segment rule utility functions
+ * Validates audience segment rule trees and compiles them to a SQL condition
+ * over audience_master (aliased "am"). Every user value is passed as a query
+ * parameter; only the shape of the tree is written into the SQL.
+ *
+ * A rule tree is a group: { operator: 'and' | 'or', rules: [...] }, where
+ * each entry is either a nested group or a condition:
+ *   { type: 'attribute', key, operator, value }
+ *   { type: 'country_code', values: ['91', '1'] }
+ *   { type: 'created_at', after, before, within_days }
+ *   { type: 'engaged_with_campaign', campaign_id, engagement }
+ *   { type: 'replied_within_days', days }
+ * Any condition can set negate: true to match the opposite.
+ */
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const GROUP_OPERATORS = ['and', 'or'];
+const CONDITION_TYPES = [
+  'attribute',
+  'country_code',
+  'created_at',
+  'engaged_with_campaign',
+  'replied_within_days',
+];
+const ATTRIBUTE_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'exists',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'between',
+];
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Campaign engagement levels, each including the ones after it
+const ENGAGEMENT_STATUSES = {
+  sent: ['sent', 'delivered', 'read'],
+  delivered: ['delivered', 'read'],
+  read: ['read'],
+};
+const ENGAGEMENT_LEVELS = [...Object.keys(ENGAGEMENT_STATUSES), 'replied'];
+
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z0-9_.\- ]{1,100}$/;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isNumeric = (value) =>
+  value !== null &&
+  value !== '' &&
+  typeof value !== 'boolean' &&
+  !isNaN(Number(value));
+
+const isPositiveInteger = (value) =>
+  Number.isInteger(Number(value)) && Number(value) > 0;
+
+const isDate = (value) =>
+  typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+/**
+ * Validate a single condition
+ * @param {Object} condition - Condition node
+ * @param {string} path - Location in the tree, for error messages
+ * @returns {Array<string>} Error messages
+ */
+function validateCondition(condition, path) {
+  const errors = [];
+
+  switch (condition.type) {
+    case 'attribute': {
+      if (
+        typeof condition.key !== 'string' ||
+        !ATTRIBUTE_KEY_PATTERN.test(condition.key)
+      ) {
+        errors.push(
+          `${path}.key must be 1-100 letters, digits, spaces or _ . -`
+        );
+      }
+      if (!ATTRIBUTE_OPERATORS.includes(condition.operator)) {
+        errors.push(
+          `${path}.operator must be one of: ${ATTRIBUTE_OPERATORS.join(', ')}`
+        );
+      } else if (condition.operator === 'between') {
+        if (
+          !Array.isArray(condition.value) ||
+          condition.value.length !== 2 ||
+          !condition.value.every(isNumeric)
+        ) {
+          errors.push(`${path}.value must be [min, max] numbers for between`);
+        }
+      } else if (RANGE_OPERATORS[condition.operator]) {
+        if (!isNumeric(condition.value)) {
+          errors.push(
+            `${path}.value must be a number for ${condition.operator}`
+          );
+        }
+      } else if (condition.operator !== 'exists') {
+        if (
+          condition.value === undefined ||
+          condition.value === null ||
+          typeof condition.value === 'object'
+        ) {
+          errors.push(`${path}.value must be a string, number or boolean`);
+        }
+      }
+      break;
+    }
+
+    case 'country_code': {
+      if (
+        !Array.isArray(condition.values) ||
+        condition.values.length === 0 ||
+        !condition.values.every((value) => /^\+?\d{1,4}$/.test(String(value)))
+      ) {
+        errors.push(
+          `${path}.values must be a non-empty array of calling codes (e.g. "91")`
+        );
+      }
+      break;
+    }
+
+    case 'created_at': {
+      const { after, before, within_days } = condition;
+      if (after === undefined && before === undefined && !within_days) {
+        errors.push(`${path} needs after, before or within_days`);
+      }
+      if (after !== undefined && !isDate(after)) {
+        errors.push(`${path}.after must be an ISO 8601 date`);
+      }
+      if (before !== undefined && !isDate(before)) {
+        errors.push(`${path}.before must be an ISO 8601 date`);
+      }
+      if (within_days !== undefined && !isPositiveInteger(within_days)) {
+        errors.push(`${path}.within_days must be a positive integer`);
+      }
+      break;
+    }
+
+    case 'engaged_with_campaign': {
+      if (!UUID_PATTERN.test(String(condition.campaign_id))) {
+        errors.push(`${path}.campaign_id must be a valid UUID`);
+      }
+      if (
+        condition.engagement !== undefined &&
+        !ENGAGEMENT_LEVELS.includes(condition.engagement)
+      ) {
+        errors.push(
+          `${path}.engagement must be one of: ${ENGAGEMENT_LEVELS.join(', ')}`
+        );
+      }
+      break;
+    }
+
+    case 'replied_within_days': {
+      if (!isPositiveInteger(condition.days)) {
+        errors.push(`${path}.days must be a positive integer`);
+      }
+      break;
+    }
+
+    default:
+      errors.push(`${path}.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+  }
+
+  if (condition.negate !== undefined && typeof condition.negate !== 'boolean') {
+    errors.push(`${path}.negate must be a boolean`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a segment rule tree
+ * @param {Object} rules - Root group
+ * @returns {Array<string>} Error messages; empty when the tree is valid
+ */
+function validateRules(rules) {
+  const errors = [];
+  let conditionCount = 0;
+
+  const walk = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (node.rules === undefined) {
+      conditionCount++;
+      errors.push(...validateCondition(node, path));
+      return;
+    }
+
+    if (depth > MAX_DEPTH) {
+      errors.push(`${path} is nested deeper than ${MAX_DEPTH} levels`);
+      return;
+    }
+    if (!GROUP_OPERATORS.includes(node.operator)) {
+      errors.push(`${path}.operator must be "and" or "or"`);
+    }
+    if (!Array.isArray(node.rules) || node.rules.length === 0) {
+      errors.push(`${path}.rules must be a non-empty array`);
+      return;
+    }
+
+    node.rules.forEach((child, index) =>
+      walk(child, `${path}.rules[${index}]`, depth + 1)
+    );
+  };
+
+  if (!rules || typeof rules !== 'object' || rules.rules === undefined) {
+    return ['rules must be a group: { operator, rules: [...] }'];
+  }
+
+  walk(rules, 'rules', 1);
+
+  if (conditionCount > MAX_CONDITIONS) {
+    errors.push(`rules may contain at most ${MAX_CONDITIONS} conditions`);
+  }
+
+  return errors;
+}
+
+/**
+ * Compile one condition. The organization ID must already be $1.
+ * @param {Object} condition - Validated condition
+ * @param {Array} values - Query parameters; new values are appended
+ * @returns {string} SQL condition
+ */
+function compileCondition(condition, values) {
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  switch (condition.type) {
+    case 'attribute': {
+      const attribute = `(am.last_known_attributes->>${param(condition.key)})`;
+      // Non-numeric values never match a range instead of failing the query
+      const numeric = `(CASE WHEN ${attribute} ~ '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$' THEN ${attribute}::numeric END)`;
+
+      switch (condition.operator) {
+        case 'equals':
+          return `LOWER(${attribute}) = LOWER(${param(
+            String(condition.value)
+          )})`;
+        case 'not_equals':
+          return `LOWER(COALESCE(${attribute}, '')) <> LOWER(${param(
+            String(condition.value)
+          )})`;
+        case 'contains':
+          return `${attribute} ILIKE ${param(
+            `%${String(condition.value).replace(/[\\%_]/g, '\\$&')}%`
+          )}`;
+        case 'exists':
+          return `COALESCE(${attribute}, '') <> ''`;
+        case 'between':
+          return `${numeric} BETWEEN ${param(
+            Number(condition.value[0])
+          )} AND ${param(Number(condition.value[1]))}`;
+        default:
+          return `${numeric} ${RANGE_OPERATORS[condition.operator]} ${param(
+            Number(condition.value)
+          )}`;
+      }
+    }
+
+    case 'country_code':
+      return `am.country_code = ANY(${param(
+        condition.values.map((value) => String(value).replace(/^\+/, ''))
+      )}::text[])`;
+
+    case 'created_at': {
+      const parts = [];
+      if (condition.after !== undefined) {
+        parts.push(`am.created_at >= ${param(condition.after)}::timestamptz`);
+      }
+      if (condition.before !== undefined) {
+        parts.push(`am.created_at < ${param(condition.before)}::timestamptz`);
+      }
+      if (condition.within_days !== undefined) {
+        parts.push(
+          `am.created_at >= NOW() - make_interval(days => ${param(
+            parseInt(condition.within_days)
+          )})`
+        );
+      }
+      return parts.join(' AND ');
+    }
+
+    case 'engaged_with_campaign': {
+      const engagement = condition.engagement || 'delivered';
+      const campaignId = param(condition.campaign_id);
+
+      if (engagement === 'replied') {
+        return `EXISTS (
+          SELECT 1 FROM incoming_messages im
+          WHERE im.organization_id = $1
+          AND im.context_campaign_id = ${campaignId}
+          AND im.from_phone_number = am.msisdn
+        )`;
+      }
+
+      return `EXISTS (
+        SELECT 1 FROM campaign_audience ca
+        WHERE ca.organization_id = $1
+        AND ca.campaign_id = ${campaignId}
+        AND ca.msisdn = am.msisdn
+        AND ca.message_status = ANY(${param(
+          ENGAGEMENT_STATUSES[engagement]
+        )}::message_status_extended[])
+      )`;
+    }
+
+    case 'replied_within_days':
+      return `EXISTS (
+        SELECT 1 FROM incoming_messages im
+        WHERE im.organization_id = $1
+        AND im.from_phone_number = am.msisdn
+        AND im.timestamp >= NOW() - make_interval(days => ${param(
+          parseInt(condition.days)
+        )})
+      )`;
+
+    default:
+      throw new Error(`Unknown segment condition type: ${condition.type}`);
+  }
+}
+
+/**
+ * Compile a validated rule tree to a SQL condition over audience_master
+ * @param {Object} rules - Root group
+ * @param {Array} values - Query parameters starting with the organization ID;
+ *                         the rule values are appended
+ * @returns {string} SQL condition, wrapped in parentheses
+ */
+function compileRules(rules, values) {
+  if (rules.rules === undefined) {
+    const sql = `(${compileCondition(rules, values)})`;
+    return rules.negate ? `(NOT ${sql})` : sql;
+  }
+
+  const joiner = rules.operator === 'or' ? ' OR ' : ' AND ';
+  return `(${rules.rules
+    .map((child) => compileRules(child, values))
+    .join(joiner)})`;
+}
+
+module.exports = {
+  validateRules,
+  compileRules,
+};
@@ -0,0 +1,172 @@
+const { extractCountryCode } = require('./phoneUtils');
+const { TEMPLATE_LANGUAGES } = require('../config/templateLanguages');
+
+/**
+ * Template language utility functions
+ * Picks which language of a template family (templates sharing a name in an
+ * organization) a contact is sent: the contact's language attribute first,
+ * then the languages spoken in the contact's country, then the campaign's
+ * fallback language.
+ */
+
+// Contact attribute read when a campaign does not name one
+const DEFAULT_LANGUAGE_ATTRIBUTE = 'preferred_language';
+
+// Language names accepted in contact attributes, e.g. "Tamil"; languages
+// WhatsApp only lists by region map to their most used locale
+const LANGUAGE_NAMES = TEMPLATE_LANGUAGES.filter(
+  (language) => !language.name.includes('(')
+).reduce(
+  (names, language) => ({
+    ...names,
+    [language.name.toLowerCase()]: language.code,
+  }),
+  { chinese: 'zh_CN', portuguese: 'pt_BR' }
+);
+
+// Country calling code -> locales to try, most spoken first
+const COUNTRY_LANGUAGES = {
+  1: ['en_US', 'en', 'es'],
+  7: ['ru', 'kk'],
+  20: ['ar_EG', 'ar'],
+  27: ['en_ZA', 'en', 'af', 'zu'],
+  30: ['el'],
+  31: ['nl'],
+  32: ['nl_BE', 'fr_BE', 'nl', 'fr'],
+  33: ['fr'],
+  34: ['es_ES', 'es'],
+  36: ['hu'],
+  39: ['it'],
+  40: ['ro'],
+  41: ['de_CH', 'fr_CH', 'de', 'fr', 'it'],
+  43: ['de_AT', 'de'],
+  44: ['en_GB', 'en'],
+  45: ['da'],
+  46: ['sv'],
+  47: ['nb'],
+  48: ['pl'],
+  49: ['de'],
+  51: ['es_PE', 'es'],
+  52: ['es_MX', 'es'],
+  54: ['es_AR', 'es'],
+  55: ['pt_BR'],
+  56: ['es_CL', 'es'],
+  57: ['es_CO', 'es'],
+  60: ['ms', 'en_MY', 'en'],
+  61: ['en_AU', 'en'],
+  62: ['id'],
+  63: ['fil', 'en'],
+  64: ['en_NZ', 'en'],
+  65: ['en_SG', 'en'],
+  66: ['th'],
+  81: ['ja'],
+  82: ['ko'],
+  84: ['vi'],
+  86: ['zh_CN'],
+  90: ['tr'],
+  91: ['hi', 'en_IN', 'en'],
+  92: ['ur', 'en'],
+  93: ['prs_AF', 'ps_AF'],
+  94: ['si_LK', 'ta'],
+  98: ['fa'],
+  212: ['ar_MA', 'ar', 'fr_MA', 'fr'],
+  234: ['en', 'ha'],
+  254: ['sw', 'en'],
+  255: ['sw', 'en'],
+  256: ['en_UG', 'en'],
+  351: ['pt_PT'],
+  353: ['en_IE', 'en', 'ga'],
+  358: ['fi'],
+  380: ['uk'],
+  420: ['cs'],
+  852: ['zh_HK', 'zh_TW', 'en'],
+  880: ['bn'],
+  886: ['zh_TW'],
+  961: ['ar_LB', 'ar', 'fr'],
+  962: ['ar'],
+  965: ['ar'],
+  966: ['ar'],
+  968: ['ar'],
+  971: ['ar_AE', 'ar', 'en_AE', 'en'],
+  972: ['he'],
+  973: ['ar'],
+  974: ['ar_QA', 'ar', 'en_QA', 'en'],
+};
+
+/**
+ * Match a language code or name against the languages a family has.
+ * "en-US", "en_us" and "English" all match; a regional code falls back to
+ * the base language and a base language to any of its regions.
+ * @param {string} value - Language code or name
+ * @param {Array<string>} available - Languages of the family
+ * @returns {string|null} Matching family language or null
+ */
+function matchLanguage(value, available) {
+  if (!value || typeof value !== 'string' || !available || !available.length) {
+    return null;
+  }
+
+  const code = value.trim().replace(/-/g, '_');
+  const normalized = (LANGUAGE_NAMES[code.toLowerCase()] || code).toLowerCase();
+  const base = normalized.split('_')[0];
+
+  return (
+    available.find((language) => language.toLowerCase() === normalized) ||
+    available.find((language) => language.toLowerCase() === base) ||
+    available.find(
+      (language) => language.toLowerCase().split('_')[0] === base
+    ) ||
+    null
+  );
+}
+
+/**
+ * Get the country calling code of a phone number, with or without "+"
+ * @param {string} msisdn - Phone number
+ * @returns {string|null} Country calling code or null
+ */
+function getCountryCallingCode(msisdn) {
+  if (!msisdn) return null;
+
+  const phoneNumber = String(msisdn).startsWith('+') ? msisdn : `+${msisdn}`;
+  return extractCountryCode(phoneNumber);
+}
+
+/**
+ * Pick the family language a contact is sent
+ * @param {Array<string>} available - Languages of the family
+ * @param {Object} audienceData - Contact with msisdn and attributes
+ * @param {Object} options - attribute (contact attribute), fallback (language)
+ * @returns {Object} { language, source } with source attribute, country_code
+ *   or fallback; language is null when nothing matches
+ */
+function selectLanguage(available, audienceData, options = {}) {
+  const attributes = audienceData.attributes || {};
+  const attribute = options.attribute || DEFAULT_LANGUAGE_ATTRIBUTE;
+
+  const preferred = matchLanguage(attributes[attribute], available);
+  if (preferred) {
+    return { language: preferred, source: 'attribute' };
+  }
+
+  const countryCode = getCountryCallingCode(audienceData.msisdn);
+  for (const language of COUNTRY_LANGUAGES[countryCode] || []) {
+    const match = matchLanguage(language, available);
+    if (match) {
+      return { language: match, source: 'country_code' };
+    }
+  }
+
+  return {
+    language: matchLanguage(options.fallback, available),
+    source: 'fallback',
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE_ATTRIBUTE,
+  COUNTRY_LANGUAGES,
+  matchLanguage,
+  getCountryCallingCode,
+  selectLanguage,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Variant assignment utility functions
+ * Places campaign audience rows into A/B test variants. The placement is a
+ * hash of the campaign and phone number, so a number always lands in the
+ * same variant no matter when or in which batch it is added.
+ */
+
+/**
+ * Map a key to a stable point in [0, 1)
+ * @param {string} key - Value to hash
+ * @returns {number} Point in [0, 1)
+ */
+function hashToUnitInterval(key) {
+  const hash = crypto.createHash('sha256').update(key).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Assign one phone number to a variant
+ * @param {Object} campaign - Campaign with ab_test_* settings
+ * @param {Array} variants - Campaign variants ordered by position ({id, weight})
+ * @param {string} msisdn - Normalized phone number
+ * @returns {Object} { variant_id, ab_test_holdout }
+ */
+function assignVariant(campaign, variants, msisdn) {
+  if (!variants || variants.length === 0) {
+    return { variant_id: null, ab_test_holdout: false };
+  }
+
+  // Once a winner is promoted everyone still to be sent gets it
+  if (campaign.ab_test_winner_variant_id) {
+    return {
+      variant_id: campaign.ab_test_winner_variant_id,
+      ab_test_holdout: false,
+    };
+  }
+
+  // With auto-promotion only the sample is tested; the rest waits for the winner
+  const samplePercentage = parseInt(campaign.ab_test_sample_percentage) || 100;
+  if (campaign.ab_test_auto_promote && samplePercentage < 100) {
+    const samplePoint = hashToUnitInterval(`${campaign.id}:sample:${msisdn}`);
+    if (samplePoint * 100 >= samplePercentage) {
+      return { variant_id: null, ab_test_holdout: true };
+    }
+  }
+
+  const totalWeight = variants.reduce(
+    (sum, variant) => sum + (parseInt(variant.weight) || 0),
+    0
+  );
+  const point =
+    hashToUnitInterval(`${campaign.id}:variant:${msisdn}`) * totalWeight;
+
+  let upper = 0;
+  for (const variant of variants) {
+    upper += parseInt(variant.weight) || 0;
+    if (point < upper) {
+      return { variant_id: variant.id, ab_test_holdout: false };
+    }
+  }
+
+  return {
+    variant_id: variants[variants.length - 1].id,
+    ab_test_holdout: false,
+  };
+}
+
+module.exports = {
+  hashToUnitInterval,
+  assignVariant,
+};